@@ -1,10 +1,13 @@
 /**
  * Authentication Setup Example
- * This script helps you set up FYERS API authentication
+ * This script helps you set up FYERS API authentication.
+ * With a local FYERS_REDIRECT_URL (e.g. http://127.0.0.1:8085/callback)
+ * the redirect is caught automatically; otherwise paste the auth_code.
  */
 
 require('dotenv').config();
 const FyersService = require('../src/services/fyersService');
+const AuthCallbackServer = require('../src/services/authCallbackServer');
 const logger = require('../src/utils/logger');
 const readline = require('readline');
 
@@ -35,38 +38,52 @@ async function setupAuthentication() {
     
     const fyersService = new FyersService();
     
-    // Step 1: Generate authorization URL
-    logger.info('Step 1: Generating authorization URL...');
-    const authUrl = await fyersService.generateAuthUrl();
-    
-    console.log('\n' + '='.repeat(80));
-    console.log('AUTHORIZATION REQUIRED');
-    console.log('='.repeat(80));
-    console.log('Please visit the following URL to authorize the application:');
-    console.log('\n' + authUrl + '\n');
-    console.log('After authorization, you will be redirected to your redirect URL.');
-    console.log('Copy the "auth_code" parameter from the redirect URL.');
-    console.log('='.repeat(80) + '\n');
-    
-    // Step 2: Get auth code from user
-    const authCode = await askQuestion('Enter the auth_code from the redirect URL: ');
-    
-    if (!authCode || authCode.trim() === '') {
-      logger.error('Auth code is required');
-      process.exit(1);
+    if (AuthCallbackServer.isLocalRedirect()) {
+      // Steps 1-3: the local listener catches the redirect and exchanges the auth_code
+      logger.info('Step 1: Generating authorization URL...');
+      const callbackServer = new AuthCallbackServer(fyersService);
+      await callbackServer.login((authUrl) => {
+        console.log('\n' + '='.repeat(80));
+        console.log('AUTHORIZATION REQUIRED');
+        console.log('='.repeat(80));
+        console.log('Please visit the following URL to authorize the application:');
+        console.log('\n' + authUrl + '\n');
+        console.log('The redirect is caught automatically - no need to copy the auth_code.');
+        console.log('='.repeat(80) + '\n');
+      });
+    } else {
+      // Step 1: Generate authorization URL
+      logger.info('Step 1: Generating authorization URL...');
+      const authUrl = await fyersService.generateAuthUrl();
+
+      console.log('\n' + '='.repeat(80));
+      console.log('AUTHORIZATION REQUIRED');
+      console.log('='.repeat(80));
+      console.log('Please visit the following URL to authorize the application:');
+      console.log('\n' + authUrl + '\n');
+      console.log('After authorization, you will be redirected to your redirect URL.');
+      console.log('Copy the "auth_code" parameter from the redirect URL.');
+      console.log('Tip: set FYERS_REDIRECT_URL to http://127.0.0.1:<port>/callback to skip this step.');
+      console.log('='.repeat(80) + '\n');
+
+      // Step 2: Get auth code from user
+      const authCode = await askQuestion('Enter the auth_code from the redirect URL: ');
+
+      if (!authCode || authCode.trim() === '') {
+        logger.error('Auth code is required');
+        process.exit(1);
+      }
+
+      // Step 3: Generate access token
+      logger.info('Step 3: Generating access token...');
+      await fyersService.generateAccessToken(authCode.trim());
     }
-    
-    // Step 3: Generate access token
-    logger.info('Step 3: Generating access token...');
-    const accessToken = await fyersService.generateAccessToken(authCode.trim());
-    
+
     console.log('\n' + '='.repeat(80));
     console.log('ACCESS TOKEN GENERATED SUCCESSFULLY');
     console.log('='.repeat(80));
-    console.log('Your access token is:');
-    console.log('\n' + accessToken + '\n');
-    console.log('Add this to your .env file as:');
-    console.log(`FYERS_ACCESS_TOKEN=${accessToken}`);
+    console.log(`Saved to the token store: ${fyersService.tokenManager.storeFile}`);
+    console.log('Running apps pick it up automatically; no .env change is needed.');
     console.log('='.repeat(80) + '\n');
     
     // Step 4: Test the connection
@@ -129,17 +146,22 @@ async function refreshToken() {
   try {
     const fyersService = new FyersService();
     
-    // Generate new auth URL
-    const authUrl = await fyersService.generateAuthUrl();
-    console.log('Visit this URL to get a new auth code:');
-    console.log(authUrl);
-    
-    const authCode = await askQuestion('Enter the new auth_code: ');
-    const accessToken = await fyersService.generateAccessToken(authCode.trim());
-    
-    console.log('\nNew access token:');
-    console.log(accessToken);
-    console.log('\nUpdate your .env file with this new token.');
+    if (AuthCallbackServer.isLocalRedirect()) {
+      await new AuthCallbackServer(fyersService).login((authUrl) => {
+        console.log('Visit this URL to log in again:');
+        console.log(authUrl);
+      });
+    } else {
+      // Generate new auth URL
+      const authUrl = await fyersService.generateAuthUrl();
+      console.log('Visit this URL to get a new auth code:');
+      console.log(authUrl);
+
+      const authCode = await askQuestion('Enter the new auth_code: ');
+      await fyersService.generateAccessToken(authCode.trim());
+    }
+
+    console.log(`\nNew access token saved to ${fyersService.tokenManager.storeFile}`);
     
   } catch (error) {
     logger.error(`Token refresh failed: ${error.message}`);
@@ -153,13 +175,12 @@ async function testConnection() {
   logger.info('============================');
   
   try {
-    if (!process.env.FYERS_ACCESS_TOKEN) {
+    const fyersService = new FyersService();
+    if (!fyersService.tokenManager.getAccessToken()) {
       logger.error('No access token found. Please run authentication setup first.');
       process.exit(1);
     }
     
-    const fyersService = new FyersService();
-    
     // Test profile
     const profile = await fyersService.getProfile();
     if (profile.s === 'ok') {
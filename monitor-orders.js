@@ -1,67 +1,58 @@
 require('dotenv').config();
 const OrderService = require('./src/services/orderService');
+const BracketOrderManager = require('./src/services/bracketOrderManager');
+const OrderUpdateService = require('./src/services/orderUpdateService');
 
 async function monitorAndCancelOrders() {
   const orderService = new OrderService();
-  
+  const bracketManager = new BracketOrderManager(orderService);
+  const orderUpdates = new OrderUpdateService(orderService);
+
   console.log('👁️ Order Monitor Service Started');
-  console.log('Monitoring for TP/SL execution and auto-cancelling...');
-  
-  setInterval(async () => {
-    try {
-      const orders = await orderService.getOrders();
-      
-      if (!orders.data?.orderBook) return;
-      
-      // Group orders by symbol
-      const ordersBySymbol = {};
-      orders.data.orderBook.forEach(order => {
-        if (order.productType === 'INTRADAY' && order.side === -1) { // Sell orders only
-          if (!ordersBySymbol[order.symbol]) {
-            ordersBySymbol[order.symbol] = [];
-          }
-          ordersBySymbol[order.symbol].push(order);
-        }
-      });
-      
-      // Check each symbol for TP/SL pairs
-      for (const symbol in ordersBySymbol) {
-        const symbolOrders = ordersBySymbol[symbol];
-        
-        if (symbolOrders.length >= 2) {
-          const limitOrders = symbolOrders.filter(o => o.type === 1); // Limit orders (TP)
-          const stopOrders = symbolOrders.filter(o => o.type === 4);  // Stop orders (SL)
-          
-          // Check for executed orders
-          for (const order of symbolOrders) {
-            if (order.status === 'COMPLETE' || order.status === 'FILLED') {
-              console.log(`🎯 Order executed: ${symbol} - ${order.id}`);
-              
-              // Cancel all other pending orders for this symbol
-              const otherOrders = symbolOrders.filter(o => 
-                o.id !== order.id && 
-                (o.status === 'PENDING' || o.status === 'OPEN')
-              );
-              
-              for (const otherOrder of otherOrders) {
-                try {
-                  await orderService.cancelOrder(otherOrder.id);
-                  console.log(`✅ Auto-cancelled: ${otherOrder.id}`);
-                } catch (cancelError) {
-                  console.log(`❌ Cancel failed: ${otherOrder.id}`);
-                }
-              }
-            }
-          }
-        }
-      }
-      
-    } catch (error) {
-      console.log(`❌ Monitor error: ${error.message}`);
-    }
-  }, 30000); // Check every 30 seconds
+  console.log('Monitoring saved TP/SL brackets and auto-cancelling...');
+  console.log(`📋 Open brackets: ${bracketManager.getOpenBrackets().length}`);
+
+  bracketManager.on('entryFill', (bracket, filledQty) => {
+    console.log(`✅ Entry filled: ${bracket.symbol} ${filledQty}/${bracket.quantity}`);
+  });
+
+  bracketManager.on('exitFill', (bracket, leg, filledQty) => {
+    console.log(`🎯 Order executed: ${bracket.symbol} - ${leg.orderId} (${filledQty})`);
+  });
+
+  bracketManager.on('legResized', (bracket, leg) => {
+    console.log(`🔄 Resized ${leg.name}: ${leg.orderId} -> ${leg.quantity}`);
+  });
+
+  bracketManager.on('closed', (bracket) => {
+    console.log(`✅ Bracket closed: ${bracket.symbol} (${bracket.exitReason}), sibling order auto-cancelled`);
+  });
+
+  bracketManager.on('cancelled', (bracket) => {
+    console.log(`⚠️ Bracket cancelled: ${bracket.symbol} (${bracket.exitReason})`);
+  });
+
+  bracketManager.on('legFailed', (bracket, leg) => {
+    console.log(`❌ ${bracket.symbol} ${leg.name} leg ${leg.orderId || ''} failed - manual management required`);
+  });
+
+  process.on('SIGINT', () => {
+    bracketManager.detachOrderUpdates();
+    orderUpdates.disconnect();
+    bracketManager.stop();
+    console.log('\n🛑 Monitor stopped. Bracket state saved; orders remain active.');
+    process.exit(0);
+  });
+
+  orderUpdates.connect();
+  bracketManager.attachOrderUpdates(orderUpdates);
+  bracketManager.start();
+  await bracketManager.reconcile();
 }
 
 if (require.main === module) {
-  monitorAndCancelOrders();
-}
\ No newline at end of file
+  monitorAndCancelOrders().catch(error => {
+    console.log(`❌ Monitor error: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -6,6 +6,7 @@
  * Commands:
  *   help                           - Show this help message
  *   verify                         - Verify environment and API connection
+ *   login [auth_code] [--manual]   - Generate and save a new access token
  *   start                          - Start the trading application
  *   status                         - Check application status
  *   stop                           - Stop the trading application
@@ -19,11 +20,25 @@
  *   cancel-all                     - Cancel all pending orders
  *   emergency-close                - Close all positions immediately
  *   stop-loss <symbol> <price>     - Set stop-loss for position
- *   position-size <account> <risk%> <entry> <stop> - Calculate position size
+ *   position-size <account> <risk%> <entry> <stop> [symbol] - Calculate position size
+ *   calc <breakeven|target|size|pnl> <symbol> ... - Charges-aware trade calculator
+ *   auto-optimal <symbol> <qty> <price> [ratio] - Bracket with ATR/charges-optimized SL and TP
+ *   vol-optimal <symbol> <qty> <price> [ratio] [mult] - Same with realized volatility
+ *   instruments [refresh|search|info] - Symbol master: lot/tick size, expiry, search
  *   monitor                        - Real-time monitoring
  *   logs [level]                   - View application logs
  *   test-connection                - Test API connectivity
  *   market-status                  - Check if market is open
+ *   paper-reset                    - Clear paper trading state
+ *   kill-switch [status|reset]     - Show or clear the daily loss lock
+ *   replay <date|file> [symbols]   - Replay recorded market data
+ *   screen [--profile <file|name>] - Screen stocks with a YAML/JSON screen profile
+ *   sectors [symbol]               - Sector rotation quadrants vs NIFTY 50
+ *   trending-monitor [minutes]     - Live trending signals for screened candidates
+ *   auto-directional <risk> <max_positions> - Automated directional bracket trading
+ *
+ * Flags:
+ *   --paper                        - Simulate orders locally (or set PAPER_TRADING=true)
  *
  * Examples:
  *   node place-order.js buy NSE:SBIN-EQ 1
@@ -38,37 +53,95 @@ const { requiredTPpercent, requiredTPpercentShort } = require('./requiredTakePro
 
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const { spawn, exec } = require('child_process');
 const moment = require('moment-timezone');
 
 // Import services
 const OrderService = require('./src/services/orderService');
 const FyersService = require('./src/services/fyersService');
+const PaperOrderService = require('./src/services/paperOrderService');
+const BracketOrderManager = require('./src/services/bracketOrderManager');
+const OrderUpdateService = require('./src/services/orderUpdateService');
+const SquareOffService = require('./src/services/squareOffService');
+const KillSwitch = require('./src/services/killSwitch');
+const TokenManager = require('./src/services/tokenManager');
+const AuthCallbackServer = require('./src/services/authCallbackServer');
+const InstrumentService = require('./src/services/instrumentService');
+const ChargesCalculator = require('./src/services/chargesCalculator');
+const TradeOptimizer = require('./src/services/tradeOptimizer');
+const HistoricalDataStore = require('./src/services/historicalDataStore');
+const MarketCalendar = require('./src/services/marketCalendar');
 const TradingApp = require('./src/app');
 const MarketDataService = require('./src/services/marketDataService');
+const TradingHelpers = require('./src/utils/helpers');
+const TechnicalIndicators = require('./src/utils/technicalIndicators');
+const config = require('./src/config/config');
+
+// Paper trading is enabled with --paper or PAPER_TRADING=true
+const isPaperTrading = process.argv.includes('--paper') || config.paper.enabled;
+
+// Commands that open positions wait (briefly) for the symbol master's lot and tick sizes;
+// exits and inspection never do
+const ENTRY_COMMANDS = [
+  'buy', 'sell', 'mis-trade', 'short-market', 'short-m', 'short-limit', 'short-l',
+  'optimal-trade', 'opt', 'optimal-short', 'short-optimal', 'short-opt',
+  'auto-optimal', 'auto-opt', 'vol-optimal', 'volatility-optimal', 'stop-loss', 'brackets'
+];
 
 // Utility functions
+function createOrderService() {
+  // Square-off and the kill switch lock act on trading days. Only warn about a
+  // missing holiday list here: it must never block exits or inspection
+  MarketCalendar.getInstance().checkYear(MarketCalendar.toIST());
+
+  if (!isPaperTrading) return new OrderService();
+
+  const paperService = new PaperOrderService();
+  paperService.riskEngine.setKillSwitch(createKillSwitch(paperService));
+  return paperService;
+}
+
+async function loadSymbolMaster() {
+  if (!await InstrumentService.getInstance().ensureLoaded(config.instruments.startupWaitMs)) {
+    printWarning('Symbol master not loaded; derivative entries will be refused');
+  }
+}
+
+function createKillSwitch(orderService) {
+  const stateFile = isPaperTrading
+    ? path.join(path.dirname(config.paper.stateFile), 'paper-kill-switch.json')
+    : config.killSwitch.stateFile;
+  return new KillSwitch(orderService, { stateFile });
+}
+
+function createBracketManager(orderService) {
+  const stateFile = isPaperTrading
+    ? path.join(path.dirname(config.paper.stateFile), 'paper-brackets.json')
+    : config.bracket.stateFile;
+  return new BracketOrderManager(orderService, { stateFile });
+}
+
 function formatCurrency(amount) {
   if (typeof amount !== 'number') return 'N/A';
   return `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 }
 
-function isMarketOpen() {
-  const now = moment().tz('Asia/Kolkata');
-  const currentTime = now.format('HHmm');
-  const dayOfWeek = now.day();
+/**
+ * Value of --name=value or --name value
+ */
+function getFlagValue(rawArgs, name) {
+  const prefix = `--${name}=`;
+  const inline = rawArgs.find(arg => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
 
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
-    return { open: false, reason: 'Weekend' };
-  }
+  const index = rawArgs.indexOf(`--${name}`);
+  return index >= 0 && rawArgs[index + 1] && !rawArgs[index + 1].startsWith('--') ? rawArgs[index + 1] : null;
+}
 
-  if (currentTime < '0915') {
-    return { open: false, reason: 'Before market hours (opens at 9:15 AM)' };
-  } else if (currentTime > '1530') {
-    return { open: false, reason: 'After market hours (closes at 3:30 PM)' };
-  } else {
-    return { open: true, reason: 'Market is open' };
-  }
+function isMarketOpen() {
+  const session = MarketCalendar.getInstance().getSession();
+  return { ...session, reason: session.open ? `Market is open (${session.session})` : session.reason };
 }
 
 function safeExtract(obj, possibleKeys, defaultValue = 'N/A') {
@@ -114,6 +187,8 @@ COMMANDS:
 Environment & Setup:
   help                           Show this help message
   verify                         Verify environment and API connection
+  login [auth_code] [--manual]   Generate a new access token (swapped into a running app);
+                                 catches the redirect itself when FYERS_REDIRECT_URL is local
   test-connection                Test API connectivity only
 
 Application Management:
@@ -133,10 +208,36 @@ Portfolio Management:
   balance                        Check account balance and funds
   trades                         View trade history
 
+Bracket Orders (TP/SL with auto-cancel):
+  mis-trade <symbol> <qty> <price> [tp%] [sl%]   Limit buy with TP/SL bracket
+  short-market <symbol> <qty> [tp%] [sl%]        Market short with TP/SL bracket
+  auto-optimal <symbol> <qty> <price> [ratio]    Bracket with SL from daily ATR, TP for the net ratio
+  vol-optimal <symbol> <qty> <price> [ratio] [mult]  Bracket with SL from realized volatility
+  brackets [list|resume|cancel <id>]              List, resume monitoring or cancel brackets
+
 Risk Management:
   emergency-close                Close all positions immediately
   stop-loss <symbol> <price>     Set stop-loss for existing position
-  position-size <account> <risk%> <entry> <stop>  Calculate position size
+  position-size <account> <risk%> <entry> <stop> [symbol]  Calculate position size (whole lots)
+  calc breakeven <symbol> <entry> <qty>                   Exit price that covers all charges
+  calc target <symbol> <entry> <qty> <net|NR> [--stop=<price>]  Exit for a net ₹ or R-multiple target
+  calc size <symbol> <entry> <stop> <risk>               Largest quantity within a ₹ risk after charges
+  calc pnl <symbol> <qty> <entry> <exit>                 Net P&L of a round trip
+                                 (--side=SELL for shorts, --product=CNC for delivery, --json)
+  kill-switch [status|reset]     Show day P&L vs loss limit, or clear the lock
+
+Instruments:
+  instruments [status|refresh]   Load the FYERS symbol master (cached for a day)
+  instruments search <name>      Find symbols by name, e.g. "instruments search reliance"
+  instruments info <symbol>      Lot size, tick size, ISIN, expiry, strike, freeze qty
+
+Screening:
+  screen [--profile <file|name>]  Screen stocks with a YAML/JSON profile (default: trending)
+  screen profiles                List the profiles in SCREEN_PROFILE_DIR
+  breadth                        Advance/decline, new highs/lows, DMA breadth, McClellan
+  sectors [symbol]               Sector rotation vs NIFTY 50, or a symbol's sector
+  trending-monitor [minutes]     Watch screened candidates for momentum, volume, volatility and level breaks
+  auto-directional <risk> <max_positions>  Screen pre-market, watch ticks and trade brackets automatically
 
 Monitoring & Debugging:
   monitor                        Real-time monitoring (30 seconds)
@@ -148,12 +249,25 @@ EXAMPLES:
   node place-order.js sell NSE:TCS-EQ 2 3500
   node place-order.js stop-loss NSE:SBIN-EQ 480
   node place-order.js position-size 100000 2 500 485
+  node place-order.js calc target NSE:SBIN-EQ 500 100 2R --stop=495
   node place-order.js cancel ORD123456
   node place-order.js logs error
 
+Paper Trading:
+  paper-reset                    Clear simulated orders, trades and positions
+
+Backtesting:
+  backtest <symbol> [resolution] [days|from] [to]
+                                 Run the sample MA strategy over cached FYERS history
+                                 (use --csv=<file> to replay local candles,
+                                 --product=CNC to charge as delivery)
+  replay <date|file> [symbols...]  Replay recorded ticks through the sample strategy
+                                 (--speed=1 real time, --speed=10, default max; record with RECORD_TICKS=true)
+
 FLAGS:
   --help                         Show help for any command
   --dry-run                      Show what would be done without executing
+  --paper                        Simulate fills locally instead of placing real orders
 
 For detailed help on a specific command:
   node place-order.js <command> --help
@@ -263,6 +377,97 @@ async function shortSellWithOptimalTPSL(symbol, quantity, limitPrice, ATR) {
   console.log('');
 }
 
+function printOptimizedSetup(title, symbol, qty, price, result) {
+  const basis = result.method === 'ATR'
+    ? `ATR: ₹${result.atr.toFixed(2)} x ${result.multiplier}`
+    : `Daily Vol: ${(result.dailyVolatility * 100).toFixed(2)}% x ${result.multiplier}`;
+
+  console.log(`📊 ${title}: ${symbol} x${qty} @₹${price}`);
+  console.log(`   ${basis} | Stop set by: ${result.constraint}`);
+  console.log(`   Stop Loss: ${(result.optimal_l * 100).toFixed(3)}% (₹${result.stopLossPrice.toFixed(2)})`);
+  console.log(`   Take Profit: ${(result.optimal_g * 100).toFixed(3)}% (₹${result.takeProfitPrice.toFixed(2)})`);
+  console.log(`   Net Loss at SL: ₹${result.netLoss.toFixed(2)} (charges ${(result.chargeShare * 100).toFixed(1)}%)` +
+    ` | Net Profit at TP: ₹${result.netProfit.toFixed(2)}`);
+  console.log(`   Ratio Achieved: 1:${result.actualRatio.toFixed(2)}`);
+  if (!result.viable) {
+    printWarning(`Charges are ${(result.chargeShare * 100).toFixed(1)}% of the loss even at the ${(result.optimal_l * 100).toFixed(2)}% ` +
+      'maximum stop - raise the quantity, OPTIMIZER_MAX_CHARGE_SHARE or OPTIMIZER_MAX_STOP_PERCENT');
+  }
+  if (result.stretched) {
+    printWarning(`Target is ${result.targetInVolatility.toFixed(1)}x the ${result.method === 'ATR' ? 'ATR' : 'daily volatility'} away - unlikely to fill the same day`);
+  }
+  console.log('');
+}
+
+/**
+ * Refuse a setup whose charges stay above the limit at the widest stop
+ */
+function assertViable(result) {
+  if (!result.viable) {
+    throw new Error('Charges are too large a share of the loss at any allowed stop; not placing the bracket');
+  }
+}
+
+function parseOptimizerInputs(quantity, limitPrice, targetRatio) {
+  const price = parseFloat(limitPrice);
+  const qty = parseInt(quantity);
+  const ratio = parseFloat(targetRatio);
+
+  if (!price || price <= 0) {
+    throw new Error('Limit price must be a positive number');
+  }
+  if (!qty || qty <= 0) {
+    throw new Error('Quantity must be a positive number');
+  }
+  if (!ratio || ratio <= 0) {
+    throw new Error('Risk-reward ratio must be a positive number');
+  }
+  return { price, qty, ratio };
+}
+
+/**
+ * Limit buy with SL at 0.5 x daily ATR (widened for charges) and TP for the
+ * target net risk-reward ratio, placed as a TP/SL bracket
+ */
+async function buyWithAutoOptimalSL(symbol, quantity, limitPrice, targetRatio = 2) {
+  try {
+    const { price, qty, ratio } = parseOptimizerInputs(quantity, limitPrice, targetRatio);
+    const result = await new TradeOptimizer().optimizeWithATR({
+      symbol: symbol.toUpperCase(), price, quantity: qty, targetRatio: ratio
+    });
+
+    printOptimizedSetup('Auto-Optimized Trade (ATR)', symbol, qty, price, result);
+    assertViable(result);
+    await buyWithTPSLAndMonitor(symbol, qty, price, result.optimal_g * 100, result.optimal_l * 100);
+  } catch (error) {
+    printError(`Auto-optimal trade failed: ${error.message}`);
+  }
+}
+
+/**
+ * Limit buy with SL at multiplier x realized daily volatility (widened for
+ * charges) and TP for the target net risk-reward ratio
+ */
+async function buyWithVolatilityOptimalSL(symbol, quantity, limitPrice, targetRatio = 2, volatilityMultiplier = 1.5) {
+  try {
+    const { price, qty, ratio } = parseOptimizerInputs(quantity, limitPrice, targetRatio);
+    const multiplier = parseFloat(volatilityMultiplier);
+    if (!multiplier || multiplier <= 0) {
+      throw new Error('Volatility multiplier must be a positive number');
+    }
+
+    const result = await new TradeOptimizer().optimizeWithVolatility({
+      symbol: symbol.toUpperCase(), price, quantity: qty, targetRatio: ratio, volatilityMultiplier: multiplier
+    });
+
+    printOptimizedSetup('Volatility-Optimized Trade', symbol, qty, price, result);
+    assertViable(result);
+    await buyWithTPSLAndMonitor(symbol, qty, price, result.optimal_g * 100, result.optimal_l * 100);
+  } catch (error) {
+    printError(`Volatility-optimal trade failed: ${error.message}`);
+  }
+}
+
 
 async function verifyEnvironment() {
   printHeader('Environment Verification');
@@ -299,7 +504,7 @@ async function verifyEnvironment() {
 
     // Check environment variables
     console.log('\n🔐 Checking environment variables:');
-    const required = ['FYERS_APP_ID', 'FYERS_SECRET_KEY', 'FYERS_ACCESS_TOKEN'];
+    const required = ['FYERS_APP_ID', 'FYERS_SECRET_KEY'];
     for (const key of required) {
       if (process.env[key]) {
         printSuccess(`${key} is set`);
@@ -309,6 +514,14 @@ async function verifyEnvironment() {
       }
     }
 
+    const token = TokenManager.getInstance().getTokenInfo();
+    if (!token) {
+      printError('No access token (run "node place-order.js login" or set FYERS_ACCESS_TOKEN)');
+      return false;
+    }
+    printSuccess(`Access token found (${token.source === 'env' ? 'FYERS_ACCESS_TOKEN' : 'token store'})`);
+    printTokenExpiry(token);
+
     // Test API connection
     console.log('\n🔌 Testing API connection:');
     const fyersService = new FyersService();
@@ -328,6 +541,85 @@ async function verifyEnvironment() {
   }
 }
 
+function printTokenExpiry(token) {
+  if (!token.expiresAt) {
+    printWarning('Token expiry unknown (not a JWT)');
+    return;
+  }
+
+  const remaining = token.expiresAt - Date.now();
+  const expiry = moment(token.expiresAt).tz('Asia/Kolkata').format('YYYY-MM-DD HH:mm');
+  if (remaining <= 0) {
+    printError(`Access token expired at ${expiry} IST - run "node place-order.js login"`);
+  } else {
+    printInfo(`Access token valid until ${expiry} IST (${Math.round(remaining / 60000)} minutes left)`);
+  }
+}
+
+// Generate a fresh access token and save it to the token store.
+// A running TradingApp picks it up from the store without a restart.
+async function login(authCode = null, options = {}) {
+  try {
+    const fyersService = new FyersService();
+
+    if (!authCode && !options.manual && AuthCallbackServer.isLocalRedirect()) {
+      const callbackServer = new AuthCallbackServer(fyersService);
+      console.log('\n🔑 FYERS Login');
+      console.log('='.repeat(40));
+      await callbackServer.login((authUrl) => {
+        console.log('Open this URL and log in - the redirect is caught automatically:');
+        console.log(`\n   ${authUrl}\n`);
+      });
+    } else if (!authCode) {
+      const authUrl = await fyersService.generateAuthUrl();
+      console.log('\n🔑 FYERS Login');
+      console.log('='.repeat(40));
+      console.log('1. Open this URL and log in:');
+      console.log(`\n   ${authUrl}\n`);
+      console.log('2. Copy auth_code from the URL you are redirected to');
+
+      authCode = await prompt('\nauth_code: ');
+      if (!authCode) {
+        printError('No auth_code entered');
+        return false;
+      }
+    }
+
+    if (authCode) {
+      // Accept the whole redirect URL as well as the bare code
+      const match = authCode.match(/[?&]auth_code=([^&]+)/);
+      if (match) {
+        authCode = decodeURIComponent(match[1]);
+      }
+
+      await fyersService.generateAccessToken(authCode);
+    }
+
+    const token = fyersService.tokenManager.getTokenInfo();
+
+    printSuccess(`Access token saved to ${fyersService.tokenManager.storeFile}`);
+    printTokenExpiry(token);
+
+    const profile = await fyersService.getProfile();
+    printSuccess(`Logged in as: ${profile.data?.name || profile.data?.display_name || 'Unknown'}`);
+    return true;
+
+  } catch (error) {
+    printError(`Login failed: ${error.message}`);
+    return false;
+  }
+}
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
 // Add this improved function to your place-order.js
 async function getCurrentMarketPrice(symbol) {
   try {
@@ -382,7 +674,7 @@ async function getCurrentMarketPrice(symbol) {
 
 async function getHoldings() {
   try {
-    const orderService = new OrderService();
+    const orderService = createOrderService();
     const holdings = await orderService.getHoldings();
     
     console.log('🏦 HOLDINGS (Long-term):');
@@ -433,7 +725,7 @@ async function testConnection() {
 
   try {
     const fyersService = new FyersService();
-    const orderService = new OrderService();
+    const orderService = createOrderService();
 
     // Test profile
     console.log('Testing profile API...');
@@ -462,7 +754,7 @@ async function testConnection() {
     try {
       const positions = await orderService.getPositions();
       if (positions.s === 'ok') {
-        const posCount = positions.data?.netPositions?.length || 0;
+        const posCount = TradingHelpers.extractNetPositions(positions).length;
         printSuccess(`Positions: ${posCount} found`);
       }
     } catch (posError) {
@@ -478,7 +770,7 @@ async function testConnection() {
 
 async function buyOrder(symbol, quantity, price = null) {
   try {
-    const orderService = new OrderService();
+    const orderService = createOrderService();
 
     const orderData = {
       symbol: symbol.toUpperCase(),
@@ -516,7 +808,7 @@ async function buyOrder(symbol, quantity, price = null) {
 
 async function sellOrder(symbol, quantity, price = null) {
   try {
-    const orderService = new OrderService();
+    const orderService = createOrderService();
 
     const orderData = {
       symbol: symbol.toUpperCase(),
@@ -556,11 +848,13 @@ async function viewOrders() {
   printHeader('Current Orders');
 
   try {
-    const orderService = new OrderService();
+    const orderService = createOrderService();
     const orders = await orderService.getOrders();
 
-    if (orders.data && orders.data.orderBook && orders.data.orderBook.length > 0) {
-      orders.data.orderBook.forEach((order, index) => {
+    const orderBook = TradingHelpers.extractOrderBook(orders);
+
+    if (orderBook.length > 0) {
+      orderBook.forEach((order, index) => {
         console.log(`${index + 1}. ${order.symbol}`);
         console.log(`   ID: ${order.id}`);
         console.log(`   Side: ${order.side === 1 ? 'BUY' : 'SELL'}`);
@@ -584,7 +878,7 @@ async function viewPositions() {
   printHeader('Current Positions');
 
   try {
-    const orderService = new OrderService();
+    const orderService = createOrderService();
     console.log('🔍 Fetching positions from API...');
     
     const positions = await orderService.getPositions();
@@ -598,8 +892,10 @@ async function viewPositions() {
     console.log('positions.data?.positions:', positions.data?.positions);
     console.log('positions.data?.overall:', positions.data?.overall);
 
-    if (positions.data && positions.data.netPositions && positions.data.netPositions.length > 0) {
-      positions.data.netPositions.forEach((pos, index) => {
+    const netPositions = TradingHelpers.extractNetPositions(positions);
+
+    if (netPositions.length > 0) {
+      netPositions.forEach((pos, index) => {
         const pnl = parseFloat(pos.pl || 0);
         const pnlColor = pnl >= 0 ? '🟢' : '🔴';
 
@@ -675,16 +971,18 @@ async function viewTrades() {
   printHeader('Trade History');
 
   try {
-    const orderService = new OrderService();
+    const orderService = createOrderService();
     const trades = await orderService.getTradebook();
 
-    if (trades.data && trades.data.tradeBook && trades.data.tradeBook.length > 0) {
-      trades.data.tradeBook.forEach((trade, index) => {
+    const tradeBook = TradingHelpers.extractTradeBook(trades);
+
+    if (tradeBook.length > 0) {
+      tradeBook.forEach((trade, index) => {
         console.log(`${index + 1}. ${trade.symbol}`);
         console.log(`   Side: ${trade.side === 1 ? 'BUY' : 'SELL'}`);
-        console.log(`   Quantity: ${trade.qty}`);
+        console.log(`   Quantity: ${trade.tradedQty || trade.qty}`);
         console.log(`   Price: ₹${trade.tradePrice}`);
-        console.log(`   Time: ${trade.tradeTime}`);
+        console.log(`   Time: ${trade.orderDateTime || trade.tradeTime}`);
         console.log(`   Order ID: ${trade.orderNumber}`);
         console.log('   ---');
       });
@@ -699,7 +997,7 @@ async function viewTrades() {
 
 async function cancelOrder(orderId) {
   try {
-    const orderService = new OrderService();
+    const orderService = createOrderService();
 
     console.log(`🗑️ Cancelling order: ${orderId}`);
     const result = await orderService.cancelOrder(orderId);
@@ -719,13 +1017,13 @@ async function cancelAllOrders() {
   printHeader('Cancel All Orders');
 
   try {
-    const orderService = new OrderService();
+    const orderService = createOrderService();
     const orders = await orderService.getOrders();
 
-    if (orders.data && orders.data.orderBook) {
-      const pendingOrders = orders.data.orderBook.filter(
-        order => order.status === 'PENDING' || order.status === 'OPEN'
-      );
+    const orderBook = TradingHelpers.extractOrderBook(orders);
+
+    if (orderBook.length > 0) {
+      const pendingOrders = orderBook.filter(order => TradingHelpers.isOrderPending(order));
 
       if (pendingOrders.length === 0) {
         printInfo('No pending orders to cancel');
@@ -756,39 +1054,35 @@ async function cancelAllOrders() {
 
 async function cancelIntradayOrders() {
   try {
-    const orderService = new OrderService();
-    const orders = await orderService.getOrders();
+    const squareOff = new SquareOffService(createOrderService());
+    const { cancelled, failed } = await squareOff.cancelPendingOrders(SquareOffService.INTRADAY_PRODUCTS);
 
-    if (orders.data && orders.data.orderBook) {
-      const intradayPendingOrders = orders.data.orderBook.filter(
-        order => (order.status === 'PENDING' || order.status === 'OPEN') &&
-                 (order.productType === 'INTRADAY' || order.productType === 'MIS')
-      );
+    if (cancelled.length === 0 && failed.length === 0) {
+      printInfo('No pending INTRADAY orders to cancel');
+      return;
+    }
 
-      if (intradayPendingOrders.length === 0) {
-        printInfo('No pending INTRADAY orders to cancel');
-        return;
-      }
+    cancelled.forEach(order => printSuccess(`Cancelled INTRADAY order: ${order.symbol} - ${order.id}`));
+    failed.forEach(({ order, error }) => printError(`Failed to cancel ${order.id}: ${error}`));
 
-      console.log(`Found ${intradayPendingOrders.length} pending INTRADAY orders`);
+    printSuccess('Finished cancelling INTRADAY orders');
 
-      for (const order of intradayPendingOrders) {
-        try {
-          await orderService.cancelOrder(order.id);
-          printSuccess(`Cancelled INTRADAY order: ${order.symbol} - ${order.id}`);
-        } catch (cancelError) {
-          printError(`Failed to cancel ${order.id}: ${cancelError.message}`);
-        }
-      }
+  } catch (error) {
+    printError(`Cancel INTRADAY orders failed: ${error.message}`);
+  }
+}
 
-      printSuccess('Finished cancelling INTRADAY orders');
+function printSquareOffSummary(summary) {
+  summary.cancelledOrders.forEach(order => printSuccess(`🗑️ Cancelled: ${order.symbol} - ${order.id}`));
+  summary.failedCancellations.forEach(({ order, error }) => printError(`❌ Failed to cancel ${order.id}: ${error}`));
 
-    } else {
-      printInfo('No orders found');
-    }
+  summary.closedPositions.forEach(({ position, orderId }) => {
+    printSuccess(`✅ Closed: ${position.symbol} (${position.netQty} shares, P&L: ₹${(position.pl || 0).toFixed(2)}) - Order ID: ${orderId}`);
+  });
+  summary.failedPositions.forEach(({ position, error }) => printError(`❌ Failed to close ${position.symbol}: ${error}`));
 
-  } catch (error) {
-    printError(`Cancel INTRADAY orders failed: ${error.message}`);
+  if (summary.closedPositions.length === 0 && summary.failedPositions.length === 0) {
+    printInfo('No open INTRADAY positions found');
   }
 }
 
@@ -796,87 +1090,134 @@ async function emergencyClose() {
   printHeader('🚨 EMERGENCY: Closing All INTRADAY Positions');
 
   try {
-    const orderService = new OrderService();
+    const squareOff = new SquareOffService(createOrderService());
 
-    console.log('🔍 Fetching positions...');
-    const positions = await orderService.getPositions();
-    
-    // Fix: Check the correct path - positions.netPositions (not positions.data.netPositions)
-    let allPositions = [];
-    
-    if (positions.netPositions) {
-      allPositions = positions.netPositions;
-    } else if (positions.data?.netPositions) {
-      allPositions = positions.data.netPositions;
-    } else if (positions.data?.positions) {
-      allPositions = positions.data.positions;
-    }
+    // Pending INTRADAY orders go first so a working TP/SL can't fill against a closed position
+    console.log('🚨 Cancelling INTRADAY pending orders and closing INTRADAY positions...');
+    const summary = await squareOff.squareOff();
+    printSquareOffSummary(summary);
 
-    // Filter for OPEN INTRADAY positions only (netQty !== 0)
-    const intradayPositions = allPositions.filter(pos => 
-      pos.netQty !== 0 && 
-      (pos.productType === 'INTRADAY' || pos.productType === 'MIS')
-    );
+    printSuccess('✅ INTRADAY emergency closure completed');
 
-    console.log(`📋 Total positions: ${allPositions.length}`);
-    console.log(`🎯 OPEN INTRADAY positions: ${intradayPositions.length}`);
+  } catch (error) {
+    printError(`❌ Emergency closure failed: ${error.message}`);
+  }
+}
 
-    if (intradayPositions.length === 0) {
-      printInfo('No open INTRADAY positions found');
-    } else {
-      // Show positions to be closed
-      console.log('\n📊 Positions to close:');
-      intradayPositions.forEach(pos => {
-        console.log(`   ${pos.symbol}: ${pos.netQty} shares @ ₹${pos.netAvg} (P&L: ₹${pos.pl.toFixed(2)})`);
-      });
+async function manageKillSwitch(action = 'status') {
+  const orderService = createOrderService();
+  const killSwitch = createKillSwitch(orderService);
 
-      console.log(`\n🚨 Closing ${intradayPositions.length} INTRADAY positions...`);
+  switch (action) {
+    case 'status': {
+      printHeader('Daily Loss Kill Switch');
+      const lock = killSwitch.getLock();
+      const limit = killSwitch.getLossLimit();
 
-      for (const position of intradayPositions) {
-        try {
-          console.log(`🔄 Closing ${position.symbol} (${position.netQty} shares)...`);
-          
-          const closeOrder = await orderService.placeOrder({
-            symbol: position.symbol,
-            quantity: Math.abs(position.netQty),
-            side: position.netQty > 0 ? -1 : 1, // Opposite side
-            type: 2, // Market order for immediate execution
-            productType: 'INTRADAY'
-          });
+      console.log(`Loss limit: ${limit !== null ? formatCurrency(limit) : 'disabled'}` +
+        ` (₹${killSwitch.maxDailyLoss} or ${killSwitch.maxDailyLossPercent}% of ${formatCurrency(killSwitch.capital)})`);
 
-          if (closeOrder.s === 'ok') {
-            printSuccess(`✅ Closed: ${position.symbol} - Order ID: ${closeOrder.id}`);
-          } else {
-            printError(`❌ Failed to close ${position.symbol}: ${closeOrder.message}`);
-          }
+      try {
+        const pnl = await killSwitch.getDayPnL();
+        console.log(`Day P&L: ${formatCurrency(pnl)}`);
+      } catch (error) {
+        printError(`Could not fetch day P&L: ${error.message}`);
+      }
 
-        } catch (closeError) {
-          printError(`❌ Failed to close ${position.symbol}: ${closeError.message}`);
-        }
+      if (lock) {
+        printError(`🔒 LOCKED since ${lock.lockedAt} until ${lock.lockedUntil}`);
+        console.log(`   Reason: ${lock.reason}`);
+        console.log('   Only orders that reduce existing positions are accepted');
+        console.log('   Clear with: node place-order.js kill-switch reset');
+      } else {
+        printSuccess('🔓 Not locked - trading allowed');
+      }
+      break;
+    }
+
+    case 'reset': {
+      const lock = killSwitch.reset();
+      if (lock) {
+        printSuccess(`Kill switch lock cleared (was: ${lock.reason})`);
+      } else {
+        printInfo('Kill switch was not locked');
       }
+      break;
     }
 
-    // Cancel only INTRADAY pending orders
-    console.log('\n🗑️ Cancelling INTRADAY pending orders...');
-    await cancelIntradayOrders();
+    default:
+      printError(`Unknown kill-switch action: ${action}`);
+      console.log('Usage: node place-order.js kill-switch [status|reset]');
+  }
+}
+
+function printInstrument(instrument) {
+  console.log(`${instrument.symbol}  ${instrument.name}`);
+  console.log(`   Segment: ${instrument.segment}  Lot: ${instrument.lotSize}  Tick: ₹${instrument.tickSize}` +
+    `${instrument.isin ? `  ISIN: ${instrument.isin}` : ''}`);
+  if (instrument.expiry) {
+    console.log(`   Expiry: ${instrument.expiry}` +
+      `${instrument.optionType ? `  Strike: ${instrument.strike} ${instrument.optionType}` : ''}` +
+      `${instrument.freezeQuantity ? `  Freeze qty: ${instrument.freezeQuantity}` : ''}`);
+  }
+}
 
-    printSuccess('✅ INTRADAY emergency closure completed');
+async function manageInstruments(action = 'status', value = null) {
+  const instruments = InstrumentService.getInstance();
 
+  try {
+    const count = await instruments.load({ refresh: action === 'refresh' });
+
+    switch (action) {
+      case 'status':
+      case 'refresh':
+        printHeader('Symbol Master');
+        console.log(`Instruments: ${count}`);
+        console.log(`Segments: ${[...instruments.loadedSegments].join(', ') || 'none'}`);
+        console.log(`Cache: ${instruments.cacheDir}`);
+        break;
+
+      case 'search': {
+        if (!value) {
+          printError('Usage: node place-order.js instruments search <name>');
+          return;
+        }
+        const results = instruments.search(value);
+        printHeader(`Instruments matching "${value}" (${results.length})`);
+        results.forEach(printInstrument);
+        break;
+      }
+
+      case 'info': {
+        const instrument = value && instruments.get(value.toUpperCase());
+        if (!instrument) {
+          printError(`Unknown symbol: ${value}`);
+          return;
+        }
+        printInstrument(instrument);
+        break;
+      }
+
+      default:
+        printError(`Unknown instruments action: ${action}`);
+        console.log('Usage: node place-order.js instruments [status|refresh|search <name>|info <symbol>]');
+    }
   } catch (error) {
-    printError(`❌ Emergency closure failed: ${error.message}`);
+    printError(`Symbol master failed: ${error.message}`);
   }
 }
 
 async function setStopLoss(symbol, stopPrice) {
   try {
-    const orderService = new OrderService();
+    const orderService = createOrderService();
 
     // First check if we have a position in this symbol
     const positions = await orderService.getPositions();
     let position = null;
 
-    if (positions.data && positions.data.netPositions) {
-      position = positions.data.netPositions.find(pos =>
+    const netPositions = TradingHelpers.extractNetPositions(positions);
+    if (netPositions.length > 0) {
+      position = netPositions.find(pos =>
         pos.symbol.toUpperCase() === symbol.toUpperCase() && pos.netQty !== 0
       );
     }
@@ -911,7 +1252,7 @@ async function setStopLoss(symbol, stopPrice) {
   }
 }
 
-function calculatePositionSize(accountSize, riskPercent, entryPrice, stopPrice) {
+async function calculatePositionSize(accountSize, riskPercent, entryPrice, stopPrice, symbol = null) {
   try {
     const account = parseFloat(accountSize);
     const risk = parseFloat(riskPercent);
@@ -925,26 +1266,256 @@ function calculatePositionSize(accountSize, riskPercent, entryPrice, stopPrice)
 
     const riskAmount = account * (risk / 100);
     const riskPerShare = entry - stop;
-    const maxShares = Math.floor(riskAmount / riskPerShare);
+
+    // Whole lots for F&O and MCX contracts
+    let instrument = null;
+    if (symbol) {
+      const instruments = InstrumentService.getInstance();
+      await instruments.load();
+      instrument = instruments.get(symbol.toUpperCase());
+      if (!instrument) {
+        printWarning(`${symbol} not found in the symbol master - lot size not applied`);
+      }
+    }
+
+    // Loss at the stop plus round-trip charges stays within the risk amount
+    const charges = ChargesCalculator.getInstance();
+    const trade = { symbol: instrument ? instrument.symbol : (symbol ? symbol.toUpperCase() : null), product: 'INTRADAY' };
+    const maxShares = charges.sizeForRisk({
+      ...trade,
+      riskAmount,
+      entryPrice: entry,
+      stopPrice: stop,
+      lotSize: instrument && instrument.lotSize > 0 ? instrument.lotSize : 1
+    });
     const positionValue = maxShares * entry;
+    const chargesAtStop = maxShares > 0
+      ? charges.calculate({ ...trade, quantity: maxShares, buyPrice: entry, sellPrice: stop })
+      : null;
 
     printHeader('Position Size Calculator');
     console.log(`Account Size: ${formatCurrency(account)}`);
     console.log(`Risk Percentage: ${risk}%`);
     console.log(`Entry Price: ₹${entry}`);
     console.log(`Stop Loss Price: ₹${stop}`);
+    if (instrument) {
+      console.log(`Instrument: ${instrument.symbol} (lot ${instrument.lotSize}, tick ₹${instrument.tickSize})`);
+    }
     console.log('');
     console.log('📈 Results:');
     console.log(`Max Shares: ${maxShares}`);
     console.log(`Position Value: ${formatCurrency(positionValue)}`);
     console.log(`Risk Amount: ${formatCurrency(riskAmount)}`);
     console.log(`Risk Per Share: ₹${riskPerShare.toFixed(2)}`);
+    if (chargesAtStop) {
+      console.log(`Charges if Stopped Out: ${formatCurrency(chargesAtStop.total)} (${chargesAtStop.segment})`);
+      console.log(`Total Loss at Stop: ${formatCurrency(maxShares * riskPerShare + chargesAtStop.total)}`);
+    }
 
   } catch (error) {
     printError(`Position size calculation failed: ${error.message}`);
   }
 }
 
+const CALC_USAGE = [
+  'node place-order.js calc breakeven <symbol> <entry> <qty>',
+  'node place-order.js calc target <symbol> <entry> <qty> <net|NR> [--stop=<price>]',
+  'node place-order.js calc size <symbol> <entry> <stop> <risk>',
+  'node place-order.js calc pnl <symbol> <qty> <entry> <exit>',
+  'Flags: --side=BUY|SELL (default BUY), --product=INTRADAY|CNC, --json'
+];
+
+function parseCalcNumber(value, name) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`${name} must be a number (got ${value === undefined ? 'nothing' : value})`);
+  }
+  return number;
+}
+
+function printCalcResult(title, result, rows, asJson) {
+  if (asJson) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  printHeader(title);
+  console.log(`${'Symbol'.padEnd(22)} ${result.symbol} (${result.segment}, ${result.product}, ${result.side})`);
+  rows.forEach(([label, value]) => console.log(`${label.padEnd(22)} ${value}`));
+
+  const charges = result.charges;
+  if (charges) {
+    console.log('');
+    console.log('Charges:');
+    [['Brokerage', charges.brokerage], ['STT', charges.stt], ['CTT', charges.ctt], ['Exchange fee', charges.exchangeFee],
+      ['SEBI fee', charges.sebiFee], ['Stamp duty', charges.stampDuty], ['DP charge', charges.dp], ['GST', charges.gst]]
+      .filter(([, amount]) => amount > 0)
+      .forEach(([label, amount]) => console.log(`   ${label.padEnd(19)} ${formatCurrency(amount)}`));
+    console.log(`   ${'Total'.padEnd(19)} ${formatCurrency(charges.total)}`);
+  }
+}
+
+/**
+ * Charges-aware trade calculator: breakeven exit, TP for a net ₹ or R target,
+ * quantity for a risk budget and net P&L of a round trip
+ */
+async function runCalc(action, args, rawArgs) {
+  const asJson = rawArgs.includes('--json');
+  const side = (getFlagValue(rawArgs, 'side') || 'BUY').toUpperCase();
+  const product = (getFlagValue(rawArgs, 'product') || 'INTRADAY').toUpperCase();
+  const symbol = args[0] ? args[0].toUpperCase() : null;
+  const formatPrice = (price) => (price === null ? 'not reachable' : `₹${price.toFixed(2)}`);
+  const movePercent = (entry, exit) => (exit === null ? null : ((exit - entry) / entry) * 100);
+
+  try {
+    if (!symbol || !['breakeven', 'target', 'size', 'pnl'].includes(action)) {
+      printError('Usage:');
+      CALC_USAGE.forEach(line => console.log(`  ${line}`));
+      return;
+    }
+    if (!['BUY', 'SELL'].includes(side)) {
+      throw new Error(`--side must be BUY or SELL (got ${side})`);
+    }
+
+    const charges = ChargesCalculator.getInstance();
+    const trade = { symbol, product };
+    const base = { symbol, segment: ChargesCalculator.resolveSegment(trade), product, side };
+
+    switch (action) {
+      case 'breakeven': {
+        const entryPrice = parseCalcNumber(args[1], 'entry');
+        const quantity = parseCalcNumber(args[2], 'qty');
+        const breakevenPrice = charges.exitPriceForNet({ ...trade, side, entryPrice, quantity, targetNet: 0 });
+        const result = {
+          ...base,
+          entryPrice,
+          quantity,
+          breakevenPrice,
+          movePercent: movePercent(entryPrice, breakevenPrice),
+          charges: breakevenPrice === null ? null
+            : charges.netPnL({ ...trade, side, entryPrice, exitPrice: breakevenPrice, quantity }).charges
+        };
+
+        printCalcResult('Breakeven Exit', result, [
+          ['Entry', `${formatPrice(entryPrice)} x ${quantity}`],
+          ['Breakeven exit', formatPrice(breakevenPrice)],
+          ['Move required', result.movePercent === null ? '-' : `${result.movePercent.toFixed(3)}%`]
+        ], asJson);
+        break;
+      }
+
+      case 'target': {
+        const entryPrice = parseCalcNumber(args[1], 'entry');
+        const quantity = parseCalcNumber(args[2], 'qty');
+        const rMatch = /^([\d.]+)R$/i.exec(args[3] || '');
+        const stopFlag = getFlagValue(rawArgs, 'stop');
+
+        let targetNet;
+        let netLoss = null;
+        let stopPrice = null;
+        if (rMatch) {
+          if (!stopFlag) throw new Error('An R target needs --stop=<price>');
+          stopPrice = parseCalcNumber(stopFlag, 'stop');
+          netLoss = -charges.netPnL({ ...trade, side, entryPrice, exitPrice: stopPrice, quantity }).net;
+          targetNet = parseFloat(rMatch[1]) * netLoss;
+        } else {
+          targetNet = parseCalcNumber(args[3], 'target');
+        }
+
+        const exitPrice = charges.exitPriceForNet({ ...trade, side, entryPrice, quantity, targetNet });
+        const pnl = exitPrice === null ? null : charges.netPnL({ ...trade, side, entryPrice, exitPrice, quantity });
+        const result = {
+          ...base,
+          entryPrice,
+          quantity,
+          stopPrice,
+          netLossAtStop: netLoss,
+          rMultiple: rMatch ? parseFloat(rMatch[1]) : (netLoss ? targetNet / netLoss : null),
+          targetNet,
+          exitPrice,
+          movePercent: movePercent(entryPrice, exitPrice),
+          gross: pnl ? pnl.gross : null,
+          charges: pnl ? pnl.charges : null
+        };
+
+        const rows = [['Entry', `${formatPrice(entryPrice)} x ${quantity}`]];
+        if (stopPrice !== null) {
+          rows.push(['Stop', formatPrice(stopPrice)], ['Net loss at stop', formatCurrency(netLoss)]);
+        }
+        rows.push(
+          ['Target net P&L', `${formatCurrency(targetNet)}${result.rMultiple ? ` (${result.rMultiple}R)` : ''}`],
+          ['Target exit', formatPrice(exitPrice)],
+          ['Move required', result.movePercent === null ? '-' : `${result.movePercent.toFixed(3)}%`],
+          ['Gross P&L at target', formatCurrency(result.gross)]
+        );
+        printCalcResult('Target Exit', result, rows, asJson);
+        break;
+      }
+
+      case 'size': {
+        const entryPrice = parseCalcNumber(args[1], 'entry');
+        const stopPrice = parseCalcNumber(args[2], 'stop');
+        const riskAmount = parseCalcNumber(args[3], 'risk');
+
+        // Whole lots for derivatives; equity trades in single shares
+        let lotSize = 1;
+        if (!base.segment.startsWith('EQUITY')) {
+          const instruments = InstrumentService.getInstance();
+          await instruments.load();
+          const instrument = instruments.get(symbol);
+          if (instrument && instrument.lotSize > 0) lotSize = instrument.lotSize;
+          else printWarning(`${symbol} not found in the symbol master - lot size not applied`);
+        }
+
+        const quantity = charges.sizeForRisk({ ...trade, riskAmount, entryPrice, stopPrice, lotSize });
+        const sizeSide = stopPrice < entryPrice ? 'BUY' : 'SELL';
+        const pnl = quantity > 0
+          ? charges.netPnL({ ...trade, side: sizeSide, entryPrice, exitPrice: stopPrice, quantity })
+          : null;
+        const result = {
+          ...base,
+          side: sizeSide,
+          entryPrice,
+          stopPrice,
+          riskAmount,
+          lotSize,
+          quantity,
+          positionValue: quantity * entryPrice,
+          lossAtStop: pnl ? -pnl.net : 0,
+          charges: pnl ? pnl.charges : null
+        };
+
+        printCalcResult('Risk-Based Quantity', result, [
+          ['Entry / stop', `${formatPrice(entryPrice)} / ${formatPrice(stopPrice)}`],
+          ['Risk budget', formatCurrency(riskAmount)],
+          ['Quantity', `${quantity}${lotSize > 1 ? ` (${quantity / lotSize} lots of ${lotSize})` : ''}`],
+          ['Position value', formatCurrency(result.positionValue)],
+          ['Loss at stop', `${formatCurrency(result.lossAtStop)} incl. charges`]
+        ], asJson);
+        break;
+      }
+
+      case 'pnl': {
+        const quantity = parseCalcNumber(args[1], 'qty');
+        const entryPrice = parseCalcNumber(args[2], 'entry');
+        const exitPrice = parseCalcNumber(args[3], 'exit');
+        const pnl = charges.netPnL({ ...trade, side, entryPrice, exitPrice, quantity });
+        const result = { ...base, entryPrice, exitPrice, quantity, gross: pnl.gross, net: pnl.net, charges: pnl.charges };
+
+        printCalcResult('Round-Trip P&L', result, [
+          ['Entry / exit', `${formatPrice(entryPrice)} / ${formatPrice(exitPrice)} x ${quantity}`],
+          ['Gross P&L', formatCurrency(pnl.gross)],
+          ['Net P&L', formatCurrency(pnl.net)]
+        ], asJson);
+        break;
+      }
+    }
+
+  } catch (error) {
+    printError(`Calculation failed: ${error.message}`);
+  }
+}
+
 async function startApplication() {
   printHeader('Starting Trading Application');
 
@@ -1014,250 +1585,96 @@ async function checkApplicationStatus() {
 function checkMarketStatus() {
   printHeader('Market Status');
 
+  const calendar = MarketCalendar.getInstance();
   const marketStatus = isMarketOpen();
   const now = moment().tz('Asia/Kolkata').format('YYYY-MM-DD HH:mm:ss IST');
 
   console.log(`🕐 Current Time: ${now}`);
   console.log(`📊 Market Status: ${marketStatus.open ? '🟢 OPEN' : '🔴 CLOSED'}`);
+  console.log(`⏱️  Session Phase: ${marketStatus.phase}`);
   console.log(`📝 Reason: ${marketStatus.reason}`);
 
   if (!marketStatus.open) {
+    const next = calendar.getNextOpen();
+    if (next) {
+      console.log(`⏭️  Next Open: ${next.open.format('ddd YYYY-MM-DD HH:mm')} IST (${next.name})`);
+    }
     printWarning('Market is closed. Orders may not execute immediately.');
   }
+
+  const specials = calendar.getSpecialSessions();
+  specials.forEach(session => console.log(`✨ Special session today: ${session.name} ${session.open}-${session.close} IST`));
+}
+
+/**
+ * ATR(14) of 5-minute candles, used to size the SL trigger/limit gap.
+ * Returns null when history is unavailable.
+ */
+async function getIntradayATR(fyersService, symbol) {
+  try {
+    const candles = await fyersService.getHistoricalData(symbol, '5', 2);
+    const atr = TechnicalIndicators.calculateATR(candles, 14);
+    const latest = atr[atr.length - 1];
+    return latest > 0 ? latest : null;
+  } catch (error) {
+    printWarning(`Could not fetch ATR for ${symbol}, using tick-based stop gap: ${error.message}`);
+    return null;
+  }
 }
 
 async function buyWithTPSLAndMonitor(symbol, quantity, limitPrice, takeProfitPercent = 0.75, stopLossPercent = 0.35) {
   try {
-    const orderService = new OrderService();
+    const orderService = createOrderService();
+    const bracketManager = createBracketManager(orderService);
     
     const price = parseFloat(limitPrice);
     const qty = parseInt(quantity);
     const tpPercent = parseFloat(takeProfitPercent);
     const slPercent = parseFloat(stopLossPercent);
     
-    // Helper function to round to nearest rupee
-    function roundToNearestRupee(price) {
-      return Math.round(price);
-    }
-    
-    // Calculate TP and SL prices with rupee rounding
-    const rawTakeProfitPrice = price + (price * tpPercent / 100);
-    const rawStopLossPrice = price - (price * slPercent / 100);
-    
-    const takeProfitPrice = roundToNearestRupee(rawTakeProfitPrice);
-    const stopLossPrice = roundToNearestRupee(rawStopLossPrice);
+    // Preview levels from the limit price (rounded to the instrument tick);
+    // the bracket manager recalculates them from the actual fill price
+    const normalizer = orderService.normalizer;
+    const atr = await getIntradayATR(orderService, symbol.toUpperCase());
+    const takeProfitPrice = normalizer.roundPrice(symbol.toUpperCase(), price + (price * tpPercent / 100));
+    const stopLossPrice = normalizer.roundPrice(symbol.toUpperCase(), price - (price * slPercent / 100));
+    const stopTrigger = normalizer.getStopTrigger(symbol.toUpperCase(), stopLossPrice, -1, atr);
     
     console.log(`🛒 Placing MIS Limit Buy Order with TP/SL + Auto-Cancel:`);
     console.log(`   Symbol: ${symbol}`);
     console.log(`   Quantity: ${qty}`);
     console.log(`   Limit Price: ₹${price}`);
     console.log(`   Take Profit: ₹${takeProfitPrice.toFixed(2)} (+${tpPercent}%)`);
-    console.log(`   Stop Loss: ₹${stopLossPrice.toFixed(2)} (-${slPercent}%)`);
+    console.log(`   Stop Loss: ₹${stopLossPrice.toFixed(2)} (-${slPercent}%), trigger ₹${stopTrigger.toFixed(2)}`);
     console.log('');
     
-    // Step 1: Place the main buy order
-    const buyOrder = await orderService.placeOrder({
+    const bracket = await bracketManager.createBracket({
       symbol: symbol.toUpperCase(),
       quantity: qty,
       side: 1, // Buy
-      type: 1, // Limit order
-      limitPrice: price,
-      productType: 'INTRADAY',
-      validity: 'DAY'
+      entryPrice: price,
+      takeProfitPercent: tpPercent,
+      stopLossPercent: slPercent,
+      atr,
+      productType: 'INTRADAY'
     });
     
-    if (buyOrder.s !== 'ok') {
-      printError(`❌ Buy order failed: ${buyOrder.message}`);
-      return;
-    }
+    printSuccess(`✅ Buy order placed! Order ID: ${bracket.entry.orderId}`);
+    await monitorBrackets(bracketManager);
     
-    printSuccess(`✅ Buy order placed! Order ID: ${buyOrder.id}`);
+  } catch (error) {
+    printError(`❌ Order setup failed: ${error.message}`);
+  }
+}
+
+async function shortSellWithTPSLAndMonitor(symbol, quantity, marketPrice = null, takeProfitPercent = 0.75, stopLossPercent = 0.35) {
+  try {
+    const orderService = createOrderService();
     
-    // Wait for buy order execution
-    console.log('⏳ Waiting for buy order execution...');
-    let buyExecuted = false;
-    let attempts = 0;
-    const maxAttempts = 3; // 2 minutes
-    
-    while (!buyExecuted && attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 10000)); // Wait 10 seconds
-      attempts++;
-      
-      try {
-        const orders = await orderService.getOrders();
-        const buyOrderStatus = orders.data?.orderBook?.find(o => o.id === buyOrder.id);
-        
-        if (buyOrderStatus && (buyOrderStatus.status === 'COMPLETE' || buyOrderStatus.status === 'FILLED')) {
-          buyExecuted = true;
-          printSuccess(`✅ Buy order executed at ₹${buyOrderStatus.tradedPrice || price}`);
-          break;
-        }
-        
-        console.log(`⏳ Buy order still pending... (${attempts}/${maxAttempts})`);
-      } catch (error) {
-        console.log(`❌ Error checking order status: ${error.message}`);
-      }
-    }
-    
-    if (!buyExecuted) {
-      printWarning(`⚠️ Buy order not executed within 2 minutes. Proceeding anyway...`);
-    }
-    
-    // Step 2: Place Take Profit and Stop Loss orders
-    let tpOrderId = null;
-    let slOrderId = null;
-    
-    try {
-      // Take Profit Order - FIXED: Proper limit order
-      const tpOrder = await orderService.placeOrder({
-        symbol: symbol.toUpperCase(),
-        quantity: qty,
-        side: -1, // Sell
-        type: 1, // Limit order
-        limitPrice: takeProfitPrice,
-        productType: 'INTRADAY',
-        validity: 'DAY'
-      });
-      
-      if (tpOrder.s === 'ok') {
-        tpOrderId = tpOrder.id;
-        printSuccess(`✅ Take Profit order placed! Order ID: ${tpOrderId}`);
-      }
-    } catch (tpError) {
-      printError(`❌ Take Profit order failed: ${tpError.message}`);
-    }
-    
-    try {
-      // Stop Loss Order - Type 3 (Stop-Loss Limit) with correct price structure
-      const triggerPrice = stopLossPrice + 0.50; // Trigger 50 paise above limit price
-      const limitPrice = stopLossPrice;          // Minimum acceptable sell price
-      
-      console.log(`DEBUG - Stop Loss Values:`);
-      console.log(`   Trigger Price (stopPrice): ₹${triggerPrice}`);
-      console.log(`   Limit Price (limitPrice): ₹${limitPrice}`);
-      
-      const slOrder = await orderService.placeOrder({
-        symbol: symbol.toUpperCase(),
-        quantity: qty,
-        side: -1, // Sell
-        type: 3, // Stop-loss limit order
-        stopPrice: triggerPrice,  // ₹378.50 - Activates the order
-        limitPrice: limitPrice,   // ₹378.00 - Minimum sell price
-        productType: 'INTRADAY',
-        validity: 'DAY'
-      });
-      
-      if (slOrder.s === 'ok') {
-        slOrderId = slOrder.id;
-        printSuccess(`✅ Stop Loss limit order placed! Order ID: ${slOrderId}`);
-        console.log(`   Trigger: ₹${triggerPrice} | Min Sell: ₹${limitPrice}`);
-        console.log(`   ⚠️ Note: Limit order - may not execute in fast-falling market`);
-      }
-    } catch (slError) {
-      printError(`❌ Stop Loss order failed: ${slError.message}`);
-      printError(`=.repeat(60)`);
-      printError(`Place a Manual Stop-Loss with Limit Price ${limitPrice}`);
-      printError(`=.repeat(60)`);
-
-    }
-
-    // Step 3: Start monitoring and auto-cancel
-    console.log('');
-    printSuccess(`🎯 All orders placed successfully! Starting monitoring...`);
-    console.log(`📊 Monitoring will auto-cancel opposite order when TP or SL executes`);
-    console.log(`⏹️ Press Ctrl+C to stop monitoring (orders remain active)`);
-    console.log('');
-    
-    let monitoringActive = true;
-    let monitorCount = 0;
-    const maxMonitorTime = 360; // 6 hours
-    
-    const monitor = setInterval(async () => {
-      if (!monitoringActive) return;
-      
-      monitorCount++;
-      
-      try {
-        const orders = await orderService.getOrders();
-        const tpOrder = orders.data?.orderBook?.find(o => o.id === tpOrderId);
-        const slOrder = orders.data?.orderBook?.find(o => o.id === slOrderId);
-        
-        // Check if TP executed
-        if (tpOrder && (tpOrder.status === 'COMPLETE' || tpOrder.status === 'FILLED')) {
-          printSuccess(`🎯 Take Profit executed at ₹${tpOrder.tradedPrice || takeProfitPrice}!`);
-          
-          // Cancel SL order
-          try {
-            await orderService.cancelOrder(slOrderId);
-            printSuccess(`✅ Stop Loss order auto-cancelled`);
-          } catch (cancelError) {
-            printWarning(`⚠️ Could not cancel SL order: ${cancelError.message}`);
-          }
-          
-          monitoringActive = false;
-          clearInterval(monitor);
-          printSuccess(`🏆 Trade completed successfully with PROFIT!`);
-          return;
-        }
-        
-        // Check if SL executed
-        if (slOrder && (slOrder.status === 'COMPLETE' || slOrder.status === 'FILLED')) {
-          printWarning(`🛑 Stop Loss executed at ₹${slOrder.tradedPrice || stopLossPrice}!`);
-          
-          // Cancel TP order
-          try {
-            await orderService.cancelOrder(tpOrderId);
-            printSuccess(`✅ Take Profit order auto-cancelled`);
-          } catch (cancelError) {
-            printWarning(`⚠️ Could not cancel TP order: ${cancelError.message}`);
-          }
-          
-          monitoringActive = false;
-          clearInterval(monitor);
-          printWarning(`📉 Trade completed with LOSS. Better luck next time!`);
-          return;
-        }
-        
-        // Periodic status update
-        if (monitorCount % 5 === 0) { // Every 5 minutes
-          console.log(`📊 Monitoring active... TP: ${tpOrder?.status || 'Unknown'} | SL: ${slOrder?.status || 'Unknown'} (${monitorCount}/360)`);
-        }
-        
-        // Stop monitoring after max time
-        if (monitorCount >= maxMonitorTime) {
-          monitoringActive = false;
-          clearInterval(monitor);
-          printInfo(`⏰ Monitoring stopped after 6 hours. Orders still active.`);
-        }
-        
-      } catch (error) {
-        console.log(`❌ Monitoring error: ${error.message}`);
-      }
-    }, 60000); // Check every 1 minute
-    
-    // Handle Ctrl+C
-    process.on('SIGINT', () => {
-      console.log('\n🛑 Stopping monitoring...');
-      monitoringActive = false;
-      clearInterval(monitor);
-      console.log('📋 Orders are still active. Check manually with: node place-order.js orders');
-      console.log('📊 Check positions with: node place-order.js positions');
-      process.exit(0);
-    });
-    
-  } catch (error) {
-    printError(`❌ Order setup failed: ${error.message}`);
-  }
-}
-
-async function shortSellWithTPSLAndMonitor(symbol, quantity, marketPrice = null, takeProfitPercent = 0.75, stopLossPercent = 0.35) {
-  try {
-    const orderService = new OrderService();
-    
-    let price;
-    const qty = parseInt(quantity);
-    const tpPercent = parseFloat(takeProfitPercent);
-    const slPercent = parseFloat(stopLossPercent);
+    let price;
+    const qty = parseInt(quantity);
+    const tpPercent = parseFloat(takeProfitPercent);
+    const slPercent = parseFloat(stopLossPercent);
     
     // If marketPrice is provided, use it for calculations, otherwise get current market price
     if (marketPrice) {
@@ -1313,17 +1730,13 @@ async function shortSellWithTPSLAndMonitor(symbol, quantity, marketPrice = null,
       }
     }
     
-    // Helper function to round to nearest rupee
-    function roundToNearestRupee(price) {
-      return Math.round(price);
-    }
-    
-    // Calculate TP and SL prices for SHORT SELLING with rupee rounding
-    const rawTakeProfitPrice = price - (price * tpPercent / 100);  // Lower price = profit for short
-    const rawStopLossPrice = price + (price * slPercent / 100);    // Higher price = loss for short
-    
-    const takeProfitPrice = roundToNearestRupee(rawTakeProfitPrice);
-    const stopLossPrice = roundToNearestRupee(rawStopLossPrice);
+    // Preview levels from the reference price (rounded to the instrument tick);
+    // the bracket manager recalculates them from the actual fill price
+    const normalizer = orderService.normalizer;
+    const atr = await getIntradayATR(orderService, symbol.toUpperCase());
+    const takeProfitPrice = normalizer.roundPrice(symbol.toUpperCase(), price - (price * tpPercent / 100));  // Lower price = profit for short
+    const stopLossPrice = normalizer.roundPrice(symbol.toUpperCase(), price + (price * slPercent / 100));    // Higher price = loss for short
+    const stopTrigger = normalizer.getStopTrigger(symbol.toUpperCase(), stopLossPrice, 1, atr);
     
     console.log(`🔻 Placing SHORT SELL MIS Order at MARKET PRICE with TP/SL + Auto-Cancel:`);
     console.log(`   Symbol: ${symbol}`);
@@ -1331,281 +1744,182 @@ async function shortSellWithTPSLAndMonitor(symbol, quantity, marketPrice = null,
     console.log(`   Market Price (Reference): ₹${price}`);
     console.log(`   Order Type: MARKET ORDER`);
     console.log(`   Take Profit (Buy Back): ₹${takeProfitPrice.toFixed(2)} (-${tpPercent}%) = Profit: ₹${(price - takeProfitPrice).toFixed(2)} per share`);
-    console.log(`   Stop Loss (Buy Back): ₹${stopLossPrice.toFixed(2)} (+${slPercent}%) = Loss: ₹${(stopLossPrice - price).toFixed(2)} per share`);
+    console.log(`   Stop Loss (Buy Back): ₹${stopLossPrice.toFixed(2)} (+${slPercent}%) = Loss: ₹${(stopLossPrice - price).toFixed(2)} per share, trigger ₹${stopTrigger.toFixed(2)}`);
     console.log('');
     
-    // Step 1: Place the SHORT SELL MARKET order
-    const shortOrder = await orderService.placeOrder({
+    const bracketManager = createBracketManager(orderService);
+    const bracket = await bracketManager.createBracket({
       symbol: symbol.toUpperCase(),
       quantity: qty,
       side: -1, // SELL (Short position)
-      type: 2,  // MARKET order (changed from limit)
-      productType: 'INTRADAY',
-      validity: 'DAY'
+      takeProfitPercent: tpPercent,
+      stopLossPercent: slPercent,
+      atr,
+      productType: 'INTRADAY'
     });
     
-    if (shortOrder.s !== 'ok') {
-      printError(`❌ Short sell market order failed: ${shortOrder.message}`);
-      return;
-    }
-    
-    printSuccess(`✅ Short sell MARKET order placed! Order ID: ${shortOrder.id}`);
+    printSuccess(`✅ Short sell MARKET order placed! Order ID: ${bracket.entry.orderId}`);
+    await monitorBrackets(bracketManager);
     
-    // Wait for short order to execute (market orders usually execute immediately)
-    console.log('⏳ Waiting for short sell market order execution...');
-    let shortExecuted = false;
-    let actualExecutionPrice = price; // Default to reference price
-    let attempts = 0;
-    const maxAttempts = 6; // 1 minute for market orders
-    
-    while (!shortExecuted && attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 10000)); // Wait 10 seconds
-      attempts++;
-      
-      try {
-        const orders = await orderService.getOrders();
-        const shortOrderStatus = orders.data?.orderBook?.find(order => order.id === shortOrder.id);
-        
-        if (shortOrderStatus && (shortOrderStatus.status === 'COMPLETE' || shortOrderStatus.status === 'FILLED')) {
-          shortExecuted = true;
-          // Try to get actual execution price
-          actualExecutionPrice = shortOrderStatus.tradedPrice || shortOrderStatus.avgPrice || price;
-          
-          printSuccess(`✅ Short sell market order executed at ₹${actualExecutionPrice}!`);
-          printSuccess(`📊 You are now SHORT ${qty} shares`);
-          
-          // Recalculate TP/SL based on actual execution price
-          const newRawTakeProfitPrice = actualExecutionPrice - (actualExecutionPrice * tpPercent / 100);
-          const newRawStopLossPrice = actualExecutionPrice + (actualExecutionPrice * slPercent / 100);
-          
-          const newTakeProfitPrice = roundToNearestRupee(newRawTakeProfitPrice);
-          const newStopLossPrice = roundToNearestRupee(newRawStopLossPrice);
-          
-          console.log(`🔄 Recalculating TP/SL based on actual execution price:`);
-          console.log(`   New Take Profit: ₹${newTakeProfitPrice}`);
-          console.log(`   New Stop Loss: ₹${newStopLossPrice}`);
-          
-          // Update prices for TP/SL orders (use rounded values)
-          price = actualExecutionPrice;
-          takeProfitPrice = newTakeProfitPrice;
-          stopLossPrice = newStopLossPrice;
-          break;
-        } else if (shortOrderStatus && shortOrderStatus.status === 'CANCELLED') {
-          printError(`❌ Short sell market order was cancelled`);
-          return;
-        }
-        
-        console.log(`⏳ Attempt ${attempts}/${maxAttempts}: Market order status: ${shortOrderStatus?.status || 'Unknown'}`);
-      } catch (error) {
-        console.log(`⚠️ Error checking order status: ${error.message}`);
+  } catch (error) {
+    printError(`❌ Short sell setup failed: ${error.message}`);
+  }
+}
+
+/**
+ * Print bracket events and wait until every open bracket this process
+ * monitors has closed. Brackets leased to another running process are left
+ * to it.
+ * Ctrl+C stops monitoring only - orders stay live and the brackets can be
+ * resumed with "brackets resume".
+ */
+function monitorBrackets(bracketManager) {
+  return new Promise((resolve) => {
+    // Stream order updates so the sibling leg is cancelled as soon as one fills;
+    // paper orders never reach the exchange socket, so paper mode polls the simulator
+    const orderUpdates = new OrderUpdateService(bracketManager.orderService, { useSocket: !isPaperTrading });
+
+    const stopAll = () => {
+      bracketManager.detachOrderUpdates();
+      orderUpdates.disconnect();
+      bracketManager.stop();
+    };
+
+    const onSigint = () => {
+      console.log('\n🛑 Stopping monitoring...');
+      stopAll();
+      console.log('📋 Orders are still active and bracket state is saved.');
+      console.log('🔄 Resume auto-cancel with: node place-order.js brackets resume');
+      process.exit(0);
+    };
+
+    const finishIfIdle = () => {
+      if (bracketManager.getOwnedBrackets().length === 0) {
+        stopAll();
+        process.removeListener('SIGINT', onSigint);
+        resolve();
       }
-    }
-    
-    if (!shortExecuted) {
-      printWarning(`⚠️ Market order status unclear. Proceeding with TP/SL placement...`);
-    }
-    
-    // Recalculate TP/SL based on final execution price
-    const finalTakeProfitPrice = price - (price * tpPercent / 100);
-    const finalStopLossPrice = price + (price * slPercent / 100);
-    
-// Step 2: Place Take Profit and Stop Loss orders
-    let tpOrderId = null;
-    let slOrderId = null;
-    
-    try {
-      // Take Profit: Buy back at lower price (profit for short position)
-      const tpOrder = await orderService.placeOrder({
-        symbol: symbol.toUpperCase(),
-        quantity: qty,
-        side: 1,  // BUY (to cover short position)
-        type: 1,  // Limit order
-        limitPrice: takeProfitPrice,
-        productType: 'INTRADAY',
-        validity: 'DAY'
-      });
-      
-      if (tpOrder.s === 'ok') {
-        tpOrderId = tpOrder.id;
-        printSuccess(`✅ Take Profit order placed! Order ID: ${tpOrderId} (Buy back at ₹${takeProfitPrice.toFixed(2)})`);
+    };
+
+    bracketManager.on('entryFill', (bracket, filledQty) => {
+      printSuccess(`✅ ${bracket.symbol} entry filled ${filledQty}/${bracket.quantity} at ₹${bracket.entry.avgPrice}`);
+    });
+
+    bracketManager.on('legsPlaced', (bracket) => {
+      const { takeProfit, stopLoss } = bracket;
+      if (takeProfit?.orderId) {
+        printSuccess(`✅ Take Profit order placed! Order ID: ${takeProfit.orderId} (₹${takeProfit.limitPrice})`);
       }
-    } catch (tpError) {
-      printError(`❌ Take Profit order failed: ${tpError.message}`);
-    }
-    
-    try {
-      // Stop Loss: Buy back at higher price (loss for short position)
-      // For SHORT positions: trigger when price goes UP (against us)
-      const triggerPrice = stopLossPrice - 0.50; // Trigger 50 paise below limit price
-      const limitPrice = stopLossPrice;          // Maximum acceptable buy price
-
-      console.log(`DEBUG - Stop Loss Values for SHORT position:`);
-      console.log(`   Trigger Price (stopPrice): ₹${triggerPrice} - Activates when market hits this`);
-      console.log(`   Limit Price (limitPrice): ₹${limitPrice} - Maximum buy back price`);
-
-      const slOrder = await orderService.placeOrder({
-        symbol: symbol.toUpperCase(),
-        quantity: qty,
-        side: 1,  // BUY (to cover short position)
-        type: 3,  // Stop-loss limit order (changed from type 4)
-        stopPrice: triggerPrice,  // Trigger price - activates the order
-        limitPrice: limitPrice,   // Maximum buy back price
-        productType: 'INTRADAY',
-        validity: 'DAY'
-      });
+      if (stopLoss?.orderId) {
+        const limit = stopLoss.limitPrice !== undefined ? ` | Limit: ₹${stopLoss.limitPrice}` : ' (market)';
+        printSuccess(`✅ Stop Loss order placed! Order ID: ${stopLoss.orderId} (Trigger: ₹${stopLoss.stopPrice}${limit})`);
+      }
+    });
+
+    bracketManager.on('legResized', (bracket, leg) => {
+      printInfo(`${bracket.symbol} ${leg.name} leg resized to ${leg.quantity}`);
+    });
 
-      if (slOrder.s === 'ok') {
-        slOrderId = slOrder.id;
-        printSuccess(`✅ Stop Loss trigger order placed! Order ID: ${slOrderId}`);
-        console.log(`   Trigger: ₹${triggerPrice} | Max Buy: ₹${limitPrice}`);
-        console.log(`   ✅ Order will remain dormant until trigger price is hit`);
+    bracketManager.on('legFailed', (bracket, leg, error) => {
+      printError(`❌ ${bracket.symbol} ${leg.name} leg failed${error ? `: ${error.message}` : ''}`);
+      if (leg.name === 'stopLoss') {
+        printWarning(`⚠️ Manual stop loss management required! Stop level: ₹${leg.limitPrice || leg.stopPrice}`);
       }
-    } catch (slError) {
-      printError(`❌ Stop Loss trigger order failed: ${slError.message}`);
+    });
 
-      // Fallback: Try as stop-loss market order (type 4)
-      try {
-        console.log(`🔄 Trying fallback: Stop-loss market order...`);
-        const slFallbackOrder = await orderService.placeOrder({
-          symbol: symbol.toUpperCase(),
-          quantity: qty,
-          side: 1,  // BUY
-          type: 4,  // Stop-loss market order
-          stopPrice: stopLossPrice,
-          productType: 'INTRADAY',
-          validity: 'DAY'
-        });
+    bracketManager.on('closed', (bracket) => {
+      const exitLeg = bracket.exitReason === 'TAKE_PROFIT' ? bracket.takeProfit : bracket.stopLoss;
+      const exitPrice = exitLeg?.avgPrice || exitLeg?.limitPrice || exitLeg?.stopPrice;
+      const pnl = bracket.side * (exitPrice - bracket.entry.avgPrice) * bracket.entry.filledQty;
 
-        if (slFallbackOrder.s === 'ok') {
-          slOrderId = slFallbackOrder.id;
-          printSuccess(`✅ Stop Loss market order placed! Order ID: ${slOrderId}`);
-          console.log(`   Trigger: ₹${stopLossPrice} (market order execution)`);
-        }
-      } catch (fallbackError) {
-        printError(`❌ Stop Loss fallback also failed: ${fallbackError.message}`);
-        printWarning(`⚠️ Manual stop loss management required!`);
-        console.log(`📋 Manually place stop loss: Buy ${qty} shares if price reaches ₹${stopLossPrice}`);
+      if (bracket.exitReason === 'TAKE_PROFIT') {
+        printSuccess(`🎯 Take Profit executed at ₹${exitPrice}! Opposite order auto-cancelled`);
+        printSuccess(`🏆 Trade completed with PROFIT: ₹${pnl.toFixed(2)}`);
+      } else {
+        printWarning(`🛑 Stop Loss executed at ₹${exitPrice}! Opposite order auto-cancelled`);
+        printWarning(`📉 Trade completed with LOSS: ₹${pnl.toFixed(2)}`);
       }
-    }
-    
-    // if (!tpOrderId || !slOrderId) {
-    //   printError(`❌ Failed to place both TP and SL orders. Manual management required.`);
-    //   return;
-    // }
-    
-    // Step 3: Monitor TP and SL orders for execution and auto-cancel
-    console.log('');
-    printSuccess('🎯 Complete SHORT SELL MARKET ORDER setup finished!');
-    console.log('👁️ Starting order monitoring for auto-cancel...');
-    console.log('📋 Press Ctrl+C to stop monitoring');
+      finishIfIdle();
+    });
+
+    bracketManager.on('cancelled', (bracket) => {
+      printWarning(`⚠️ Bracket ${bracket.id} for ${bracket.symbol} cancelled (${bracket.exitReason})`);
+      finishIfIdle();
+    });
+
+    process.on('SIGINT', onSigint);
+
     console.log('');
-    console.log('📊 SHORT POSITION SUMMARY:');
-    console.log(`   Entry: SHORT ${qty} shares at ₹${price} (MARKET ORDER)`);
-    console.log(`   Target Profit: ₹${(price - finalTakeProfitPrice).toFixed(2)} per share = ₹${((price - finalTakeProfitPrice) * qty).toFixed(2)} total`);
-    console.log(`   Maximum Loss: ₹${(finalStopLossPrice - price).toFixed(2)} per share = ₹${((finalStopLossPrice - price) * qty).toFixed(2)} total`);
+    printSuccess('🎯 Bracket saved! Monitoring for fills...');
+    console.log('📊 TP/SL are placed when the entry fills; the opposite order is auto-cancelled when one executes');
+    console.log('⏹️ Press Ctrl+C to stop monitoring (orders remain active)');
     console.log('');
-    
-    // Continue with the same monitoring logic as before...
-    let monitoringActive = true;
-    let monitorCount = 0;
-    const maxMonitorTime = 360; // 6 hours in 1-minute intervals
-    
-    const monitor = setInterval(async () => {
-      if (!monitoringActive) return;
-      
-      monitorCount++;
-      console.log(`\n🔍 Monitor check ${monitorCount}/${maxMonitorTime} - ${new Date().toLocaleTimeString()}`);
-      
-      try {
-        const orders = await orderService.getOrders();
-        const tpOrder = orders.data?.orderBook?.find(order => order.id === tpOrderId);
-        const slOrder = orders.data?.orderBook?.find(order => order.id === slOrderId);
-        
-        // Check if Take Profit was executed
-        if (tpOrder && (tpOrder.status === 'COMPLETE' || tpOrder.status === 'FILLED')) {
-          const profit = (price - finalTakeProfitPrice) * qty;
-          printSuccess(`🎯 TAKE PROFIT HIT! Short covered at ₹${finalTakeProfitPrice.toFixed(2)}`);
-          printSuccess(`💰 PROFIT REALIZED: ₹${profit.toFixed(2)} (₹${(price - finalTakeProfitPrice).toFixed(2)} per share)`);
-          
-          console.log('🗑️ Cancelling Stop Loss order...');
-          try {
-            await orderService.cancelOrder(slOrderId);
-            printSuccess(`✅ Stop Loss order cancelled successfully!`);
-          } catch (cancelError) {
-            printError(`❌ Failed to cancel Stop Loss: ${cancelError.message}`);
-          }
-          
-          monitoringActive = false;
-          clearInterval(monitor);
-          printSuccess(`🏁 SHORT TRADE COMPLETED WITH PROFIT! 🎉💰`);
-          return;
-        }
-        
-        // Check if Stop Loss was executed
-        if (slOrder && (slOrder.status === 'COMPLETE' || slOrder.status === 'FILLED')) {
-          const loss = (finalStopLossPrice - price) * qty;
-          printWarning(`🛑 STOP LOSS HIT! Short covered at ₹${finalStopLossPrice.toFixed(2)}`);
-          printWarning(`📉 LOSS REALIZED: ₹${loss.toFixed(2)} (₹${(finalStopLossPrice - price).toFixed(2)} per share)`);
-          
-          console.log('🗑️ Cancelling Take Profit order...');
-          try {
-            await orderService.cancelOrder(tpOrderId);
-            printSuccess(`✅ Take Profit order cancelled successfully!`);
-          } catch (cancelError) {
-            printError(`❌ Failed to cancel Take Profit: ${cancelError.message}`);
-          }
-          
-          monitoringActive = false;
-          clearInterval(monitor);
-          printWarning(`🏁 SHORT TRADE COMPLETED WITH LOSS. Risk managed! 💪`);
-          return;
-        }
-        
-        // Show current status
-        console.log(`   TP Status: ${tpOrder?.status || 'Unknown'} (Buy at ₹${finalTakeProfitPrice.toFixed(2)})`);
-        console.log(`   SL Status: ${slOrder?.status || 'Unknown'} (Buy at ₹${finalStopLossPrice.toFixed(2)})`);
-        
-        // Show current position P&L if possible
-        try {
-          const positions = await orderService.getPositions();
-          const currentPosition = positions.data?.netPositions?.find(pos => 
-            pos.symbol.toUpperCase() === symbol.toUpperCase() && pos.netQty < 0
-          );
-          
-          if (currentPosition) {
-            const currentPrice = currentPosition.ltp || price;
-            const unrealizedPnL = (price - currentPrice) * Math.abs(currentPosition.netQty);
-            const pnlColor = unrealizedPnL >= 0 ? '🟢' : '🔴';
-            console.log(`   Current Price: ₹${currentPrice} | Unrealized P&L: ${pnlColor} ₹${unrealizedPnL.toFixed(2)}`);
-          }
-        } catch (posError) {
-          // Ignore position fetch errors
+
+    orderUpdates.connect();
+    bracketManager.attachOrderUpdates(orderUpdates);
+    bracketManager.start();
+    bracketManager.reconcile()
+      .then(finishIfIdle)
+      .catch(error => printError(`Monitoring error: ${error.message}`));
+  });
+}
+
+async function manageBrackets(action = 'list', bracketId = null) {
+  const bracketManager = createBracketManager(createOrderService());
+
+  switch (action) {
+    case 'list': {
+      printHeader('Bracket Orders');
+      const brackets = bracketManager.getBrackets();
+
+      if (brackets.length === 0) {
+        printInfo('No brackets recorded');
+        return;
+      }
+
+      brackets.slice(-20).forEach(bracket => {
+        const side = bracket.side === 1 ? 'LONG' : 'SHORT';
+        console.log(`${bracket.id} | ${bracket.symbol} ${side} x${bracket.quantity} | ${bracket.state}` +
+          `${bracket.exitReason ? ` (${bracket.exitReason})` : ''}`);
+        console.log(`   Entry: ${bracket.entry.orderId} filled ${bracket.entry.filledQty}` +
+          `${bracket.entry.avgPrice ? ` @ ₹${bracket.entry.avgPrice}` : ''}`);
+        if (bracket.takeProfit) {
+          console.log(`   TP: ${bracket.takeProfit.orderId} ${bracket.takeProfit.status} @ ₹${bracket.takeProfit.limitPrice}`);
         }
-        
-        // Stop monitoring after max time
-        if (monitorCount >= maxMonitorTime) {
-          monitoringActive = false;
-          clearInterval(monitor);
-          printInfo(`⏰ Monitoring stopped after 6 hours. Orders still active.`);
+        if (bracket.stopLoss) {
+          console.log(`   SL: ${bracket.stopLoss.orderId} ${bracket.stopLoss.status} @ ₹${bracket.stopLoss.stopPrice}`);
         }
-        
-      } catch (error) {
-        console.log(`❌ Monitoring error: ${error.message}`);
+      });
+      break;
+    }
+
+    case 'resume': {
+      const open = bracketManager.getOpenBrackets();
+      if (open.length === 0) {
+        printInfo('No open brackets to monitor');
+        return;
       }
-    }, 60000); // Check every 1 minute
-    
-    // Handle Ctrl+C
-    process.on('SIGINT', () => {
-      console.log('\n🛑 Stopping monitoring...');
-      monitoringActive = false;
-      clearInterval(monitor);
-      console.log('📋 Orders are still active. Check manually with: node place-order.js orders');
-      console.log('📊 Check positions with: node place-order.js positions');
-      process.exit(0);
-    });
-    
-  } catch (error) {
-    printError(`❌ Short sell setup failed: ${error.message}`);
+      printInfo(`Resuming ${open.length} open bracket(s)`);
+      await monitorBrackets(bracketManager);
+      if (bracketManager.getOpenBrackets().length > 0) {
+        printInfo('Brackets still open are monitored by another running process');
+      }
+      break;
+    }
+
+    case 'cancel': {
+      if (!bracketId) {
+        printError('Usage: node place-order.js brackets cancel <bracket_id>');
+        return;
+      }
+      await bracketManager.cancelBracket(bracketId);
+      printSuccess(`Bracket ${bracketId} cancelled`);
+      break;
+    }
+
+    default:
+      printError(`Unknown brackets action: ${action}`);
+      console.log('Usage: node place-order.js brackets [list|resume|cancel <bracket_id>]');
   }
 }
 
@@ -1620,11 +1934,12 @@ async function monitorSystem() {
       console.log(`\n📊 Update ${++count}/${maxCount} - ${new Date().toLocaleTimeString()}`);
 
       // Check positions
-      const orderService = new OrderService();
+      const orderService = createOrderService();
       const positions = await orderService.getPositions();
 
-      if (positions.data && positions.data.netPositions) {
-        const openPositions = positions.data.netPositions.filter(pos => pos.netQty !== 0);
+      const netPositions = TradingHelpers.extractNetPositions(positions);
+      if (netPositions.length > 0) {
+        const openPositions = netPositions.filter(pos => pos.netQty !== 0);
         console.log(`📈 Open Positions: ${openPositions.length}`);
 
         openPositions.forEach(pos => {
@@ -1636,10 +1951,9 @@ async function monitorSystem() {
 
       // Check orders
       const orders = await orderService.getOrders();
-      if (orders.data && orders.data.orderBook) {
-        const pendingOrders = orders.data.orderBook.filter(
-          order => order.status === 'PENDING' || order.status === 'OPEN'
-        );
+      const orderBook = TradingHelpers.extractOrderBook(orders);
+      if (orderBook.length > 0) {
+        const pendingOrders = orderBook.filter(order => TradingHelpers.isOrderPending(order));
         console.log(`📋 Pending Orders: ${pendingOrders.length}`);
       }
 
@@ -1698,12 +2012,16 @@ function viewLogs(level = 'all') {
 
 // Add these functions after the existing command implementations
 
-async function runTrendingScreener(mode = 'all') {
+/**
+ * @param {string} profile - screen profile file or name in SCREEN_PROFILE_DIR (default: built-in trending screen)
+ */
+async function runTrendingScreener(mode = 'all', profile = null) {
   printHeader('Trending Stock Screener');
 
   try {
     const TrendingStockScreener = require('./src/strategies/trendingStockScreener');
-    const screener = new TrendingStockScreener();
+    const screener = new TrendingStockScreener({ profile });
+    console.log(`🧾 Profile: ${screener.profile.name}${screener.profile.description ? ` - ${screener.profile.description}` : ''}`);
 
     console.log('🔍 Analyzing market conditions...');
 
@@ -1711,7 +2029,10 @@ async function runTrendingScreener(mode = 'all') {
     let marketBreadth = null;
     try {
       const MarketBreadthAnalyzer = require('./src/services/marketBreadthAnalyzer');
-      const analyzer = new MarketBreadthAnalyzer();
+      const analyzer = new MarketBreadthAnalyzer({
+        fyersService: screener.fyersService,
+        historicalDataStore: screener.historicalData
+      });
       marketBreadth = await analyzer.analyzeMarketBreadth();
 
       console.log(`📊 Market Bias: ${marketBreadth.overallBias}`);
@@ -1735,8 +2056,8 @@ async function runTrendingScreener(mode = 'all') {
     }
     
     console.log(`\n✅ Found ${candidates.length} trending candidates:`);
-    console.log('Rank | Symbol           | Score | Direction | Gap%  | Volume | ATR');
-    console.log('-'.repeat(70));
+    console.log('Rank | Symbol           | Score | Direction | Gap%  | Volume | ATR     | Sector');
+    console.log('-'.repeat(96));
     
     candidates.slice(0, 20).forEach((stock, index) => {
       console.log(
@@ -1746,7 +2067,8 @@ async function runTrendingScreener(mode = 'all') {
         `${stock.direction.padEnd(9)} | ` +
         `${stock.gapPercent.toFixed(2).padStart(5)} | ` +
         `${stock.volumeRatio.toFixed(1).padStart(6)} | ` +
-        `${stock.atr.toFixed(2)}`
+        `${stock.atr.toFixed(2).padEnd(7)} | ` +
+        `${stock.sector ? `${stock.sector}${stock.sectorQuadrant ? ` (${stock.sectorQuadrant})` : ''}` : '-'}`
       );
     });
     
@@ -1760,6 +2082,43 @@ async function runTrendingScreener(mode = 'all') {
   }
 }
 
+async function analyzeSectorRotation() {
+  printHeader('Sector Rotation vs NIFTY 50');
+
+  try {
+    const SectorRotationAnalyzer = require('./src/services/sectorRotationAnalyzer');
+    const analyzer = new SectorRotationAnalyzer();
+    const rotation = await analyzer.analyzeRotation();
+    const [short, medium, long] = analyzer.lookbacks;
+    const num = (value, digits = 2) => (value === null ? 'n/a' : value.toFixed(digits));
+
+    console.log(`Relative strength = sector return - NIFTY 50 return (percentage points), as of ${moment.unix(rotation.asOf).tz('Asia/Kolkata').format('YYYY-MM-DD')}\n`);
+    console.log(`Sector               | ${`RS ${short}d`.padStart(7)} | ${`RS ${medium}d`.padStart(7)} | ${`RS ${long}d`.padStart(7)} | RS-Ratio | RS-Mom | Quadrant`);
+    console.log('-'.repeat(88));
+
+    [...rotation.sectors]
+      .sort((a, b) => (b.rsRatio || 0) - (a.rsRatio || 0))
+      .forEach(sector => {
+        console.log(
+          `${sector.sector.padEnd(20)} | ` +
+          `${num(sector.relativeStrength[short]).padStart(7)} | ` +
+          `${num(sector.relativeStrength[medium]).padStart(7)} | ` +
+          `${num(sector.relativeStrength[long]).padStart(7)} | ` +
+          `${num(sector.rsRatio).padStart(8)} | ` +
+          `${num(sector.rsMomentum).padStart(6)} | ` +
+          `${sector.quadrant || 'n/a'}`
+        );
+      });
+
+    console.log('');
+    Object.entries(rotation.quadrants).forEach(([quadrant, sectors]) => {
+      console.log(`   ${quadrant.padEnd(10)} ${sectors.length > 0 ? sectors.join(', ') : '-'}`);
+    });
+  } catch (error) {
+    printError(`Sector rotation analysis failed: ${error.message}`);
+  }
+}
+
 async function analyzeMarketBreadth() {
   printHeader('Market Breadth Analysis');
   
@@ -1769,10 +2128,39 @@ async function analyzeMarketBreadth() {
     
     const breadth = await analyzer.analyzeMarketBreadth();
     
+    const pct = (value) => (value === null || value === undefined ? 'n/a' : `${value.toFixed(1)}%`);
+
+    if (breadth.error) {
+      printWarning(`Using neutral defaults: ${breadth.error}`);
+    }
+
     console.log('📊 Market Breadth Metrics:');
+    if (breadth.advanceDecline) {
+      const ad = breadth.advanceDecline;
+      console.log(`   Advancing/Declining: ${ad.advancing} / ${ad.declining} (${ad.unchanged} unchanged of ${breadth.universeSize})`);
+    }
     console.log(`   Advance/Decline Ratio: ${breadth.advanceDeclineRatio.toFixed(2)}`);
+    if (breadth.newHighsLows.counted20 !== undefined) {
+      const nhl = breadth.newHighsLows;
+      console.log(`   20-Day Highs/Lows: ${nhl.high20} / ${nhl.low20}`);
+      console.log(`   52-Week Highs/Lows: ${nhl.high52w} / ${nhl.low52w}`);
+    }
     console.log(`   New Highs/Lows Ratio: ${breadth.newHighsLows.ratio.toFixed(2)}`);
+    if (breadth.percentAboveDMA) {
+      const dma = breadth.percentAboveDMA;
+      console.log(`   Above 20/50/200 DMA: ${pct(dma.dma20)} / ${pct(dma.dma50)} / ${pct(dma.dma200)}`);
+    }
+    if (breadth.mcclellan) {
+      const { oscillator, previous } = breadth.mcclellan;
+      console.log(`   McClellan Oscillator: ${oscillator === null ? 'n/a (not enough history)' :
+        `${oscillator.toFixed(1)} (${oscillator >= previous ? 'rising' : 'falling'})`}`);
+    }
     console.log(`   Leading Sectors: ${breadth.sectorMomentum.leadingSectors}`);
+    (breadth.sectorMomentum.sectors || []).forEach(sector => {
+      const leading = breadth.sectorMomentum.leaders.includes(sector.name) ? ' *' : '';
+      const quadrant = sector.quadrant ? `  ${sector.quadrant}` : '';
+      console.log(`     ${sector.name.padEnd(20)} ${sector.changePercent.toFixed(2).padStart(6)}%${quadrant}${leading}`);
+    });
     console.log(`   Overall Bias: ${breadth.overallBias}`);
     console.log(`   Trending Probability: ${(breadth.trendingProbability * 100).toFixed(1)}%`);
     
@@ -1789,6 +2177,104 @@ async function analyzeMarketBreadth() {
   }
 }
 
+/**
+ * @param {string|number} range - days of history, or a from date (YYYY-MM-DD / epoch)
+ * @param {string} to - end date when range is a from date
+ */
+async function runBacktest(symbol, resolution = 'D', range = 365, csvFile = null, to = null, product = 'INTRADAY') {
+  printHeader(`Backtest - ${symbol}`);
+
+  try {
+    const BacktestEngine = require('./src/services/backtestEngine');
+    const SampleStrategy = require('./src/strategies/sampleStrategy');
+
+    const byDays = /^\d{1,4}$/.test(String(range));
+    const history = new HistoricalDataStore(new FyersService());
+    const candles = csvFile
+      ? BacktestEngine.loadCandlesFromCSV(csvFile)
+      : await history.getCandles(symbol, resolution, byDays ? { days: parseInt(range) } : { from: range, to });
+
+    const source = byDays ? `${range} days` : `${range} to ${to || 'now'}`;
+    console.log(`📈 Replaying ${candles.length} candles (${csvFile || `FYERS ${resolution}, ${source}`})`);
+
+    const strategy = new SampleStrategy({ symbols: [symbol] });
+    const engine = new BacktestEngine(strategy, {
+      resolution,
+      product: product.toUpperCase(),
+      slippagePercent: config.paper.slippagePercent
+    });
+    const report = engine.run({ [symbol]: candles });
+    const summary = report.summary;
+
+    console.log('\n📊 Summary:');
+    console.log(`   Net Profit: ${formatCurrency(summary.netProfit)} (${summary.totalReturnPercent}%)`);
+    console.log(`   Final Equity: ${formatCurrency(summary.finalEquity)}`);
+    console.log(`   Trades: ${summary.totalTrades} (${summary.winners}W / ${summary.losers}L)`);
+    console.log(`   Win Rate: ${summary.winRate}%`);
+    console.log(`   Expectancy: ${formatCurrency(summary.expectancy)} per trade`);
+    console.log(`   Profit Factor: ${summary.profitFactor === null ? 'N/A' : summary.profitFactor}`);
+    console.log(`   Max Drawdown: ${formatCurrency(summary.maxDrawdown)} (${summary.maxDrawdownPercent}%)`);
+    console.log(`   Charges Paid: ${formatCurrency(summary.totalCharges)}`);
+
+    if (report.trades.length > 0) {
+      console.log('\n📋 Last trades:');
+      report.trades.slice(-10).forEach(trade => {
+        console.log(
+          `   ${trade.entryTime.slice(0, 10)} → ${trade.exitTime.slice(0, 10)} ` +
+          `${trade.quantity} @ ${trade.entryPrice} → ${trade.exitPrice} ` +
+          `${formatCurrency(trade.netPnl)} [${trade.exitReason}]`
+        );
+      });
+    }
+
+    const outputDir = './backtest_results';
+    fs.mkdirSync(outputDir, { recursive: true });
+    const outputFile = path.join(outputDir, `${symbol.replace(/[^A-Z0-9]/gi, '_')}-${Date.now()}.json`);
+    fs.writeFileSync(outputFile, JSON.stringify(report, null, 2));
+    printSuccess(`Full report saved to ${outputFile}`);
+
+  } catch (error) {
+    printError(`Backtest failed: ${error.message}`);
+  }
+}
+
+async function runReplay(source, symbols = [], speed = 'max') {
+  printHeader(`Market Replay - ${source}`);
+
+  try {
+    const ReplayMarketDataService = require('./src/services/replayMarketDataService');
+    const SampleStrategy = require('./src/strategies/sampleStrategy');
+
+    const isFile = fs.existsSync(source);
+    const replay = new ReplayMarketDataService(isFile ? { file: source, speed } : { date: source, speed });
+    console.log(`📼 Playing ${replay.file} at ${speed === 'max' ? 'maximum' : `${speed}x`} speed`);
+
+    const strategy = new SampleStrategy(symbols.length > 0 ? { symbols } : {});
+    strategy.setClock(replay.clock);
+    strategy.start();
+
+    let ticks = 0;
+    const signals = [];
+    replay.on('tick', (tick) => {
+      ticks++;
+      strategy.onTick(tick);
+    });
+    strategy.on('signal', (signal) => {
+      signals.push(signal);
+      console.log(`   ${moment(replay.now()).tz('Asia/Kolkata').format('HH:mm:ss')} ${signal.type} ${signal.symbol} @ ₹${signal.price}`);
+    });
+
+    const { messages } = await replay.replay(symbols);
+    strategy.stop();
+
+    console.log('');
+    printSuccess(`Replayed ${messages} messages (${ticks} ticks), ${signals.length} signal(s)`);
+
+  } catch (error) {
+    printError(`Replay failed: ${error.message}`);
+  }
+}
+
 async function setupDirectionalTrade(symbol, atr) {
   printHeader(`Directional Trade Setup - ${symbol}`);
   
@@ -1868,21 +2354,50 @@ async function startTrendingMonitor(intervalMinutes = 30) {
     
     // Subscribe to top candidates
     const topSymbols = candidates.slice(0, 10).map(c => c.symbol);
-    console.log(`📡 Monitoring ${topSymbols.length} trending candidates...`);
+    console.log(`📡 Monitoring ${topSymbols.length} trending candidates on ${marketData.timeframe}m bars...`);
     
     marketData.on('trendingOpportunity', async (opportunity) => {
+      const { signals, indicators, levels } = opportunity;
+      const format = (value, digits = 2) => (value === null || value === undefined ? '-' : value.toFixed(digits));
+
       console.log(`\n🚨 TRENDING OPPORTUNITY DETECTED:`);
-      console.log(`   Symbol: ${opportunity.symbol}`);
-      console.log(`   Signals: ${JSON.stringify(opportunity.signals, null, 2)}`);
+      console.log(`   Symbol: ${opportunity.symbol} ${opportunity.direction} @ ₹${opportunity.price}`);
       console.log(`   Time: ${opportunity.timestamp.toLocaleTimeString()}`);
+      if (signals.momentumBreakout.triggered) {
+        console.log(`   Momentum: RSI ${format(signals.momentumBreakout.rsi, 1)}, MACD histogram ${format(signals.momentumBreakout.histogram, 3)}` +
+          (signals.momentumBreakout.cross ? ` (${signals.momentumBreakout.cross} cross)` : ''));
+      }
+      if (signals.volumeSpike.triggered) {
+        console.log(`   Volume: ${signals.volumeSpike.volume} vs avg ${format(signals.volumeSpike.averageVolume, 0)} (${format(signals.volumeSpike.ratio, 1)}x)`);
+      }
+      if (signals.volatilityExpansion.triggered) {
+        console.log(`   Volatility: BB width ${format(signals.volatilityExpansion.widthRatio)}x avg, bar range ${format(signals.volatilityExpansion.rangeAtr)} ATR`);
+      }
+      if (signals.supportResistanceBreak.triggered) {
+        const srBreak = signals.supportResistanceBreak;
+        console.log(`   Level break: ₹${format(srBreak.level)} (${srBreak.touches} touches), ${format(srBreak.distanceAtr)} ATR through`);
+      }
+      console.log(`   VWAP ₹${format(indicators.vwap)} | ATR ${format(indicators.atr)} | ` +
+        `Support ${levels.support[0] ? `₹${format(levels.support[0].price)}` : '-'} | Resistance ${levels.resistance[0] ? `₹${format(levels.resistance[0].price)}` : '-'}`);
       
       // Auto-suggest trade setup
       console.log(`\n💡 Suggested Action:`);
       console.log(`   node place-order.js directional-setup ${opportunity.symbol}`);
     });
     
-    await marketData.connect();
-    await marketData.subscribe(topSymbols);
+    // Indicators need history to be ready from the first tick
+    await marketData.seed(new HistoricalDataStore(new FyersService()), topSymbols);
+
+    const connected = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Market data connection timed out')), 30000);
+      marketData.once('connected', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+    marketData.connect();
+    await connected;
+    marketData.subscribe(topSymbols);
     
     console.log(`⏰ Monitoring will run for ${intervalMinutes} minutes. Press Ctrl+C to stop.`);
     
@@ -1909,17 +2424,39 @@ async function startAutoDirectionalTrading(riskAmount, maxPositions) {
     console.log('🤖 Starting automated directional trading...');
     
     const AutoDirectionalTrader = require('./src/strategies/autoDirectionalTrader');
+    const orderService = createOrderService();
     const trader = new AutoDirectionalTrader({
       riskPerTrade: risk,
-      maxPositions: maxPos
+      maxPositions: maxPos,
+      orderService,
+      bracketManager: createBracketManager(orderService)
+    });
+
+    trader.on('screened', (watchlist) => {
+      printInfo(`Watchlist: ${watchlist.length > 0 ? watchlist.slice(0, trader.watchlistSize).map(s => `${s.symbol} (${s.direction})`).join(', ') : 'none today'}`);
+    });
+    trader.on('entry', (trade) => {
+      printSuccess(`${trade.direction} ${trade.symbol} x${trade.quantity} | SL ${trade.stopLossPercent.toFixed(2)}% TP ${trade.takeProfitPercent.toFixed(2)}% | ` +
+        `risk ${formatCurrency(trade.netLoss)} (strength ${trade.strength.toFixed(2)})`);
+    });
+    trader.on('exit', (trade) => {
+      printInfo(`${trade.symbol} closed: ${trade.reason}`);
     });
     
     await trader.initialize();
     await trader.start();
     
     console.log('✅ Auto directional trading started');
+    console.log(`⏰ Screening at ${trader.screeningTime}, entries until ${trader.entryCutoffTime}, exits by ${trader.exitTime} IST`);
     console.log('📋 Monitor with: node place-order.js positions');
     console.log('🛑 Stop with: Ctrl+C');
+
+    process.on('SIGINT', () => {
+      console.log('\n🛑 Stopping auto directional trading...');
+      trader.stop();
+      console.log('📋 Open brackets keep their TP/SL orders. Resume auto-cancel with: node place-order.js brackets resume');
+      process.exit(0);
+    });
     
   } catch (error) {
     printError(`Auto directional trading failed: ${error.message}`);
@@ -1928,10 +2465,11 @@ async function startAutoDirectionalTrading(riskAmount, maxPositions) {
 
 // Main execution logic
 async function main() {
-  const args = process.argv.slice(2);
+  const rawArgs = process.argv.slice(2);
+  const args = rawArgs.filter(arg => !arg.startsWith('--'));
   const command = args[0];
-  const isDryRun = args.includes('--dry-run');
-  const isHelp = args.includes('--help');
+  const isDryRun = rawArgs.includes('--dry-run');
+  const isHelp = rawArgs.includes('--help');
 
   if (!command || command === 'help' || isHelp) {
     await showHelp();
@@ -1942,12 +2480,24 @@ async function main() {
     console.log('🧪 DRY RUN MODE - No actual orders will be placed\n');
   }
 
+  if (isPaperTrading) {
+    console.log('📝 PAPER TRADING MODE - Orders are simulated locally\n');
+  }
+
   try {
+    if (ENTRY_COMMANDS.includes(command.toLowerCase())) {
+      await loadSymbolMaster();
+    }
+
     switch (command.toLowerCase()) {
       case 'verify':
         await verifyEnvironment();
         break;
 
+      case 'login':
+        await login(args[1], { manual: rawArgs.includes('--manual') });
+        break;
+
       case 'holdings':
         await getHoldings();
         break;
@@ -2135,54 +2685,32 @@ async function main() {
         if (!isDryRun) {
           await buyWithAutoOptimalSL(args[1], args[2], args[3], targetRatio);
         } else {
-          const price = parseFloat(args[3]);
-          const qty = parseInt(args[2]);
-          const ratio = parseFloat(targetRatio);
-          
-          // Calculate what the optimal SL and TP would be
-          const result = optimalStopLossPercent({
-            P: price,
-            Q: qty,
-            targetRatio: ratio
+          const { price, qty, ratio } = parseOptimizerInputs(args[2], args[3], targetRatio);
+          const result = await new TradeOptimizer().optimizeWithATR({
+            symbol: args[1].toUpperCase(), price, quantity: qty, targetRatio: ratio
           });
-          
-          if (result) {
-            const optimalSLPercent = result.optimal_l * 100;
-            const optimalTPPercent = result.optimal_g * 100;
-            
-            console.log(`Would place AUTO-OPTIMIZED trade: ${args[1]} x${args[2]} @₹${price}`);
-            console.log(`Target Ratio: 1:${ratio} | Calculated SL: ${optimalSLPercent.toFixed(3)}% | Calculated TP: ${optimalTPPercent.toFixed(3)}%`);
-            console.log(`Expected Net Loss: ₹${result.netLoss.toFixed(2)} | Expected Net Profit: ₹${result.netProfit.toFixed(2)}`);
-            console.log(`Actual Ratio Achieved: 1:${result.actualRatio.toFixed(2)}`);
-          } else {
-            console.log('Failed to calculate optimal parameters');
-          }
+          printOptimizedSetup('Would place AUTO-OPTIMIZED trade (ATR)', args[1], qty, price, result);
         }
         break;
+
+      case 'vol-optimal':
+      case 'volatility-optimal':
+        if (args.length < 4) {
+          printError('Usage: node place-order.js vol-optimal <symbol> <quantity> <limit_price> [risk_reward_ratio] [volatility_multiplier]');
+          console.log('Example: node place-order.js vol-optimal NSE:SBIN-EQ 10 500 2 1.5');
+          console.log('SL is the multiplier x 20-day realized volatility; TP gives the ratio after charges');
+          return;
+        }
         const volTargetRatio = args[4] || 2;
         const volMultiplier = args[5] || 1.5;
         if (!isDryRun) {
           await buyWithVolatilityOptimalSL(args[1], args[2], args[3], volTargetRatio, volMultiplier);
         } else {
-          const price = parseFloat(args[3]);
-          const qty = parseInt(args[2]);
-          const ratio = parseFloat(volTargetRatio);
-          const multiplier = parseFloat(volMultiplier);
-          
-          const result = optimalStopLossWithVolatility({
-            P: price,
-            Q: qty,
-            symbol: args[1],
-            targetRatio: ratio,
-            volatilityMultiplier: multiplier
+          const { price, qty, ratio } = parseOptimizerInputs(args[2], args[3], volTargetRatio);
+          const result = await new TradeOptimizer().optimizeWithVolatility({
+            symbol: args[1].toUpperCase(), price, quantity: qty, targetRatio: ratio, volatilityMultiplier: parseFloat(volMultiplier)
           });
-          
-          if (result) {
-            console.log(`Would place VOLATILITY-OPTIMIZED trade: ${args[1]} x${args[2]} @₹${price}`);
-            console.log(`Daily Vol: ${(result.dailyVolatility * 100).toFixed(2)}% | Multiplier: ${multiplier}x`);
-            console.log(`SL: ${(result.optimal_l * 100).toFixed(3)}% | TP: ${(result.optimal_g * 100).toFixed(3)}%`);
-            console.log(`Risk: ₹${result.netLoss.toFixed(2)} | Reward: ₹${result.netProfit.toFixed(2)} | Ratio: 1:${result.actualRatio.toFixed(2)}`);
-          }
+          printOptimizedSetup('Would place VOLATILITY-OPTIMIZED trade', args[1], qty, price, result);
         }
         break;
 
@@ -2263,11 +2791,19 @@ async function main() {
 
       case 'position-size':
         if (args.length < 5) {
-          printError('Usage: node place-order.js position-size <account_size> <risk_percent> <entry_price> <stop_price>');
+          printError('Usage: node place-order.js position-size <account_size> <risk_percent> <entry_price> <stop_price> [symbol]');
           console.log('Example: node place-order.js position-size 100000 2 500 485');
           return;
         }
-        calculatePositionSize(args[1], args[2], args[3], args[4]);
+        await calculatePositionSize(args[1], args[2], args[3], args[4], args[5]);
+        break;
+
+      case 'calc':
+        await runCalc(args[1], args.slice(2), rawArgs);
+        break;
+
+      case 'instruments':
+        await manageInstruments(args[1], args[2]);
         break;
 
       case 'monitor':
@@ -2283,10 +2819,53 @@ async function main() {
         checkMarketStatus();
         break;
 
+      case 'paper-reset':
+        new PaperOrderService().reset();
+        printSuccess(`Paper trading state cleared (${config.paper.stateFile})`);
+        break;
+
+      case 'brackets':
+        await manageBrackets(args[1] || 'list', args[2]);
+        break;
+
+      case 'kill-switch':
+        await manageKillSwitch(args[1] || 'status');
+        break;
+
+      case 'backtest':
+        if (args.length < 2) {
+          printError('Usage: node place-order.js backtest <symbol> [resolution] [days|from] [to] [--csv=<file>] [--product=INTRADAY|CNC]');
+          console.log('Example: node place-order.js backtest NSE:SBIN-EQ D 365');
+          console.log('Example: node place-order.js backtest NSE:SBIN-EQ 5 2024-01-01 2024-06-30');
+          return;
+        }
+        const csvFlag = rawArgs.find(arg => arg.startsWith('--csv='));
+        const productFlag = rawArgs.find(arg => arg.startsWith('--product='));
+        await runBacktest(args[1], args[2] || 'D', args[3] || 365, csvFlag ? csvFlag.slice('--csv='.length) : null, args[4] || null,
+          productFlag ? productFlag.slice('--product='.length) : 'INTRADAY');
+        break;
+
+      case 'replay':
+        if (args.length < 2) {
+          printError('Usage: node place-order.js replay <date|file> [symbols...] [--speed=<N|max>]');
+          console.log('Example: node place-order.js replay 2024-08-28 NSE:SBIN-EQ --speed=10');
+          return;
+        }
+        const speedFlag = rawArgs.find(arg => arg.startsWith('--speed='));
+        await runReplay(args[1], args.slice(2), speedFlag ? speedFlag.slice('--speed='.length) : 'max');
+        break;
+
       case 'screen-trending':
       case 'screen':
+        const profileFlag = getFlagValue(rawArgs, 'profile');
+        if (args[1] === 'profiles') {
+          const ScreenProfile = require('./src/strategies/screenProfile');
+          console.log(`Screen profiles in ${config.screener.profileDir}:`);
+          ScreenProfile.list().forEach(name => console.log(`   ${name}`));
+          break;
+        }
         if (!isDryRun) {
-          await runTrendingScreener(args[1] || 'all');
+          await runTrendingScreener(args.slice(1).find(arg => arg !== profileFlag) || 'all', profileFlag);
         } else {
           console.log('Would run trending stock screener');
         }
@@ -2297,6 +2876,18 @@ async function main() {
         await analyzeMarketBreadth();
         break;
 
+      case 'sectors':
+        if (args[1]) {
+          const SectorRotationAnalyzer = require('./src/services/sectorRotationAnalyzer');
+          const mapping = new SectorRotationAnalyzer().getSector(args[1].toUpperCase());
+          console.log(mapping
+            ? `${args[1].toUpperCase()}: ${mapping.sector} / ${mapping.industry} (index: ${mapping.index || 'none'})`
+            : `${args[1]} is not in the sector map (${config.sectors.file})`);
+          break;
+        }
+        await analyzeSectorRotation();
+        break;
+
       case 'directional-setup':
       case 'dir-setup':
         if (args.length < 2) {
@@ -2339,7 +2930,7 @@ async function main() {
   } catch (error) {
     printError(`Command execution failed: ${error.message}`);
     console.log('\n🔧 Troubleshooting:');
-    console.log('1. Check your .env file has correct FYERS_ACCESS_TOKEN');
+    console.log('1. Check your access token is valid (node place-order.js login)');
     console.log('2. Verify market is open (9:15 AM - 3:30 PM IST)');
     console.log('3. Ensure sufficient funds in account');
     console.log('4. Run "node place-order.js verify" to check setup');
@@ -2357,6 +2948,7 @@ if (require.main === module) {
 module.exports = {
   showHelp,
   verifyEnvironment,
+  login,
   testConnection,
   buyOrder,
   sellOrder,
@@ -2367,6 +2959,8 @@ module.exports = {
   cancelOrder,
   cancelAllOrders,
   emergencyClose,
+  manageKillSwitch,
+  manageInstruments,
   setStopLoss,
   calculatePositionSize,
   startApplication,
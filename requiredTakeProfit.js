@@ -1,5 +1,41 @@
-// quick JS solver (approximate) — edit the numeric rates to match your broker
-function requiredTPpercent({P, Q, ATR, l = null, brokerageRate=0.0003, brokerageCap=20, sttRate=0.00025, exchRate=0.0000345, sebiRate=0.000001, gstRate=0.18, stampDutyBuyRate=0.00003}) {
+// quick JS solver (approximate) — charges come from ChargesCalculator (src/config/charges.json)
+const ChargesCalculator = require('./src/services/chargesCalculator');
+
+// Pick the calculator: an explicit one, one built from the old flat-rate
+// parameters (brokerageRate, sttRate, ...) when any are passed, or the shared one
+function getCalculator({ calculator, ...rates }) {
+  if (calculator) return calculator;
+  if (ChargesCalculator.isLegacyRates(rates)) return ChargesCalculator.fromLegacyRates(rates);
+  return ChargesCalculator.getInstance();
+}
+
+// Stop-loss fraction from ATR (0.5 x ATR, clamped to 0.1%..5%) or the passed l value
+function stopLossFraction({ P, ATR, l }) {
+  if (ATR !== undefined && ATR !== null) {
+    const calculatedL = (0.5 * ATR / P);
+    return Math.max(0.001, Math.min(0.05, calculatedL));
+  }
+  if (l !== null && l !== undefined) {
+    // Use provided l value for backward compatibility
+    return l;
+  }
+  throw new Error('Either ATR or l parameter must be provided');
+}
+
+/**
+ * Solve the take-profit move g so that the net profit at TP is rewardRatio
+ * times the net loss at SL, both after round-trip charges.
+ * @param {Object} params
+ * @param {number} params.P - entry price
+ * @param {number} params.Q - quantity
+ * @param {number} params.ATR - stop at 0.5 x ATR (or pass l, a fraction)
+ * @param {string} params.side - 'BUY' (long) or 'SELL' (short)
+ * @param {number} params.rewardRatio - net profit / net loss (default 2)
+ * @param {string} params.symbol, params.segment, params.product, params.exchange - pick the rate table
+ */
+function solveRequiredTP(params) {
+  const { P, Q, ATR, l = null, side = 'BUY', rewardRatio = 2, symbol = null, segment = null, product = 'INTRADAY', exchange } = params;
+
   // Parameter validation
   if (!P || P <= 0) {
     throw new Error('Price (P) must be a positive number');
@@ -11,79 +47,59 @@ function requiredTPpercent({P, Q, ATR, l = null, brokerageRate=0.0003, brokerage
     throw new Error('ATR must be non-negative');
   }
 
-  // Calculate stop loss percentage using ATR if provided, otherwise use passed l value
-  let calculatedL;
-  if (ATR !== undefined && ATR !== null) {
-    // ATR-based stop loss calculation: l = (0.5 * ATR / P) * 100
-    // This gives us the percentage for stop loss
-    calculatedL = (0.5 * ATR / P);
-
-    // Ensure minimum stop loss of 0.1% and maximum of 5% for safety
-    calculatedL = Math.max(0.001, Math.min(0.05, calculatedL));
-  } else if (l !== null && l !== undefined) {
-    // Use provided l value for backward compatibility
-    calculatedL = l;
-  } else {
-    throw new Error('Either ATR or l parameter must be provided');
-  }
-
-  // helper to compute brokerage for one side (cap applied per executed order)
-  function brokeragePerSide(turn) {
-    return Math.min(turn * brokerageRate, brokerageCap);
-  }
-
-  const turnBuy = P * Q;
-
-  // compute charges when SL occurs (sell price = P*(1-calculatedL))
-  const sellSl = P * (1 - calculatedL);
-  const turnSellSL = sellSl * Q;
-
-  const brokerageTotalSL = brokeragePerSide(turnBuy) + brokeragePerSide(turnSellSL);
-  const sttSL = sttRate * turnSellSL;
-  const exchTotalSL = exchRate * (turnBuy + turnSellSL);
-  const sebiTotalSL = sebiRate * (turnBuy + turnSellSL);
-  const gstSL = gstRate * (brokerageTotalSL + exchTotalSL + sebiTotalSL);
-  const stampBuy = stampDutyBuyRate * turnBuy;
-
-  const chargesSL = brokerageTotalSL + sttSL + exchTotalSL + sebiTotalSL + gstSL + stampBuy;
+  const calculator = getCalculator(params);
+  const isShort = String(side).toUpperCase() === 'SELL';
+  const calculatedL = stopLossFraction({ P, ATR, l });
+
+  // Charges for exiting at exitPrice; the buy leg is the entry for longs and the cover for shorts
+  const chargesAt = (exitPrice) => calculator.calculate({
+    symbol,
+    segment,
+    product,
+    exchange,
+    quantity: Q,
+    buyPrice: isShort ? exitPrice : P,
+    sellPrice: isShort ? P : exitPrice
+  }).total;
+
+  // SL is below entry for longs, above for shorts
+  const stopLossPrice = isShort ? P * (1 + calculatedL) : P * (1 - calculatedL);
+  const chargesSL = chargesAt(stopLossPrice);
   const lossBefore = Q * P * calculatedL;
   const netLoss = lossBefore + chargesSL;
 
-  // Now solve for g numerically (net_profit(g) = 2*netLoss)
-  // net_profit(g) = profitBefore - chargesTP(g)
-  const targetNetProfit = 2 * netLoss;
-
-  // function netProfitForG(g)
-  function netProfit(g) {
-    const sellTP = P * (1 + g);
-    const turnSellTP = sellTP * Q;
-    const brokerageTotalTP = brokeragePerSide(turnBuy) + brokeragePerSide(turnSellTP);
-    const sttTP = sttRate * turnSellTP;
-    const exchTotalTP = exchRate * (turnBuy + turnSellTP);
-    const sebiTotalTP = sebiRate * (turnBuy + turnSellTP);
-    const gstTP = gstRate * (brokerageTotalTP + exchTotalTP + sebiTotalTP);
-    const stampBuyTP = stampDutyBuyRate * turnBuy;
-    const chargesTP = brokerageTotalTP + sttTP + exchTotalTP + sebiTotalTP + gstTP + stampBuyTP;
-    const profitBefore = Q * P * g;
-    return profitBefore - chargesTP;
-  }
+  // Now solve for g numerically (net_profit(g) = rewardRatio * netLoss)
+  const targetNetProfit = rewardRatio * netLoss;
+  const takeProfitAt = (g) => (isShort ? P * (1 - g) : P * (1 + g));
+  const netProfit = (g) => Q * P * g - chargesAt(takeProfitAt(g));
 
-  // simple binary search for g in [0, 0.1] (0%..10%)
+  // binary search for g, starting in [0, 0.1] (0%..10%) and widening when charges need more
   let lo = 0, hi = 0.1, mid;
-  for (let i=0;i<60;i++){
-    mid = (lo+hi)/2;
+  const maxG = isShort ? 0.99 : 10;
+  while (netProfit(hi) < targetNetProfit && hi < maxG) hi = Math.min(hi * 2, maxG);
+  for (let i = 0; i < 60; i++) {
+    mid = (lo + hi) / 2;
     if (netProfit(mid) < targetNetProfit) lo = mid; else hi = mid;
   }
+  const requiredG = (lo + hi) / 2;
+
   return {
-    required_g: (lo+hi)/2,
+    required_g: requiredG,
     netLoss,
     chargesSL,
+    chargesTP: chargesAt(takeProfitAt(requiredG)),
     calculatedStopLossPercent: calculatedL,
-    stopLossPrice: P * (1 - calculatedL),
+    stopLossPrice,
+    takeProfitPrice: takeProfitAt(requiredG),
     atrUsed: ATR !== undefined && ATR !== null
   };
 }
 
+// Long version: buy at P, SL below, TP above
+function requiredTPpercent(params) {
+  return solveRequiredTP({ ...params, side: 'BUY' });
+}
+
 // Example (the sample we computed manually) 374.8 1.125
 // console.log(requiredTPpercent({P:122.80, Q:1000, l:0.0035}));
 
@@ -98,93 +114,16 @@ function requiredTPpercent({P, Q, ATR, l = null, brokerageRate=0.0003, brokerage
 // console.log(`Stop Loss Percentage: ${(testResult.calculatedStopLossPercent * 100).toFixed(3)}% `);
 // console.log(`ATR Used: ${testResult.atrUsed}`);
 
-// Short sell version of the required TP calculator
-function requiredTPpercentShort({P, Q, ATR, l = null, brokerageRate=0.0003, brokerageCap=20, sttRate=0.00025, exchRate=0.0000345, sebiRate=0.000001, gstRate=0.18, stampDutyBuyRate=0.00003}) {
-  // Parameter validation
-  if (!P || P <= 0) {
-    throw new Error('Price (P) must be a positive number');
-  }
-  if (!Q || Q <= 0) {
-    throw new Error('Quantity (Q) must be a positive number');
-  }
-  if (ATR !== undefined && ATR < 0) {
-    throw new Error('ATR must be non-negative');
-  }
-
-  // Calculate stop loss percentage using ATR if provided, otherwise use passed l value
-  // For short selling: stop loss is ABOVE entry price (price increases = loss)
-  let calculatedL;
-  if (ATR !== undefined && ATR !== null) {
-    // ATR-based stop loss calculation for SHORT: l = (0.5 * ATR / P) * 100
-    // This gives us the percentage for stop loss ABOVE the entry price
-    calculatedL = (0.5 * ATR / P);
-
-    // Ensure minimum stop loss of 0.1% and maximum of 5% for safety
-    calculatedL = Math.max(0.001, Math.min(0.05, calculatedL));
-  } else if (l !== null && l !== undefined) {
-    // Use provided l value for backward compatibility
-    calculatedL = l;
-  } else {
-    throw new Error('Either ATR or l parameter must be provided');
-  }
-
-  // helper to compute brokerage for one side (cap applied per executed order)
-  function brokeragePerSide(turn) {
-    return Math.min(turn * brokerageRate, brokerageCap);
-  }
-
-  const turnSell = P * Q; // Initial short sell
-
-  // compute charges when SL occurs (buy price = P*(1+calculatedL)) - buying back at higher price
-  const buySl = P * (1 + calculatedL);
-  const turnBuySL = buySl * Q;
-
-  const brokerageTotalSL = brokeragePerSide(turnSell) + brokeragePerSide(turnBuySL);
-  const sttSL = sttRate * turnSell; // STT only on sell side for equity
-  const exchTotalSL = exchRate * (turnSell + turnBuySL);
-  const sebiTotalSL = sebiRate * (turnSell + turnBuySL);
-  const gstSL = gstRate * (brokerageTotalSL + exchTotalSL + sebiTotalSL);
-  const stampSell = stampDutyBuyRate * turnSell;
-
-  const chargesSL = brokerageTotalSL + sttSL + exchTotalSL + sebiTotalSL + gstSL + stampSell;
-  const lossBefore = Q * P * calculatedL; // Loss from price increase
-  const netLoss = lossBefore + chargesSL;
-
-  // Now solve for g numerically (net_profit(g) = 2*netLoss)
-  // For short selling: profit comes from price decrease
-  const targetNetProfit = 2 * netLoss;
-
-  // function netProfitForG(g) for short selling
-  function netProfit(g) {
-    const buyTP = P * (1 - g); // Buy back at lower price for profit
-    const turnBuyTP = buyTP * Q;
-    const brokerageTotalTP = brokeragePerSide(turnSell) + brokeragePerSide(turnBuyTP);
-    const sttTP = sttRate * turnSell; // STT only on sell side
-    const exchTotalTP = exchRate * (turnSell + turnBuyTP);
-    const sebiTotalTP = sebiRate * (turnSell + turnBuyTP);
-    const gstTP = gstRate * (brokerageTotalTP + exchTotalTP + sebiTotalTP);
-    const stampSellTP = stampDutyBuyRate * turnSell;
-    const chargesTP = brokerageTotalTP + sttTP + exchTotalTP + sebiTotalTP + gstTP + stampSellTP;
-    const profitBefore = Q * P * g; // Profit from price decrease
-    return profitBefore - chargesTP;
-  }
-
-  // simple binary search for g in [0, 0.1] (0%..10%)
-  let lo = 0, hi = 0.1, mid;
-  for (let i=0;i<60;i++){
-    mid = (lo+hi)/2;
-    if (netProfit(mid) < targetNetProfit) lo = mid; else hi = mid;
-  }
+// Short sell version: sell at P, SL (buy back) above, TP (buy back) below
+function requiredTPpercentShort(params) {
+  return solveRequiredTP({ ...params, side: 'SELL' });
+}
 
-  return {
-    required_g: (lo+hi)/2,
-    netLoss,
-    chargesSL,
-    calculatedStopLossPercent: calculatedL,
-    stopLossPrice: P * (1 + calculatedL), // Stop loss ABOVE entry price for short
-    takeProfitPrice: P * (1 - (lo+hi)/2), // Take profit BELOW entry price for short
-    atrUsed: ATR !== undefined && ATR !== null
-  };
+// Round-trip charges for one buy leg and one sell leg; the old flat-rate
+// parameters are still accepted, otherwise the charges table is used
+function roundTripCharges({ buyTurnover, sellTurnover, symbol = null, segment = null, product = 'INTRADAY', exchange, calculator, ...rates }) {
+  return getCalculator({ calculator, ...rates })
+    .calculate({ buyTurnover, sellTurnover, symbol, segment, product, exchange });
 }
 
-module.exports = { requiredTPpercent, requiredTPpercentShort };
\ No newline at end of file
+module.exports = { requiredTPpercent, requiredTPpercentShort, solveRequiredTP, roundTripCharges };
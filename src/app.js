@@ -2,14 +2,28 @@ require('dotenv').config();
 const FyersService = require('./services/fyersService');
 const OrderService = require('./services/orderService');
 const MarketDataService = require('./services/marketDataService');
+const CandleAggregator = require('./services/candleAggregator');
+const TickRecorder = require('./services/tickRecorder');
+const KillSwitch = require('./services/killSwitch');
+const BracketOrderManager = require('./services/bracketOrderManager');
+const SquareOffScheduler = require('./services/squareOffScheduler');
+const TokenManager = require('./services/tokenManager');
+const MarketCalendar = require('./services/marketCalendar');
 const logger = require('./utils/logger');
 const config = require('./config/config');
 
 class TradingApp {
   constructor() {
     this.fyersService = new FyersService();
+    this.tokenManager = this.fyersService.tokenManager;
     this.orderService = new OrderService();
     this.marketDataService = new MarketDataService();
+    this.candleAggregator = new CandleAggregator().attach(this.marketDataService);
+    this.tickRecorder = config.recorder.enabled ? new TickRecorder().attach(this.marketDataService) : null;
+    this.killSwitch = new KillSwitch(this.orderService);
+    this.orderService.riskEngine.setKillSwitch(this.killSwitch);
+    this.bracketManager = new BracketOrderManager(this.orderService);
+    this.squareOffScheduler = new SquareOffScheduler(this.orderService, { bracketManager: this.bracketManager });
     this.isRunning = false;
     this.setupEventHandlers();
   }
@@ -39,19 +53,59 @@ class TradingApp {
     this.marketDataService.on('volumeSpike', (data) => {
       this.handleVolumeSpike(data);
     });
+
+    this.candleAggregator.on('candleClose', (data) => {
+      this.handleCandleClose(data);
+    });
+
+    // Daily loss kill switch
+    this.killSwitch.on('tripped', (lock) => {
+      logger.error(`Kill switch tripped: ${lock.reason}. New orders blocked until ${lock.lockedUntil}`);
+    });
+
+    // Access token lifecycle
+    this.tokenManager.on('tokenUpdated', (token) => {
+      logger.info(`Using new access token issued at ${token.issuedAt}`);
+    });
+
+    this.tokenManager.on('authError', ({ source }) => {
+      logger.error(`Access token rejected by FYERS (${source}). Log in again with: node place-order.js login`);
+    });
+
+    // Scheduled intraday square-off
+    this.squareOffScheduler.on('completed', (summary) => {
+      summary.closedPositions.forEach(position => {
+        logger.info(`Squared off ${position.symbol}: ${position.side} ${position.quantity} @ ` +
+          `${position.fillPrice !== null ? `₹${position.fillPrice}` : position.status}`);
+      });
+      if (summary.file) {
+        logger.info(`Square-off summary saved to ${summary.file}`);
+      }
+    });
   }
 
   async initialize() {
     try {
       logger.info("Initializing FYERS trading application...");
 
+      // Square-off, the kill switch lock and trading-day checks need this year's holidays
+      MarketCalendar.getInstance().verifyHolidayList();
+
       // Check if access token is available
-      if (!config.fyers.accessToken) {
+      if (!this.tokenManager.getAccessToken()) {
         logger.warn("No access token found. Please generate one first.");
         await this.generateAccessToken();
         return;
       }
 
+      if (this.tokenManager.isExpired()) {
+        logger.error("Access token has expired. Run: node place-order.js login");
+      }
+
+      // Reload tokens written by `login` and warn before expiry
+      this.tokenManager.watchStore();
+      this.tokenManager.startExpiryWatch();
+
       // Verify connection and get profile
       try {
         const profile = await this.fyersService.getProfile();
@@ -63,6 +117,9 @@ class TradingApp {
         logger.info(`Connected as: ${userName} (${userEmail})`);
       } catch (profileError) {
         logger.error(`Profile fetch failed: ${profileError.message}`);
+        if (TokenManager.isAuthError(profileError)) {
+          logger.error('The access token is invalid or expired. Run: node place-order.js login');
+        }
         throw profileError; // This is critical, so we should fail
       }
 
@@ -115,13 +172,28 @@ class TradingApp {
         logger.warn(`Could not fetch positions (non-critical): ${positionError.message}`);
       }
 
+      // Symbol master for lot and tick sizes; a slow download finishes in the background
+      if (!await this.orderService.instruments.ensureLoaded(config.instruments.startupWaitMs)) {
+        logger.warn('Symbol master not loaded yet; derivative entries are refused until it is');
+      }
+
+      const lock = this.killSwitch.getLock();
+      if (lock) {
+        logger.warn(`Kill switch is locked until ${lock.lockedUntil}: ${lock.reason}`);
+      }
+      this.killSwitch.start();
+
+      if (config.squareOff.enabled) {
+        this.squareOffScheduler.start();
+      }
+
       this.isRunning = true;
       logger.info("Trading application initialized successfully");
 
     } catch (error) {
       logger.error(`Initialization error: ${error.message}`);
-      // Only throw if it's a critical error (like profile fetch failure)
-      if (error.message.includes('Profile fetch failed')) {
+      // Only throw if it's a critical error (like profile fetch failure or a rejected token)
+      if (error.message.includes('Profile fetch failed') || TokenManager.isAuthError(error)) {
         throw error;
       }
       // For other errors, log but continue
@@ -135,7 +207,7 @@ class TradingApp {
       const authUrl = await this.fyersService.generateAuthUrl();
       logger.info(`Please visit this URL to authorize: ${authUrl}`);
       logger.info("After authorization, extract the auth_code from the redirect URL");
-      logger.info("Then set FYERS_ACCESS_TOKEN in your .env file or call generateAccessToken(authCode)");
+      logger.info("Or run: node place-order.js login");
       
     } catch (error) {
       logger.error(`Auth URL generation error: ${error.message}`);
@@ -156,6 +228,10 @@ class TradingApp {
       // Subscribe to popular stocks and indices
       this.marketDataService.subscribeToIndices();
       this.marketDataService.subscribeToTopStocks();
+
+      // Warm up candles so indicators are ready at the open
+      await this.candleAggregator.seed(this.fyersService, this.marketDataService.getSubscriptions());
+      this.candleAggregator.start();
       
       logger.info("Market data feed started successfully");
       
@@ -188,6 +264,14 @@ class TradingApp {
     // You can implement breakout strategies here
   }
 
+  handleCandleClose({ symbol, timeframe, candle }) {
+    logger.debug(`${timeframe}m candle closed: ${symbol} O:${candle.open} H:${candle.high} ` +
+      `L:${candle.low} C:${candle.close} V:${candle.volume}`);
+
+    // Example: Run bar-based strategies on closed candles
+    // this.candleAggregator.getCandles(symbol, timeframe) returns the history
+  }
+
   async placeTestOrder() {
     try {
       // Example: Place a test buy order for SBIN
@@ -255,6 +339,14 @@ class TradingApp {
     logger.info("Shutting down trading application...");
     
     this.marketDataService.disconnect();
+    this.candleAggregator.stop();
+    if (this.tickRecorder) {
+      await this.tickRecorder.close();
+    }
+    this.killSwitch.stop();
+    this.squareOffScheduler.stop();
+    this.tokenManager.stopExpiryWatch();
+    this.tokenManager.unwatchStore();
     this.isRunning = false;
     
     logger.info("Trading application shut down complete");
@@ -262,18 +354,13 @@ class TradingApp {
 
   // Utility methods
   isMarketOpen() {
-    const now = new Date();
-    const hours = now.getHours();
-    const minutes = now.getMinutes();
-    const currentTime = hours * 100 + minutes;
-    
-    // Market hours: 9:15 AM to 3:30 PM IST
-    return currentTime >= 915 && currentTime <= 1530;
+    return MarketCalendar.getInstance().isMarketOpen();
   }
 
   getMarketStatus() {
     return {
       isOpen: this.isMarketOpen(),
+      session: MarketCalendar.getInstance().getSession().phase,
       isRunning: this.isRunning,
       marketDataConnected: this.marketDataService.isConnected,
       subscriptions: this.marketDataService.getSubscriptions()
@@ -1,17 +1,131 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   fyers: {
     appId: process.env.FYERS_APP_ID,
     secretKey: process.env.FYERS_SECRET_KEY,
     redirectUrl: process.env.FYERS_REDIRECT_URL,
-    accessToken: process.env.FYERS_ACCESS_TOKEN
+    accessToken: process.env.FYERS_ACCESS_TOKEN,
+    baseUrl: process.env.FYERS_BASE_URL,
+    tokenFile: process.env.FYERS_TOKEN_FILE || './trading_data/token.json',
+    tokenWarnMinutes: parseInt(process.env.FYERS_TOKEN_WARN_MINUTES) || 30
   },
   trading: {
     maxPositionSize: parseInt(process.env.MAX_POSITION_SIZE) || 100000,
     riskPercentage: parseFloat(process.env.RISK_PERCENTAGE) || 2,
     stopLossPercentage: parseFloat(process.env.STOP_LOSS_PERCENTAGE) || 5
   },
+  risk: {
+    enabled: process.env.RISK_ENGINE_ENABLED !== 'false',
+    maxOrderValue: process.env.RISK_MAX_ORDER_VALUE !== undefined ? parseFloat(process.env.RISK_MAX_ORDER_VALUE) : parseInt(process.env.MAX_POSITION_SIZE) || 100000,
+    maxQuantityPerSymbol: process.env.RISK_MAX_QTY_PER_SYMBOL !== undefined ? parseInt(process.env.RISK_MAX_QTY_PER_SYMBOL) : 0,
+    maxOpenPositions: process.env.RISK_MAX_OPEN_POSITIONS !== undefined ? parseInt(process.env.RISK_MAX_OPEN_POSITIONS) : 10,
+    maxGrossExposure: process.env.RISK_MAX_GROSS_EXPOSURE !== undefined ? parseFloat(process.env.RISK_MAX_GROSS_EXPOSURE) : 300000,
+    maxNetExposure: process.env.RISK_MAX_NET_EXPOSURE !== undefined ? parseFloat(process.env.RISK_MAX_NET_EXPOSURE) : 300000,
+    blockedSymbols: (process.env.RISK_BLOCKED_SYMBOLS || '').split(',').map(s => s.trim()).filter(Boolean),
+    priceBandPercent: process.env.RISK_PRICE_BAND_PERCENT !== undefined ? parseFloat(process.env.RISK_PRICE_BAND_PERCENT) : 5
+  },
+  killSwitch: {
+    maxDailyLoss: process.env.KILL_SWITCH_MAX_DAILY_LOSS !== undefined ? parseFloat(process.env.KILL_SWITCH_MAX_DAILY_LOSS) : 5000,
+    maxDailyLossPercent: process.env.KILL_SWITCH_MAX_DAILY_LOSS_PERCENT !== undefined ? parseFloat(process.env.KILL_SWITCH_MAX_DAILY_LOSS_PERCENT) : 3,
+    capital: parseFloat(process.env.KILL_SWITCH_CAPITAL) || 100000,
+    stateFile: process.env.KILL_SWITCH_STATE_FILE || './trading_data/kill-switch.json',
+    pollInterval: parseInt(process.env.KILL_SWITCH_POLL_INTERVAL) || 30000
+  },
+  instruments: {
+    cacheDir: process.env.INSTRUMENT_CACHE_DIR || './trading_data/instruments',
+    segments: (process.env.INSTRUMENT_SEGMENTS || 'NSE_CM,NSE_FO,BSE_CM,MCX_COM').split(',').map(s => s.trim()).filter(Boolean),
+    maxAgeHours: parseFloat(process.env.INSTRUMENT_MAX_AGE_HOURS) || 24,
+    baseUrl: process.env.INSTRUMENT_MASTER_URL || 'https://public.fyers.in/sym_details',
+    startupWaitMs: process.env.INSTRUMENT_STARTUP_WAIT_MS !== undefined ? parseInt(process.env.INSTRUMENT_STARTUP_WAIT_MS) : 15000
+  },
+  history: {
+    cacheDir: process.env.HISTORY_CACHE_DIR || './trading_data/history'
+  },
+  screener: {
+    profileDir: process.env.SCREEN_PROFILE_DIR || path.join(__dirname, 'screens'),
+    profile: process.env.SCREEN_PROFILE || null
+  },
+  sectors: {
+    file: process.env.SECTOR_MAP_FILE || path.join(__dirname, 'sectors.json')
+  },
+  charges: {
+    file: process.env.CHARGES_FILE || path.join(__dirname, 'charges.json')
+  },
+  calendar: {
+    exchange: process.env.MARKET_CALENDAR_EXCHANGE || 'NSE',
+    holidayDir: process.env.HOLIDAY_DIR || path.join(__dirname, 'holidays')
+  },
+  candles: {
+    timeframes: (process.env.CANDLE_TIMEFRAMES || '1,3,5,15,60').split(',').map(tf => parseInt(tf)).filter(tf => tf > 0),
+    seedDays: parseInt(process.env.CANDLE_SEED_DAYS) || 5
+  },
+  recorder: {
+    enabled: process.env.RECORD_TICKS === 'true',
+    dir: process.env.TICK_RECORD_DIR || './trading_data/ticks'
+  },
+  squareOff: {
+    enabled: process.env.SQUARE_OFF_ENABLED !== 'false',
+    time: process.env.SQUARE_OFF_TIME || '15:15',
+    summaryDir: process.env.SQUARE_OFF_SUMMARY_DIR || './trading_data/square-off'
+  },
+  autoDirectional: {
+    screeningTime: process.env.AUTO_DIR_SCREENING_TIME || '08:45',
+    entryCutoffTime: process.env.AUTO_DIR_ENTRY_CUTOFF || '14:30',
+    // Before SQUARE_OFF_TIME so the trader closes its own positions
+    exitTime: process.env.AUTO_DIR_EXIT_TIME || '15:05',
+    maxHoldMinutes: process.env.AUTO_DIR_MAX_HOLD_MINUTES !== undefined ? parseInt(process.env.AUTO_DIR_MAX_HOLD_MINUTES) : 120,
+    signalThreshold: parseFloat(process.env.AUTO_DIR_SIGNAL_THRESHOLD) || 0.7,
+    rewardRatio: parseFloat(process.env.AUTO_DIR_REWARD_RATIO) || 2,
+    stopAtrMultiplier: parseFloat(process.env.AUTO_DIR_STOP_ATR_MULTIPLIER) || 0.5,
+    watchlistSize: parseInt(process.env.AUTO_DIR_WATCHLIST_SIZE) || 20,
+    checkInterval: parseInt(process.env.AUTO_DIR_CHECK_INTERVAL) || 30000
+  },
+  trendingMonitor: {
+    timeframe: parseInt(process.env.TRENDING_TIMEFRAME) || 5,
+    minSignals: parseInt(process.env.TRENDING_MIN_SIGNALS) || 2,
+    volumeSpikeRatio: parseFloat(process.env.TRENDING_VOLUME_SPIKE_RATIO) || 2,
+    // Same symbol and direction are not reported again within this window
+    cooldownMinutes: process.env.TRENDING_COOLDOWN_MINUTES !== undefined ? parseInt(process.env.TRENDING_COOLDOWN_MINUTES) : 15
+  },
+  paper: {
+    enabled: process.env.PAPER_TRADING === 'true',
+    stateFile: process.env.PAPER_STATE_FILE || './trading_data/paper-state.json',
+    slippagePercent: parseFloat(process.env.PAPER_SLIPPAGE_PERCENT) || 0.02
+  },
+  bracket: {
+    stateFile: process.env.BRACKET_STATE_FILE || './trading_data/brackets.json',
+    pollInterval: parseInt(process.env.BRACKET_POLL_INTERVAL) || 30000
+  },
+  orders: {
+    stopLimitMinTicks: parseInt(process.env.ORDER_SL_GAP_MIN_TICKS) || 2,
+    stopLimitGapPercent: process.env.ORDER_SL_GAP_PERCENT !== undefined ? parseFloat(process.env.ORDER_SL_GAP_PERCENT) : 0.1,
+    stopLimitAtrFraction: process.env.ORDER_SL_GAP_ATR_FRACTION !== undefined ? parseFloat(process.env.ORDER_SL_GAP_ATR_FRACTION) : 0.25
+  },
+  optimizer: {
+    // Highest share of the net loss at the stop that may be charges
+    maxChargeShare: process.env.OPTIMIZER_MAX_CHARGE_SHARE !== undefined ? parseFloat(process.env.OPTIMIZER_MAX_CHARGE_SHARE) : 0.2,
+    minStopPercent: parseFloat(process.env.OPTIMIZER_MIN_STOP_PERCENT) || 0.1,
+    maxStopPercent: parseFloat(process.env.OPTIMIZER_MAX_STOP_PERCENT) || 5,
+    // Targets further than this many ATRs / daily standard deviations are flagged as a stretch
+    maxTargetVolatility: parseFloat(process.env.OPTIMIZER_MAX_TARGET_VOLATILITY) || 2
+  },
+  rateLimit: {
+    perSecond: parseInt(process.env.FYERS_RATE_LIMIT_PER_SECOND) || 10,
+    perMinute: parseInt(process.env.FYERS_RATE_LIMIT_PER_MINUTE) || 200,
+    concurrency: parseInt(process.env.FYERS_MAX_CONCURRENT_REQUESTS) || 5,
+    retries: process.env.FYERS_REQUEST_RETRIES !== undefined ? parseInt(process.env.FYERS_REQUEST_RETRIES) : 3,
+    retryDelay: parseInt(process.env.FYERS_RETRY_DELAY_MS) || 1000,
+    // Order placement, modification and cancellation have their own FYERS limits
+    orders: {
+      perSecond: parseInt(process.env.FYERS_ORDER_RATE_LIMIT_PER_SECOND) || 10,
+      perMinute: parseInt(process.env.FYERS_ORDER_RATE_LIMIT_PER_MINUTE) || 200
+    }
+  },
+  orderUpdates: {
+    pollInterval: parseInt(process.env.ORDER_UPDATE_POLL_INTERVAL) || 5000
+  },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     file: './logs/trading.log'
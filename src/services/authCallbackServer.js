@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const http = require('http');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const LOCAL_HOSTS = ['127.0.0.1', 'localhost', '0.0.0.0', '[::1]'];
+
+/**
+ * OAuth Redirect Catcher
+ * Listens on the host and port of FYERS_REDIRECT_URL, catches the redirect
+ * after the FYERS login, checks `state` against the value sent with the auth
+ * URL and exchanges `auth_code` for an access token. The token is saved to
+ * the token store by FyersService.generateAccessToken.
+ *
+ * FYERS_REDIRECT_URL must be a plain http URL on this machine,
+ * e.g. http://127.0.0.1:8085/callback, and registered on the FYERS app.
+ */
+class AuthCallbackServer {
+  constructor(fyersService, options = {}) {
+    this.fyersService = fyersService;
+    this.redirect = AuthCallbackServer.parseRedirectUrl(options.redirectUrl || config.fyers.redirectUrl);
+    this.timeout = options.timeout || 5 * 60 * 1000;
+    this.state = options.state || crypto.randomBytes(16).toString('hex');
+
+    this.server = null;
+    this.port = null;
+    this.pending = null;
+    this.exchanging = false;
+  }
+
+  /**
+   * Listener settings for a redirect URL, or an error if it cannot be served locally
+   */
+  static parseRedirectUrl(redirectUrl) {
+    if (!redirectUrl) {
+      throw new Error('FYERS_REDIRECT_URL is not set');
+    }
+
+    const url = new URL(redirectUrl);
+    if (url.protocol !== 'http:' || !LOCAL_HOSTS.includes(url.hostname)) {
+      throw new Error(`FYERS_REDIRECT_URL (${redirectUrl}) must be a local http URL such as http://127.0.0.1:8085/callback to catch the redirect`);
+    }
+
+    return {
+      host: url.hostname.replace(/^\[|\]$/g, ''),
+      port: url.port ? parseInt(url.port) : 80,
+      path: url.pathname || '/'
+    };
+  }
+
+  static isLocalRedirect(redirectUrl = config.fyers.redirectUrl) {
+    try {
+      AuthCallbackServer.parseRedirectUrl(redirectUrl);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Run the whole flow: listen, hand out the auth URL, wait for the redirect
+   * @param {Function} onAuthUrl - called with the URL the user has to open
+   * @returns {Promise<string>} the new access token
+   */
+  async login(onAuthUrl = (url) => logger.info(`Open this URL to log in: ${url}`)) {
+    await this.start();
+
+    try {
+      const authUrl = await this.fyersService.generateAuthUrl(this.state);
+      const result = this.waitForToken();
+      onAuthUrl(authUrl);
+      return await result;
+    } finally {
+      await this.stop();
+    }
+  }
+
+  start() {
+    if (this.server) return Promise.resolve(this.port);
+
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.once('error', (error) => {
+        logger.error(`Auth callback listener error: ${error.message}`);
+        this.server = null;
+        reject(error);
+      });
+      this.server.listen(this.redirect.port, this.redirect.host, () => {
+        this.port = this.server.address().port;
+        logger.info(`Waiting for the FYERS redirect on http://${this.redirect.host}:${this.port}${this.redirect.path}`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    if (this.pending) {
+      clearTimeout(this.pending.timer);
+    }
+
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Resolves with the access token once a valid redirect has been exchanged
+   */
+  waitForToken() {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending = null;
+        reject(new Error(`No FYERS redirect received within ${Math.round(this.timeout / 1000)} seconds`));
+      }, this.timeout);
+
+      this.pending = { resolve, reject, timer };
+    });
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method !== 'GET' || url.pathname !== this.redirect.path) {
+      return this.respond(res, 404, 'Not found');
+    }
+
+    const authCode = url.searchParams.get('auth_code');
+    const state = url.searchParams.get('state');
+
+    // Refuse redirects that were not started by this login
+    if (state !== this.state) {
+      logger.warn(`Refused auth redirect with unexpected state "${state}"`);
+      return this.respond(res, 403, 'Login refused: state does not match. Start the login again.');
+    }
+
+    if (!authCode) {
+      const message = url.searchParams.get('message') || 'auth_code missing from redirect';
+      logger.error(`FYERS login failed: ${message}`);
+      this.settle(new Error(`FYERS login failed: ${message}`));
+      return this.respond(res, 400, `Login failed: ${message}`);
+    }
+
+    if (this.exchanging || !this.pending) {
+      return this.respond(res, 409, 'Login already handled. You can close this window.');
+    }
+
+    this.exchanging = true;
+    try {
+      const accessToken = await this.fyersService.generateAccessToken(authCode);
+      this.respond(res, 200, 'Login successful. The access token has been saved - you can close this window.');
+      this.settle(null, accessToken);
+    } catch (error) {
+      this.respond(res, 500, `Token generation failed: ${error.message}`);
+      this.settle(error);
+    } finally {
+      this.exchanging = false;
+    }
+  }
+
+  settle(error, accessToken = null) {
+    if (!this.pending) return;
+
+    const { resolve, reject, timer } = this.pending;
+    clearTimeout(timer);
+    this.pending = null;
+    if (error) {
+      reject(error);
+    } else {
+      resolve(accessToken);
+    }
+  }
+
+  respond(res, status, message) {
+    const text = String(message).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', Connection: 'close' });
+    res.end(`<!DOCTYPE html><html><body><h3>FYERS Trading System</h3><p>${text}</p></body></html>`);
+  }
+}
+
+module.exports = AuthCallbackServer;
@@ -0,0 +1,374 @@
+const fs = require('fs');
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const TradingHelpers = require('../utils/helpers');
+const ChargesCalculator = require('./chargesCalculator');
+
+/**
+ * Event-driven backtesting engine for BaseStrategy subclasses.
+ * Replays candles through strategy.onTick(), fills the emitted signals
+ * with slippage and the charges of the segment and product traded
+ * (ChargesCalculator), and reports equity, drawdown and per-trade statistics.
+ */
+class BacktestEngine {
+  constructor(strategy, options = {}) {
+    this.strategy = strategy;
+    this.options = {
+      initialCapital: 100000,
+      slippagePercent: 0.02,
+      resolution: 'D',
+      product: 'INTRADAY',
+      // Old flat-rate overrides (brokerageRate, sttRate, ...); the charges table otherwise
+      chargeRates: {},
+      ...options
+    };
+    this.charges = this.options.chargesCalculator ||
+      (ChargesCalculator.isLegacyRates(this.options.chargeRates)
+        ? ChargesCalculator.fromLegacyRates(this.options.chargeRates)
+        : ChargesCalculator.getInstance());
+
+    this.reset();
+  }
+
+  /**
+   * Clear all simulation state
+   */
+  reset() {
+    this.cash = this.options.initialCapital;
+    this.positions = new Map();
+    this.lastPrices = new Map();
+    this.trades = [];
+    this.equityCurve = [];
+    this.currentTime = null;
+    this.barIndex = 0;
+  }
+
+  /**
+   * Fetch candles through FyersService.getHistoricalData
+   */
+  static async loadFromFyers(fyersService, symbol, resolution = 'D', days = 365) {
+    try {
+      const candles = await fyersService.getHistoricalData(symbol, resolution, days);
+      logger.info(`Loaded ${candles.length} candles for ${symbol} from FYERS`);
+      return candles;
+    } catch (error) {
+      logger.error(`Error loading history for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load candles from a CSV with a header row containing
+   * timestamp (or date/datetime), open, high, low, close and optionally volume.
+   * Timestamps may be epoch seconds, epoch milliseconds or any date string
+   * moment can parse (interpreted as IST).
+   */
+  static loadCandlesFromCSV(filePath) {
+    try {
+      const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+      if (lines.length < 2) {
+        throw new Error(`No candle rows in ${filePath}`);
+      }
+
+      const header = lines[0].split(',').map(col => col.trim().toLowerCase());
+      const timeCol = header.findIndex(col => ['timestamp', 'date', 'datetime', 'time'].includes(col));
+      const cols = ['open', 'high', 'low', 'close', 'volume'].reduce((acc, name) => {
+        acc[name] = header.indexOf(name);
+        return acc;
+      }, {});
+
+      if (timeCol === -1 || cols.open === -1 || cols.high === -1 || cols.low === -1 || cols.close === -1) {
+        throw new Error(`CSV ${filePath} must have timestamp, open, high, low and close columns`);
+      }
+
+      return lines.slice(1).map(line => {
+        const fields = line.split(',').map(field => field.trim());
+        return {
+          timestamp: BacktestEngine.parseTimestamp(fields[timeCol]),
+          open: parseFloat(fields[cols.open]),
+          high: parseFloat(fields[cols.high]),
+          low: parseFloat(fields[cols.low]),
+          close: parseFloat(fields[cols.close]),
+          volume: cols.volume === -1 ? 0 : parseFloat(fields[cols.volume]) || 0
+        };
+      }).sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      logger.error(`Error loading candles from ${filePath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalise a CSV timestamp to epoch seconds
+   */
+  static parseTimestamp(value) {
+    if (/^\d+$/.test(value)) {
+      const numeric = parseInt(value);
+      return numeric > 1e11 ? Math.floor(numeric / 1000) : numeric;
+    }
+
+    const parsed = moment.tz(value, 'Asia/Kolkata');
+    if (!parsed.isValid()) {
+      throw new Error(`Invalid timestamp: ${value}`);
+    }
+    return parsed.unix();
+  }
+
+  /**
+   * Time at which a bar's close is known to the strategy.
+   * Intraday bars close after their resolution; daily bars are
+   * treated as decided just before the close (15:15 IST).
+   */
+  barCloseTime(timestamp) {
+    const resolution = String(this.options.resolution).toUpperCase();
+
+    if (resolution === 'D' || resolution === '1D') {
+      return moment.unix(timestamp).tz('Asia/Kolkata')
+        .set({ hour: 15, minute: 15, second: 0, millisecond: 0 })
+        .valueOf();
+    }
+
+    const minutes = parseInt(resolution) || 1;
+    return (timestamp + minutes * 60) * 1000;
+  }
+
+  /**
+   * Run the strategy over candles.
+   * @param {Object|Array} data - { symbol: candles[] } or candles[] when options.symbol is set
+   */
+  run(data) {
+    const candlesBySymbol = Array.isArray(data) ? { [this.options.symbol]: data } : data;
+    const timeline = [];
+
+    Object.entries(candlesBySymbol).forEach(([symbol, candles]) => {
+      candles.forEach(candle => timeline.push({ symbol, candle }));
+    });
+    timeline.sort((a, b) => a.candle.timestamp - b.candle.timestamp);
+
+    if (timeline.length === 0) {
+      throw new Error('No candles to backtest');
+    }
+
+    this.reset();
+    const onSignal = (signal) => this.handleSignal(signal);
+    this.strategy.setClock(() => this.currentTime);
+    this.strategy.on('signal', onSignal);
+
+    if (!this.strategy.isActive) {
+      this.strategy.start();
+    }
+
+    try {
+      timeline.forEach((entry, index) => {
+        this.processBar(entry.symbol, entry.candle);
+
+        const next = timeline[index + 1];
+        if (!next || next.candle.timestamp !== entry.candle.timestamp) {
+          this.recordEquity(entry.candle.timestamp);
+        }
+      });
+
+      const lastTimestamp = timeline[timeline.length - 1].candle.timestamp;
+      Array.from(this.positions.keys()).forEach(symbol => {
+        this.closePosition(symbol, this.lastPrices.get(symbol), 'END_OF_DATA');
+      });
+      if (this.equityCurve.length > 0) {
+        this.equityCurve[this.equityCurve.length - 1] = this.buildEquityPoint(lastTimestamp);
+      }
+    } finally {
+      this.strategy.removeListener('signal', onSignal);
+      this.strategy.setClock(null);
+    }
+
+    const report = this.getReport();
+    logger.info(`Backtest complete: ${report.summary.totalTrades} trades, net ${report.summary.netProfit.toFixed(2)}`);
+    return report;
+  }
+
+  /**
+   * Process one candle: resting stops/targets first, then the strategy
+   */
+  processBar(symbol, candle) {
+    this.barIndex++;
+    this.currentTime = this.barCloseTime(candle.timestamp);
+    this.lastPrices.set(symbol, candle.close);
+
+    this.checkExits(symbol, candle);
+
+    this.strategy.onTick({
+      symbol,
+      ltp: candle.close,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume,
+      timestamp: candle.timestamp
+    });
+  }
+
+  /**
+   * Fill stop-loss / take-profit levels touched inside the bar.
+   * If both are inside the same bar the stop is assumed to fill first.
+   */
+  checkExits(symbol, candle) {
+    const position = this.positions.get(symbol);
+    if (!position) return;
+
+    if (position.stopLoss && candle.low <= position.stopLoss) {
+      this.closePosition(symbol, Math.min(candle.open, position.stopLoss), 'STOP_LOSS');
+    } else if (position.takeProfit && candle.high >= position.takeProfit) {
+      this.closePosition(symbol, Math.max(candle.open, position.takeProfit), 'TAKE_PROFIT');
+    }
+  }
+
+  /**
+   * Fill a strategy signal at the signal price plus slippage
+   */
+  handleSignal(signal) {
+    if (signal.type === 'BUY') {
+      this.openPosition(signal);
+    } else if (signal.type === 'SELL') {
+      this.closePosition(signal.symbol, signal.price, 'SIGNAL');
+    }
+  }
+
+  /**
+   * Open a long position, capped by available cash
+   */
+  openPosition(signal) {
+    if (this.positions.has(signal.symbol)) {
+      logger.debug(`Ignoring BUY for ${signal.symbol}: position already open`);
+      return;
+    }
+
+    const price = signal.price * (1 + this.options.slippagePercent / 100);
+    const quantity = Math.min(signal.quantity, Math.floor(this.cash / price));
+
+    if (quantity <= 0) {
+      logger.debug(`Ignoring BUY for ${signal.symbol}: insufficient cash`);
+      return;
+    }
+
+    this.cash -= quantity * price;
+    this.positions.set(signal.symbol, {
+      symbol: signal.symbol,
+      quantity,
+      entryPrice: price,
+      entryTime: this.currentTime,
+      entryBar: this.barIndex,
+      stopLoss: signal.stopLoss,
+      takeProfit: signal.takeProfit
+    });
+
+    this.strategy.updatePosition(signal.symbol, quantity, price);
+  }
+
+  /**
+   * Close an open position and log the trade
+   */
+  closePosition(symbol, rawPrice, reason) {
+    const position = this.positions.get(symbol);
+    if (!position) return;
+
+    const price = rawPrice * (1 - this.options.slippagePercent / 100);
+    const buyTurnover = position.quantity * position.entryPrice;
+    const sellTurnover = position.quantity * price;
+    const charges = this.charges.calculate({ symbol, product: this.options.product, buyTurnover, sellTurnover }).total;
+    const grossPnl = sellTurnover - buyTurnover;
+    const netPnl = grossPnl - charges;
+
+    this.cash += sellTurnover - charges;
+    this.positions.delete(symbol);
+
+    this.trades.push({
+      symbol,
+      quantity: position.quantity,
+      entryTime: new Date(position.entryTime).toISOString(),
+      exitTime: new Date(this.currentTime).toISOString(),
+      entryPrice: TradingHelpers.roundToDecimals(position.entryPrice),
+      exitPrice: TradingHelpers.roundToDecimals(price),
+      grossPnl: TradingHelpers.roundToDecimals(grossPnl),
+      charges: TradingHelpers.roundToDecimals(charges),
+      netPnl: TradingHelpers.roundToDecimals(netPnl),
+      returnPercent: TradingHelpers.roundToDecimals(netPnl / buyTurnover * 100),
+      barsHeld: this.barIndex - position.entryBar,
+      exitReason: reason
+    });
+
+    this.strategy.updatePosition(symbol, 0, 0);
+  }
+
+  /**
+   * Mark open positions to the last close
+   */
+  getEquity() {
+    let equity = this.cash;
+    this.positions.forEach(position => {
+      equity += position.quantity * (this.lastPrices.get(position.symbol) || position.entryPrice);
+    });
+    return equity;
+  }
+
+  buildEquityPoint(timestamp) {
+    const equity = this.getEquity();
+    const previousPeak = this.equityCurve.length > 0
+      ? this.equityCurve[this.equityCurve.length - 1].peak
+      : this.options.initialCapital;
+    const peak = Math.max(previousPeak, equity);
+
+    return {
+      timestamp,
+      equity: TradingHelpers.roundToDecimals(equity),
+      peak: TradingHelpers.roundToDecimals(peak),
+      drawdown: TradingHelpers.roundToDecimals(peak - equity),
+      drawdownPercent: TradingHelpers.roundToDecimals((peak - equity) / peak * 100)
+    };
+  }
+
+  recordEquity(timestamp) {
+    this.equityCurve.push(this.buildEquityPoint(timestamp));
+  }
+
+  /**
+   * Build the summary statistics, equity curve and trade log
+   */
+  getReport() {
+    const winners = this.trades.filter(trade => trade.netPnl > 0);
+    const losers = this.trades.filter(trade => trade.netPnl <= 0);
+    const grossWin = winners.reduce((sum, trade) => sum + trade.netPnl, 0);
+    const grossLoss = Math.abs(losers.reduce((sum, trade) => sum + trade.netPnl, 0));
+    const totalTrades = this.trades.length;
+    const winRate = totalTrades > 0 ? winners.length / totalTrades : 0;
+    const avgWin = winners.length > 0 ? grossWin / winners.length : 0;
+    const avgLoss = losers.length > 0 ? grossLoss / losers.length : 0;
+    const finalEquity = this.getEquity();
+    const maxDrawdown = this.equityCurve.reduce((max, point) => Math.max(max, point.drawdown), 0);
+    const maxDrawdownPercent = this.equityCurve.reduce((max, point) => Math.max(max, point.drawdownPercent), 0);
+
+    return {
+      strategy: this.strategy.name,
+      summary: {
+        initialCapital: this.options.initialCapital,
+        finalEquity: TradingHelpers.roundToDecimals(finalEquity),
+        netProfit: TradingHelpers.roundToDecimals(finalEquity - this.options.initialCapital),
+        totalReturnPercent: TradingHelpers.roundToDecimals((finalEquity / this.options.initialCapital - 1) * 100),
+        totalTrades,
+        winners: winners.length,
+        losers: losers.length,
+        winRate: TradingHelpers.roundToDecimals(winRate * 100),
+        avgWin: TradingHelpers.roundToDecimals(avgWin),
+        avgLoss: TradingHelpers.roundToDecimals(avgLoss),
+        expectancy: TradingHelpers.roundToDecimals(winRate * avgWin - (1 - winRate) * avgLoss),
+        profitFactor: grossLoss > 0 ? TradingHelpers.roundToDecimals(grossWin / grossLoss) : null,
+        totalCharges: TradingHelpers.roundToDecimals(this.trades.reduce((sum, trade) => sum + trade.charges, 0)),
+        maxDrawdown,
+        maxDrawdownPercent
+      },
+      equityCurve: this.equityCurve,
+      trades: this.trades
+    };
+  }
+}
+
+module.exports = BacktestEngine;
@@ -0,0 +1,675 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PriceNormalizer = require('./priceNormalizer');
+const TradingHelpers = require('../utils/helpers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const BRACKET_STATE = {
+  PENDING_ENTRY: 'PENDING_ENTRY',
+  ACTIVE: 'ACTIVE',
+  CLOSED: 'CLOSED',
+  CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Bracket / OCO Order Manager
+ * Places an entry order, then a take-profit and stop-loss exit pair once the
+ * entry fills. When one exit leg fills the sibling is cancelled; partial fills
+ * resize the remaining leg. Bracket state is persisted so monitoring resumes
+ * after a restart.
+ *
+ * Several processes share the state file (the app, CLI commands,
+ * monitor-orders.js), so each open bracket is leased to one of them. Only the
+ * owner reconciles it; a lease that is not renewed within leaseMs, or that
+ * stop() releases, is taken over by the next process to reconcile.
+ *
+ * Events: created, entryFill, legsPlaced, legResized, exitFill, closed, cancelled, legFailed
+ */
+class BracketOrderManager extends EventEmitter {
+  constructor(orderService, options = {}) {
+    super();
+    this.orderService = orderService;
+    this.stateFile = options.stateFile !== undefined ? options.stateFile : config.bracket.stateFile;
+    this.pollInterval = options.pollInterval || config.bracket.pollInterval;
+    // Fixed trigger/limit gap; by default it comes from tick size and volatility
+    this.stopLimitBuffer = options.stopLimitBuffer !== undefined ? options.stopLimitBuffer : null;
+    this.normalizer = options.normalizer || orderService.normalizer || new PriceNormalizer();
+    this.roundPrice = options.roundPrice || ((price, symbol) => this.normalizer.roundPrice(symbol, price)); // nearest tick
+    this.ownerId = options.ownerId || `${os.hostname()}:${process.pid}`;
+    this.leaseMs = options.leaseMs || this.pollInterval * 3;
+
+    this.brackets = this.loadState();
+    this.monitor = null;
+    this.reconciling = false;
+    this.reconcileQueued = false;
+    this.orderUpdates = null;
+    this.onOrderUpdate = (order) => this.handleOrderUpdate(order);
+  }
+
+  /**
+   * React to streamed order updates (OrderUpdateService) instead of waiting
+   * for the next poll. Polling stays on as a safety net.
+   */
+  attachOrderUpdates(orderUpdates) {
+    this.detachOrderUpdates();
+    this.orderUpdates = orderUpdates;
+    orderUpdates.on('orderUpdate', this.onOrderUpdate);
+  }
+
+  detachOrderUpdates() {
+    if (this.orderUpdates) {
+      this.orderUpdates.removeListener('orderUpdate', this.onOrderUpdate);
+      this.orderUpdates = null;
+    }
+  }
+
+  handleOrderUpdate(order) {
+    const tracked = this.getOwnedBrackets().some(bracket =>
+      [bracket.entry, bracket.takeProfit, bracket.stopLoss].some(leg => leg && leg.orderId === order.id)
+    );
+
+    if (tracked) {
+      this.reconcile().catch(error => logger.error(`Bracket reconcile error: ${error.message}`));
+    }
+  }
+
+  /**
+   * Create a bracket and place its entry order.
+   * Exit levels are given either as prices (takeProfitPrice / stopLossPrice)
+   * or as percentages of the entry fill price (takeProfitPercent / stopLossPercent).
+   * A strategy name is saved with the bracket so the strategy can find it again.
+   */
+  async createBracket(params) {
+    try {
+      const side = params.side || 1;
+      const quantity = parseInt(params.quantity);
+
+      if (!params.symbol || !quantity || quantity <= 0) {
+        throw new Error('Bracket requires a symbol and a positive quantity');
+      }
+      if (params.takeProfitPrice === undefined && params.takeProfitPercent === undefined) {
+        throw new Error('Bracket requires takeProfitPrice or takeProfitPercent');
+      }
+      if (params.stopLossPrice === undefined && params.stopLossPercent === undefined) {
+        throw new Error('Bracket requires stopLossPrice or stopLossPercent');
+      }
+
+      const entryOrder = {
+        symbol: params.symbol,
+        quantity,
+        side,
+        type: params.entryPrice ? 1 : 2,
+        productType: params.productType || 'INTRADAY',
+        validity: 'DAY'
+      };
+      if (params.entryPrice) {
+        entryOrder.limitPrice = parseFloat(params.entryPrice);
+      }
+
+      const response = await this.orderService.placeOrder(entryOrder);
+      const now = new Date().toISOString();
+
+      const bracket = {
+        id: `BRK_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+        symbol: params.symbol,
+        side,
+        quantity,
+        productType: entryOrder.productType,
+        strategy: params.strategy || null,
+        state: BRACKET_STATE.PENDING_ENTRY,
+        exitReason: null,
+        targets: {
+          takeProfitPrice: params.takeProfitPrice,
+          stopLossPrice: params.stopLossPrice,
+          stopLimitPrice: params.stopLimitPrice,
+          takeProfitPercent: params.takeProfitPercent,
+          stopLossPercent: params.stopLossPercent,
+          atr: params.atr
+        },
+        entry: {
+          orderId: response.id,
+          price: entryOrder.limitPrice || null,
+          filledQty: 0,
+          avgPrice: null,
+          done: false
+        },
+        takeProfit: null,
+        stopLoss: null,
+        owner: this.createLease(),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      this.brackets.push(bracket);
+      this.saveState();
+
+      logger.info(`Bracket ${bracket.id} created for ${bracket.symbol}: entry order ${response.id}`);
+      this.emit('created', bracket);
+      return bracket;
+    } catch (error) {
+      logger.error(`Error creating bracket: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Start polling open brackets (also resumes brackets loaded from disk)
+   */
+  start() {
+    if (this.monitor) return;
+
+    const open = this.getOpenBrackets();
+    if (open.length > 0) {
+      logger.info(`Monitoring ${open.length} open bracket(s)`);
+    }
+
+    this.monitor = setInterval(() => {
+      this.reconcile().catch(error => logger.error(`Bracket reconcile error: ${error.message}`));
+    }, this.pollInterval);
+  }
+
+  /**
+   * Stop polling and release this process's leases. Bracket state stays on
+   * disk so monitoring can resume later, here or in another process.
+   */
+  stop() {
+    if (this.monitor) {
+      clearInterval(this.monitor);
+      this.monitor = null;
+    }
+    for (const bracket of this.getOwnedBrackets()) {
+      bracket.owner = null;
+      this.touch(bracket);
+    }
+    this.saveState();
+  }
+
+  /**
+   * Fetch the order book once and advance the open brackets this process owns
+   * @param {string|null} bracketId - only this bracket
+   */
+  async reconcile(bracketId = null) {
+    if (this.reconciling) {
+      this.reconcileQueued = true;
+      return;
+    }
+
+    const open = this.claimBrackets().filter(bracket => !bracketId || bracket.id === bracketId);
+    if (open.length === 0) return;
+
+    this.reconciling = true;
+    try {
+      const orderBook = TradingHelpers.extractOrderBook(await this.orderService.getOrders());
+
+      for (const bracket of open) {
+        try {
+          await this.processBracket(bracket, orderBook);
+        } catch (error) {
+          logger.error(`Error processing bracket ${bracket.id}: ${error.message}`);
+        }
+      }
+    } finally {
+      this.saveState();
+      this.reconciling = false;
+    }
+
+    if (this.reconcileQueued) {
+      this.reconcileQueued = false;
+      await this.reconcile();
+    }
+  }
+
+  /**
+   * Advance one bracket against the latest order book
+   */
+  async processBracket(bracket, orderBook) {
+    const findOrder = (leg) => leg && leg.orderId ? orderBook.find(o => o.id === leg.orderId) : null;
+
+    const entryOrder = findOrder(bracket.entry);
+    if (entryOrder) {
+      const filledQty = this.getFilledQty(entryOrder);
+      if (filledQty > bracket.entry.filledQty) {
+        bracket.entry.filledQty = filledQty;
+        bracket.entry.avgPrice = entryOrder.tradedPrice || bracket.entry.price;
+        this.touch(bracket);
+        this.emit('entryFill', bracket, filledQty);
+      }
+      bracket.entry.done = TradingHelpers.isOrderFilled(entryOrder) || TradingHelpers.isOrderClosed(entryOrder);
+    }
+
+    for (const leg of [bracket.takeProfit, bracket.stopLoss]) {
+      const legOrder = findOrder(leg);
+      if (!legOrder || leg.status !== 'WORKING') continue;
+
+      const filledQty = this.getFilledQty(legOrder);
+      if (filledQty > leg.filledQty) {
+        leg.filledQty = filledQty;
+        leg.avgPrice = legOrder.tradedPrice || leg.avgPrice;
+        this.touch(bracket);
+        this.emit('exitFill', bracket, leg, filledQty);
+      }
+
+      if (TradingHelpers.isOrderFilled(legOrder)) {
+        leg.status = 'FILLED';
+      } else if (TradingHelpers.isOrderClosed(legOrder)) {
+        leg.status = 'CANCELLED';
+        logger.warn(`Bracket ${bracket.id}: ${leg.name} leg ${leg.orderId} was cancelled or rejected outside the manager`);
+        this.emit('legFailed', bracket, leg);
+      }
+    }
+
+    const exitedQty = (bracket.takeProfit?.filledQty || 0) + (bracket.stopLoss?.filledQty || 0);
+    const openQty = bracket.entry.filledQty - exitedQty;
+
+    if (bracket.entry.done && bracket.entry.filledQty === 0) {
+      await this.finish(bracket, BRACKET_STATE.CANCELLED, 'ENTRY_NOT_FILLED');
+      return;
+    }
+
+    if (openQty <= 0 && bracket.entry.done) {
+      const reason = (bracket.takeProfit?.filledQty || 0) >= (bracket.stopLoss?.filledQty || 0)
+        ? 'TAKE_PROFIT'
+        : 'STOP_LOSS';
+      await this.finish(bracket, BRACKET_STATE.CLOSED, reason);
+      return;
+    }
+
+    if (openQty <= 0) return;
+
+    if (!bracket.takeProfit && !bracket.stopLoss) {
+      await this.placeExitLegs(bracket, openQty);
+      return;
+    }
+
+    const working = [bracket.takeProfit, bracket.stopLoss].filter(leg => leg && leg.status === 'WORKING');
+    if (working.length === 0) {
+      await this.flatten(bracket, openQty);
+      return;
+    }
+
+    await this.resizeLegs(bracket, openQty);
+  }
+
+  /**
+   * Place the take-profit and stop-loss legs for the filled entry quantity
+   */
+  async placeExitLegs(bracket, quantity) {
+    if (!this.confirmExitLegs(bracket)) {
+      logger.info(`Bracket ${bracket.id}: changed by another process, not placing exit legs`);
+      return;
+    }
+
+    const { takeProfitPrice, stopLossPrice, stopLimitPrice } = this.resolveExitPrices(bracket);
+    const exitSide = -bracket.side;
+    const base = {
+      symbol: bracket.symbol,
+      quantity,
+      side: exitSide,
+      productType: bracket.productType,
+      validity: 'DAY'
+    };
+
+    try {
+      const tp = await this.orderService.placeOrder({ ...base, type: 1, limitPrice: takeProfitPrice });
+      bracket.takeProfit = this.createLeg('takeProfit', tp.id, quantity, { limitPrice: takeProfitPrice });
+    } catch (error) {
+      logger.error(`Bracket ${bracket.id}: take profit order failed: ${error.message}`);
+      bracket.takeProfit = this.createLeg('takeProfit', null, quantity, { limitPrice: takeProfitPrice }, 'FAILED');
+      this.emit('legFailed', bracket, bracket.takeProfit, error);
+    }
+
+    try {
+      const sl = await this.orderService.placeOrder({
+        ...base, type: 3, stopPrice: stopLimitPrice, limitPrice: stopLossPrice
+      });
+      bracket.stopLoss = this.createLeg('stopLoss', sl.id, quantity, { stopPrice: stopLimitPrice, limitPrice: stopLossPrice });
+    } catch (error) {
+      // Fall back to a stop-loss market order triggered at the stop price
+      logger.warn(`Bracket ${bracket.id}: SL-L order failed (${error.message}), trying SL-M`);
+      try {
+        const sl = await this.orderService.placeOrder({ ...base, type: 4, stopPrice: stopLossPrice });
+        bracket.stopLoss = this.createLeg('stopLoss', sl.id, quantity, { stopPrice: stopLossPrice });
+      } catch (fallbackError) {
+        logger.error(`Bracket ${bracket.id}: stop loss order failed: ${fallbackError.message}`);
+        bracket.stopLoss = this.createLeg('stopLoss', null, quantity, { stopPrice: stopLossPrice }, 'FAILED');
+        this.emit('legFailed', bracket, bracket.stopLoss, fallbackError);
+      }
+    }
+
+    this.touch(bracket);
+    this.saveState();
+    this.emit('legsPlaced', bracket);
+  }
+
+  /**
+   * Both exit legs are gone with quantity still open: close it at market
+   * instead of leaving the position without a stop. If that order fails too
+   * the error propagates and the next reconcile tries again.
+   */
+  async flatten(bracket, quantity) {
+    logger.error(`Bracket ${bracket.id}: no working exit legs left, closing ${quantity} ${bracket.symbol} at market`);
+
+    const order = await this.orderService.placeOrder({
+      symbol: bracket.symbol,
+      quantity,
+      side: -bracket.side,
+      type: 2,
+      productType: bracket.productType,
+      validity: 'DAY'
+    });
+    bracket.flattenOrderId = order.id;
+    await this.finish(bracket, BRACKET_STATE.CANCELLED, 'EXIT_LEGS_LOST');
+  }
+
+  /**
+   * Keep each working leg sized to its own fills plus the open quantity
+   */
+  async resizeLegs(bracket, openQty) {
+    for (const leg of [bracket.takeProfit, bracket.stopLoss]) {
+      if (!leg || leg.status !== 'WORKING') continue;
+
+      const desiredQty = leg.filledQty + openQty;
+      if (desiredQty === leg.quantity) continue;
+
+      try {
+        await this.orderService.modifyOrder(leg.orderId, { qty: desiredQty });
+        logger.info(`Bracket ${bracket.id}: ${leg.name} leg resized ${leg.quantity} -> ${desiredQty}`);
+        leg.quantity = desiredQty;
+        this.touch(bracket);
+        this.emit('legResized', bracket, leg);
+      } catch (error) {
+        logger.error(`Bracket ${bracket.id}: could not resize ${leg.name} leg: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Cancel a bracket's working orders and mark it cancelled
+   */
+  async cancelBracket(bracketId, reason = 'MANUAL') {
+    const bracket = this.getBracket(bracketId);
+    if (!bracket) {
+      throw new Error(`Bracket ${bracketId} not found`);
+    }
+
+    if (!bracket.entry.done) {
+      await this.cancelOrderQuietly(bracket.entry.orderId);
+    }
+    await this.finish(bracket, BRACKET_STATE.CANCELLED, reason);
+    return bracket;
+  }
+
+  /**
+   * Close a bracket: cancel any working sibling legs and persist the outcome
+   */
+  async finish(bracket, state, reason) {
+    for (const leg of [bracket.takeProfit, bracket.stopLoss]) {
+      if (leg && leg.status === 'WORKING') {
+        await this.cancelOrderQuietly(leg.orderId);
+        leg.status = 'CANCELLED';
+      }
+    }
+
+    bracket.state = state;
+    bracket.exitReason = reason;
+    this.touch(bracket);
+    this.saveState();
+
+    logger.info(`Bracket ${bracket.id} ${state.toLowerCase()} (${reason})`);
+    this.emit(state === BRACKET_STATE.CLOSED ? 'closed' : 'cancelled', bracket);
+  }
+
+  async cancelOrderQuietly(orderId) {
+    if (!orderId) return;
+    try {
+      await this.orderService.cancelOrder(orderId);
+    } catch (error) {
+      logger.warn(`Could not cancel order ${orderId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Absolute exit prices, derived from the entry fill when percentages were given
+   */
+  resolveExitPrices(bracket) {
+    const targets = bracket.targets;
+    const reference = bracket.entry.avgPrice || bracket.entry.price;
+    const direction = bracket.side;
+
+    const takeProfitPrice = targets.takeProfitPrice !== undefined
+      ? targets.takeProfitPrice
+      : this.roundPrice(reference * (1 + direction * targets.takeProfitPercent / 100), bracket.symbol);
+    const stopLossPrice = targets.stopLossPrice !== undefined
+      ? targets.stopLossPrice
+      : this.roundPrice(reference * (1 - direction * targets.stopLossPercent / 100), bracket.symbol);
+
+    let stopLimitPrice = targets.stopLimitPrice;
+    if (stopLimitPrice === undefined) {
+      stopLimitPrice = this.stopLimitBuffer !== null
+        ? stopLossPrice + direction * this.stopLimitBuffer
+        : this.normalizer.getStopTrigger(bracket.symbol, stopLossPrice, -direction, targets.atr);
+    }
+
+    return { takeProfitPrice, stopLossPrice, stopLimitPrice };
+  }
+
+  createLeg(name, orderId, quantity, prices, status = 'WORKING') {
+    return { name, orderId, quantity, filledQty: 0, avgPrice: null, status, ...prices };
+  }
+
+  getFilledQty(order) {
+    if (order.filledQty !== undefined) return order.filledQty;
+    return TradingHelpers.isOrderFilled(order) ? order.qty : 0;
+  }
+
+  touch(bracket) {
+    // Always later than the copy it changes, so merges by updatedAt pick it up
+    const previous = Date.parse(bracket.updatedAt) || 0;
+    bracket.updatedAt = new Date(Math.max(Date.now(), previous + 1)).toISOString();
+  }
+
+  getBracket(bracketId) {
+    return this.brackets.find(b => b.id === bracketId);
+  }
+
+  getBrackets() {
+    return this.brackets;
+  }
+
+  getOpenBrackets() {
+    return this.brackets.filter(b =>
+      b.state === BRACKET_STATE.PENDING_ENTRY || b.state === BRACKET_STATE.ACTIVE
+    );
+  }
+
+  /**
+   * Open brackets leased to this process
+   */
+  getOwnedBrackets() {
+    return this.getOpenBrackets().filter(bracket => bracket.owner && bracket.owner.id === this.ownerId);
+  }
+
+  createLease() {
+    return { id: this.ownerId, expiresAt: Date.now() + this.leaseMs };
+  }
+
+  /**
+   * Reload the state file, take over open brackets whose lease has lapsed,
+   * renew this process's leases and return the brackets it owns. Runs under
+   * the state lock, so no two processes can own the same bracket.
+   */
+  claimBrackets() {
+    try {
+      this.withStateLock(() => {
+        this.reloadState();
+        let changed = false;
+        for (const bracket of this.getOpenBrackets()) {
+          const lapsed = !bracket.owner || bracket.owner.expiresAt <= Date.now();
+          if (lapsed || bracket.owner.id === this.ownerId) {
+            if (lapsed) logger.info(`Bracket ${bracket.id}: taking over monitoring`);
+            bracket.owner = this.createLease();
+            this.touch(bracket);
+            changed = true;
+          }
+        }
+        if (changed) this.writeStateFile();
+      });
+    } catch (error) {
+      logger.error(`Could not claim brackets: ${error.message}`);
+      return [];
+    }
+    return this.getOwnedBrackets();
+  }
+
+  /**
+   * Re-read the bracket under the state lock right before its exit legs go
+   * out: another process may have cancelled it or placed them already
+   */
+  confirmExitLegs(bracket) {
+    return this.withStateLock(() => {
+      this.reloadState();
+      const open = bracket.state === BRACKET_STATE.PENDING_ENTRY || bracket.state === BRACKET_STATE.ACTIVE;
+      const ready = open && !bracket.takeProfit && !bracket.stopLoss &&
+        bracket.owner && bracket.owner.id === this.ownerId;
+
+      if (ready) {
+        bracket.state = BRACKET_STATE.ACTIVE;
+        bracket.owner = this.createLease();
+        this.touch(bracket);
+        this.writeStateFile();
+      }
+      return ready;
+    });
+  }
+
+  loadState() {
+    return this.readStateFile();
+  }
+
+  readStateFile() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+      return [];
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return saved.brackets || [];
+    } catch (error) {
+      logger.warn(`Could not load bracket state: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Whether copy a of a bracket supersedes copy b. A closed or cancelled
+   * bracket never reopens, whatever the timestamps say.
+   */
+  static isNewer(a, b) {
+    const done = (bracket) => bracket.state === BRACKET_STATE.CLOSED || bracket.state === BRACKET_STATE.CANCELLED;
+    if (done(a) !== done(b)) return done(a);
+    return a.updatedAt > b.updatedAt;
+  }
+
+  /**
+   * Pick up brackets created or updated by other processes sharing the state
+   * file (CLI commands, monitor-orders.js). Existing bracket objects are
+   * updated in place so references to them stay valid.
+   */
+  reloadState() {
+    if (!this.stateFile) return this.brackets;
+
+    for (const saved of this.readStateFile()) {
+      const bracket = this.getBracket(saved.id);
+      if (!bracket) {
+        this.brackets.push(saved);
+      } else if (BracketOrderManager.isNewer(saved, bracket)) {
+        Object.assign(bracket, saved);
+      }
+    }
+    return this.brackets;
+  }
+
+  /**
+   * Write the brackets merged by id with what is on disk, so brackets owned by
+   * other processes are kept; the newer copy of a shared bracket wins (isNewer).
+   */
+  saveState() {
+    if (!this.stateFile) return;
+
+    try {
+      this.withStateLock(() => this.writeStateFile());
+    } catch (error) {
+      logger.error(`Could not save bracket state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Merge and write the state file; the caller holds the state lock
+   */
+  writeStateFile() {
+    if (!this.stateFile) return;
+
+    const merged = new Map(this.readStateFile().map(bracket => [bracket.id, bracket]));
+    for (const bracket of this.brackets) {
+      const saved = merged.get(bracket.id);
+      if (!saved || !BracketOrderManager.isNewer(saved, bracket)) {
+        merged.set(bracket.id, bracket);
+      }
+    }
+
+    // Write then rename, so readers never see a half-written file
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    const tempFile = `${this.stateFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ brackets: [...merged.values()] }, null, 2));
+    fs.renameSync(tempFile, this.stateFile);
+  }
+
+  /**
+   * Run fn holding an exclusive lock file next to the state file. A lock older
+   * than staleLockMs is left over from a crashed process and is taken over.
+   * Without a state file there is nothing to share and fn runs directly.
+   */
+  withStateLock(fn, timeoutMs = 5000, staleLockMs = 10000) {
+    if (!this.stateFile) return fn();
+
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    const lockFile = `${this.stateFile}.lock`;
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockFile, 'wx'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        try {
+          if (Date.now() - fs.statSync(lockFile).mtimeMs > staleLockMs) {
+            fs.rmSync(lockFile, { force: true });
+            continue;
+          }
+        } catch (statError) {
+          continue; // Released between open and stat
+        }
+
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for ${lockFile}`);
+        }
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10);
+      }
+    }
+
+    try {
+      return fn();
+    } finally {
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+}
+
+BracketOrderManager.STATE = BRACKET_STATE;
+
+module.exports = BracketOrderManager;
@@ -0,0 +1,254 @@
+const EventEmitter = require('events');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const DEFAULT_TIMEFRAMES = [1, 3, 5, 15, 60];
+
+/**
+ * Tick-to-Candle Aggregator
+ * Builds OHLCV bars for several minute timeframes from MarketDataService
+ * ticks. Bars are aligned to the NSE session open (09:15 IST), so a 60m bar
+ * covers 09:15-10:15 and the last one of the day is cut at the session close.
+ * Candles use the getHistoricalData shape (timestamp in epoch seconds) so
+ * history and live bars can be mixed freely.
+ *
+ * Events: candleClose { symbol, timeframe, candle }, seeded { symbol, timeframe, count }
+ */
+class CandleAggregator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.timeframes = options.timeframes || config.candles.timeframes || DEFAULT_TIMEFRAMES;
+    this.maxCandles = options.maxCandles || 500;
+    this.sessionStart = this.parseTime(options.sessionStart || '09:15');
+    this.sessionEnd = this.parseTime(options.sessionEnd || '15:30');
+
+    this.candles = new Map(); // symbol -> timeframe -> closed candles
+    this.current = new Map(); // symbol -> timeframe -> forming candle
+    this.cumulativeVolume = new Map(); // symbol -> last vol_traded_today
+
+    this.marketDataService = null;
+    this.tickHandler = (tick) => this.onTick(tick);
+    this.timer = null;
+  }
+
+  parseTime(hhmm) {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Listen to 'tick' events from a MarketDataService
+   */
+  attach(marketDataService) {
+    this.detach();
+    this.marketDataService = marketDataService;
+    marketDataService.on('tick', this.tickHandler);
+    return this;
+  }
+
+  detach() {
+    if (this.marketDataService) {
+      this.marketDataService.removeListener('tick', this.tickHandler);
+      this.marketDataService = null;
+    }
+  }
+
+  /**
+   * Close bars whose period has elapsed even when no further tick arrives
+   */
+  start(interval = 1000) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.closeElapsed(), interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Bar boundaries for a timestamp, or null outside the session
+   * @param {number} timestamp - epoch seconds
+   * @returns {Object|null} { start, end } in epoch seconds
+   */
+  getBucket(timestamp, timeframe) {
+    const time = moment.tz(timestamp * 1000, 'Asia/Kolkata');
+    const dayStart = time.clone().startOf('day').unix();
+    const minuteOfDay = time.hours() * 60 + time.minutes();
+
+    if (minuteOfDay < this.sessionStart || minuteOfDay >= this.sessionEnd) {
+      return null;
+    }
+
+    const offset = Math.floor((minuteOfDay - this.sessionStart) / timeframe) * timeframe;
+    const startMinute = this.sessionStart + offset;
+    const endMinute = Math.min(startMinute + timeframe, this.sessionEnd);
+
+    return {
+      start: dayStart + startMinute * 60,
+      end: dayStart + endMinute * 60
+    };
+  }
+
+  /**
+   * Feed a tick. Uses ltp, the exchange time when present and the
+   * change in vol_traded_today as the traded volume.
+   */
+  onTick(tick) {
+    if (!tick || !tick.symbol || !(tick.ltp > 0)) return;
+
+    const timestamp = this.getTickTime(tick);
+    const volume = this.getTickVolume(tick);
+
+    for (const timeframe of this.timeframes) {
+      const bucket = this.getBucket(timestamp, timeframe);
+      if (!bucket) continue;
+
+      const byTimeframe = this.getMap(this.current, tick.symbol);
+      let candle = byTimeframe.get(timeframe);
+
+      if (candle && bucket.start < candle.timestamp) {
+        continue; // Late tick for a bar that is already closed
+      }
+
+      if (candle && bucket.start > candle.timestamp) {
+        this.closeCandle(tick.symbol, timeframe);
+        candle = null;
+      }
+
+      if (!candle) {
+        byTimeframe.set(timeframe, {
+          timestamp: bucket.start,
+          open: tick.ltp,
+          high: tick.ltp,
+          low: tick.ltp,
+          close: tick.ltp,
+          volume
+        });
+        continue;
+      }
+
+      candle.high = Math.max(candle.high, tick.ltp);
+      candle.low = Math.min(candle.low, tick.ltp);
+      candle.close = tick.ltp;
+      candle.volume += volume;
+    }
+  }
+
+  getTickTime(tick) {
+    const raw = tick.exch_feed_time || tick.last_traded_time || tick.timestamp;
+    if (!raw) return Math.floor(Date.now() / 1000);
+    return raw > 1e12 ? Math.floor(raw / 1000) : raw;
+  }
+
+  getTickVolume(tick) {
+    const cumulative = tick.vol_traded_today !== undefined ? tick.vol_traded_today : tick.volume;
+    if (cumulative === undefined || cumulative === null) return 0;
+
+    const previous = this.cumulativeVolume.get(tick.symbol);
+    this.cumulativeVolume.set(tick.symbol, cumulative);
+
+    // First tick of the session has no reference point
+    if (previous === undefined || cumulative < previous) return 0;
+    return cumulative - previous;
+  }
+
+  /**
+   * Close every forming bar whose end time has passed
+   * @param {number} now - epoch milliseconds
+   */
+  closeElapsed(now = Date.now()) {
+    const nowSeconds = Math.floor(now / 1000);
+
+    for (const [symbol, byTimeframe] of this.current) {
+      for (const [timeframe, candle] of byTimeframe) {
+        const bucket = this.getBucket(candle.timestamp, timeframe);
+        if (bucket && bucket.end <= nowSeconds) {
+          this.closeCandle(symbol, timeframe);
+        }
+      }
+    }
+  }
+
+  closeCandle(symbol, timeframe) {
+    const byTimeframe = this.getMap(this.current, symbol);
+    const candle = byTimeframe.get(timeframe);
+    if (!candle) return;
+
+    byTimeframe.delete(timeframe);
+    this.pushCandle(symbol, timeframe, candle);
+    this.emit('candleClose', { symbol, timeframe, candle });
+  }
+
+  pushCandle(symbol, timeframe, candle) {
+    const byTimeframe = this.getMap(this.candles, symbol);
+    const list = byTimeframe.get(timeframe) || [];
+
+    list.push(candle);
+    if (list.length > this.maxCandles) {
+      list.splice(0, list.length - this.maxCandles);
+    }
+    byTimeframe.set(timeframe, list);
+  }
+
+  /**
+   * Warm up from FYERS history so indicators are ready at the open.
+   * A bar that is still forming becomes the current candle.
+   * @param {Object} fyersService - anything with getHistoricalData(symbol, resolution, days)
+   */
+  async seed(fyersService, symbols, days = config.candles.seedDays) {
+    const nowSeconds = Math.floor(Date.now() / 1000);
+
+    for (const symbol of symbols) {
+      for (const timeframe of this.timeframes) {
+        try {
+          const history = await fyersService.getHistoricalData(symbol, String(timeframe), days);
+          const sorted = [...history].sort((a, b) => a.timestamp - b.timestamp);
+
+          const byTimeframe = this.getMap(this.candles, symbol);
+          const closed = [];
+          for (const candle of sorted) {
+            const bucket = this.getBucket(candle.timestamp, timeframe);
+            if (bucket && bucket.end > nowSeconds) {
+              this.getMap(this.current, symbol).set(timeframe, { ...candle });
+            } else {
+              closed.push({ ...candle });
+            }
+          }
+          byTimeframe.set(timeframe, closed.slice(-this.maxCandles));
+
+          this.emit('seeded', { symbol, timeframe, count: closed.length });
+          logger.debug(`Seeded ${closed.length} ${timeframe}m candles for ${symbol}`);
+        } catch (error) {
+          logger.warn(`Could not seed ${timeframe}m candles for ${symbol}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Closed candles, oldest first
+   */
+  getCandles(symbol, timeframe, limit = null) {
+    const list = this.candles.get(symbol)?.get(timeframe) || [];
+    return limit ? list.slice(-limit) : [...list];
+  }
+
+  getCurrentCandle(symbol, timeframe) {
+    return this.current.get(symbol)?.get(timeframe) || null;
+  }
+
+  getMap(store, symbol) {
+    if (!store.has(symbol)) {
+      store.set(symbol, new Map());
+    }
+    return store.get(symbol);
+  }
+}
+
+CandleAggregator.DEFAULT_TIMEFRAMES = DEFAULT_TIMEFRAMES;
+
+module.exports = CandleAggregator;
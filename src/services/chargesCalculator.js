@@ -0,0 +1,288 @@
+const fs = require('fs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const SEGMENTS = {
+  EQUITY_INTRADAY: 'EQUITY_INTRADAY',
+  EQUITY_DELIVERY: 'EQUITY_DELIVERY',
+  FUTURES: 'FUTURES',
+  OPTIONS: 'OPTIONS',
+  CURRENCY_FUTURES: 'CURRENCY_FUTURES',
+  CURRENCY_OPTIONS: 'CURRENCY_OPTIONS',
+  COMMODITY_FUTURES: 'COMMODITY_FUTURES',
+  COMMODITY_OPTIONS: 'COMMODITY_OPTIONS'
+};
+
+// Equity products carried overnight; everything else is charged as intraday
+const DELIVERY_PRODUCTS = ['CNC', 'MARGIN', 'MTF', 'DELIVERY'];
+const CURRENCY_PATTERN = /^(USDINR|EURINR|GBPINR|JPYINR|EURUSD|GBPUSD|USDJPY)/;
+
+// Rates the TP solver used before rate tables existed (intraday equity)
+const LEGACY_RATES = {
+  brokerageRate: 0.0003,
+  brokerageCap: 20,
+  sttRate: 0.00025,
+  exchRate: 0.0000345,
+  sebiRate: 0.000001,
+  gstRate: 0.18,
+  stampDutyBuyRate: 0.00003
+};
+
+let instance = null;
+
+/**
+ * Charges Calculator
+ * Transaction costs per segment and product from a JSON rate table
+ * (src/config/charges.json): brokerage per executed order (percentage with a
+ * cap, or flat), STT/CTT and stamp duty by side, exchange fees per exchange,
+ * SEBI fees, GST on brokerage + exchange + SEBI fees + DP charges, and DP
+ * charges when delivery holdings are sold. Rates are fractions of turnover
+ * (0.00025 = 0.025%); option turnover is premium x quantity.
+ */
+class ChargesCalculator {
+  constructor(table = null, source = null) {
+    this.source = source;
+    this.table = table || JSON.parse(fs.readFileSync(config.charges.file, 'utf8'));
+    this.validate();
+  }
+
+  /**
+   * Shared calculator loaded from CHARGES_FILE
+   */
+  static getInstance() {
+    if (!instance) {
+      instance = ChargesCalculator.load(config.charges.file);
+    }
+    return instance;
+  }
+
+  static load(file) {
+    try {
+      return new ChargesCalculator(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+    } catch (error) {
+      logger.error(`Charges table load error (${file}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculator for the old flat-rate parameters (brokerageRate, sttRate,
+   * exchRate, ...), applied to every segment
+   */
+  static fromLegacyRates(rates = {}) {
+    const r = { ...LEGACY_RATES, ...rates };
+    const segment = {
+      brokerage: { rate: r.brokerageRate, cap: r.brokerageCap },
+      stt: { sell: r.sttRate },
+      exchange: { default: r.exchRate },
+      stampDuty: { buy: r.stampDutyBuyRate }
+    };
+
+    return new ChargesCalculator({
+      broker: 'custom',
+      gstRate: r.gstRate,
+      sebiRate: r.sebiRate,
+      segments: Object.keys(SEGMENTS).reduce((segments, name) => ({ ...segments, [name]: segment }), {})
+    });
+  }
+
+  static isLegacyRates(rates) {
+    return !!rates && Object.keys(rates).some(key => key in LEGACY_RATES);
+  }
+
+  validate() {
+    const fail = (message) => {
+      throw new Error(`Invalid charges table${this.source ? ` (${this.source})` : ''}: ${message}`);
+    };
+
+    if (!this.table || typeof this.table.segments !== 'object') fail('missing segments');
+    if (typeof this.table.gstRate !== 'number') fail('gstRate must be a number');
+
+    Object.entries(this.table.segments).forEach(([name, rates]) => {
+      const brokerage = rates.brokerage || {};
+      if (brokerage.flat === undefined && typeof brokerage.rate !== 'number') {
+        fail(`${name}.brokerage needs a rate or a flat amount`);
+      }
+      if (!rates.exchange || Object.keys(rates.exchange).length === 0) {
+        fail(`${name}.exchange needs a fee per exchange`);
+      }
+    });
+  }
+
+  /**
+   * Rate-table segment for a trade: explicit segment, else derived from the
+   * symbol (FUT/CE/PE suffix, MCX, currency pairs) and the product
+   */
+  static resolveSegment({ symbol = null, segment = null, product = 'INTRADAY' } = {}) {
+    if (segment && SEGMENTS[segment]) return segment;
+
+    const equity = DELIVERY_PRODUCTS.includes(String(product).toUpperCase())
+      ? SEGMENTS.EQUITY_DELIVERY
+      : SEGMENTS.EQUITY_INTRADAY;
+    if (segment === 'EQUITY' || !symbol) return equity;
+
+    const [exchange, ticker = ''] = String(symbol).toUpperCase().split(':');
+    const isFuture = /FUT$/.test(ticker);
+    const isOption = /\d(CE|PE)$/.test(ticker);
+    if (!isFuture && !isOption) return equity;
+
+    if (exchange === 'MCX') return isFuture ? SEGMENTS.COMMODITY_FUTURES : SEGMENTS.COMMODITY_OPTIONS;
+    if (CURRENCY_PATTERN.test(ticker)) return isFuture ? SEGMENTS.CURRENCY_FUTURES : SEGMENTS.CURRENCY_OPTIONS;
+    return isFuture ? SEGMENTS.FUTURES : SEGMENTS.OPTIONS;
+  }
+
+  getRates(segment) {
+    const rates = this.table.segments[segment];
+    if (!rates) {
+      throw new Error(`No charges defined for segment ${segment}`);
+    }
+    return rates;
+  }
+
+  static brokerageFor(brokerage, turnover) {
+    if (turnover <= 0) return 0;
+    if (brokerage.flat !== undefined) return brokerage.flat;
+    const amount = turnover * brokerage.rate;
+    return brokerage.cap !== undefined && brokerage.cap !== null ? Math.min(amount, brokerage.cap) : amount;
+  }
+
+  static exchangeRate(rates, exchange, segment) {
+    if (rates.exchange[exchange] !== undefined) return rates.exchange[exchange];
+    if (rates.exchange.default !== undefined) return rates.exchange.default;
+    throw new Error(`No exchange fee for ${exchange} in segment ${segment}`);
+  }
+
+  /**
+   * Charges of one executed order, before GST
+   * @param {string} side - 'BUY' or 'SELL'
+   * @param {number} orders - executed orders the turnover was split across (brokerage is per order)
+   */
+  leg({ segment, exchange = 'NSE', side, turnover, orders = 1 }) {
+    const rates = this.getRates(segment);
+    const key = String(side).toUpperCase() === 'SELL' ? 'sell' : 'buy';
+    const sideRate = (table) => (table && table[key]) || 0;
+    const sebiRate = rates.sebiRate !== undefined ? rates.sebiRate : (this.table.sebiRate || 0);
+    const count = Math.max(1, orders);
+
+    return {
+      brokerage: ChargesCalculator.brokerageFor(rates.brokerage, turnover / count) * count,
+      stt: sideRate(rates.stt) * turnover,
+      ctt: sideRate(rates.ctt) * turnover,
+      exchangeFee: ChargesCalculator.exchangeRate(rates, exchange, segment) * turnover,
+      sebiFee: sebiRate * turnover,
+      stampDuty: sideRate(rates.stampDuty) * turnover,
+      dp: key === 'sell' && turnover > 0 ? (rates.dpCharge || 0) : 0
+    };
+  }
+
+  /**
+   * Round-trip charges for a buy leg and a sell leg (either may come first)
+   * @param {Object} trade
+   * @param {string} trade.symbol - used for the segment and exchange when not given
+   * @param {string} trade.segment - rate-table segment or 'EQUITY'
+   * @param {string} trade.product - INTRADAY, CNC, MARGIN, ...
+   * @param {number} trade.quantity, trade.buyPrice, trade.sellPrice - or buyTurnover/sellTurnover
+   * @returns {Object} brokerage, stt, ctt, exchangeFee, sebiFee, stampDuty, dp, gst, total
+   */
+  calculate(trade) {
+    const segment = ChargesCalculator.resolveSegment(trade);
+    const exchange = trade.exchange ||
+      (trade.symbol && String(trade.symbol).includes(':') ? String(trade.symbol).split(':')[0].toUpperCase() : null) ||
+      (segment.startsWith('COMMODITY') ? 'MCX' : 'NSE');
+
+    const buyTurnover = trade.buyTurnover !== undefined ? trade.buyTurnover : trade.quantity * trade.buyPrice;
+    const sellTurnover = trade.sellTurnover !== undefined ? trade.sellTurnover : trade.quantity * trade.sellPrice;
+
+    const buy = this.leg({ segment, exchange, side: 'BUY', turnover: buyTurnover || 0, orders: trade.buyOrders });
+    const sell = this.leg({ segment, exchange, side: 'SELL', turnover: sellTurnover || 0, orders: trade.sellOrders });
+
+    const charges = {};
+    Object.keys(buy).forEach(key => { charges[key] = buy[key] + sell[key]; });
+    charges.gst = this.table.gstRate * (charges.brokerage + charges.exchangeFee + charges.sebiFee + charges.dp);
+    charges.total = Object.values(charges).reduce((sum, value) => sum + value, 0);
+
+    return { segment, exchange, turnover: (buyTurnover || 0) + (sellTurnover || 0), ...charges };
+  }
+
+  /**
+   * Net P&L of a round trip after charges
+   * @param {string} trade.side - 'BUY' (long: buy at entry) or 'SELL' (short: sell at entry)
+   * @returns {Object} gross, charges (breakdown from calculate), net
+   */
+  netPnL({ side = 'BUY', entryPrice, exitPrice, quantity, ...trade }) {
+    const isShort = String(side).toUpperCase() === 'SELL';
+    const buyPrice = isShort ? exitPrice : entryPrice;
+    const sellPrice = isShort ? entryPrice : exitPrice;
+    const charges = this.calculate({ ...trade, quantity, buyPrice, sellPrice });
+    const gross = (sellPrice - buyPrice) * quantity;
+
+    return { gross, charges, net: gross - charges.total };
+  }
+
+  /**
+   * Exit price at which the round trip nets targetNet after charges
+   * (0 for breakeven, negative for a loss). Null when no price reaches it,
+   * e.g. a short target above entry value minus charges.
+   */
+  exitPriceForNet({ side = 'BUY', entryPrice, quantity, targetNet = 0, ...trade }) {
+    const isShort = String(side).toUpperCase() === 'SELL';
+    const netAt = (exitPrice) => this.netPnL({ ...trade, side, entryPrice, exitPrice, quantity }).net;
+    // Longs gain as the exit rises, shorts as it falls
+    const reaches = (exitPrice) => (isShort ? netAt(exitPrice) <= targetNet : netAt(exitPrice) >= targetNet);
+
+    let lo = 0;
+    let hi = entryPrice;
+    if (isShort) {
+      if (netAt(0) < targetNet) return null;
+    } else {
+      if (netAt(0) > targetNet) return 0;
+    }
+    while (!reaches(hi)) {
+      if (hi > entryPrice * 1e6) return null;
+      lo = hi;
+      hi *= 2;
+    }
+    // Long: net(lo) < target <= net(hi); short: net(lo) > target >= net(hi)
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (reaches(mid)) hi = mid;
+      else lo = mid;
+    }
+    return hi;
+  }
+
+  /**
+   * Largest quantity (whole lots) whose loss at the stop plus round-trip
+   * charges stays within riskAmount. Long when stop < entry, short otherwise.
+   */
+  sizeForRisk({ riskAmount, entryPrice, stopPrice, lotSize = 1, maxQuantity = Infinity, ...trade }) {
+    const riskPerUnit = Math.abs(entryPrice - stopPrice);
+    if (!(riskAmount > 0) || !(riskPerUnit > 0)) return 0;
+
+    const isLong = stopPrice < entryPrice;
+    const lossAt = (quantity) => {
+      const charges = this.calculate({
+        ...trade,
+        quantity,
+        buyPrice: isLong ? entryPrice : stopPrice,
+        sellPrice: isLong ? stopPrice : entryPrice
+      });
+      return riskPerUnit * quantity + charges.total;
+    };
+
+    // Charges only add to the loss, so the price risk alone bounds the search
+    let lo = 0;
+    let hi = Math.floor(Math.min(riskAmount / riskPerUnit, maxQuantity) / lotSize);
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (lossAt(mid * lotSize) <= riskAmount) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo * lotSize;
+  }
+}
+
+ChargesCalculator.SEGMENTS = SEGMENTS;
+ChargesCalculator.LEGACY_RATES = LEGACY_RATES;
+
+module.exports = ChargesCalculator;
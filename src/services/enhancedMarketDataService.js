@@ -1,38 +1,474 @@
+const moment = require('moment-timezone');
+const MarketDataService = require('./marketDataService');
+const CandleAggregator = require('./candleAggregator');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Enhanced Market Data Service
+ * Keeps rolling RSI, MACD, ATR, Bollinger Band and VWAP state per symbol on
+ * bars built from its own ticks. State is committed when a bar closes; every
+ * tick re-evaluates it with the forming bar, so readings are live without
+ * recomputing the history. Swing highs/lows of the session's bars are
+ * clustered into intraday support/resistance levels.
+ *
+ * Events: trendingOpportunity { symbol, direction, price, signals, indicators, levels, timestamp }
+ */
 class EnhancedMarketDataService extends MarketDataService {
-  constructor() {
-    super();
-    this.technicalIndicators = new Map();
-    this.volumeProfiles = new Map();
+  /**
+   * @param {Object} options - MarketDataService options plus indicator periods and thresholds
+   */
+  constructor(options = {}) {
+    super(options);
+    const settings = config.trendingMonitor;
+
+    this.timeframe = options.timeframe || settings.timeframe;
+    this.rsiPeriod = options.rsiPeriod || 14;
+    this.rsiUpper = options.rsiUpper || 60;
+    this.rsiLower = options.rsiLower || 40;
+    this.macdPeriods = options.macdPeriods || { fast: 12, slow: 26, signal: 9 };
+    this.atrPeriod = options.atrPeriod || 14;
+    this.bbPeriod = options.bbPeriod || 20;
+    this.bbStdDev = options.bbStdDev || 2;
+    this.volumePeriod = options.volumePeriod || 20;
+    this.volumeSpikeRatio = options.volumeSpikeRatio || settings.volumeSpikeRatio;
+    this.bbExpansionRatio = options.bbExpansionRatio || 1.2;
+    this.rangeExpansionRatio = options.rangeExpansionRatio || 1.5;
+    this.pivotBars = options.pivotBars || 2;
+    this.breakBufferAtr = options.breakBufferAtr !== undefined ? options.breakBufferAtr : 0.1;
+    this.minSignals = options.minSignals || settings.minSignals;
+    this.cooldownMinutes = options.cooldownMinutes !== undefined ? options.cooldownMinutes : settings.cooldownMinutes;
+
+    this.technicalIndicators = new Map(); // symbol -> state as of the last closed bar
+    this.liveIndicators = new Map(); // symbol -> state including the forming bar
+    this.lastOpportunity = new Map(); // symbol -> { time, direction }
+
+    this.candleAggregator = new CandleAggregator({ timeframes: [this.timeframe] }).attach(this);
+    this.candleAggregator.on('candleClose', ({ symbol, timeframe, candle }) => {
+      if (timeframe === this.timeframe) this.updateTechnicalIndicators(symbol, candle);
+    });
+
+    // After the aggregator's listener, so the forming bar already has this tick
+    this.on('tick', (tick) => {
+      try {
+        this.processTickForTrending(tick);
+      } catch (error) {
+        logger.error(`Trending evaluation failed for ${tick.symbol}: ${error.message}`);
+      }
+    });
+  }
+
+  connect() {
+    super.connect();
+    this.candleAggregator.start();
+  }
+
+  disconnect() {
+    this.candleAggregator.stop();
+    super.disconnect();
+  }
+
+  /**
+   * Warm the indicators up from history so signals are ready at the open
+   * @param {Object} fyersService - anything with getHistoricalData(symbol, resolution, days)
+   */
+  async seed(fyersService, symbols, days = config.candles.seedDays) {
+    await this.candleAggregator.seed(fyersService, symbols, days);
+
+    for (const symbol of symbols) {
+      this.technicalIndicators.delete(symbol);
+      this.liveIndicators.delete(symbol);
+      for (const candle of this.candleAggregator.getCandles(symbol, this.timeframe)) {
+        this.updateTechnicalIndicators(symbol, candle);
+      }
+    }
   }
 
+  createIndicatorState() {
+    return {
+      bars: 0,
+      close: null,
+      rsi: { count: 0, avgGain: 0, avgLoss: 0, value: null },
+      macd: { fast: null, slow: null, signal: null, value: null, histogram: null },
+      atr: { count: 0, average: 0, value: null },
+      closes: [],
+      bollinger: null,
+      widths: [],
+      volumes: [],
+      vwap: { day: null, pv: 0, volume: 0, value: null },
+      day: null,
+      dayBars: [],
+      levels: []
+    };
+  }
+
+  /**
+   * Indicator state after one more bar; does not modify `state`
+   */
+  nextIndicatorState(state, candle) {
+    const { close, high, low } = candle;
+    const previousClose = state.close;
+
+    // RSI: running mean of gains/losses for the first period, then Wilder smoothing
+    const rsi = { ...state.rsi };
+    if (previousClose !== null) {
+      const change = close - previousClose;
+      rsi.count++;
+      const weight = Math.min(rsi.count, this.rsiPeriod);
+      rsi.avgGain = (rsi.avgGain * (weight - 1) + Math.max(change, 0)) / weight;
+      rsi.avgLoss = (rsi.avgLoss * (weight - 1) + Math.max(-change, 0)) / weight;
+      if (rsi.count >= this.rsiPeriod) {
+        rsi.value = rsi.avgLoss === 0 ? 100 : 100 - 100 / (1 + rsi.avgGain / rsi.avgLoss);
+      }
+    }
+
+    // MACD: EMAs seeded with the first value, like TechnicalIndicators.calculateEMA
+    const ema = (previous, value, period) => (previous === null ? value : previous + (value - previous) * 2 / (period + 1));
+    const bars = state.bars + 1;
+    const fast = ema(state.macd.fast, close, this.macdPeriods.fast);
+    const slow = ema(state.macd.slow, close, this.macdPeriods.slow);
+    const signal = ema(state.macd.signal, fast - slow, this.macdPeriods.signal);
+    const ready = bars >= this.macdPeriods.slow;
+    const macd = {
+      fast,
+      slow,
+      signal,
+      value: ready ? fast - slow : null,
+      histogram: ready ? fast - slow - signal : null
+    };
+
+    // ATR: Wilder smoothing of the true range
+    const trueRange = previousClose === null
+      ? high - low
+      : Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+    const atr = { ...state.atr, count: state.atr.count + 1 };
+    const atrWeight = Math.min(atr.count, this.atrPeriod);
+    atr.average = (atr.average * (atrWeight - 1) + trueRange) / atrWeight;
+    atr.value = atr.count >= this.atrPeriod ? atr.average : null;
+
+    // Bollinger Bands (population standard deviation, as in TechnicalIndicators)
+    const closes = [...state.closes, close].slice(-this.bbPeriod);
+    let bollinger = null;
+    let widths = state.widths;
+    if (closes.length === this.bbPeriod) {
+      const middle = closes.reduce((sum, c) => sum + c, 0) / closes.length;
+      const deviation = Math.sqrt(closes.reduce((sum, c) => sum + (c - middle) ** 2, 0) / closes.length);
+      bollinger = {
+        upper: middle + this.bbStdDev * deviation,
+        middle,
+        lower: middle - this.bbStdDev * deviation,
+        width: (2 * this.bbStdDev * deviation) / middle
+      };
+      widths = [...state.widths, bollinger.width].slice(-this.bbPeriod);
+    }
+
+    // Session VWAP from bar typical prices
+    const day = moment.tz(candle.timestamp * 1000, 'Asia/Kolkata').format('YYYY-MM-DD');
+    const vwap = state.vwap.day === day ? { ...state.vwap } : { day, pv: 0, volume: 0, value: null };
+    const volume = candle.volume || 0;
+    vwap.pv += ((high + low + close) / 3) * volume;
+    vwap.volume += volume;
+    vwap.value = vwap.volume > 0 ? vwap.pv / vwap.volume : (high + low + close) / 3;
+
+    return {
+      ...state,
+      bars,
+      close,
+      rsi,
+      macd,
+      atr,
+      closes,
+      bollinger,
+      widths,
+      volumes: [...state.volumes, volume].slice(-this.volumePeriod),
+      vwap
+    };
+  }
+
+  /**
+   * Commit a closed bar and refresh the session's support/resistance levels
+   */
+  updateTechnicalIndicators(symbol, candle) {
+    const state = this.nextIndicatorState(this.getIndicatorState(symbol), candle);
+
+    if (state.day !== state.vwap.day) {
+      state.day = state.vwap.day;
+      state.dayBars = [];
+    }
+    state.dayBars = [...state.dayBars, candle];
+    state.levels = this.findSupportResistance(state.dayBars, state.atr.value);
+
+    this.technicalIndicators.set(symbol, state);
+    this.liveIndicators.set(symbol, state);
+    return state;
+  }
+
+  getIndicatorState(symbol) {
+    return this.technicalIndicators.get(symbol) || this.createIndicatorState();
+  }
+
+  /**
+   * Swing highs/lows (pivotBars higher/lower bars on each side), merged when
+   * within a quarter ATR (0.1% of price before ATR is ready)
+   * @returns {Array} levels { price, touches, kind: 'RESISTANCE'|'SUPPORT' }, by price
+   */
+  findSupportResistance(bars, atr = null) {
+    const n = this.pivotBars;
+    const pivots = [];
+
+    for (let i = n; i < bars.length - n; i++) {
+      const neighbours = [...bars.slice(i - n, i), ...bars.slice(i + 1, i + n + 1)];
+      if (neighbours.every(bar => bar.high < bars[i].high)) {
+        pivots.push({ price: bars[i].high, kind: 'RESISTANCE' });
+      }
+      if (neighbours.every(bar => bar.low > bars[i].low)) {
+        pivots.push({ price: bars[i].low, kind: 'SUPPORT' });
+      }
+    }
+    if (pivots.length === 0) return [];
+
+    const lastClose = bars[bars.length - 1].close;
+    const tolerance = atr ? atr * 0.25 : lastClose * 0.001;
+    const levels = [];
+
+    for (const pivot of pivots.sort((a, b) => a.price - b.price)) {
+      const level = levels[levels.length - 1];
+      if (level && pivot.price - level.prices[level.prices.length - 1] <= tolerance) {
+        level.prices.push(pivot.price);
+        level.kinds.add(pivot.kind);
+      } else {
+        levels.push({ prices: [pivot.price], kinds: new Set([pivot.kind]) });
+      }
+    }
+
+    return levels.map(({ prices, kinds }) => ({
+      price: prices.reduce((sum, p) => sum + p, 0) / prices.length,
+      touches: prices.length,
+      kind: kinds.size > 1 ? 'SUPPORT_RESISTANCE' : [...kinds][0]
+    }));
+  }
+
+  /**
+   * Score a tick against the committed and live indicator state and emit
+   * trendingOpportunity when enough signals agree
+   * @returns {Object|null} the opportunity, if one was emitted
+   */
   processTickForTrending(tickData) {
-    this.updateTechnicalIndicators(tickData);
-    this.updateVolumeProfile(tickData);
-    
+    if (!tickData || !tickData.symbol || !(tickData.ltp > 0)) return null;
+
+    const { symbol } = tickData;
+    const candle = this.candleAggregator.getCurrentCandle(symbol, this.timeframe);
+    if (!candle) return null; // Outside the session
+
+    const committed = this.getIndicatorState(symbol);
+    const live = this.nextIndicatorState(committed, candle);
+    this.liveIndicators.set(symbol, live);
+
     const trendingSignals = {
-      momentumBreakout: this.detectMomentumBreakout(tickData),
-      volumeSpike: this.detectVolumeSpike(tickData),
-      volatilityExpansion: this.detectVolatilityExpansion(tickData),
-      supportResistanceBreak: this.detectSRBreak(tickData)
+      momentumBreakout: this.detectMomentumBreakout(committed, live),
+      volumeSpike: this.detectVolumeSpike(committed, candle),
+      volatilityExpansion: this.detectVolatilityExpansion(committed, live, candle),
+      supportResistanceBreak: this.detectSRBreak(committed, tickData.ltp)
     };
 
-    if (this.isSignificantTrendingSignal(trendingSignals)) {
-      this.emit('trendingOpportunity', {
-        symbol: tickData.symbol,
-        signals: trendingSignals,
-        timestamp: new Date()
-      });
+    if (!this.isSignificantTrendingSignal(trendingSignals)) return null;
+
+    const direction = this.getSignalDirection(trendingSignals);
+    const time = this.candleAggregator.getTickTime(tickData);
+    const last = this.lastOpportunity.get(symbol);
+    if (last && last.direction === direction && time - last.time < this.cooldownMinutes * 60) {
+      return null;
     }
+    this.lastOpportunity.set(symbol, { time, direction });
+
+    const opportunity = {
+      symbol,
+      direction,
+      price: tickData.ltp,
+      signals: trendingSignals,
+      indicators: this.getIndicators(symbol, tickData),
+      levels: this.getSupportResistance(symbol, tickData.ltp),
+      timestamp: new Date(time * 1000)
+    };
+    logger.info(`Trending opportunity: ${symbol} ${direction} @ ${tickData.ltp}`);
+    this.emit('trendingOpportunity', opportunity);
+    return opportunity;
   }
 
-  detectMomentumBreakout(tickData) {
-    const rsi = this.getRSI(tickData.symbol);
-    const macd = this.getMACD(tickData.symbol);
-    
+  /**
+   * RSI outside its band with the MACD histogram on the same side
+   */
+  detectMomentumBreakout(committed, live) {
+    const rsi = live.rsi.value;
+    const { value: macd, signal, histogram } = live.macd;
+    if (rsi === null || histogram === null) {
+      return { triggered: false, direction: null, rsi, macd, signal, histogram };
+    }
+
+    const previous = committed.macd.histogram;
+    let cross = null;
+    if (previous !== null && previous <= 0 && histogram > 0) cross = 'BUY';
+    if (previous !== null && previous >= 0 && histogram < 0) cross = 'SELL';
+
+    let direction = null;
+    if (rsi > this.rsiUpper && histogram > 0) direction = 'BULLISH';
+    if (rsi < this.rsiLower && histogram < 0) direction = 'BEARISH';
+
     return {
-      rsiBreakout: rsi > 60 || rsi < 40,
-      macdCross: macd.signal === 'BUY' || macd.signal === 'SELL',
+      triggered: direction !== null,
+      direction,
+      rsi,
+      macd,
+      signal,
+      histogram,
+      cross,
       strength: Math.abs(rsi - 50) / 50
     };
   }
-}
\ No newline at end of file
+
+  /**
+   * Volume of the forming bar against the average of the last closed bars
+   */
+  detectVolumeSpike(committed, candle) {
+    const volumes = committed.volumes;
+    const averageVolume = volumes.length >= 5 ? volumes.reduce((sum, v) => sum + v, 0) / volumes.length : null;
+    const ratio = averageVolume ? candle.volume / averageVolume : null;
+
+    return {
+      triggered: ratio !== null && ratio >= this.volumeSpikeRatio,
+      direction: null,
+      volume: candle.volume,
+      averageVolume,
+      ratio
+    };
+  }
+
+  /**
+   * Bollinger width above its recent average, or a bar range of several ATRs
+   */
+  detectVolatilityExpansion(committed, live, candle) {
+    const bbWidth = live.bollinger ? live.bollinger.width : null;
+    const averageBBWidth = committed.widths.length > 0
+      ? committed.widths.reduce((sum, w) => sum + w, 0) / committed.widths.length
+      : null;
+    const widthRatio = bbWidth !== null && averageBBWidth ? bbWidth / averageBBWidth : null;
+
+    const atr = committed.atr.value;
+    const barRange = candle.high - candle.low;
+    const rangeAtr = atr ? barRange / atr : null;
+
+    return {
+      triggered: (widthRatio !== null && widthRatio >= this.bbExpansionRatio) ||
+        (rangeAtr !== null && rangeAtr >= this.rangeExpansionRatio),
+      direction: null,
+      bbWidth,
+      averageBBWidth,
+      widthRatio,
+      barRange,
+      atr,
+      rangeAtr
+    };
+  }
+
+  /**
+   * Price through a level the last closed bar was on the other side of,
+   * by at least breakBufferAtr x ATR
+   */
+  detectSRBreak(committed, price) {
+    const previousClose = committed.close;
+    const none = { triggered: false, direction: null, price, previousClose, level: null };
+    if (previousClose === null || committed.levels.length === 0) return none;
+
+    const atr = committed.atr.value;
+    const buffer = atr ? atr * this.breakBufferAtr : 0;
+
+    const above = committed.levels.filter(l => l.price >= previousClose && price >= l.price + buffer);
+    const below = committed.levels.filter(l => l.price <= previousClose && price <= l.price - buffer);
+    const level = above.length > 0 ? above[above.length - 1] : below[0];
+    if (!level) return none;
+
+    const distance = price - level.price;
+    return {
+      triggered: true,
+      direction: distance > 0 ? 'BULLISH' : 'BEARISH',
+      price,
+      previousClose,
+      level: level.price,
+      levelKind: level.kind,
+      touches: level.touches,
+      distance,
+      distanceAtr: atr ? distance / atr : null
+    };
+  }
+
+  /**
+   * At least minSignals triggered, pointing the same way
+   */
+  isSignificantTrendingSignal(signals) {
+    const triggered = Object.values(signals).filter(s => s.triggered);
+    return triggered.length >= this.minSignals && this.getSignalDirection(signals) !== null;
+  }
+
+  /**
+   * Direction shared by the triggered directional signals, or null if none or mixed
+   */
+  getSignalDirection(signals) {
+    const directions = new Set(Object.values(signals).filter(s => s.triggered && s.direction).map(s => s.direction));
+    return directions.size === 1 ? [...directions][0] : null;
+  }
+
+  /**
+   * Latest readings, including the forming bar. VWAP comes from the tick's
+   * average traded price when the feed has it.
+   */
+  getIndicators(symbol, tick = null) {
+    const state = this.liveIndicators.get(symbol) || this.getIndicatorState(symbol);
+    const vwap = tick && tick.avg_trade_price > 0 ? tick.avg_trade_price : state.vwap.value;
+
+    return {
+      timeframe: this.timeframe,
+      bars: state.bars,
+      rsi: state.rsi.value,
+      macd: { macd: state.macd.value, signal: state.macd.signal, histogram: state.macd.histogram },
+      atr: state.atr.value,
+      bollinger: state.bollinger,
+      vwap
+    };
+  }
+
+  getRSI(symbol) {
+    return this.getIndicators(symbol).rsi;
+  }
+
+  getMACD(symbol) {
+    return this.getIndicators(symbol).macd;
+  }
+
+  getATR(symbol) {
+    return this.getIndicators(symbol).atr;
+  }
+
+  getBollingerBands(symbol) {
+    return this.getIndicators(symbol).bollinger;
+  }
+
+  getVWAP(symbol) {
+    return this.getIndicators(symbol).vwap;
+  }
+
+  /**
+   * Session levels split around a price, nearest first
+   */
+  getSupportResistance(symbol, price = null) {
+    const state = this.getIndicatorState(symbol);
+    const reference = price || state.close;
+    if (reference === null) return { support: [], resistance: [] };
+
+    return {
+      support: state.levels.filter(l => l.price < reference).reverse(),
+      resistance: state.levels.filter(l => l.price >= reference)
+    };
+  }
+}
+
+module.exports = EnhancedMarketDataService;
@@ -1,9 +1,24 @@
 const { fyersModel } = require("fyers-api-v3");
+const { Config: fyersEndpoints } = require("fyers-api-v3/config/config");
+const TokenManager = require('./tokenManager');
+const RequestScheduler = require('./requestScheduler');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 
 class FyersService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - send REST calls to another host, e.g. the
+   *   local mock server (defaults to FYERS_BASE_URL)
+   * @param {RequestScheduler} options.scheduler - rate limiter shared by all
+   *   FyersService instances unless one is given
+   */
+  constructor(options = {}) {
+    const baseUrl = options.baseUrl || config.fyers.baseUrl;
+    if (baseUrl) {
+      FyersService.setBaseUrl(baseUrl);
+    }
+
     this.fyers = new fyersModel({
       path: "./logs",
       enableLogging: true
@@ -11,15 +26,47 @@ class FyersService {
     
     this.fyers.setAppId(config.fyers.appId);
     this.fyers.setRedirectUrl(config.fyers.redirectUrl);
-    
-    if (config.fyers.accessToken) {
-      this.fyers.setAccessToken(config.fyers.accessToken);
+
+    // Token comes from the token store (or .env) and is swapped in on login
+    this.tokenManager = options.tokenManager || TokenManager.getInstance();
+    this.tokenManager.register(this);
+
+    this.scheduler = options.scheduler || RequestScheduler.getInstance();
+  }
+
+  /**
+   * Run an SDK call through the shared rate limiter
+   * @param {Object} options - { retry: false } for calls that must not be repeated
+   */
+  request(fn, options = {}) {
+    return this.scheduler.schedule(fn, options);
+  }
+
+  applyAccessToken(accessToken) {
+    if (accessToken) {
+      this.fyers.setAccessToken(accessToken);
     }
   }
 
-  async generateAuthUrl() {
+  /**
+   * Point the SDK's REST endpoints at another host. The SDK keeps its URLs in a
+   * shared module, so this applies to every fyersModel in the process.
+   */
+  static setBaseUrl(baseUrl) {
+    const base = baseUrl.replace(/\/+$/, '');
+    fyersEndpoints.API = `${base}/api/v2`;
+    fyersEndpoints.SYNC_API = `${base}/api/v3`;
+    fyersEndpoints.data_Api = `${base}/data-rest/v2`;
+    fyersEndpoints.data_Api1 = `${base}/data`;
+    logger.info(`FYERS REST base URL set to ${base}`);
+  }
+
+  /**
+   * @param {string} state - echoed back on the redirect so the callback can be verified
+   */
+  async generateAuthUrl(state = null) {
     try {
-      const authUrl = this.fyers.generateAuthCode();
+      const authUrl = this.fyers.generateAuthCode(state ? { state } : undefined);
       logger.info('Generated authorization URL');
       return authUrl;
     } catch (error) {
@@ -37,7 +84,7 @@ class FyersService {
       });
       
       if (response.s === 'ok') {
-        this.fyers.setAccessToken(response.access_token);
+        this.tokenManager.setAccessToken(response.access_token);
         logger.info('Access token generated successfully');
         return response.access_token;
       } else {
@@ -51,7 +98,7 @@ class FyersService {
 
   async getProfile() {
     try {
-      const response = await this.fyers.get_profile();
+      const response = await this.request(() => this.fyers.get_profile());
       if (response.s === 'ok') {
         logger.info('Profile fetched successfully');
         return response;
@@ -66,7 +113,7 @@ class FyersService {
 
   async getFunds() {
     try {
-      const response = await this.fyers.get_funds();
+      const response = await this.request(() => this.fyers.get_funds());
       if (response.s === 'ok') {
         logger.info('Funds fetched successfully');
         logger.debug('Funds response:', JSON.stringify(response, null, 2));
@@ -112,7 +159,7 @@ class FyersService {
   async getQuotes(symbols) {
     try {
       const symbolArray = Array.isArray(symbols) ? symbols : [symbols];
-      const response = await this.fyers.getQuotes(symbolArray);
+      const response = await this.request(() => this.fyers.getQuotes(symbolArray));
 
       if (response.s === 'ok') {
         logger.debug(`Quotes fetched for ${symbolArray.length} symbols`);
@@ -156,10 +203,10 @@ class FyersService {
   async getMarketDepth(symbols) {
     try {
       const symbolArray = Array.isArray(symbols) ? symbols : [symbols];
-      const response = await this.fyers.getMarketDepth({
+      const response = await this.request(() => this.fyers.getMarketDepth({
         symbol: symbolArray,
         ohlcv_flag: 1
-      });
+      }));
       
       if (response.s === 'ok') {
         logger.debug(`Market depth fetched for ${symbolArray.length} symbols`);
@@ -184,33 +231,45 @@ class FyersService {
         return date.toISOString().split('T')[0]; // YYYY-MM-DD format
       };
 
-      const response = await this.fyers.getHistory({
+      const response = await this.request(() => this.fyers.getHistory({
         symbol: symbol,
         resolution: resolution,
         date_format: 1,
         range_from: formatDate(fromDate),
         range_to: formatDate(toDate),
         cont_flag: 1
-      });
+      }));
 
       if (response.s === 'ok') {
         logger.debug(`Historical data fetched for ${symbol}`);
+        return FyersService.toCandles(response.candles);
+      } else {
+        throw new Error(`Historical data fetch failed: ${response.message}`);
+      }
+    } catch (error) {
+      logger.error(`Historical data fetch error: ${error.message}`);
+      throw error;
+    }
+  }
 
-        // Transform candle data to a more usable format
-        if (response.candles && Array.isArray(response.candles)) {
-          const transformedData = response.candles.map(candle => ({
-            timestamp: candle[0],
-            open: candle[1],
-            high: candle[2],
-            low: candle[3],
-            close: candle[4],
-            volume: candle[5] || 0
-          }));
-
-          return transformedData;
-        }
+  /**
+   * Get candles between two epoch timestamps (seconds) in a single request.
+   * FYERS caps the range per request; use HistoricalDataStore for longer ranges.
+   */
+  async getHistoryRange(symbol, resolution, from, to) {
+    try {
+      const response = await this.request(() => this.fyers.getHistory({
+        symbol: symbol,
+        resolution: resolution,
+        date_format: 0,
+        range_from: String(from),
+        range_to: String(to),
+        cont_flag: 1
+      }));
 
-        return [];
+      if (response.s === 'ok' || response.s === 'no_data') {
+        logger.debug(`Historical data fetched for ${symbol} (${resolution}, ${from}-${to})`);
+        return FyersService.toCandles(response.candles);
       } else {
         throw new Error(`Historical data fetch failed: ${response.message}`);
       }
@@ -219,6 +278,22 @@ class FyersService {
       throw error;
     }
   }
+
+  /**
+   * Transform FYERS [timestamp, open, high, low, close, volume] rows
+   */
+  static toCandles(candles) {
+    if (!Array.isArray(candles)) return [];
+
+    return candles.map(candle => ({
+      timestamp: candle[0],
+      open: candle[1],
+      high: candle[2],
+      low: candle[3],
+      close: candle[4],
+      volume: candle[5] || 0
+    }));
+  }
 }
 
 module.exports = FyersService;
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const DAY = 86400;
+
+// Longest range FYERS serves in one history request, in days
+const MAX_DAYS_PER_REQUEST = {
+  seconds: 30,
+  minutes: 100,
+  days: 366
+};
+
+/**
+ * Historical Data Store
+ * Candle history with a local cache per symbol and resolution. Ranges longer
+ * than FYERS allows in one request are split into chunks, and the chunks are
+ * merged and de-duplicated by timestamp. A cached series is only extended:
+ * later calls fetch the missing head and the tail from the last cached candle
+ * (which may have been incomplete) onwards.
+ *
+ * Cache files: <cacheDir>/<resolution>/<EXCHANGE>_<SYMBOL>.json
+ */
+class HistoricalDataStore {
+  constructor(fyersService, options = {}) {
+    this.fyersService = fyersService;
+    this.cacheDir = options.cacheDir || config.history.cacheDir;
+  }
+
+  /**
+   * Epoch seconds from epoch seconds/milliseconds, a Date, a moment, or a
+   * date string (IST). A bare YYYY-MM-DD is the start of that day, or its
+   * end when endOfDay is set.
+   */
+  static parseTime(value, endOfDay = false) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (typeof value === 'string' && /^\d+$/.test(value)) {
+      value = Number(value);
+    }
+
+    if (typeof value === 'number') {
+      // Millisecond timestamps are 13 digits for any date after 2001
+      return Math.floor(value > 1e12 ? value / 1000 : value);
+    }
+
+    if (value instanceof Date || moment.isMoment(value)) {
+      return Math.floor(value.valueOf() / 1000);
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const day = moment.tz(value, 'YYYY-MM-DD', true, 'Asia/Kolkata');
+      if (day.isValid()) {
+        return (endOfDay ? day.endOf('day') : day).unix();
+      }
+    }
+
+    const parsed = moment.tz(value, moment.ISO_8601, 'Asia/Kolkata');
+    if (!parsed.isValid()) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    return parsed.unix();
+  }
+
+  /**
+   * Resolution as used in cache paths: 1D and D are the same series
+   */
+  static normalizeResolution(resolution) {
+    const value = String(resolution).toUpperCase();
+    return value === '1D' ? 'D' : value;
+  }
+
+  static getMaxDaysPerRequest(resolution) {
+    const value = HistoricalDataStore.normalizeResolution(resolution);
+    if (value.endsWith('S')) return MAX_DAYS_PER_REQUEST.seconds;
+    if (/^\d+$/.test(value)) return MAX_DAYS_PER_REQUEST.minutes;
+    return MAX_DAYS_PER_REQUEST.days;
+  }
+
+  /**
+   * Split [from, to] (epoch seconds) into ranges FYERS accepts in one request
+   */
+  static splitRange(from, to, resolution) {
+    const span = HistoricalDataStore.getMaxDaysPerRequest(resolution) * DAY;
+    const chunks = [];
+
+    for (let start = from; start <= to; start += span) {
+      chunks.push({ from: start, to: Math.min(start + span - 1, to) });
+    }
+    return chunks;
+  }
+
+  /**
+   * Merge candle lists by timestamp; later lists win on duplicates
+   */
+  static mergeCandles(...lists) {
+    const byTime = new Map();
+    lists.forEach(list => list.forEach(candle => byTime.set(candle.timestamp, candle)));
+    return Array.from(byTime.values()).sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  getCacheFile(symbol, resolution) {
+    const name = symbol.replace(/[^A-Za-z0-9_-]/g, '_');
+    return path.join(this.cacheDir, HistoricalDataStore.normalizeResolution(resolution), `${name}.json`);
+  }
+
+  /**
+   * Cached series { from, to, candles } or null
+   */
+  readCache(symbol, resolution) {
+    const file = this.getCacheFile(symbol, resolution);
+    if (!fs.existsSync(file)) return null;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return {
+        from: data.from,
+        to: data.to,
+        candles: data.candles.map(([timestamp, open, high, low, close, volume]) =>
+          ({ timestamp, open, high, low, close, volume }))
+      };
+    } catch (error) {
+      logger.warn(`Ignoring unreadable history cache ${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  writeCache(symbol, resolution, series) {
+    const file = this.getCacheFile(symbol, resolution);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      symbol,
+      resolution: HistoricalDataStore.normalizeResolution(resolution),
+      from: series.from,
+      to: series.to,
+      updatedAt: new Date().toISOString(),
+      candles: series.candles.map(c => [c.timestamp, c.open, c.high, c.low, c.close, c.volume])
+    }));
+  }
+
+  /**
+   * Remove cached history for a symbol (all resolutions unless one is given)
+   */
+  clear(symbol, resolution = null) {
+    const resolutions = resolution
+      ? [HistoricalDataStore.normalizeResolution(resolution)]
+      : (fs.existsSync(this.cacheDir) ? fs.readdirSync(this.cacheDir) : []);
+
+    resolutions.forEach(res => fs.rmSync(this.getCacheFile(symbol, res), { force: true }));
+  }
+
+  /**
+   * Fetch [from, to] in as many requests as FYERS needs
+   */
+  async fetchRange(symbol, resolution, from, to) {
+    const chunks = HistoricalDataStore.splitRange(from, to, resolution);
+    let candles = [];
+
+    for (const chunk of chunks) {
+      const part = await this.fyersService.getHistoryRange(symbol, resolution, chunk.from, chunk.to);
+      candles = candles.concat(part);
+    }
+
+    logger.debug(`Fetched ${candles.length} ${resolution} candles for ${symbol} in ${chunks.length} request(s)`);
+    return candles;
+  }
+
+  /**
+   * Candles for a range, served from the cache where it already covers it
+   * @param {Object} options
+   * @param {*} options.from - start (epoch seconds/ms, Date or date string); defaults to `days` before `to`
+   * @param {*} options.to - end; defaults to now
+   * @param {number} options.days - range length when `from` is not given (default 30)
+   * @param {boolean} options.refresh - ignore the cache and fetch the whole range
+   */
+  async getCandles(symbol, resolution, options = {}) {
+    try {
+      const now = Math.floor(Date.now() / 1000);
+      const to = Math.min(HistoricalDataStore.parseTime(options.to, true) || now, now);
+      const from = options.from !== undefined && options.from !== null
+        ? HistoricalDataStore.parseTime(options.from)
+        : to - (options.days || 30) * DAY;
+
+      if (from > to) {
+        throw new Error(`Invalid history range for ${symbol}: from is after to`);
+      }
+
+      const cache = options.refresh ? null : this.readCache(symbol, resolution);
+      const ranges = [];
+
+      if (!cache) {
+        ranges.push([from, to]);
+      } else {
+        if (from < cache.from) {
+          ranges.push([from, cache.from - 1]);
+        }
+        if (to > cache.to) {
+          const last = cache.candles[cache.candles.length - 1];
+          ranges.push([last ? Math.min(last.timestamp, cache.to) : cache.to, to]);
+        }
+      }
+
+      let candles = cache ? cache.candles : [];
+      if (ranges.length > 0) {
+        const fetched = [];
+        for (const [start, end] of ranges) {
+          fetched.push(await this.fetchRange(symbol, resolution, start, end));
+        }
+        candles = HistoricalDataStore.mergeCandles(candles, ...fetched);
+
+        this.writeCache(symbol, resolution, {
+          from: cache ? Math.min(cache.from, from) : from,
+          to: cache ? Math.max(cache.to, to) : to,
+          candles
+        });
+      }
+
+      return candles.filter(candle => candle.timestamp >= from && candle.timestamp <= to);
+    } catch (error) {
+      logger.error(`History load error for ${symbol} (${resolution}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Same signature as FyersService.getHistoricalData, so the store can stand
+   * in for it (CandleAggregator.seed, BacktestEngine.loadFromFyers)
+   */
+  async getHistoricalData(symbol, resolution, days = 30) {
+    return this.getCandles(symbol, resolution, { days });
+  }
+}
+
+HistoricalDataStore.MAX_DAYS_PER_REQUEST = MAX_DAYS_PER_REQUEST;
+
+module.exports = HistoricalDataStore;
@@ -0,0 +1,362 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const DEFAULT_SEGMENTS = ['NSE_CM', 'NSE_FO', 'BSE_CM', 'MCX_COM'];
+
+// Column order of the FYERS symbol master CSVs (no header row)
+const CSV_COLUMNS = [
+  'fyToken', 'name', 'instrumentType', 'lotSize', 'tickSize', 'isin', 'tradingSession',
+  'lastUpdate', 'expiry', 'symbol', 'exchange', 'segment', 'scripCode', 'underlying',
+  'underlyingScripCode', 'strike', 'optionType', 'underlyingFyToken'
+];
+
+let instance = null;
+
+/**
+ * Instrument Service
+ * Loads the FYERS symbol master CSVs (NSE_CM, NSE_FO, BSE_CM, MCX_COM) from a
+ * local cache, downloading them once a day, and answers lot size, tick size,
+ * ISIN, expiry, strike and option type per symbol.
+ *
+ * The symbol master has no freeze quantities. They are read from
+ * <cacheDir>/freeze-limits.csv (UNDERLYING,QTY per line, as published by
+ * the exchange) when that file exists.
+ */
+class InstrumentService {
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || config.instruments.cacheDir;
+    this.segments = options.segments || config.instruments.segments || DEFAULT_SEGMENTS;
+    this.maxAgeMs = (options.maxAgeHours || config.instruments.maxAgeHours) * 60 * 60 * 1000;
+    this.baseUrl = options.baseUrl || config.instruments.baseUrl;
+
+    this.instruments = new Map(); // symbol -> instrument
+    this.freezeLimits = new Map(); // underlying -> freeze quantity
+    this.loadedSegments = new Set();
+
+    this.retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : 60000;
+    this.loadedAt = null;
+    this.lastLoadAttempt = null;
+    this.loading = null;
+  }
+
+  /**
+   * Shared instance used by order validation and position sizing
+   */
+  static getInstance() {
+    if (!instance) {
+      instance = new InstrumentService();
+    }
+    return instance;
+  }
+
+  /**
+   * Futures and options by their FYERS ticker (NIFTY24OCTFUT, NIFTY24O1724000CE)
+   */
+  static isDerivative(symbol) {
+    const ticker = String(symbol).toUpperCase().split(':')[1] || '';
+    return /FUT$/.test(ticker) || /\d(CE|PE)$/.test(ticker);
+  }
+
+  /**
+   * Split one CSV line, honouring quoted fields
+   */
+  static parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"') {
+        if (quoted && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          quoted = !quoted;
+        }
+      } else if (char === ',' && !quoted) {
+        fields.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    fields.push(current);
+    return fields.map(field => field.trim());
+  }
+
+  /**
+   * Turn a symbol master row into an instrument record
+   */
+  static parseRow(fields, segment) {
+    const row = {};
+    CSV_COLUMNS.forEach((column, index) => {
+      row[column] = fields[index];
+    });
+    if (!row.symbol || !row.symbol.includes(':')) return null;
+
+    const expiry = parseInt(row.expiry);
+    const strike = parseFloat(row.strike);
+    const optionType = ['CE', 'PE'].includes(row.optionType) ? row.optionType : null;
+
+    return {
+      symbol: row.symbol,
+      name: row.name || '',
+      fyToken: row.fyToken,
+      exchange: row.symbol.split(':')[0],
+      segment,
+      instrumentType: parseInt(row.instrumentType),
+      lotSize: parseInt(row.lotSize) || 1,
+      tickSize: parseFloat(row.tickSize) || 0.05,
+      isin: row.isin || null,
+      expiry: expiry > 0 ? moment.tz(expiry * 1000, 'Asia/Kolkata').format('YYYY-MM-DD') : null,
+      strike: optionType && strike > 0 ? strike : null,
+      optionType,
+      underlying: row.underlying || null,
+      freezeQuantity: null
+    };
+  }
+
+  static parseCsv(text, segment) {
+    const instruments = [];
+    for (const line of text.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      const instrument = InstrumentService.parseRow(InstrumentService.parseCsvLine(line), segment);
+      if (instrument) instruments.push(instrument);
+    }
+    return instruments;
+  }
+
+  getCacheFile(segment) {
+    return path.join(this.cacheDir, `${segment}.csv`);
+  }
+
+  isFresh(file) {
+    if (!fs.existsSync(file)) return false;
+    return Date.now() - fs.statSync(file).mtimeMs < this.maxAgeMs;
+  }
+
+  /**
+   * Load every configured segment, downloading masters that are missing or older than a day
+   * @param {Object} options
+   * @param {boolean} options.refresh - download even when the cache is fresh
+   */
+  async load(options = {}) {
+    for (const segment of this.segments) {
+      const file = this.getCacheFile(segment);
+
+      try {
+        if (options.refresh || !this.isFresh(file)) {
+          await this.download(segment, file);
+        }
+      } catch (error) {
+        if (!fs.existsSync(file)) {
+          logger.error(`Symbol master ${segment} unavailable: ${error.message}`);
+          continue;
+        }
+        logger.warn(`Could not refresh symbol master ${segment}, using cached copy: ${error.message}`);
+      }
+
+      this.loadFile(file, segment);
+    }
+
+    this.loadFreezeLimits(path.join(this.cacheDir, 'freeze-limits.csv'));
+    this.loadedAt = Date.now();
+    logger.info(`Loaded ${this.instruments.size} instruments from ${this.loadedSegments.size} segments`);
+    return this.instruments.size;
+  }
+
+  /**
+   * Load the masters once and again when they are a day old. Concurrent
+   * callers share one load; after a failed load the next attempt waits
+   * retryDelayMs.
+   * @param {number|null} timeoutMs - stop waiting after this long; the load carries on
+   * @returns {boolean} whether any instruments are loaded
+   */
+  async ensureLoaded(timeoutMs = null) {
+    const stale = this.loadedAt === null || Date.now() - this.loadedAt >= this.maxAgeMs;
+    const retrying = this.lastLoadAttempt !== null && Date.now() - this.lastLoadAttempt < this.retryDelayMs;
+
+    if (stale && !retrying && !this.loading) {
+      this.lastLoadAttempt = Date.now();
+      this.loading = this.load()
+        .catch(error => logger.error(`Symbol master load failed: ${error.message}`))
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    if (this.loading && timeoutMs === null) {
+      await this.loading;
+    } else if (this.loading) {
+      let timer;
+      await Promise.race([this.loading, new Promise(resolve => {
+        timer = setTimeout(resolve, timeoutMs);
+      })]);
+      clearTimeout(timer);
+    }
+    return this.isLoaded();
+  }
+
+  async download(segment, file) {
+    const url = `${this.baseUrl.replace(/\/+$/, '')}/${segment}.csv`;
+    logger.info(`Downloading symbol master ${url}`);
+
+    const response = await axios.get(url, { responseType: 'text', timeout: 60000 });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, response.data);
+  }
+
+  /**
+   * Load a symbol master CSV from disk
+   */
+  loadFile(file, segment = path.basename(file, '.csv')) {
+    try {
+      const instruments = InstrumentService.parseCsv(fs.readFileSync(file, 'utf8'), segment);
+      instruments.forEach(instrument => this.add(instrument));
+      this.loadedSegments.add(segment);
+      logger.debug(`Loaded ${instruments.length} ${segment} instruments from ${file}`);
+      return instruments.length;
+    } catch (error) {
+      logger.error(`Symbol master load error (${file}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Freeze quantities per underlying: one "UNDERLYING,QTY" pair per line
+   */
+  loadFreezeLimits(file) {
+    if (!fs.existsSync(file)) return 0;
+
+    for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+      const [underlying, quantity] = InstrumentService.parseCsvLine(line);
+      const value = parseInt(quantity);
+      if (underlying && value > 0) {
+        this.freezeLimits.set(underlying.toUpperCase(), value);
+      }
+    }
+    return this.freezeLimits.size;
+  }
+
+  add(instrument) {
+    this.instruments.set(instrument.symbol, instrument);
+  }
+
+  isLoaded() {
+    return this.instruments.size > 0;
+  }
+
+  has(symbol) {
+    return this.instruments.has(symbol);
+  }
+
+  /**
+   * Instrument record with the freeze quantity resolved, or null if unknown
+   */
+  get(symbol) {
+    const instrument = this.instruments.get(symbol);
+    if (!instrument) return null;
+
+    // Freeze limits apply to derivatives only
+    const freezeQuantity = instrument.expiry ? this.freezeLimits.get((instrument.underlying || '').toUpperCase()) : null;
+    return freezeQuantity ? { ...instrument, freezeQuantity } : { ...instrument };
+  }
+
+  getLotSize(symbol) {
+    const instrument = this.instruments.get(symbol);
+    return instrument ? instrument.lotSize : 1;
+  }
+
+  getTickSize(symbol) {
+    const instrument = this.instruments.get(symbol);
+    return instrument ? instrument.tickSize : 0.05;
+  }
+
+  /**
+   * Round a quantity down to a whole number of lots
+   */
+  roundToLot(symbol, quantity) {
+    const lotSize = this.getLotSize(symbol);
+    return Math.floor(quantity / lotSize) * lotSize;
+  }
+
+  /**
+   * Search by symbol or company name, best matches first
+   * @param {string} query - e.g. "reliance", "NIFTY24DEC"
+   * @param {Object} options - { segment, exchange, limit }
+   */
+  search(query, options = {}) {
+    const needle = String(query).trim().toUpperCase();
+    if (!needle) return [];
+
+    const limit = options.limit || 20;
+    const matches = [];
+
+    for (const instrument of this.instruments.values()) {
+      if (options.segment && instrument.segment !== options.segment) continue;
+      if (options.exchange && instrument.exchange !== options.exchange) continue;
+
+      const ticker = instrument.symbol.split(':')[1].toUpperCase();
+      const name = instrument.name.toUpperCase();
+
+      let rank = null;
+      if (ticker === needle || ticker.replace(/-(EQ|BE)$/, '') === needle) rank = 0;
+      else if (ticker.startsWith(needle)) rank = 1;
+      else if (name.startsWith(needle)) rank = 2;
+      else if (ticker.includes(needle) || name.includes(needle)) rank = 3;
+
+      if (rank !== null) {
+        matches.push({ rank, instrument });
+      }
+    }
+
+    return matches
+      .sort((a, b) => a.rank - b.rank || a.instrument.symbol.localeCompare(b.instrument.symbol))
+      .slice(0, limit)
+      .map(match => this.get(match.instrument.symbol));
+  }
+
+  /**
+   * Lot, tick and freeze checks for a FYERS-shaped order. Unknown equities
+   * pass; unknown derivatives are refused, since their lot size and freeze
+   * quantity cannot be checked.
+   * @returns {string|null} the first problem found
+   */
+  validateOrder(order) {
+    const instrument = this.get(order.symbol);
+    if (!instrument) {
+      if (!InstrumentService.isDerivative(order.symbol)) return null;
+      return this.isLoaded()
+        ? `${order.symbol} is not in the symbol master; lot size and freeze quantity cannot be checked`
+        : `Symbol master not loaded; refusing derivative order for ${order.symbol} without its lot size`;
+    }
+
+    if (order.qty % instrument.lotSize !== 0) {
+      return `Quantity ${order.qty} is not a multiple of the lot size ${instrument.lotSize} for ${order.symbol}`;
+    }
+
+    if (instrument.freezeQuantity && order.qty > instrument.freezeQuantity) {
+      return `Quantity ${order.qty} exceeds the freeze quantity ${instrument.freezeQuantity} for ${order.symbol}`;
+    }
+
+    for (const field of ['limitPrice', 'stopPrice']) {
+      const price = order[field];
+      if (!(price > 0)) continue;
+
+      const ticks = price / instrument.tickSize;
+      if (Math.abs(ticks - Math.round(ticks)) > 1e-6) {
+        return `${field} ${price} is not a multiple of the tick size ${instrument.tickSize} for ${order.symbol}`;
+      }
+    }
+
+    return null;
+  }
+}
+
+InstrumentService.DEFAULT_SEGMENTS = DEFAULT_SEGMENTS;
+
+module.exports = InstrumentService;
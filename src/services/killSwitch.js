@@ -0,0 +1,195 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const SquareOffService = require('./squareOffService');
+const TradingHelpers = require('../utils/helpers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Daily Loss Kill Switch
+ * Watches day P&L (realized + unrealized, from the positions `pl` fields).
+ * When the absolute or percentage loss limit is breached it squares off,
+ * cancels every pending order and writes a lock to disk. While locked the
+ * risk engine only lets reduce-only orders through. The lock expires on the
+ * next trading day or when reset explicitly.
+ *
+ * Events: tripped, reset
+ */
+class KillSwitch extends EventEmitter {
+  constructor(orderService = null, options = {}) {
+    super();
+    this.orderService = orderService;
+    this.stateFile = options.stateFile !== undefined ? options.stateFile : config.killSwitch.stateFile;
+    this.maxDailyLoss = options.maxDailyLoss !== undefined ? options.maxDailyLoss : config.killSwitch.maxDailyLoss;
+    this.maxDailyLossPercent = options.maxDailyLossPercent !== undefined
+      ? options.maxDailyLossPercent
+      : config.killSwitch.maxDailyLossPercent;
+    this.capital = options.capital || config.killSwitch.capital;
+    this.pollInterval = options.pollInterval || config.killSwitch.pollInterval;
+    this.monitor = null;
+    this.tripping = false;
+  }
+
+  /**
+   * Loss limit in rupees: the tighter of the absolute and percentage limits
+   */
+  getLossLimit() {
+    const limits = [];
+    if (this.maxDailyLoss > 0) limits.push(this.maxDailyLoss);
+    if (this.maxDailyLossPercent > 0 && this.capital > 0) {
+      limits.push(this.capital * this.maxDailyLossPercent / 100);
+    }
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  /**
+   * Current lock, or null. Expired locks are cleared on read.
+   */
+  getLock() {
+    const lock = this.readLock();
+    if (!lock) return null;
+
+    const today = TradingHelpers.getTradingDay();
+    if (lock.lockedUntil && today >= lock.lockedUntil) {
+      logger.info(`Kill switch lock from ${lock.tradingDay} expired`);
+      this.clearLock();
+      return null;
+    }
+    return lock;
+  }
+
+  isLocked() {
+    return this.getLock() !== null;
+  }
+
+  /**
+   * Day P&L from the positions book
+   */
+  async getDayPnL() {
+    const positions = await this.orderService.getPositions();
+    const netPositions = TradingHelpers.extractNetPositions(positions);
+
+    if (positions?.overall && positions.overall.pl_total !== undefined) {
+      return positions.overall.pl_total;
+    }
+    return netPositions.reduce((sum, position) => sum + (parseFloat(position.pl) || 0), 0);
+  }
+
+  /**
+   * Compare day P&L with the limit and trip if breached
+   * @returns {Object} { pnl, limit, breached, locked }
+   */
+  async check() {
+    const lossLimit = this.getLossLimit();
+    const pnl = await this.getDayPnL();
+    const breached = lossLimit !== null && pnl <= -lossLimit;
+
+    if (breached && !this.isLocked()) {
+      await this.trip(`Daily loss ₹${Math.abs(pnl).toFixed(2)} breached limit ₹${lossLimit.toFixed(2)}`, { pnl, lossLimit });
+    }
+
+    return { pnl, limit: lossLimit, breached, locked: this.isLocked() };
+  }
+
+  /**
+   * Lock trading, square off and cancel every pending order
+   */
+  async trip(reason, details = {}) {
+    if (this.tripping) return null;
+    this.tripping = true;
+
+    try {
+      const tradingDay = TradingHelpers.getTradingDay();
+      const lock = {
+        locked: true,
+        reason,
+        details,
+        tradingDay,
+        lockedAt: new Date().toISOString(),
+        lockedUntil: TradingHelpers.getNextTradingDay(moment.tz(tradingDay, 'Asia/Kolkata'))
+      };
+      this.writeLock(lock);
+      logger.error(`KILL SWITCH TRIPPED: ${reason}. Trading locked until ${lock.lockedUntil}`);
+
+      let summary = null;
+      if (this.orderService) {
+        try {
+          summary = await new SquareOffService(this.orderService).squareOff({ cancelAllOrders: true });
+          lock.squareOff = {
+            cancelledOrders: summary.cancelledOrders.length,
+            closedPositions: summary.closedPositions.length,
+            failures: summary.failedCancellations.length + summary.failedPositions.length
+          };
+          this.writeLock(lock);
+        } catch (error) {
+          logger.error(`Kill switch square-off failed: ${error.message}`);
+        }
+      }
+
+      this.emit('tripped', lock, summary);
+      return lock;
+    } finally {
+      this.tripping = false;
+    }
+  }
+
+  /**
+   * Clear the lock manually
+   */
+  reset() {
+    const lock = this.readLock();
+    this.clearLock();
+    logger.warn('Kill switch lock reset manually');
+    this.emit('reset', lock);
+    return lock;
+  }
+
+  start() {
+    if (this.monitor || this.getLossLimit() === null) return;
+
+    logger.info(`Kill switch armed: daily loss limit ₹${this.getLossLimit().toFixed(2)}`);
+    this.monitor = setInterval(() => {
+      this.check().catch(error => logger.error(`Kill switch check error: ${error.message}`));
+    }, this.pollInterval);
+  }
+
+  stop() {
+    if (this.monitor) {
+      clearInterval(this.monitor);
+      this.monitor = null;
+    }
+  }
+
+  readLock() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) return null;
+
+    try {
+      const lock = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return lock && lock.locked ? lock : null;
+    } catch (error) {
+      logger.warn(`Could not read kill switch state: ${error.message}`);
+      return null;
+    }
+  }
+
+  writeLock(lock) {
+    if (!this.stateFile) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      fs.writeFileSync(this.stateFile, JSON.stringify(lock, null, 2));
+    } catch (error) {
+      logger.error(`Could not save kill switch state: ${error.message}`);
+    }
+  }
+
+  clearLock() {
+    if (this.stateFile && fs.existsSync(this.stateFile)) {
+      fs.unlinkSync(this.stateFile);
+    }
+  }
+}
+
+module.exports = KillSwitch;
@@ -1,9 +1,30 @@
 const FyersService = require('./fyersService');
+const HistoricalDataStore = require('./historicalDataStore');
+const RequestScheduler = require('./requestScheduler');
+const SectorRotationAnalyzer = require('./sectorRotationAnalyzer');
+const TechnicalIndicators = require('../utils/technicalIndicators');
 const logger = require('../utils/logger');
 
+const DAY = 86400;
+
+// Daily history fetched per stock: covers 52 weeks and the 200 DMA
+const HISTORY_DAYS = 400;
+const DMA_PERIODS = [20, 50, 200];
+// FYERS accepts up to 50 symbols per quotes request
+const QUOTE_BATCH_SIZE = 50;
+
+/**
+ * Market Breadth Analyzer
+ * Breadth of the NIFTY 50 (or a given universe): live advance/decline from
+ * quotes; new highs/lows, stocks above their 20/50/200 DMA and the McClellan
+ * oscillator from cached daily history; sector momentum from sector index
+ * quotes, with each sector's rotation quadrant from SectorRotationAnalyzer.
+ */
 class MarketBreadthAnalyzer {
-  constructor() {
-    this.fyersService = new FyersService();
+  constructor(options = {}) {
+    this.fyersService = options.fyersService || new FyersService();
+    this.historicalData = options.historicalDataStore || new HistoricalDataStore(this.fyersService);
+    this.scheduler = this.fyersService.scheduler || RequestScheduler.getInstance();
     this.nifty50Symbols = [
       'NSE:RELIANCE-EQ', 'NSE:TCS-EQ', 'NSE:HDFCBANK-EQ', 'NSE:INFY-EQ', 'NSE:HINDUNILVR-EQ',
       'NSE:ICICIBANK-EQ', 'NSE:SBIN-EQ', 'NSE:BHARTIARTL-EQ', 'NSE:ITC-EQ', 'NSE:KOTAKBANK-EQ',
@@ -16,15 +37,20 @@ class MarketBreadthAnalyzer {
       'NSE:ADANIPORTS-EQ', 'NSE:APOLLOHOSP-EQ', 'NSE:BPCL-EQ', 'NSE:IOC-EQ', 'NSE:SHREECEM-EQ',
       'NSE:TATACONSUM-EQ', 'NSE:UPL-EQ', 'NSE:SBILIFE-EQ', 'NSE:HDFCLIFE-EQ', 'NSE:M&M-EQ'
     ];
+    this.universe = options.universe || this.nifty50Symbols;
+    this.sectorRotation = options.sectorRotationAnalyzer || new SectorRotationAnalyzer({
+      fyersService: this.fyersService,
+      historicalDataStore: this.historicalData
+    });
+    this.sectorIndices = options.sectorIndices || this.sectorRotation.indices;
+    this.benchmarkIndex = options.benchmarkIndex || this.sectorRotation.benchmark;
   }
 
   async analyzeMarketBreadth() {
     try {
       console.log('📊 Analyzing market breadth...');
 
-      // Simplified market breadth analysis
-      const niftyStocks = this.nifty50Symbols.slice(0, 20); // Use subset for faster analysis
-      const breadthMetrics = await this.calculateSimplifiedBreadth(niftyStocks);
+      const breadthMetrics = await this.calculateBreadth(this.universe);
 
       return {
         ...breadthMetrics,
@@ -40,61 +66,257 @@ class MarketBreadthAnalyzer {
         sectorMomentum: { leadingSectors: 2 },
         marketSentiment: 'NEUTRAL',
         overallBias: 'NEUTRAL',
-        trendingProbability: 0.5
+        trendingProbability: 0.5,
+        error: error.message
       };
     }
   }
 
-  async calculateSimplifiedBreadth(symbols) {
-    try {
-      // Get quotes for sample stocks
-      const quotes = await this.fyersService.getQuotes(symbols.slice(0, 10));
+  /**
+   * All breadth metrics for a universe. Quotes are required; stocks without
+   * history are left out of the history-based metrics.
+   */
+  async calculateBreadth(symbols) {
+    const quotes = await this.getQuotes(symbols);
+    const advanceDecline = this.calculateAdvanceDecline(quotes);
+    const histories = await this.getHistories(symbols);
+    const sectorRotation = await this.getSectorRotation();
+    const sectorMomentum = await this.getSectorMomentum(sectorRotation);
+
+    return {
+      universeSize: symbols.length,
+      advanceDecline,
+      advanceDeclineRatio: advanceDecline.ratio,
+      newHighsLows: MarketBreadthAnalyzer.calculateNewHighsLows(histories),
+      percentAboveDMA: MarketBreadthAnalyzer.calculatePercentAboveDMA(histories),
+      mcclellan: MarketBreadthAnalyzer.calculateMcClellan(histories),
+      sectorMomentum,
+      sectorRotation,
+      marketSentiment: advanceDecline.ratio > 1.2 ? 'BULLISH' :
+                      advanceDecline.ratio < 0.8 ? 'BEARISH' : 'NEUTRAL',
+      volumeAnalysis: advanceDecline.volume,
+      historyCoverage: Object.keys(histories).length
+    };
+  }
+
+  /**
+   * Quotes keyed by symbol, fetched in batches FYERS accepts
+   */
+  async getQuotes(symbols) {
+    const batches = [];
+    for (let i = 0; i < symbols.length; i += QUOTE_BATCH_SIZE) {
+      batches.push(symbols.slice(i, i + QUOTE_BATCH_SIZE));
+    }
 
+    const responses = await this.scheduler.map(batches, batch => this.fyersService.getQuotes(batch));
+    const data = {};
+    responses.forEach(quotes => {
       if (!quotes || quotes.s !== 'ok' || !quotes.data) {
         throw new Error('Failed to fetch market data');
       }
+      Object.assign(data, quotes.data);
+    });
+    return data;
+  }
+
+  static changePercent(quote) {
+    if (!quote || !quote.ltp || !quote.prev_close_price) return null;
+    return ((quote.ltp - quote.prev_close_price) / quote.prev_close_price) * 100;
+  }
+
+  static ratio(up, down) {
+    return down > 0 ? up / down : up;
+  }
+
+  calculateAdvanceDecline(quotes) {
+    let advancing = 0;
+    let declining = 0;
+    let unchanged = 0;
+    let totalVolume = 0;
+    let highVolume = 0;
+
+    Object.values(quotes).forEach(stock => {
+      const change = MarketBreadthAnalyzer.changePercent(stock);
+      if (change === null) return;
+
+      if (change > 0) advancing++;
+      else if (change < 0) declining++;
+      else unchanged++;
+
+      if (stock.volume) {
+        totalVolume += stock.volume;
+        if (stock.volume > 1000000) highVolume++; // High volume threshold
+      }
+    });
+
+    return {
+      advancing,
+      declining,
+      unchanged,
+      netAdvances: advancing - declining,
+      ratio: MarketBreadthAnalyzer.ratio(advancing, declining),
+      volume: { totalVolume, highVolumeStocks: highVolume, totalAnalyzed: advancing + declining + unchanged }
+    };
+  }
+
+  /**
+   * Daily candles per symbol from the history cache; failures are skipped
+   */
+  async getHistories(symbols, days = HISTORY_DAYS) {
+    const histories = {};
+
+    await this.scheduler.map(symbols, async (symbol) => {
+      try {
+        const candles = await this.historicalData.getHistoricalData(symbol, '1D', days);
+        if (candles && candles.length > 1) histories[symbol] = candles;
+      } catch (error) {
+        logger.warn(`Breadth: no history for ${symbol}: ${error.message}`);
+      }
+    });
+
+    return histories;
+  }
+
+  /**
+   * Stocks whose latest session made a new 20-day or 52-week high/low.
+   * 52-week extremes only count stocks with a full year of history; the
+   * ratio (highs per low) uses the 20-day counts.
+   */
+  static calculateNewHighsLows(histories) {
+    const result = { high20: 0, low20: 0, high52w: 0, low52w: 0, counted20: 0, counted52w: 0 };
+
+    Object.values(histories).forEach(candles => {
+      const latest = candles[candles.length - 1];
+      const prior = candles.slice(0, -1);
+
+      if (prior.length >= 20) {
+        const window = prior.slice(-20);
+        result.counted20++;
+        if (latest.high > Math.max(...window.map(c => c.high))) result.high20++;
+        if (latest.low < Math.min(...window.map(c => c.low))) result.low20++;
+      }
+
+      const yearStart = latest.timestamp - 365 * DAY;
+      if (candles[0].timestamp <= yearStart + 7 * DAY) {
+        const window = prior.filter(c => c.timestamp >= yearStart);
+        result.counted52w++;
+        if (latest.high > Math.max(...window.map(c => c.high))) result.high52w++;
+        if (latest.low < Math.min(...window.map(c => c.low))) result.low52w++;
+      }
+    });
+
+    return { ...result, ratio: MarketBreadthAnalyzer.ratio(result.high20, result.low20) };
+  }
+
+  /**
+   * Percent of stocks closing above their 20/50/200-day SMA, out of those
+   * with enough history (null when none have)
+   */
+  static calculatePercentAboveDMA(histories) {
+    const result = {};
+
+    DMA_PERIODS.forEach(period => {
+      let above = 0;
+      let counted = 0;
+
+      Object.values(histories).forEach(candles => {
+        if (candles.length < period) return;
+        const closes = candles.slice(-period).map(c => c.close);
+        const sma = closes.reduce((sum, close) => sum + close, 0) / period;
+        counted++;
+        if (closes[closes.length - 1] > sma) above++;
+      });
+
+      result[`dma${period}`] = counted > 0 ? (above / counted) * 100 : null;
+    });
 
-      let advancing = 0;
-      let declining = 0;
-      let totalVolume = 0;
-      let highVolume = 0;
+    return result;
+  }
 
-      // Analyze each stock
-      Object.values(quotes.data).forEach(stock => {
-        if (stock && stock.ltp && stock.prev_close_price) {
-          const change = ((stock.ltp - stock.prev_close_price) / stock.prev_close_price) * 100;
+  /**
+   * McClellan oscillator: EMA19 - EMA39 of the daily ratio-adjusted net
+   * advances, (advancing - declining) / (advancing + declining) * 1000, so the
+   * scale does not depend on the universe size
+   */
+  static calculateMcClellan(histories) {
+    const days = new Map();
 
-          if (change > 0) advancing++;
-          else if (change < 0) declining++;
+    Object.values(histories).forEach(candles => {
+      for (let i = 1; i < candles.length; i++) {
+        const day = days.get(candles[i].timestamp) || { advancing: 0, declining: 0 };
+        if (candles[i].close > candles[i - 1].close) day.advancing++;
+        else if (candles[i].close < candles[i - 1].close) day.declining++;
+        days.set(candles[i].timestamp, day);
+      }
+    });
 
-          if (stock.volume) {
-            totalVolume += stock.volume;
-            if (stock.volume > 1000000) highVolume++; // High volume threshold
-          }
-        }
+    const netAdvances = [...days.keys()]
+      .sort((a, b) => a - b)
+      .map(timestamp => {
+        const { advancing, declining } = days.get(timestamp);
+        const total = advancing + declining;
+        return total > 0 ? ((advancing - declining) / total) * 1000 : 0;
       });
 
-      const advanceDeclineRatio = declining > 0 ? advancing / declining : advancing;
+    if (netAdvances.length < 39) {
+      return { oscillator: null, previous: null, days: netAdvances.length };
+    }
 
-      return {
-        advanceDeclineRatio,
-        newHighsLows: { ratio: Math.random() * 2 + 0.5 }, // Simplified
-        sectorMomentum: { leadingSectors: Math.floor(Math.random() * 5) + 1 },
-        marketSentiment: advanceDeclineRatio > 1.2 ? 'BULLISH' :
-                        advanceDeclineRatio < 0.8 ? 'BEARISH' : 'NEUTRAL',
-        volumeAnalysis: { highVolumeStocks: highVolume, totalAnalyzed: Object.keys(quotes.data).length }
-      };
+    const ema19 = TechnicalIndicators.calculateEMA(netAdvances, 19);
+    const ema39 = TechnicalIndicators.calculateEMA(netAdvances, 39);
+    const last = netAdvances.length - 1;
+
+    return {
+      oscillator: ema19[last] - ema39[last],
+      previous: ema19[last - 1] - ema39[last - 1],
+      days: netAdvances.length
+    };
+  }
+
+  /**
+   * Sector rotation quadrants, null when index history is unavailable
+   */
+  async getSectorRotation() {
+    try {
+      return await this.sectorRotation.analyzeRotation();
     } catch (error) {
-      logger.warn(`Simplified breadth calculation failed: ${error.message}`);
-      return {
-        advanceDeclineRatio: 1.0,
-        newHighsLows: { ratio: 1.0 },
-        sectorMomentum: { leadingSectors: 2 },
-        marketSentiment: 'NEUTRAL'
-      };
+      logger.warn(`Sector rotation unavailable: ${error.message}`);
+      return null;
     }
   }
 
+  /**
+   * Sector index moves against the benchmark; a sector leads when it is up
+   * and ahead of NIFTY 50. Sectors carry their rotation quadrant when known.
+   */
+  async getSectorMomentum(rotation = null) {
+    try {
+      const names = Object.keys(this.sectorIndices);
+      const quotes = await this.getQuotes([this.benchmarkIndex, ...names.map(name => this.sectorIndices[name])]);
+      const benchmarkChange = MarketBreadthAnalyzer.changePercent(quotes[this.benchmarkIndex]);
+
+      const sectors = names
+        .map(name => ({
+          name,
+          symbol: this.sectorIndices[name],
+          changePercent: MarketBreadthAnalyzer.changePercent(quotes[this.sectorIndices[name]]),
+          quadrant: MarketBreadthAnalyzer.findQuadrant(rotation, name)
+        }))
+        .filter(sector => sector.changePercent !== null)
+        .sort((a, b) => b.changePercent - a.changePercent);
+
+      return this.analyzeSectorRotation({ sectors, benchmarkChange });
+    } catch (error) {
+      logger.warn(`Sector momentum unavailable: ${error.message}`);
+      return { leadingSectors: 0, leaders: [], laggards: [], sectors: [], benchmarkChange: null };
+    }
+  }
+
+  static findQuadrant(rotation, sector) {
+    const entry = rotation ? rotation.sectors.find(s => s.sector === sector) : null;
+    return entry ? entry.quadrant : null;
+  }
+
   determineMarketBias(metrics) {
     const bullishSignals = [
       metrics.advanceDeclineRatio > 1.5,
@@ -138,25 +360,38 @@ class MarketBreadthAnalyzer {
   }
 
   async getSectorPerformance() {
-    return { sectors: ['IT', 'Banking', 'Auto', 'Pharma', 'FMCG'] };
+    const rotation = await this.sectorRotation.analyzeRotation();
+    return { sectors: rotation.sectors.map(sector => sector.sector), performance: rotation.sectors };
   }
 
   async calculateADRatio(stocks) {
-    const breadth = await this.calculateSimplifiedBreadth(stocks.slice(0, 10));
-    return breadth.advanceDeclineRatio;
+    const quotes = await this.getQuotes(stocks);
+    return this.calculateAdvanceDecline(quotes).ratio;
   }
 
   async getNewHighsLows() {
-    return { ratio: Math.random() * 2 + 0.5 };
+    return MarketBreadthAnalyzer.calculateNewHighsLows(await this.getHistories(this.universe));
   }
 
   analyzeSectorRotation(sectorData) {
-    return { leadingSectors: Math.floor(Math.random() * 5) + 1 };
+    const { sectors, benchmarkChange } = sectorData;
+    const leaders = sectors.filter(sector =>
+      sector.changePercent > 0 && (benchmarkChange === null || sector.changePercent > benchmarkChange));
+
+    return {
+      leadingSectors: leaders.length,
+      leaders: leaders.map(sector => sector.name),
+      laggards: sectors.filter(sector => !leaders.includes(sector)).map(sector => sector.name),
+      sectors,
+      benchmarkChange
+    };
   }
 
   async getMarketSentiment() {
-    return 'NEUTRAL';
+    const quotes = await this.getQuotes(this.universe);
+    const { ratio } = this.calculateAdvanceDecline(quotes);
+    return ratio > 1.2 ? 'BULLISH' : ratio < 0.8 ? 'BEARISH' : 'NEUTRAL';
   }
 }
 
-module.exports = MarketBreadthAnalyzer;
\ No newline at end of file
+module.exports = MarketBreadthAnalyzer;
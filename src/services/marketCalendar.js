@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const PHASES = {
+  CLOSED: 'CLOSED',
+  PRE_OPEN: 'PRE_OPEN',
+  PRE_OPEN_MATCHING: 'PRE_OPEN_MATCHING',
+  CONTINUOUS: 'CONTINUOUS',
+  CLOSING: 'CLOSING',
+  POST_CLOSE: 'POST_CLOSE',
+  SPECIAL: 'SPECIAL'
+};
+
+// Regular equity session, IST. Order entry in pre-open runs 09:00-09:08,
+// order matching and the buffer follow until continuous trading at 09:15.
+const REGULAR_PHASES = [
+  { phase: PHASES.PRE_OPEN, start: '09:00', end: '09:08' },
+  { phase: PHASES.PRE_OPEN_MATCHING, start: '09:08', end: '09:15' },
+  { phase: PHASES.CONTINUOUS, start: '09:15', end: '15:30' },
+  { phase: PHASES.CLOSING, start: '15:30', end: '15:40' },
+  { phase: PHASES.POST_CLOSE, start: '15:40', end: '16:00' }
+];
+
+const instances = new Map();
+
+/**
+ * Market Calendar
+ * Trading days and session phases for an exchange, in IST. Holidays and
+ * special sessions (Muhurat trading, weekend live sessions) are read from
+ * <holidayDir>/<EXCHANGE>.json:
+ *   { "holidays": { "YYYY-MM-DD": "name" },
+ *     "specialSessions": [{ "date", "name", "open": "HH:mm", "close": "HH:mm" }] }
+ *
+ * The exchange publishes the next year's list each December; add it to the
+ * file. Without it only weekends are treated as closed for that year, and
+ * verifyHolidayList stops schedulers and entry strategies from starting.
+ */
+class MarketCalendar {
+  constructor(options = {}) {
+    this.exchange = (options.exchange || config.calendar.exchange).toUpperCase();
+    this.holidayDir = options.holidayDir || config.calendar.holidayDir;
+
+    this.holidays = new Map(); // YYYY-MM-DD -> name
+    this.specialSessions = new Map(); // YYYY-MM-DD -> [{ name, open, close }]
+    this.years = new Set();
+    this.warnedYears = new Set();
+
+    if (options.holidays || options.specialSessions) {
+      this.setCalendar({ holidays: options.holidays, specialSessions: options.specialSessions });
+    } else {
+      this.loadFile(path.join(this.holidayDir, `${this.exchange}.json`));
+    }
+  }
+
+  /**
+   * Shared calendar per exchange
+   */
+  static getInstance(exchange = config.calendar.exchange) {
+    const key = exchange.toUpperCase();
+    if (!instances.has(key)) {
+      instances.set(key, new MarketCalendar({ exchange: key }));
+    }
+    return instances.get(key);
+  }
+
+  static toIST(date = null) {
+    return date ? moment.tz(date, TIMEZONE) : moment.tz(TIMEZONE);
+  }
+
+  static dayKey(date) {
+    return MarketCalendar.toIST(date).format('YYYY-MM-DD');
+  }
+
+  /**
+   * Load a holiday file; a missing file leaves only weekends closed
+   */
+  loadFile(file) {
+    if (!fs.existsSync(file)) {
+      logger.warn(`Holiday file ${file} not found, only weekends are treated as ${this.exchange} holidays`);
+      return false;
+    }
+
+    try {
+      this.setCalendar(JSON.parse(fs.readFileSync(file, 'utf8')));
+      logger.debug(`Loaded ${this.holidays.size} ${this.exchange} holidays from ${file}`);
+      return true;
+    } catch (error) {
+      logger.error(`Holiday file load error (${file}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  setCalendar(data) {
+    this.holidays.clear();
+    this.specialSessions.clear();
+    this.years.clear();
+
+    for (const [date, name] of Object.entries(data.holidays || {})) {
+      this.holidays.set(date, name);
+      this.years.add(date.slice(0, 4));
+    }
+
+    for (const session of data.specialSessions || []) {
+      const sessions = this.specialSessions.get(session.date) || [];
+      sessions.push({ name: session.name, open: session.open, close: session.close });
+      this.specialSessions.set(session.date, sessions);
+      this.years.add(session.date.slice(0, 4));
+    }
+  }
+
+  /**
+   * Warn once per year that has no holiday list; with required, throw instead
+   */
+  checkYear(day, required = false) {
+    const year = day.format('YYYY');
+    if (this.years.has(year)) return;
+
+    const message = `No ${this.exchange} holiday list for ${year}; only weekends are treated as holidays. ` +
+      `Add the exchange circular to ${path.join(this.holidayDir, `${this.exchange}.json`)}`;
+    if (required) {
+      logger.error(message);
+      throw new Error(message);
+    }
+    if (this.warnedYears.has(year)) return;
+
+    this.warnedYears.add(year);
+    logger.warn(message);
+  }
+
+  /**
+   * Startup check for services that enter trades or schedule work on trading
+   * days (the app, square-off, auto-directional): the current year's holidays
+   * must be listed. Commands that only exit or inspect use checkYear instead.
+   */
+  verifyHolidayList(date = null) {
+    this.checkYear(MarketCalendar.toIST(date), true);
+  }
+
+  /**
+   * Holiday name, or null when the exchange is not on holiday that day
+   */
+  getHoliday(date = null) {
+    return this.holidays.get(MarketCalendar.dayKey(date)) || null;
+  }
+
+  isHoliday(date = null) {
+    return this.getHoliday(date) !== null;
+  }
+
+  isWeekend(date = null) {
+    const day = MarketCalendar.toIST(date).day();
+    return day === 0 || day === 6;
+  }
+
+  /**
+   * Special sessions (e.g. Muhurat trading) held on the day
+   */
+  getSpecialSessions(date = null) {
+    return this.specialSessions.get(MarketCalendar.dayKey(date)) || [];
+  }
+
+  /**
+   * Weekday that is not an exchange holiday
+   */
+  isRegularTradingDay(date = null) {
+    const day = MarketCalendar.toIST(date);
+    this.checkYear(day);
+    return !this.isWeekend(day) && !this.isHoliday(day);
+  }
+
+  /**
+   * Regular trading day, or a closed day with a special session
+   */
+  isTradingDay(date = null) {
+    return this.isRegularTradingDay(date) || this.getSpecialSessions(date).length > 0;
+  }
+
+  /**
+   * Time on the given IST day
+   * @param {string} time - HH:mm
+   */
+  at(date, time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return MarketCalendar.toIST(date).clone().set({ hour, minute, second: 0, millisecond: 0 });
+  }
+
+  /**
+   * Windows in which orders trade continuously on the day, earliest first
+   * @returns {Array<{name, open: moment, close: moment, special: boolean}>}
+   */
+  getTradingWindows(date = null) {
+    const day = MarketCalendar.toIST(date);
+    const windows = [];
+
+    if (this.isRegularTradingDay(day)) {
+      const continuous = REGULAR_PHASES.find(p => p.phase === PHASES.CONTINUOUS);
+      windows.push({
+        name: 'Normal Market',
+        open: this.at(day, continuous.start),
+        close: this.at(day, continuous.end),
+        special: false
+      });
+    }
+
+    for (const session of this.getSpecialSessions(day)) {
+      windows.push({
+        name: session.name,
+        open: this.at(day, session.open),
+        close: this.at(day, session.close),
+        special: true
+      });
+    }
+
+    return windows.sort((a, b) => a.open.valueOf() - b.open.valueOf());
+  }
+
+  /**
+   * Session phase at a moment
+   * @returns {{phase, open: boolean, reason, tradingDay: boolean, holiday, session}}
+   */
+  getSession(date = null) {
+    const now = MarketCalendar.toIST(date);
+    const holiday = this.getHoliday(now);
+    const tradingDay = this.isTradingDay(now);
+    const result = { phase: PHASES.CLOSED, open: false, reason: null, tradingDay, holiday, session: null };
+
+    const special = this.getTradingWindows(now)
+      .find(window => window.special && !now.isBefore(window.open) && now.isBefore(window.close));
+    if (special) {
+      return { ...result, phase: PHASES.SPECIAL, open: true, reason: special.name, session: special.name };
+    }
+
+    if (!this.isRegularTradingDay(now)) {
+      return { ...result, reason: holiday ? `Holiday: ${holiday}` : 'Weekend' };
+    }
+
+    const current = REGULAR_PHASES
+      .find(p => !now.isBefore(this.at(now, p.start)) && now.isBefore(this.at(now, p.end)));
+    if (!current) {
+      const beforeOpen = now.isBefore(this.at(now, REGULAR_PHASES[0].start));
+      return { ...result, reason: beforeOpen ? 'Before pre-open' : 'After post-close' };
+    }
+
+    return {
+      ...result,
+      phase: current.phase,
+      open: current.phase === PHASES.CONTINUOUS,
+      reason: current.phase === PHASES.CONTINUOUS ? 'Market open' : current.phase.replace(/_/g, ' ').toLowerCase(),
+      session: 'Normal Market'
+    };
+  }
+
+  /**
+   * Continuous or special session in progress
+   */
+  isMarketOpen(date = null) {
+    return this.getSession(date).open;
+  }
+
+  /**
+   * Within a trading window, at least afterOpenMinutes after its open and
+   * beforeCloseMinutes before its close
+   */
+  isWithinSession(date = null, afterOpenMinutes = 0, beforeCloseMinutes = 0) {
+    const now = MarketCalendar.toIST(date);
+    return this.getTradingWindows(now).some(window =>
+      !now.isBefore(window.open.clone().add(afterOpenMinutes, 'minutes')) &&
+      !now.isAfter(window.close.clone().subtract(beforeCloseMinutes, 'minutes')));
+  }
+
+  /**
+   * Next trading day after the given date
+   * @returns {string} YYYY-MM-DD
+   */
+  getNextTradingDay(date = null) {
+    let day = MarketCalendar.toIST(date).clone().add(1, 'day');
+    while (!this.isTradingDay(day)) {
+      day = day.add(1, 'day');
+    }
+    return day.format('YYYY-MM-DD');
+  }
+
+  /**
+   * Previous trading day before the given date
+   * @returns {string} YYYY-MM-DD
+   */
+  getPreviousTradingDay(date = null) {
+    let day = MarketCalendar.toIST(date).clone().subtract(1, 'day');
+    while (!this.isTradingDay(day)) {
+      day = day.subtract(1, 'day');
+    }
+    return day.format('YYYY-MM-DD');
+  }
+
+  /**
+   * Next trading window that opens after the given moment
+   * @returns {{name, open: moment, close: moment, special: boolean}}
+   */
+  getNextOpen(date = null) {
+    const now = MarketCalendar.toIST(date);
+    let day = now.clone().startOf('day');
+
+    // Holidays never run more than a few days in a row
+    for (let i = 0; i < 30; i++) {
+      const next = this.getTradingWindows(day).find(window => window.open.isAfter(now));
+      if (next) return next;
+      day = day.add(1, 'day');
+    }
+    return null;
+  }
+
+  /**
+   * Milliseconds until trading next opens; 0 while the market is open
+   */
+  getTimeToOpen(date = null) {
+    const now = MarketCalendar.toIST(date);
+    if (this.isMarketOpen(now)) return 0;
+
+    const next = this.getNextOpen(now);
+    return next ? next.open.diff(now) : null;
+  }
+}
+
+MarketCalendar.PHASES = PHASES;
+MarketCalendar.REGULAR_PHASES = REGULAR_PHASES;
+MarketCalendar.TIMEZONE = TIMEZONE;
+
+module.exports = MarketCalendar;
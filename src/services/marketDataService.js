@@ -4,8 +4,14 @@ const config = require('../config/config');
 const EventEmitter = require('events');
 
 class MarketDataService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Function} options.socketFactory - returns a fyersDataSocket-compatible object
+   *   (connect, on, subscribe, unsubscribe, close); used for replay and tests
+   */
+  constructor(options = {}) {
     super();
+    this.socketFactory = options.socketFactory || null;
     this.socket = null;
     this.isConnected = false;
     this.subscriptions = new Set();
@@ -15,16 +21,20 @@ class MarketDataService extends EventEmitter {
 
   connect() {
     try {
-      if (!config.fyers.accessToken) {
-        throw new Error('Access token not available for market data connection');
-      }
+      if (this.socketFactory) {
+        this.socket = this.socketFactory();
+      } else {
+        if (!config.fyers.accessToken) {
+          throw new Error('Access token not available for market data connection');
+        }
 
-      logger.info('Creating market data socket connection...');
-      this.socket = fyersDataSocket.getInstance(
-        config.fyers.accessToken,
-        "./logs",
-        true // Enable logging
-      );
+        logger.info('Creating market data socket connection...');
+        this.socket = fyersDataSocket.getInstance(
+          config.fyers.accessToken,
+          "./logs",
+          true // Enable logging
+        );
+      }
 
       this.setupEventHandlers();
 
@@ -163,6 +173,9 @@ class MarketDataService extends EventEmitter {
     try {
       // Process incoming market data
       logger.debug(`Market data received: ${JSON.stringify(data)}`);
+
+      // Raw feed for recorders, before any filtering
+      this.emit('message', data);
       
       // Emit different events based on data type
       if (data && data.symbol) {
@@ -1,9 +1,27 @@
 const FyersService = require('./fyersService');
+const RiskEngine = require('./riskEngine');
+const InstrumentService = require('./instrumentService');
+const PriceNormalizer = require('./priceNormalizer');
+const RequestScheduler = require('./requestScheduler');
+const TradingHelpers = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 class OrderService extends FyersService {
-  constructor() {
-    super();
+  constructor(options = {}) {
+    super(options);
+    this.riskEngine = new RiskEngine();
+    this.instruments = options.instrumentService || InstrumentService.getInstance();
+    this.normalizer = new PriceNormalizer(this.instruments);
+    this.scheduler = options.scheduler || this.scheduler || RequestScheduler.getInstance();
+    // Orders get their own queue and budget so a screener run cannot delay them
+    this.orderScheduler = options.orderScheduler || RequestScheduler.getOrderInstance();
+  }
+
+  /**
+   * Replace the pre-trade risk engine (pass null to disable checks)
+   */
+  setRiskEngine(riskEngine) {
+    this.riskEngine = riskEngine;
   }
 
   async placeOrder(orderData) {
@@ -29,11 +47,29 @@ class OrderService extends FyersService {
         order.stopPrice = parseFloat(orderData.stopPrice);
       }
 
+      // Lot and tick sizes come from the symbol master, loaded at startup. A
+      // derivative missing from it is only sent when it reduces a position:
+      // exits go out at the broker's own quantity, never held up by the master.
+      const unchecked = Boolean(this.instruments && order.symbol && !this.instruments.has(order.symbol) &&
+        InstrumentService.isDerivative(order.symbol)) && await this.reducesPosition(order);
+      if (unchecked) {
+        logger.warn(`${order.symbol} is not in the symbol master; sending the reducing order unnormalized`);
+      }
+
       // Validate order data
-      this.validateOrderData(order);
+      // Tick / lot grid first, so validation and risk checks see the prices that are sent
+      if (this.normalizer && order.symbol && order.qty > 0 && !unchecked) {
+        this.normalizer.normalizeOrder(order);
+      }
+      this.validateOrderData(order, !unchecked);
+
+      if (this.riskEngine) {
+        await this.riskEngine.checkOrder(order, this);
+      }
 
       logger.info(`Placing order: ${JSON.stringify(order)}`);
-      const response = await this.fyers.place_order(order);
+      // Never retried: a request that timed out may still have reached the exchange
+      const response = await this.orderScheduler.schedule(() => this.fyers.place_order(order), { retry: false });
       
       if (response.s === 'ok') {
         logger.info(`Order placed successfully: ${response.id}`);
@@ -54,8 +90,12 @@ class OrderService extends FyersService {
         ...modifications
       };
 
+      if (this.riskEngine) {
+        await this.riskEngine.checkModification(orderId, modifications, this);
+      }
+
       logger.info(`Modifying order ${orderId}: ${JSON.stringify(modifications)}`);
-      const response = await this.fyers.modify_order(modifyData);
+      const response = await this.orderScheduler.schedule(() => this.fyers.modify_order(modifyData), { retry: false });
       
       if (response.s === 'ok') {
         logger.info(`Order modified successfully: ${orderId}`);
@@ -72,7 +112,7 @@ class OrderService extends FyersService {
   async cancelOrder(orderId) {
     try {
       logger.info(`Cancelling order: ${orderId}`);
-      const response = await this.fyers.cancel_order({ id: orderId });
+      const response = await this.orderScheduler.schedule(() => this.fyers.cancel_order({ id: orderId }), { retry: false });
       
       if (response.s === 'ok') {
         logger.info(`Order cancelled successfully: ${orderId}`);
@@ -88,7 +128,7 @@ class OrderService extends FyersService {
 
   async getOrders() {
     try {
-      const response = await this.fyers.get_orders();
+      const response = await this.scheduler.schedule(() => this.fyers.get_orders());
       if (response.s === 'ok') {
         logger.debug('Orders fetched successfully');
         return response;
@@ -103,7 +143,7 @@ class OrderService extends FyersService {
 
   async getPositions() {
     try {
-      const response = await this.fyers.get_positions();
+      const response = await this.scheduler.schedule(() => this.fyers.get_positions());
       if (response.s === 'ok') {
         logger.debug('Positions fetched successfully');
         return response;
@@ -118,7 +158,7 @@ class OrderService extends FyersService {
 
   async getHoldings() {
     try {
-      const response = await this.fyers.get_holdings();
+      const response = await this.scheduler.schedule(() => this.fyers.get_holdings());
       if (response.s === 'ok') {
         logger.debug('Holdings fetched successfully');
         return response;
@@ -133,7 +173,7 @@ class OrderService extends FyersService {
 
   async getTradebook() {
     try {
-      const response = await this.fyers.get_tradebook();
+      const response = await this.scheduler.schedule(() => this.fyers.get_tradebook());
       if (response.s === 'ok') {
         logger.debug('Tradebook fetched successfully');
         return response;
@@ -146,7 +186,7 @@ class OrderService extends FyersService {
     }
   }
 
-validateOrderData(order) {
+validateOrderData(order, checkInstrument = true) {
     // Basic validation
     if (!order.symbol || !order.qty || !order.side) {
       throw new Error('Missing required order fields: symbol, qty, side');
@@ -161,15 +201,35 @@ validateOrderData(order) {
       throw new Error('Stop price required for stop orders');
     }
     
-    // For stop-limit orders (type 3), ensure proper price relationship
+    // For stop-limit orders (type 3), the limit must be on the fillable side of the trigger
     if (order.type === 3) {
-      if (order.side === 1 && order.limitPrice >= order.stopPrice) {
-        throw new Error('For BUY stop orders: limitPrice must be less than stopPrice');
+      if (order.side === 1 && order.limitPrice < order.stopPrice) {
+        throw new Error('For BUY stop orders: limitPrice must not be less than stopPrice');
       }
-      if (order.side === -1 && order.limitPrice >= order.stopPrice) {
-        throw new Error('For SELL stop orders: limitPrice must be less than stopPrice');
+      if (order.side === -1 && order.limitPrice > order.stopPrice) {
+        throw new Error('For SELL stop orders: limitPrice must not be greater than stopPrice');
       }
     }
+
+    // Lot, tick and freeze checks from the symbol master
+    const instrumentError = this.instruments && checkInstrument ? this.instruments.validateOrder(order) : null;
+    if (instrumentError) {
+      throw new Error(instrumentError);
+    }
+  }
+
+  /**
+   * Whether the order closes part of the broker's open position in its symbol
+   */
+  async reducesPosition(order) {
+    try {
+      const positions = TradingHelpers.extractNetPositions(await this.getPositions());
+      const position = positions.find(p => p.symbol === order.symbol);
+      return RiskEngine.isReducing(order, position ? position.netQty : 0);
+    } catch (error) {
+      logger.warn(`Could not fetch positions for ${order.symbol}: ${error.message}`);
+      return false;
+    }
   }
 
   // Helper method to create common order types
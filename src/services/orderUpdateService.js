@@ -0,0 +1,226 @@
+const { fyersOrderSocket } = require("fyers-api-v3");
+const OrderService = require('./orderService');
+const TradingHelpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const EventEmitter = require('events');
+
+/**
+ * Order Update Service
+ * Streams order, trade and position updates from the FYERS order socket and
+ * re-emits them as orderUpdate / tradeUpdate / positionUpdate events.
+ * While the socket is unavailable the order book, trade book and positions
+ * are polled instead and only changes are emitted.
+ */
+class OrderUpdateService extends EventEmitter {
+  constructor(orderService = null, options = {}) {
+    super();
+    this.orderService = orderService;
+    this.useSocket = options.useSocket !== undefined ? options.useSocket : true;
+    this.pollInterval = options.pollInterval || config.orderUpdates.pollInterval;
+    this.maxReconnectAttempts = options.maxReconnectAttempts || 5;
+
+    this.socket = null;
+    this.isConnected = false;
+    this.reconnectAttempts = 0;
+    this.closedByUser = false;
+    this.pollTimer = null;
+    this.baselineReady = false;
+
+    this.orderSnapshot = new Map();
+    this.tradeSnapshot = new Set();
+    this.positionSnapshot = new Map();
+  }
+
+  /**
+   * Connect to the order socket, falling back to polling if it cannot be used
+   */
+  connect() {
+    this.closedByUser = false;
+
+    if (!this.useSocket || !config.fyers.accessToken) {
+      logger.warn('Order socket unavailable, using polling for order updates');
+      this.startPolling();
+      return;
+    }
+
+    try {
+      logger.info('Creating order update socket connection...');
+      this.socket = new fyersOrderSocket(config.fyers.accessToken, "./logs", true);
+
+      this.setupEventHandlers();
+      this.setupManualReconnect();
+
+      this.socket.connect();
+
+      // Record a baseline so a later fallback to polling only reports changes
+      this.poll().catch(error => logger.warn(`Could not record order baseline: ${error.message}`));
+    } catch (error) {
+      logger.error(`Order socket connection error: ${error.message}`);
+      this.startPolling();
+    }
+  }
+
+  setupManualReconnect() {
+    this.on('disconnected', () => {
+      if (this.closedByUser) return;
+
+      // Keep updates flowing while we try to get the socket back
+      this.startPolling();
+
+      if (this.reconnectAttempts < this.maxReconnectAttempts) {
+        this.reconnectAttempts++;
+        const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
+
+        logger.info(`Order socket reconnect in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+
+        setTimeout(() => {
+          if (!this.isConnected && !this.closedByUser) {
+            try {
+              this.socket.connect();
+            } catch (error) {
+              logger.error(`Order socket reconnection attempt failed: ${error.message}`);
+            }
+          }
+        }, delay);
+      } else {
+        logger.error('Order socket max reconnection attempts reached, staying on polling');
+      }
+    });
+  }
+
+  setupEventHandlers() {
+    this.socket.on('connect', () => {
+      logger.info('Order update socket connected');
+      this.isConnected = true;
+      this.reconnectAttempts = 0;
+
+      this.socket.subscribe([
+        this.socket.orderUpdates,
+        this.socket.tradeUpdates,
+        this.socket.positionUpdates
+      ]);
+
+      this.stopPolling();
+      this.emit('connected');
+    });
+
+    this.socket.on('orders', (message) => {
+      if (message && message.orders) this.handleOrder(message.orders);
+    });
+
+    this.socket.on('trades', (message) => {
+      if (message && message.trades) this.handleTrade(message.trades);
+    });
+
+    this.socket.on('positions', (message) => {
+      if (message && message.positions) this.handlePosition(message.positions);
+    });
+
+    this.socket.on('error', (error) => {
+      logger.error(`Order socket error: ${error}`);
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    });
+
+    this.socket.on('close', () => {
+      logger.info('Order update socket closed');
+      this.isConnected = false;
+      this.emit('disconnected');
+    });
+  }
+
+  /**
+   * Emit an order update if its status or fill quantity changed
+   */
+  handleOrder(order, notify = true) {
+    const signature = `${order.status}:${order.filledQty || 0}`;
+    if (this.orderSnapshot.get(order.id) === signature) return;
+
+    this.orderSnapshot.set(order.id, signature);
+    if (!notify) return;
+
+    logger.debug(`Order update: ${order.id} status ${order.status} filled ${order.filledQty || 0}`);
+    this.emit('orderUpdate', order);
+  }
+
+  handleTrade(trade, notify = true) {
+    const key = trade.tradeNumber || `${trade.orderNumber}:${trade.tradedQty}:${trade.orderDateTime}`;
+    if (this.tradeSnapshot.has(key)) return;
+
+    this.tradeSnapshot.add(key);
+    if (notify) this.emit('tradeUpdate', trade);
+  }
+
+  handlePosition(position, notify = true) {
+    const key = `${position.symbol}-${position.productType}`;
+    const signature = `${position.netQty}:${position.realized_profit}`;
+    if (this.positionSnapshot.get(key) === signature) return;
+
+    this.positionSnapshot.set(key, signature);
+    if (notify) this.emit('positionUpdate', position);
+  }
+
+  startPolling() {
+    if (this.pollTimer) return;
+
+    logger.info(`Polling order updates every ${this.pollInterval}ms`);
+    this.pollTimer = setInterval(() => {
+      this.poll().catch(error => logger.error(`Order update poll error: ${error.message}`));
+    }, this.pollInterval);
+    this.poll().catch(error => logger.error(`Order update poll error: ${error.message}`));
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      logger.info('Order update polling stopped');
+    }
+  }
+
+  /**
+   * Fetch orders, trades and positions and emit whatever changed.
+   * The first poll only records a baseline.
+   */
+  async poll() {
+    if (!this.orderService) {
+      this.orderService = new OrderService();
+    }
+
+    const [orders, trades, positions] = await Promise.all([
+      this.orderService.getOrders(),
+      this.orderService.getTradebook(),
+      this.orderService.getPositions()
+    ]);
+
+    const notify = this.baselineReady;
+    this.baselineReady = true;
+
+    TradingHelpers.extractOrderBook(orders).forEach(order => this.handleOrder(order, notify));
+    TradingHelpers.extractTradeBook(trades).forEach(trade => this.handleTrade(trade, notify));
+    TradingHelpers.extractNetPositions(positions).forEach(position => this.handlePosition(position, notify));
+  }
+
+  getConnectionStatus() {
+    return {
+      connected: this.isConnected,
+      polling: this.pollTimer !== null,
+      reconnectAttempts: this.reconnectAttempts
+    };
+  }
+
+  disconnect() {
+    this.closedByUser = true;
+    this.stopPolling();
+
+    if (this.socket) {
+      this.socket.close();
+      this.isConnected = false;
+      logger.info('Order update socket disconnected');
+    }
+  }
+}
+
+module.exports = OrderUpdateService;
@@ -0,0 +1,486 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const OrderService = require('./orderService');
+const TradingHelpers = require('../utils/helpers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const STATUS = TradingHelpers.ORDER_STATUS;
+
+/**
+ * Paper Trading Order Service
+ * Same surface as OrderService, but orders are filled locally against live
+ * quotes or recorded ticks instead of being sent to the exchange.
+ * Responses mirror the FYERS orderBook / netPositions / tradeBook shapes.
+ */
+class PaperOrderService extends OrderService {
+  constructor(options = {}) {
+    super();
+    this.priceSource = options.priceSource || 'quotes'; // 'quotes' | 'ticks'
+    this.slippagePercent = options.slippagePercent !== undefined ?
+      options.slippagePercent : config.paper.slippagePercent;
+    this.stateFile = options.stateFile !== undefined ? options.stateFile : config.paper.stateFile;
+    this.state = this.loadState();
+
+    this.routeOrderEndpoints();
+    logger.info(`Paper trading enabled (price source: ${this.priceSource})`);
+  }
+
+  /**
+   * Replace the order-management endpoints of the FYERS model with the simulator.
+   * Market data endpoints (quotes, depth, history) keep using the live model.
+   */
+  routeOrderEndpoints() {
+    this.fyers.place_order = (req) => this.simulatePlaceOrder(req);
+    this.fyers.modify_order = (req) => this.simulateModifyOrder(req);
+    this.fyers.cancel_order = (req) => this.simulateCancelOrder(req);
+    this.fyers.get_orders = () => this.simulateGetOrders();
+    this.fyers.get_positions = () => this.simulateGetPositions();
+    this.fyers.get_tradebook = () => this.simulateGetTradebook();
+    this.fyers.get_holdings = () => this.simulateGetHoldings();
+  }
+
+  /**
+   * Feed a market data tick (live or recorded) into the simulator
+   */
+  onTick(tick) {
+    if (!tick || !tick.symbol || !tick.ltp) return;
+
+    this.state.lastPrices[tick.symbol] = tick.ltp;
+    if (this.matchOrders(tick.symbol)) {
+      this.saveState();
+    }
+  }
+
+  /**
+   * Set the last traded price for a symbol manually
+   */
+  setPrice(symbol, ltp) {
+    this.onTick({ symbol, ltp });
+  }
+
+  /**
+   * Fill orders from a MarketDataService (or replay) tick stream
+   */
+  attachMarketData(marketDataService) {
+    marketDataService.on('tick', (tick) => this.onTick(tick));
+  }
+
+  async simulatePlaceOrder(req) {
+    const now = moment().tz('Asia/Kolkata');
+    const order = {
+      id: this.nextOrderId(now),
+      symbol: req.symbol,
+      qty: req.qty,
+      filledQty: 0,
+      remainingQuantity: req.qty,
+      type: req.type,
+      side: req.side,
+      productType: req.productType,
+      limitPrice: req.limitPrice || 0,
+      stopPrice: req.stopPrice || 0,
+      tradedPrice: 0,
+      disclosedQty: req.disclosedQty || 0,
+      orderValidity: req.validity,
+      offlineOrder: req.offlineOrder,
+      status: STATUS.PENDING,
+      message: 'PAPER ORDER PENDING',
+      source: 'PAPER',
+      orderDateTime: now.format('DD-MMM-YYYY HH:mm:ss'),
+      triggered: false
+    };
+    order.orderNumStatus = `${order.id}:${order.status}`;
+
+    this.state.orders.push(order);
+
+    await this.refreshPrices([order.symbol]);
+    this.matchOrders(order.symbol);
+    this.saveState();
+
+    return { s: 'ok', code: 1101, message: 'Order submitted successfully (paper)', id: order.id };
+  }
+
+  async simulateModifyOrder(req) {
+    const order = this.state.orders.find(o => o.id === req.id);
+
+    if (!order) {
+      return { s: 'error', code: -50, message: `Order ${req.id} not found` };
+    }
+    if (order.status !== STATUS.PENDING) {
+      return { s: 'error', code: -52, message: `Order ${req.id} is not pending` };
+    }
+
+    if (req.qty !== undefined) {
+      order.qty = req.qty;
+      order.remainingQuantity = req.qty - order.filledQty;
+    }
+    if (req.type !== undefined) order.type = req.type;
+    if (req.limitPrice !== undefined) order.limitPrice = parseFloat(req.limitPrice);
+    if (req.stopPrice !== undefined) order.stopPrice = parseFloat(req.stopPrice);
+
+    await this.refreshPrices([order.symbol]);
+    this.matchOrders(order.symbol);
+    this.saveState();
+
+    return { s: 'ok', code: 1102, message: 'Successfully modified order (paper)', id: order.id };
+  }
+
+  async simulateCancelOrder(req) {
+    const order = this.state.orders.find(o => o.id === req.id);
+
+    if (!order) {
+      return { s: 'error', code: -50, message: `Order ${req.id} not found` };
+    }
+    if (order.status !== STATUS.PENDING) {
+      return { s: 'error', code: -52, message: `Order ${req.id} is not pending` };
+    }
+
+    this.setStatus(order, STATUS.CANCELLED, 'CANCELLED BY USER (paper)');
+    this.saveState();
+
+    return { s: 'ok', code: 1103, message: 'Successfully cancelled order (paper)', id: order.id };
+  }
+
+  async simulateGetOrders() {
+    await this.refreshAndMatch();
+
+    return {
+      s: 'ok',
+      code: 200,
+      message: '',
+      orderBook: this.state.orders.map(({ triggered, ...order }) => ({ ...order }))
+    };
+  }
+
+  async simulateGetPositions() {
+    await this.refreshAndMatch();
+
+    const netPositions = Object.values(this.state.positions).map(pos => this.buildPositionSnapshot(pos));
+    const plRealized = netPositions.reduce((sum, pos) => sum + pos.realized_profit, 0);
+    const plUnrealized = netPositions.reduce((sum, pos) => sum + pos.unrealized_profit, 0);
+
+    return {
+      s: 'ok',
+      code: 200,
+      message: '',
+      netPositions,
+      overall: {
+        count_total: netPositions.length,
+        count_open: netPositions.filter(pos => pos.netQty !== 0).length,
+        pl_realized: TradingHelpers.roundToDecimals(plRealized),
+        pl_unrealized: TradingHelpers.roundToDecimals(plUnrealized),
+        pl_total: TradingHelpers.roundToDecimals(plRealized + plUnrealized)
+      }
+    };
+  }
+
+  async simulateGetTradebook() {
+    return { s: 'ok', code: 200, message: '', tradeBook: [...this.state.trades] };
+  }
+
+  async simulateGetHoldings() {
+    const holdings = this.state.holdings.map(holding => {
+      const ltp = this.state.lastPrices[holding.symbol] || holding.costPrice;
+      const marketVal = ltp * holding.quantity;
+      return {
+        ...holding,
+        ltp,
+        marketVal,
+        pl: TradingHelpers.roundToDecimals(marketVal - holding.costPrice * holding.quantity)
+      };
+    });
+
+    const totalInvestment = holdings.reduce((sum, h) => sum + h.costPrice * h.quantity, 0);
+    const totalCurrentValue = holdings.reduce((sum, h) => sum + h.marketVal, 0);
+    const totalPl = totalCurrentValue - totalInvestment;
+
+    return {
+      s: 'ok',
+      code: 200,
+      message: '',
+      holdings,
+      overall: {
+        count_total: holdings.length,
+        total_investment: TradingHelpers.roundToDecimals(totalInvestment),
+        total_current_value: TradingHelpers.roundToDecimals(totalCurrentValue),
+        total_pl: TradingHelpers.roundToDecimals(totalPl),
+        pnl_perc: totalInvestment > 0 ? TradingHelpers.roundToDecimals((totalPl / totalInvestment) * 100) : 0
+      }
+    };
+  }
+
+  /**
+   * Refresh quotes for symbols with working orders or open positions and run matching
+   */
+  async refreshAndMatch() {
+    const symbols = new Set();
+    this.state.orders.filter(o => o.status === STATUS.PENDING).forEach(o => symbols.add(o.symbol));
+    Object.values(this.state.positions)
+      .filter(pos => pos.buyQty !== pos.sellQty)
+      .forEach(pos => symbols.add(pos.symbol));
+
+    if (symbols.size === 0) return;
+
+    await this.refreshPrices(Array.from(symbols));
+
+    let changed = false;
+    symbols.forEach(symbol => {
+      changed = this.matchOrders(symbol) || changed;
+    });
+
+    if (changed) {
+      this.saveState();
+    }
+  }
+
+  /**
+   * With ticks as the price source, quote the simulator's last prices so
+   * callers such as the risk engine price orders the same way fills do
+   */
+  async getQuotes(symbols) {
+    if (this.priceSource !== 'ticks') return super.getQuotes(symbols);
+
+    const data = {};
+    (Array.isArray(symbols) ? symbols : [symbols]).forEach(symbol => {
+      const ltp = this.state.lastPrices[symbol];
+      if (ltp) data[symbol] = { ltp, lp: ltp };
+    });
+    return { s: 'ok', code: 200, message: '', data };
+  }
+
+  async refreshPrices(symbols) {
+    if (this.priceSource !== 'quotes' || symbols.length === 0) return;
+
+    try {
+      const quotes = await this.getQuotes(symbols);
+      Object.entries(quotes.data || {}).forEach(([symbol, quote]) => {
+        if (quote && quote.ltp) {
+          this.state.lastPrices[symbol] = quote.ltp;
+        }
+      });
+    } catch (error) {
+      logger.warn(`Paper trading quote refresh failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Try to fill every pending order for a symbol at the last traded price.
+   * Returns true if any order changed state.
+   */
+  matchOrders(symbol) {
+    const ltp = this.state.lastPrices[symbol];
+    if (!ltp) return false;
+
+    let changed = false;
+    this.state.orders
+      .filter(order => order.symbol === symbol && order.status === STATUS.PENDING)
+      .forEach(order => {
+        const fillPrice = this.getFillPrice(order, ltp);
+        if (fillPrice !== null) {
+          this.fillOrder(order, fillPrice);
+          changed = true;
+        } else if (order.triggered && order.message === 'PAPER ORDER PENDING') {
+          order.message = 'TRIGGERED (paper)';
+          changed = true;
+        }
+      });
+
+    return changed;
+  }
+
+  /**
+   * Fill rules:
+   *   1 Limit   - fills when LTP trades at or through the limit, at the better of the two
+   *   2 Market  - fills immediately at LTP plus slippage
+   *   3 SL-L    - once LTP crosses the trigger, behaves like a limit order
+   *   4 SL-M    - once LTP crosses the trigger, fills at LTP plus slippage
+   */
+  getFillPrice(order, ltp) {
+    const isBuy = order.side === 1;
+
+    switch (order.type) {
+      case 2:
+        return this.applySlippage(ltp, isBuy);
+
+      case 1:
+        return this.getLimitFillPrice(order, ltp);
+
+      case 4:
+        return this.isTriggered(order, ltp) ? this.applySlippage(ltp, isBuy) : null;
+
+      case 3:
+        if (!order.triggered && this.isTriggered(order, ltp)) {
+          order.triggered = true;
+        }
+        return order.triggered ? this.getLimitFillPrice(order, ltp) : null;
+
+      default:
+        return null;
+    }
+  }
+
+  getLimitFillPrice(order, ltp) {
+    if (order.side === 1) {
+      return ltp <= order.limitPrice ? Math.min(ltp, order.limitPrice) : null;
+    }
+    return ltp >= order.limitPrice ? Math.max(ltp, order.limitPrice) : null;
+  }
+
+  isTriggered(order, ltp) {
+    return order.side === 1 ? ltp >= order.stopPrice : ltp <= order.stopPrice;
+  }
+
+  applySlippage(price, isBuy) {
+    const slippage = price * this.slippagePercent / 100;
+    return TradingHelpers.roundToDecimals(isBuy ? price + slippage : price - slippage);
+  }
+
+  fillOrder(order, price) {
+    const fillQty = order.remainingQuantity;
+
+    order.filledQty += fillQty;
+    order.remainingQuantity = 0;
+    order.tradedPrice = price;
+    this.setStatus(order, STATUS.FILLED, 'TRADE CONFIRMED (paper)');
+
+    this.state.trades.push({
+      symbol: order.symbol,
+      orderNumber: order.id,
+      tradeNumber: `${order.id}-${this.state.trades.length + 1}`,
+      exchangeOrderNo: order.id,
+      tradedQty: fillQty,
+      tradePrice: price,
+      tradeValue: TradingHelpers.roundToDecimals(fillQty * price),
+      productType: order.productType,
+      orderType: order.type,
+      side: order.side,
+      orderDateTime: moment().tz('Asia/Kolkata').format('DD-MMM-YYYY HH:mm:ss'),
+      clientId: 'PAPER'
+    });
+
+    this.applyFillToPosition(order.symbol, order.productType, order.side, fillQty, price);
+    logger.info(`Paper fill: ${order.side === 1 ? 'BUY' : 'SELL'} ${fillQty} ${order.symbol} @ ${price} (${order.id})`);
+  }
+
+  applyFillToPosition(symbol, productType, side, qty, price) {
+    const key = `${symbol}-${productType}`;
+    const position = this.state.positions[key] || {
+      symbol,
+      productType,
+      buyQty: 0,
+      buyVal: 0,
+      sellQty: 0,
+      sellVal: 0
+    };
+
+    if (side === 1) {
+      position.buyQty += qty;
+      position.buyVal += qty * price;
+    } else {
+      position.sellQty += qty;
+      position.sellVal += qty * price;
+    }
+
+    this.state.positions[key] = position;
+  }
+
+  buildPositionSnapshot(position) {
+    const buyAvg = position.buyQty > 0 ? position.buyVal / position.buyQty : 0;
+    const sellAvg = position.sellQty > 0 ? position.sellVal / position.sellQty : 0;
+    const netQty = position.buyQty - position.sellQty;
+    const netAvg = netQty > 0 ? buyAvg : netQty < 0 ? sellAvg : 0;
+    const ltp = this.state.lastPrices[position.symbol] || netAvg;
+
+    const matchedQty = Math.min(position.buyQty, position.sellQty);
+    const realized = matchedQty * (sellAvg - buyAvg);
+    const unrealized = netQty > 0 ? (ltp - buyAvg) * netQty :
+                       netQty < 0 ? (sellAvg - ltp) * Math.abs(netQty) : 0;
+
+    return {
+      symbol: position.symbol,
+      id: `${position.symbol}-${position.productType}`,
+      productType: position.productType,
+      side: Math.sign(netQty),
+      netQty,
+      qty: Math.abs(netQty),
+      netAvg: TradingHelpers.roundToDecimals(netAvg),
+      avgPrice: TradingHelpers.roundToDecimals(netAvg),
+      buyQty: position.buyQty,
+      buyAvg: TradingHelpers.roundToDecimals(buyAvg),
+      buyVal: TradingHelpers.roundToDecimals(position.buyVal),
+      sellQty: position.sellQty,
+      sellAvg: TradingHelpers.roundToDecimals(sellAvg),
+      sellVal: TradingHelpers.roundToDecimals(position.sellVal),
+      dayBuyQty: position.buyQty,
+      daySellQty: position.sellQty,
+      cfBuyQty: 0,
+      cfSellQty: 0,
+      qtyMulti_com: 1,
+      ltp,
+      realized_profit: TradingHelpers.roundToDecimals(realized),
+      unrealized_profit: TradingHelpers.roundToDecimals(unrealized),
+      pl: TradingHelpers.roundToDecimals(realized + unrealized),
+      crossCurrency: '',
+      rbiRefRate: 1
+    };
+  }
+
+  setStatus(order, status, message) {
+    order.status = status;
+    order.message = message;
+    order.orderNumStatus = `${order.id}:${status}`;
+  }
+
+  nextOrderId(now) {
+    this.state.sequence += 1;
+    return `PAPER${now.format('YYMMDD')}${String(this.state.sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * Clear all simulated orders, trades and positions
+   */
+  reset() {
+    this.state = this.createEmptyState();
+    this.saveState();
+    logger.info('Paper trading state reset');
+  }
+
+  createEmptyState() {
+    return {
+      orders: [],
+      trades: [],
+      positions: {},
+      holdings: [],
+      lastPrices: {},
+      sequence: 0
+    };
+  }
+
+  loadState() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+      return this.createEmptyState();
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return { ...this.createEmptyState(), ...saved };
+    } catch (error) {
+      logger.warn(`Could not load paper trading state: ${error.message}`);
+      return this.createEmptyState();
+    }
+  }
+
+  saveState() {
+    if (!this.stateFile) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+    } catch (error) {
+      logger.error(`Could not save paper trading state: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PaperOrderService;
@@ -0,0 +1,119 @@
+const InstrumentService = require('./instrumentService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const ORDER_TYPE = { LIMIT: 1, MARKET: 2, STOP_LIMIT: 3, STOP_MARKET: 4 };
+
+/**
+ * Price / Quantity Normalizer
+ * Puts FYERS-shaped orders on the instrument's tick and lot grid before they
+ * are validated and sent. Prices are rounded in the direction that is safe
+ * for the side:
+ *   - limit prices never get worse: BUY rounds down, SELL rounds up
+ *   - stop triggers fire no later: BUY rounds down, SELL rounds up
+ *   - stop-limit limits leave more room to fill: BUY rounds up, SELL rounds down
+ * Quantities are rounded down to whole lots (F&O, MCX).
+ */
+class PriceNormalizer {
+  constructor(instruments = null, options = {}) {
+    this.instruments = instruments || InstrumentService.getInstance();
+    this.minGapTicks = options.minGapTicks || config.orders.stopLimitMinTicks;
+    this.gapPercent = options.gapPercent !== undefined ? options.gapPercent : config.orders.stopLimitGapPercent;
+    this.gapAtrFraction = options.gapAtrFraction !== undefined ? options.gapAtrFraction : config.orders.stopLimitAtrFraction;
+  }
+
+  /**
+   * Round a price to a tick multiple
+   * @param {string} mode - 'up', 'down' or 'nearest'
+   */
+  static roundToTick(price, tickSize, mode = 'nearest') {
+    if (!(tickSize > 0)) return price;
+
+    // Work in whole ticks so 0.05 steps do not pick up float noise
+    const ticks = price / tickSize;
+    const nearest = Math.round(ticks);
+    let rounded;
+    if (Math.abs(ticks - nearest) < 1e-9) {
+      rounded = nearest;
+    } else if (mode === 'up') {
+      rounded = Math.ceil(ticks);
+    } else if (mode === 'down') {
+      rounded = Math.floor(ticks);
+    } else {
+      rounded = nearest;
+    }
+
+    const decimals = (String(tickSize).split('.')[1] || '').length;
+    return parseFloat((rounded * tickSize).toFixed(decimals));
+  }
+
+  roundPrice(symbol, price, mode = 'nearest') {
+    return PriceNormalizer.roundToTick(price, this.instruments.getTickSize(symbol), mode);
+  }
+
+  /**
+   * Gap between the stop-loss trigger and its limit price: at least
+   * minGapTicks ticks, widened with the price and, when known, the ATR.
+   * @param {number} atr - average true range of the traded timeframe
+   */
+  getStopLimitGap(symbol, price, atr = null) {
+    const tickSize = this.instruments.getTickSize(symbol);
+    const gap = Math.max(
+      this.minGapTicks * tickSize,
+      price * this.gapPercent / 100,
+      atr > 0 ? atr * this.gapAtrFraction : 0
+    );
+    return PriceNormalizer.roundToTick(gap, tickSize, 'up');
+  }
+
+  /**
+   * Trigger price for a stop-loss limit order whose limit is stopLossPrice.
+   * The trigger sits before the limit in the direction the market moves:
+   * above it for SELL exits, below it for BUY exits.
+   * @param {number} exitSide - side of the stop-loss order (1 BUY, -1 SELL)
+   */
+  getStopTrigger(symbol, stopLossPrice, exitSide, atr = null) {
+    const gap = this.getStopLimitGap(symbol, stopLossPrice, atr);
+    return PriceNormalizer.roundToTick(stopLossPrice - exitSide * gap, this.instruments.getTickSize(symbol));
+  }
+
+  /**
+   * Normalize a FYERS-shaped order in place
+   * @returns {Object} the same order
+   */
+  normalizeOrder(order) {
+    const original = { qty: order.qty, limitPrice: order.limitPrice, stopPrice: order.stopPrice };
+    const buy = order.side === 1;
+
+    const lotSize = this.instruments.getLotSize(order.symbol);
+    if (lotSize > 1 && order.qty > 0) {
+      order.qty = Math.floor(order.qty / lotSize) * lotSize;
+      if (order.qty === 0) {
+        throw new Error(`Quantity ${original.qty} is less than one lot (${lotSize}) of ${order.symbol}`);
+      }
+    }
+
+    if (order.limitPrice > 0) {
+      const limitMode = order.type === ORDER_TYPE.STOP_LIMIT
+        ? (buy ? 'up' : 'down')
+        : (buy ? 'down' : 'up');
+      order.limitPrice = this.roundPrice(order.symbol, order.limitPrice, limitMode);
+    }
+
+    if (order.stopPrice > 0) {
+      order.stopPrice = this.roundPrice(order.symbol, order.stopPrice, buy ? 'down' : 'up');
+    }
+
+    const changed = ['qty', 'limitPrice', 'stopPrice'].filter(field => original[field] !== order[field]);
+    if (changed.length > 0) {
+      logger.info(`Normalized ${order.symbol} order: ` +
+        changed.map(field => `${field} ${original[field]} -> ${order[field]}`).join(', '));
+    }
+
+    return order;
+  }
+}
+
+PriceNormalizer.ORDER_TYPE = ORDER_TYPE;
+
+module.exports = PriceNormalizer;
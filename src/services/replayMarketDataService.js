@@ -0,0 +1,189 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const MarketDataService = require('./marketDataService');
+const TickRecorder = require('./tickRecorder');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Stand-in for fyersDataSocket that plays back a TickRecorder file.
+ * Playback starts right after 'connect', so subscriptions made in the
+ * 'connected' handler apply from the first message. Once anything is
+ * subscribed, symbol messages for other symbols are skipped.
+ */
+class ReplaySocket extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.file = options.file;
+    this.speed = ReplaySocket.parseSpeed(options.speed);
+    this.symbols = new Set();
+    this.currentTime = null;
+    this.messageCount = 0;
+    this.closed = false;
+    this.started = false;
+    this.FullMode = 'FullMode';
+    this.LiteMode = 'LiteMode';
+  }
+
+  /**
+   * 1 = real time, N = N times faster, 0 / 'max' = as fast as possible
+   */
+  static parseSpeed(speed) {
+    if (speed === undefined || speed === null) return 1;
+    if (speed === 'max' || speed === Infinity) return 0;
+
+    const value = parseFloat(speed);
+    if (isNaN(value) || value < 0) {
+      throw new Error(`Invalid replay speed: ${speed}`);
+    }
+    return value;
+  }
+
+  connect() {
+    if (this.closed || this.started) return;
+    this.started = true;
+
+    setImmediate(() => {
+      this.emit('connect');
+      setImmediate(() => {
+        this.play().catch(error => this.emit('error', error.message));
+      });
+    });
+  }
+
+  subscribe(symbols) {
+    symbols.forEach(symbol => this.symbols.add(symbol));
+  }
+
+  unsubscribe(symbols) {
+    symbols.forEach(symbol => this.symbols.delete(symbol));
+  }
+
+  mode() {}
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close');
+  }
+
+  async play() {
+    if (!fs.existsSync(this.file)) {
+      throw new Error(`Replay file not found: ${this.file}`);
+    }
+
+    let input = fs.createReadStream(this.file);
+    if (this.file.endsWith('.gz')) {
+      input = input.pipe(zlib.createGunzip());
+    }
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let previousTime = null;
+    for await (const line of lines) {
+      if (this.closed) break;
+      if (!line.trim()) continue;
+
+      const { t, m } = JSON.parse(line);
+      if (m && m.symbol && this.symbols.size > 0 && !this.symbols.has(m.symbol)) continue;
+
+      if (this.speed > 0 && previousTime !== null && t > previousTime) {
+        await new Promise(resolve => setTimeout(resolve, (t - previousTime) / this.speed));
+      } else if (this.speed === 0 && this.messageCount % 1000 === 0) {
+        await new Promise(resolve => setImmediate(resolve)); // Let listeners breathe
+      }
+      if (this.closed) break;
+
+      previousTime = t;
+      this.currentTime = t;
+      this.messageCount++;
+      this.emit('message', m);
+    }
+
+    lines.close();
+    if (!this.closed) {
+      this.emit('end', { messages: this.messageCount });
+    }
+  }
+}
+
+/**
+ * Replay Market Data Service
+ * Same events as MarketDataService (tick, significantMove, volumeSpike, ...),
+ * fed from a day recorded by TickRecorder instead of the live socket.
+ * Strategies can follow replay time with strategy.setClock(replay.clock).
+ *
+ * Events: replayComplete { file, messages }
+ */
+class ReplayMarketDataService extends MarketDataService {
+  /**
+   * @param {Object} options
+   * @param {string} options.date - trading day to replay (YYYY-MM-DD), read from options.dir
+   * @param {string} options.file - explicit recording, overrides date
+   * @param {number|string} options.speed - 1 = real time, N = N x, 'max' = as fast as possible
+   */
+  constructor(options = {}) {
+    const file = ReplayMarketDataService.resolveFile(options);
+    super({ socketFactory: () => new ReplaySocket({ file, speed: options.speed }) });
+    this.file = file;
+    this.clock = () => this.now();
+  }
+
+  static resolveFile(options) {
+    if (options.file) return options.file;
+    if (!options.date) {
+      throw new Error('Replay needs a date or a file');
+    }
+    return TickRecorder.getFile(options.dir || config.recorder.dir, options.date);
+  }
+
+  /**
+   * Socket factory for other MarketDataService subclasses,
+   * e.g. new EnhancedMarketDataService({ socketFactory })
+   */
+  static createSocketFactory(options = {}) {
+    const file = ReplayMarketDataService.resolveFile(options);
+    return () => new ReplaySocket({ file, speed: options.speed });
+  }
+
+  setupManualReconnect() {
+    // Nothing to reconnect to
+  }
+
+  setupEventHandlers() {
+    super.setupEventHandlers();
+
+    this.socket.on('end', ({ messages }) => {
+      logger.info(`Replay of ${this.file} complete (${messages} messages)`);
+      this.isConnected = false;
+      this.emit('replayComplete', { file: this.file, messages });
+    });
+  }
+
+  /**
+   * Recorded receive time of the last replayed message
+   */
+  now() {
+    const time = this.socket && this.socket.currentTime;
+    return time !== null && time !== undefined ? time : Date.now();
+  }
+
+  /**
+   * Connect, optionally subscribe, and resolve when the recording ends
+   */
+  replay(symbols = []) {
+    return new Promise((resolve, reject) => {
+      this.once('connected', () => {
+        if (symbols.length > 0) this.subscribe(symbols);
+      });
+      this.once('replayComplete', resolve);
+      this.once('error', reject);
+      this.connect();
+    });
+  }
+}
+
+ReplayMarketDataService.ReplaySocket = ReplaySocket;
+
+module.exports = ReplayMarketDataService;
@@ -0,0 +1,148 @@
+const TradingHelpers = require('../utils/helpers');
+const config = require('../config/config');
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+let instance = null;
+let orderInstance = null;
+
+/**
+ * Request Scheduler
+ * Runs FYERS API calls through one shared queue so parallel callers (screener,
+ * breadth analysis, monitors) stay inside the per-second and per-minute API
+ * limits. At most `concurrency` calls are in flight; throttled and transient
+ * network failures are retried with exponential backoff. Order placement,
+ * modification and cancellation use a separate scheduler (getOrderInstance)
+ * so they never wait behind data downloads.
+ */
+class RequestScheduler {
+  constructor(options = {}) {
+    this.perSecond = options.perSecond || config.rateLimit.perSecond;
+    this.perMinute = options.perMinute || config.rateLimit.perMinute;
+    this.concurrency = options.concurrency || config.rateLimit.concurrency;
+    this.retries = options.retries !== undefined ? options.retries : config.rateLimit.retries;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : config.rateLimit.retryDelay;
+
+    this.secondLimiter = TradingHelpers.createRateLimiter(this.perSecond, 1000);
+    this.minuteLimiter = TradingHelpers.createRateLimiter(this.perMinute, 60000);
+
+    this.queue = [];
+    this.active = 0;
+    this.stats = { completed: 0, failed: 0, retried: 0 };
+  }
+
+  /**
+   * Shared scheduler: the limits apply per app, not per FyersService
+   */
+  static getInstance() {
+    if (!instance) {
+      instance = new RequestScheduler();
+    }
+    return instance;
+  }
+
+  /**
+   * Shared scheduler for order calls, with the FYERS order API limits
+   */
+  static getOrderInstance() {
+    if (!orderInstance) {
+      orderInstance = new RequestScheduler({
+        perSecond: config.rateLimit.orders.perSecond,
+        perMinute: config.rateLimit.orders.perMinute
+      });
+    }
+    return orderInstance;
+  }
+
+  /**
+   * Throttling (HTTP 429 / "limit reached"), 5xx and dropped connections
+   * are worth retrying; anything else (bad input, auth) is not
+   */
+  static isRetryable(error) {
+    if (!error) return false;
+
+    const status = error.response ? error.response.status : null;
+    const body = error.response ? error.response.data : error;
+    const code = body && typeof body === 'object' ? Math.abs(Number(body.code)) : NaN;
+    const message = String((body && body.message) || error.message || '');
+
+    // The SDK rejects network failures as { s: 'error', code: 500, message: 'ECONNRESET' }
+    return status === 429 || code === 429 || (status >= 500 && status < 600) ||
+      /limit reached|too many requests/i.test(message) ||
+      RETRYABLE_NETWORK_CODES.includes(error.code) || RETRYABLE_NETWORK_CODES.includes(message);
+  }
+
+  /**
+   * Queue an API call
+   * @param {Function} fn - returns a promise for the request
+   * @param {Object} options
+   * @param {boolean} options.retry - retry throttled/transient failures (default true)
+   * @returns {Promise} the call's result
+   */
+  schedule(fn, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ fn, options, resolve, reject });
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active++;
+
+      this.run(job)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  async run(job) {
+    const attempts = job.options.retry === false ? 1 : this.retries + 1;
+    let attempt = 0;
+
+    try {
+      const result = await TradingHelpers.retry(async () => {
+        if (attempt++ > 0) this.stats.retried++;
+        await this.secondLimiter();
+        await this.minuteLimiter();
+        return job.fn();
+      }, attempts, this.retryDelay, RequestScheduler.isRetryable);
+
+      this.stats.completed++;
+      return result;
+    } catch (error) {
+      this.stats.failed++;
+      throw error;
+    }
+  }
+
+  /**
+   * Map items through an async function with at most `concurrency` running
+   * at once, keeping the input order. fn should catch the per-item errors it
+   * wants to tolerate; any other rejection fails the whole map.
+   */
+  async map(items, fn, concurrency = this.concurrency) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+  }
+
+  getStats() {
+    return { ...this.stats, active: this.active, queued: this.queue.length };
+  }
+}
+
+module.exports = RequestScheduler;
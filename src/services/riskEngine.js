@@ -0,0 +1,318 @@
+const KillSwitch = require('./killSwitch');
+const TradingHelpers = require('../utils/helpers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Raised when an order fails a pre-trade risk rule
+ */
+class RiskViolationError extends Error {
+  constructor(code, message, details = {}) {
+    super(`Risk check failed (${code}): ${message}`);
+    this.name = 'RiskViolationError';
+    this.code = code;
+    this.reason = message;
+    this.details = details;
+  }
+}
+
+/*
+ * Default rules. Each receives the FYERS-shaped order, the evaluation context
+ * and the active limits, and returns null or { code, message, details }.
+ * A limit of 0 disables the rule.
+ */
+
+function blockedSymbolRule(order, context, limits) {
+  if (context.reducing) return null;
+  if (!limits.blockedSymbols.includes(order.symbol)) return null;
+
+  return { code: 'SYMBOL_BLOCKED', message: `${order.symbol} is on the trading blocklist`, details: {} };
+}
+
+function priceBandRule(order, context, limits) {
+  if (!limits.priceBandPercent || !context.ltp) return null;
+
+  const prices = [order.limitPrice, order.stopPrice].filter(price => price > 0);
+  for (const price of prices) {
+    const deviation = Math.abs(price - context.ltp) / context.ltp * 100;
+    if (deviation > limits.priceBandPercent) {
+      return {
+        code: 'PRICE_BAND',
+        message: `Price ₹${price} is ${deviation.toFixed(2)}% away from LTP ₹${context.ltp} (band ${limits.priceBandPercent}%)`,
+        details: { price, ltp: context.ltp, deviation }
+      };
+    }
+  }
+  return null;
+}
+
+function maxOrderValueRule(order, context, limits) {
+  if (!limits.maxOrderValue || context.reducing || !context.price) return null;
+
+  const value = order.qty * context.price;
+  if (value <= limits.maxOrderValue) return null;
+
+  return {
+    code: 'MAX_ORDER_VALUE',
+    message: `Order value ₹${value.toFixed(2)} exceeds limit ₹${limits.maxOrderValue}`,
+    details: { value, limit: limits.maxOrderValue }
+  };
+}
+
+function maxSymbolQuantityRule(order, context, limits) {
+  if (!limits.maxQuantityPerSymbol || context.reducing) return null;
+
+  const resultingQty = Math.abs(context.netQty + order.side * context.addedQty);
+  if (resultingQty <= limits.maxQuantityPerSymbol) return null;
+
+  return {
+    code: 'MAX_SYMBOL_QUANTITY',
+    message: `Position in ${order.symbol} would be ${resultingQty} (limit ${limits.maxQuantityPerSymbol})`,
+    details: { resultingQty, limit: limits.maxQuantityPerSymbol }
+  };
+}
+
+function maxOpenPositionsRule(order, context, limits) {
+  if (!limits.maxOpenPositions || context.reducing || context.netQty !== 0) return null;
+
+  const openCount = context.positions.length;
+  if (openCount < limits.maxOpenPositions) return null;
+
+  return {
+    code: 'MAX_OPEN_POSITIONS',
+    message: `${openCount} positions already open (limit ${limits.maxOpenPositions})`,
+    details: { openCount, limit: limits.maxOpenPositions }
+  };
+}
+
+function exposureRule(order, context, limits) {
+  if (context.reducing || !context.price) return null;
+
+  const orderValue = context.addedQty * context.price;
+  const gross = context.grossExposure + orderValue;
+  const net = Math.abs(context.netExposure + order.side * orderValue);
+
+  if (limits.maxGrossExposure && gross > limits.maxGrossExposure) {
+    return {
+      code: 'MAX_GROSS_EXPOSURE',
+      message: `Gross exposure would be ₹${gross.toFixed(2)} (limit ₹${limits.maxGrossExposure})`,
+      details: { gross, limit: limits.maxGrossExposure }
+    };
+  }
+
+  if (limits.maxNetExposure && net > limits.maxNetExposure) {
+    return {
+      code: 'MAX_NET_EXPOSURE',
+      message: `Net exposure would be ₹${net.toFixed(2)} (limit ₹${limits.maxNetExposure})`,
+      details: { net, limit: limits.maxNetExposure }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Pre-trade Risk Engine
+ * Every OrderService.placeOrder / modifyOrder call is evaluated against the
+ * registered rules. Orders that only reduce an existing position skip the
+ * size and exposure rules so exits are never blocked. Other orders are
+ * rejected when positions or a price cannot be determined.
+ * While the daily loss kill switch is locked only reducing orders are
+ * accepted, even if the rest of the engine is disabled.
+ */
+class RiskEngine {
+  constructor(limits = {}, options = {}) {
+    this.limits = { ...config.risk, ...limits };
+    this.killSwitch = options.killSwitch !== undefined ? options.killSwitch : new KillSwitch();
+    this.rules = [];
+
+    this.addRule('blockedSymbol', blockedSymbolRule);
+    this.addRule('priceBand', priceBandRule);
+    this.addRule('maxOrderValue', maxOrderValueRule);
+    this.addRule('maxSymbolQuantity', maxSymbolQuantityRule);
+    this.addRule('maxOpenPositions', maxOpenPositionsRule);
+    this.addRule('exposure', exposureRule);
+  }
+
+  /**
+   * Register a custom rule: (order, context, limits) => null | { code, message, details }
+   */
+  addRule(name, rule) {
+    this.rules = this.rules.filter(r => r.name !== name);
+    this.rules.push({ name, rule });
+    return this;
+  }
+
+  removeRule(name) {
+    this.rules = this.rules.filter(r => r.name !== name);
+    return this;
+  }
+
+  /**
+   * Replace the kill switch consulted before every order (null disables the lock check)
+   */
+  setKillSwitch(killSwitch) {
+    this.killSwitch = killSwitch;
+    return this;
+  }
+
+  /**
+   * Whether the order only closes part of a position of netQty
+   */
+  static isReducing(order, netQty) {
+    return netQty !== 0 && Math.sign(netQty) !== order.side && order.qty <= Math.abs(netQty);
+  }
+
+  /**
+   * Evaluate a new order. Throws RiskViolationError on the first failing rule.
+   * @param {Object} order - FYERS order payload (symbol, qty, side, type, limitPrice, stopPrice)
+   * @param {Object} orderService - source for positions and quotes
+   */
+  async checkOrder(order, orderService, previousQty = 0) {
+    const lock = this.killSwitch ? this.killSwitch.getLock() : null;
+    if (!this.limits.enabled && !lock) return;
+
+    const context = await this.buildContext(order, orderService, previousQty);
+
+    if (lock && !context.reducing) {
+      logger.warn(`Kill switch rejected ${order.side === 1 ? 'BUY' : 'SELL'} ${order.qty} ${order.symbol}: ${lock.reason}`);
+      throw new RiskViolationError(
+        'KILL_SWITCH',
+        `Trading locked until ${lock.lockedUntil} (${lock.reason}); only reducing orders are allowed`,
+        { lockedAt: lock.lockedAt, lockedUntil: lock.lockedUntil }
+      );
+    }
+
+    if (!this.limits.enabled) return;
+
+    // Fail closed: limits cannot be checked against data we do not have
+    const missing = this.getMissingData(context);
+    if (missing) {
+      logger.warn(`Risk engine rejected ${order.side === 1 ? 'BUY' : 'SELL'} ${order.qty} ${order.symbol}: [${missing.code}] ${missing.message}`);
+      throw new RiskViolationError(missing.code, missing.message, missing.details);
+    }
+
+    for (const { name, rule } of this.rules) {
+      const violation = rule(order, context, this.limits);
+      if (violation) {
+        logger.warn(`Risk engine rejected ${order.side === 1 ? 'BUY' : 'SELL'} ${order.qty} ${order.symbol}: ` +
+          `[${violation.code}] ${violation.message} (rule ${name})`);
+        throw new RiskViolationError(violation.code, violation.message, violation.details);
+      }
+    }
+  }
+
+  /**
+   * Positions and a price are needed by the size and exposure limits; an order
+   * is rejected when one of them is unknown, unless it is known to reduce a
+   * position. Limits set to 0 do not need the data.
+   * @returns {Object|null} { code, message, details }
+   */
+  getMissingData(context) {
+    if (context.reducing) return null;
+
+    const limits = this.limits;
+    const needsPositions = limits.maxQuantityPerSymbol || limits.maxOpenPositions ||
+      limits.maxGrossExposure || limits.maxNetExposure;
+    const needsPrice = limits.maxOrderValue || limits.maxGrossExposure || limits.maxNetExposure;
+
+    if (needsPositions && context.positionsUnavailable) {
+      return {
+        code: 'NO_POSITIONS',
+        message: 'Open positions could not be fetched, so position and exposure limits cannot be checked',
+        details: {}
+      };
+    }
+    if (needsPrice && !context.price) {
+      return {
+        code: 'NO_PRICE',
+        message: 'No limit/stop price and the LTP could not be fetched, so value and exposure limits cannot be checked',
+        details: {}
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Evaluate a modification by merging it into the working order.
+   * If the working order cannot be looked up the check is skipped with a warning.
+   */
+  async checkModification(orderId, modifications, orderService) {
+    if (!this.limits.enabled && !(this.killSwitch && this.killSwitch.isLocked())) return;
+
+    let existing = null;
+    try {
+      const orders = await orderService.getOrders();
+      existing = TradingHelpers.extractOrderBook(orders).find(o => o.id === orderId);
+    } catch (error) {
+      logger.warn(`Risk engine could not look up order ${orderId}: ${error.message}`);
+    }
+
+    if (!existing) {
+      logger.warn(`Risk check skipped for modification of ${orderId}: working order not found`);
+      return;
+    }
+
+    const merged = {
+      symbol: existing.symbol,
+      side: existing.side,
+      type: existing.type,
+      qty: existing.qty,
+      limitPrice: existing.limitPrice,
+      stopPrice: existing.stopPrice,
+      productType: existing.productType,
+      ...modifications
+    };
+
+    await this.checkOrder(merged, orderService, existing.qty);
+  }
+
+  /**
+   * Gather positions, LTP and exposure for the order's symbol.
+   * Data that cannot be fetched is logged and flagged (positionsUnavailable, price null).
+   */
+  async buildContext(order, orderService, previousQty = 0) {
+    let positions = [];
+    let positionsUnavailable = false;
+    try {
+      positions = TradingHelpers.extractNetPositions(await orderService.getPositions())
+        .filter(position => position.netQty !== 0);
+    } catch (error) {
+      logger.warn(`Risk engine could not fetch positions: ${error.message}`);
+      positionsUnavailable = true;
+    }
+
+    let ltp = null;
+    try {
+      const quotes = await orderService.getQuotes([order.symbol]);
+      ltp = quotes?.data?.[order.symbol]?.ltp || null;
+    } catch (error) {
+      logger.warn(`Risk engine could not fetch LTP for ${order.symbol}: ${error.message}`);
+    }
+
+    const position = positions.find(p => p.symbol === order.symbol);
+    const netQty = position ? position.netQty : 0;
+    const addedQty = Math.max(order.qty - previousQty, 0);
+    const reducing = RiskEngine.isReducing(order, netQty);
+
+    const markPrice = (p) => p.ltp || p.netAvg || p.avgPrice || 0;
+    const grossExposure = positions.reduce((sum, p) => sum + Math.abs(p.netQty) * markPrice(p), 0);
+    const netExposure = positions.reduce((sum, p) => sum + p.netQty * markPrice(p), 0);
+
+    return {
+      ltp,
+      price: order.limitPrice || order.stopPrice || ltp,
+      positions,
+      positionsUnavailable,
+      netQty,
+      addedQty,
+      reducing,
+      grossExposure,
+      netExposure
+    };
+  }
+}
+
+RiskEngine.RiskViolationError = RiskViolationError;
+
+module.exports = RiskEngine;
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const FyersService = require('./fyersService');
+const HistoricalDataStore = require('./historicalDataStore');
+const RequestScheduler = require('./requestScheduler');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const QUADRANTS = {
+  LEADING: 'LEADING',
+  WEAKENING: 'WEAKENING',
+  LAGGING: 'LAGGING',
+  IMPROVING: 'IMPROVING'
+};
+
+// Screener weight of a stock's sector position (1 = sector leads NIFTY 50)
+const QUADRANT_SCORES = {
+  LEADING: 1,
+  IMPROVING: 0.75,
+  WEAKENING: 0.25,
+  LAGGING: 0
+};
+
+const sectorMaps = new Map();
+
+/**
+ * Sector Rotation Analyzer
+ * Maps symbols to sectors/industries (src/config/sectors.json) and measures
+ * each sector index against NIFTY 50: relative strength over several
+ * lookbacks and a relative-rotation-graph position. RS-Ratio is the
+ * sector/benchmark price ratio against its own moving average (above 100 =
+ * outperforming); RS-Momentum is the rate of change of RS-Ratio (above 100 =
+ * gaining). Together they place the sector in a quadrant:
+ *
+ *   IMPROVING  | LEADING        (RS-Momentum >= 100)
+ *   -----------+-----------
+ *   LAGGING    | WEAKENING      (RS-Momentum < 100)
+ *   RS-Ratio < 100   RS-Ratio >= 100
+ */
+class SectorRotationAnalyzer {
+  constructor(options = {}) {
+    this.fyersService = options.fyersService || new FyersService();
+    this.historicalData = options.historicalDataStore || new HistoricalDataStore(this.fyersService);
+    this.scheduler = this.fyersService.scheduler || RequestScheduler.getInstance();
+
+    const sectorMap = options.sectorMap || SectorRotationAnalyzer.loadSectorMap(options.sectorFile);
+    this.benchmark = sectorMap.benchmark || 'NSE:NIFTY50-INDEX';
+    this.indices = sectorMap.indices || {};
+    this.symbols = sectorMap.symbols || {};
+
+    this.lookbacks = options.lookbacks || [5, 20, 60];
+    this.ratioPeriod = options.ratioPeriod || 20;
+    this.momentumPeriod = options.momentumPeriod || 5;
+    // Calendar days of index history; enough sessions for the longest lookback and RS-Momentum
+    this.historyDays = options.historyDays || 180;
+  }
+
+  /**
+   * Sector map file, read once per path
+   */
+  static loadSectorMap(file = config.sectors.file) {
+    if (!sectorMaps.has(file)) {
+      try {
+        sectorMaps.set(file, JSON.parse(fs.readFileSync(file, 'utf8')));
+      } catch (error) {
+        logger.error(`Sector map load error (${file}): ${error.message}`);
+        throw error;
+      }
+    }
+    return sectorMaps.get(file);
+  }
+
+  /**
+   * Sector, industry and sector index of a symbol, null when unmapped
+   */
+  getSector(symbol) {
+    const entry = this.symbols[symbol];
+    if (!entry) return null;
+    return { sector: entry.sector, industry: entry.industry || null, index: this.indices[entry.sector] || null };
+  }
+
+  getSymbols(sector) {
+    return Object.keys(this.symbols).filter(symbol => this.symbols[symbol].sector === sector);
+  }
+
+  getSectors() {
+    return Object.keys(this.indices);
+  }
+
+  /**
+   * Percent change over the last `sessions` candles, null without enough data
+   */
+  static returnOver(closes, sessions) {
+    if (closes.length <= sessions) return null;
+    const base = closes[closes.length - 1 - sessions];
+    return base ? ((closes[closes.length - 1] - base) / base) * 100 : null;
+  }
+
+  /**
+   * Closes of two candle series on the sessions both have
+   */
+  static alignCloses(candles, benchmarkCandles) {
+    const benchmark = new Map(benchmarkCandles.map(c => [c.timestamp, c.close]));
+    const sector = [];
+    const bench = [];
+
+    candles.forEach(c => {
+      if (benchmark.has(c.timestamp)) {
+        sector.push(c.close);
+        bench.push(benchmark.get(c.timestamp));
+      }
+    });
+
+    return { sector, benchmark: bench };
+  }
+
+  /**
+   * RS-Ratio and RS-Momentum at the latest session, null without enough data
+   */
+  static calculateRRG(sectorCloses, benchmarkCloses, ratioPeriod = 20, momentumPeriod = 5) {
+    const rs = sectorCloses.map((close, i) => close / benchmarkCloses[i]);
+    if (rs.length < ratioPeriod + momentumPeriod) {
+      return { rsRatio: null, rsMomentum: null };
+    }
+
+    const ratioAt = (end) => {
+      const window = rs.slice(end - ratioPeriod + 1, end + 1);
+      const average = window.reduce((sum, value) => sum + value, 0) / ratioPeriod;
+      return (rs[end] / average) * 100;
+    };
+
+    const last = rs.length - 1;
+    const rsRatio = ratioAt(last);
+    const rsMomentum = (rsRatio / ratioAt(last - momentumPeriod)) * 100;
+    return { rsRatio, rsMomentum };
+  }
+
+  static getQuadrant(rsRatio, rsMomentum) {
+    if (rsRatio === null || rsMomentum === null) return null;
+    if (rsRatio >= 100) return rsMomentum >= 100 ? QUADRANTS.LEADING : QUADRANTS.WEAKENING;
+    return rsMomentum >= 100 ? QUADRANTS.IMPROVING : QUADRANTS.LAGGING;
+  }
+
+  /**
+   * Relative strength and quadrant of every sector index against the
+   * benchmark. Sectors whose history is unavailable are left out.
+   */
+  async analyzeRotation() {
+    try {
+      const benchmarkCandles = await this.historicalData.getHistoricalData(this.benchmark, '1D', this.historyDays);
+      if (!benchmarkCandles || benchmarkCandles.length === 0) {
+        throw new Error(`No history for benchmark ${this.benchmark}`);
+      }
+      const benchmarkCloses = benchmarkCandles.map(c => c.close);
+
+      const results = await this.scheduler.map(this.getSectors(), async (sector) => {
+        const index = this.indices[sector];
+        try {
+          const candles = await this.historicalData.getHistoricalData(index, '1D', this.historyDays);
+          return this.analyzeSector(sector, candles || [], benchmarkCandles);
+        } catch (error) {
+          logger.warn(`Sector rotation: no history for ${sector} (${index}): ${error.message}`);
+          return null;
+        }
+      });
+
+      const sectors = results.filter(Boolean);
+      const quadrants = Object.keys(QUADRANTS).reduce((groups, quadrant) => {
+        groups[quadrant] = sectors.filter(s => s.quadrant === quadrant).map(s => s.sector);
+        return groups;
+      }, {});
+
+      return {
+        benchmark: this.benchmark,
+        asOf: benchmarkCandles[benchmarkCandles.length - 1].timestamp,
+        benchmarkReturns: this.getReturns(benchmarkCloses),
+        sectors,
+        quadrants
+      };
+    } catch (error) {
+      logger.error(`Sector rotation analysis failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  analyzeSector(sector, candles, benchmarkCandles) {
+    const closes = SectorRotationAnalyzer.alignCloses(candles, benchmarkCandles);
+    const returns = this.getReturns(closes.sector);
+    const benchmarkReturns = this.getReturns(closes.benchmark);
+
+    const relativeStrength = {};
+    this.lookbacks.forEach(sessions => {
+      relativeStrength[sessions] = returns[sessions] !== null && benchmarkReturns[sessions] !== null
+        ? returns[sessions] - benchmarkReturns[sessions]
+        : null;
+    });
+
+    const { rsRatio, rsMomentum } = SectorRotationAnalyzer.calculateRRG(
+      closes.sector, closes.benchmark, this.ratioPeriod, this.momentumPeriod);
+
+    return {
+      sector,
+      index: this.indices[sector],
+      returns,
+      relativeStrength,
+      rsRatio,
+      rsMomentum,
+      quadrant: SectorRotationAnalyzer.getQuadrant(rsRatio, rsMomentum)
+    };
+  }
+
+  getReturns(closes) {
+    const returns = {};
+    this.lookbacks.forEach(sessions => {
+      returns[sessions] = SectorRotationAnalyzer.returnOver(closes, sessions);
+    });
+    return returns;
+  }
+
+  /**
+   * Screener indicators for a stock from a rotation result: sector,
+   * industry, sectorQuadrant, sectorScore (0-1) and sectorRelativeStrength
+   * (sector vs NIFTY 50 over the middle lookback, percentage points)
+   */
+  getStockContext(symbol, rotation) {
+    const mapping = this.getSector(symbol);
+    const sector = mapping && rotation ? rotation.sectors.find(s => s.sector === mapping.sector) : null;
+    const lookback = this.lookbacks[Math.floor(this.lookbacks.length / 2)];
+
+    return {
+      sector: mapping ? mapping.sector : null,
+      industry: mapping ? mapping.industry : null,
+      sectorQuadrant: sector ? sector.quadrant : null,
+      sectorScore: sector && sector.quadrant ? QUADRANT_SCORES[sector.quadrant] : null,
+      sectorRelativeStrength: sector ? sector.relativeStrength[lookback] : null
+    };
+  }
+}
+
+SectorRotationAnalyzer.QUADRANTS = QUADRANTS;
+SectorRotationAnalyzer.QUADRANT_SCORES = QUADRANT_SCORES;
+
+module.exports = SectorRotationAnalyzer;
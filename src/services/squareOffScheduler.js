@@ -0,0 +1,201 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const SquareOffService = require('./squareOffService');
+const MarketCalendar = require('./marketCalendar');
+const TradingHelpers = require('../utils/helpers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Intraday Square-off Scheduler
+ * Flattens open INTRADAY/MIS positions at a fixed IST time on weekdays,
+ * before the broker's auto square-off (and its penalty) kicks in.
+ * Open TP/SL brackets are cancelled first so their legs cannot fill after
+ * the position has been closed. A summary with fill prices is written to disk.
+ *
+ * Events: completed, error
+ */
+class SquareOffScheduler extends EventEmitter {
+  constructor(orderService, options = {}) {
+    super();
+    this.orderService = orderService;
+    this.bracketManager = options.bracketManager || null;
+    this.calendar = options.calendar || MarketCalendar.getInstance();
+    this.time = options.time || config.squareOff.time;
+    this.summaryDir = options.summaryDir !== undefined ? options.summaryDir : config.squareOff.summaryDir;
+    this.fillChecks = options.fillChecks !== undefined ? options.fillChecks : 3;
+    this.fillCheckDelay = options.fillCheckDelay !== undefined ? options.fillCheckDelay : 2000;
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * Cron expression for the configured HH:mm on weekdays; exchange holidays are skipped when it fires
+   */
+  getCronExpression() {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(this.time);
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+      throw new Error(`Invalid square-off time "${this.time}" (expected HH:mm)`);
+    }
+    return `${parseInt(match[2])} ${parseInt(match[1])} * * 1-5`;
+  }
+
+  start() {
+    if (this.task) return;
+
+    const expression = this.getCronExpression();
+    this.calendar.verifyHolidayList();
+
+    this.task = cron.schedule(expression, () => {
+      if (!this.calendar.isTradingDay()) {
+        logger.info('Skipping scheduled square-off: not a trading day');
+        return;
+      }
+      this.run().catch(error => logger.error(`Scheduled square-off failed: ${error.message}`));
+    }, { timezone: 'Asia/Kolkata' });
+
+    logger.info(`Intraday square-off scheduled at ${this.time} IST`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Cancel intraday brackets, cancel pending intraday orders and close positions
+   * @returns {Object} summary written to the summary file
+   */
+  async run() {
+    if (this.running) {
+      logger.warn('Square-off already in progress');
+      return null;
+    }
+    this.running = true;
+
+    try {
+      logger.info('Running intraday square-off...');
+
+      const cancelledBrackets = await this.cancelBrackets();
+      const result = await new SquareOffService(this.orderService).squareOff();
+      const fills = await this.waitForFills(result.closedPositions.map(c => c.orderId));
+
+      const summary = {
+        tradingDay: TradingHelpers.getTradingDay(),
+        scheduledTime: this.time,
+        executedAt: result.timestamp,
+        cancelledBrackets,
+        cancelledOrders: result.cancelledOrders.map(order => ({
+          id: order.id,
+          symbol: order.symbol,
+          side: order.side,
+          qty: order.qty
+        })),
+        closedPositions: result.closedPositions.map(({ position, orderId }) => {
+          const fill = fills[orderId];
+          return {
+            symbol: position.symbol,
+            productType: position.productType,
+            quantity: Math.abs(position.netQty),
+            side: position.netQty > 0 ? 'SELL' : 'BUY',
+            entryAvg: position.netAvg || position.avgPrice || null,
+            lastPrice: position.ltp || null,
+            orderId,
+            status: fill ? fill.status : 'UNKNOWN',
+            fillPrice: fill ? fill.price : null
+          };
+        }),
+        failures: [
+          ...result.failedCancellations.map(({ order, error }) => ({ type: 'CANCEL', id: order.id, symbol: order.symbol, error })),
+          ...result.failedPositions.map(({ position, error }) => ({ type: 'CLOSE', symbol: position.symbol, error }))
+        ]
+      };
+
+      summary.file = this.saveSummary(summary);
+      logger.info(`Square-off complete: ${summary.closedPositions.length} position(s) closed, ` +
+        `${summary.cancelledOrders.length} order(s) cancelled, ${summary.failures.length} failure(s)`);
+
+      this.emit('completed', summary);
+      return summary;
+    } catch (error) {
+      logger.error(`Square-off error: ${error.message}`);
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async cancelBrackets() {
+    if (!this.bracketManager) return [];
+
+    // Include brackets created by other processes since the manager was loaded
+    this.bracketManager.reloadState();
+
+    const cancelled = [];
+    const intraday = this.bracketManager.getOpenBrackets()
+      .filter(bracket => SquareOffService.INTRADAY_PRODUCTS.includes(bracket.productType));
+
+    for (const bracket of intraday) {
+      try {
+        await this.bracketManager.cancelBracket(bracket.id, 'SQUARE_OFF');
+        cancelled.push(bracket.id);
+      } catch (error) {
+        logger.error(`Square-off: failed to cancel bracket ${bracket.id}: ${error.message}`);
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * Poll the order book until the closing orders are no longer pending
+   * @returns {Object} orderId -> { status, price }
+   */
+  async waitForFills(orderIds) {
+    const fills = {};
+    if (orderIds.length === 0) return fills;
+
+    for (let attempt = 0; attempt <= this.fillChecks; attempt++) {
+      if (attempt > 0) await TradingHelpers.sleep(this.fillCheckDelay);
+
+      try {
+        const orderBook = TradingHelpers.extractOrderBook(await this.orderService.getOrders());
+        for (const id of orderIds) {
+          const order = orderBook.find(o => o.id === id);
+          if (!order) continue;
+
+          fills[id] = {
+            status: TradingHelpers.isOrderFilled(order) ? 'FILLED'
+              : TradingHelpers.isOrderPending(order) ? 'PENDING' : 'NOT_FILLED',
+            price: order.tradedPrice || null
+          };
+        }
+      } catch (error) {
+        logger.warn(`Square-off: could not fetch order book: ${error.message}`);
+      }
+
+      if (orderIds.every(id => fills[id] && fills[id].status !== 'PENDING')) break;
+    }
+    return fills;
+  }
+
+  saveSummary(summary) {
+    if (!this.summaryDir) return null;
+
+    try {
+      fs.mkdirSync(this.summaryDir, { recursive: true });
+      const file = path.join(this.summaryDir, `square-off-${summary.tradingDay}.json`);
+      fs.writeFileSync(file, JSON.stringify(summary, null, 2));
+      return file;
+    } catch (error) {
+      logger.error(`Could not save square-off summary: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = SquareOffScheduler;
@@ -0,0 +1,106 @@
+const TradingHelpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const INTRADAY_PRODUCTS = ['INTRADAY', 'MIS'];
+
+/**
+ * Square-off Service
+ * Cancels pending orders and flattens open positions with market orders.
+ * Pending orders are cancelled first so a working TP/SL cannot fill after
+ * its position has been closed and open a new one.
+ */
+class SquareOffService {
+  constructor(orderService) {
+    this.orderService = orderService;
+  }
+
+  /**
+   * Cancel pending orders, optionally restricted to some product types
+   * @param {Array|null} productTypes - e.g. ['INTRADAY', 'MIS']; null cancels everything
+   */
+  async cancelPendingOrders(productTypes = null) {
+    const result = { cancelled: [], failed: [] };
+
+    const orderBook = TradingHelpers.extractOrderBook(await this.orderService.getOrders());
+    const pending = orderBook.filter(order =>
+      TradingHelpers.isOrderPending(order) &&
+      (!productTypes || productTypes.includes(order.productType))
+    );
+
+    for (const order of pending) {
+      try {
+        await this.orderService.cancelOrder(order.id);
+        result.cancelled.push(order);
+      } catch (error) {
+        logger.error(`Square-off: failed to cancel ${order.id}: ${error.message}`);
+        result.failed.push({ order, error: error.message });
+      }
+    }
+
+    logger.info(`Square-off: cancelled ${result.cancelled.length} pending order(s), ${result.failed.length} failed`);
+    return result;
+  }
+
+  /**
+   * Close open positions with market orders on the opposite side
+   * @param {Array|null} productTypes - product types to close; null closes everything
+   */
+  async closePositions(productTypes = INTRADAY_PRODUCTS) {
+    const result = { closed: [], failed: [] };
+
+    const positions = TradingHelpers.extractNetPositions(await this.orderService.getPositions());
+    const open = positions.filter(position =>
+      position.netQty !== 0 &&
+      (!productTypes || productTypes.includes(position.productType))
+    );
+
+    for (const position of open) {
+      try {
+        const response = await this.orderService.placeOrder({
+          symbol: position.symbol,
+          quantity: Math.abs(position.netQty),
+          side: position.netQty > 0 ? -1 : 1, // Opposite side
+          type: 2, // Market order for immediate execution
+          productType: position.productType
+        });
+        result.closed.push({ position, orderId: response.id });
+      } catch (error) {
+        logger.error(`Square-off: failed to close ${position.symbol}: ${error.message}`);
+        result.failed.push({ position, error: error.message });
+      }
+    }
+
+    logger.info(`Square-off: closed ${result.closed.length} position(s), ${result.failed.length} failed`);
+    return result;
+  }
+
+  /**
+   * Cancel pending orders, then close positions
+   * @param {Object} options
+   * @param {Array|null} options.productTypes - positions to close (default intraday)
+   * @param {boolean} options.cancelAllOrders - cancel every pending order, not only those of productTypes
+   */
+  async squareOff(options = {}) {
+    const productTypes = options.productTypes !== undefined ? options.productTypes : INTRADAY_PRODUCTS;
+
+    try {
+      const orders = await this.cancelPendingOrders(options.cancelAllOrders ? null : productTypes);
+      const positions = await this.closePositions(productTypes);
+
+      return {
+        cancelledOrders: orders.cancelled,
+        failedCancellations: orders.failed,
+        closedPositions: positions.closed,
+        failedPositions: positions.failed,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error(`Square-off error: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+SquareOffService.INTRADAY_PRODUCTS = INTRADAY_PRODUCTS;
+
+module.exports = SquareOffService;
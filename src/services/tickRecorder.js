@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const TradingHelpers = require('../utils/helpers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Tick Recorder
+ * Writes every raw market data message to gzip-compressed JSON lines,
+ * one file per IST trading day: <dir>/ticks-YYYY-MM-DD.jsonl.gz
+ * Each line is { t: receive time (epoch ms), m: message }.
+ * Restarting on the same day appends a new gzip member to the file,
+ * which gunzip reads back as one stream.
+ */
+class TickRecorder {
+  constructor(options = {}) {
+    this.dir = options.dir || config.recorder.dir;
+    this.now = options.now || (() => Date.now());
+
+    this.marketDataService = null;
+    this.messageHandler = (message) => this.record(message);
+    this.stream = null;
+    this.output = null;
+    this.day = null;
+    this.count = 0;
+  }
+
+  static getFile(dir, day) {
+    return path.join(dir, `ticks-${day}.jsonl.gz`);
+  }
+
+  /**
+   * Record the 'message' events of a MarketDataService
+   */
+  attach(marketDataService) {
+    this.detach();
+    this.marketDataService = marketDataService;
+    marketDataService.on('message', this.messageHandler);
+    logger.info(`Recording market data to ${this.dir}`);
+    return this;
+  }
+
+  detach() {
+    if (this.marketDataService) {
+      this.marketDataService.removeListener('message', this.messageHandler);
+      this.marketDataService = null;
+    }
+  }
+
+  record(message) {
+    if (message === undefined || message === null) return;
+
+    try {
+      const receivedAt = this.now();
+      const day = TradingHelpers.getTradingDay(receivedAt);
+      if (day !== this.day) {
+        this.rotate(day);
+      }
+
+      this.stream.write(JSON.stringify({ t: receivedAt, m: message }) + '\n');
+      this.count++;
+    } catch (error) {
+      logger.error(`Tick recorder write error: ${error.message}`);
+    }
+  }
+
+  rotate(day) {
+    if (this.stream) {
+      this.stream.end();
+    }
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = TickRecorder.getFile(this.dir, day);
+
+    this.stream = zlib.createGzip();
+    this.output = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.pipe(this.output);
+    this.day = day;
+    logger.info(`Tick recorder writing ${file}`);
+  }
+
+  /**
+   * Flush and close the current file
+   * @returns {Promise} resolves once the file is written
+   */
+  close() {
+    this.detach();
+    if (!this.stream) return Promise.resolve();
+
+    const { stream, output } = this;
+    this.stream = null;
+    this.output = null;
+    this.day = null;
+
+    return new Promise((resolve) => {
+      output.once('close', resolve);
+      stream.end();
+    });
+  }
+}
+
+module.exports = TickRecorder;
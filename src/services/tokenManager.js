@@ -0,0 +1,296 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// FYERS error codes meaning the access token is missing, invalid or expired
+const AUTH_ERROR_CODES = [-8, -15, -16, -17, 401];
+
+let instance = null;
+
+/**
+ * Access Token Manager
+ * Keeps the FYERS access token with its issue and expiry time in a local
+ * token store, pushes new tokens into every registered FyersService and
+ * watches every REST response for authentication errors.
+ *
+ * Token precedence: a valid token in the store (written by `login`), then
+ * FYERS_ACCESS_TOKEN from .env.
+ *
+ * Events: tokenUpdated, expiring, expired, authError
+ */
+class TokenManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.storeFile = options.storeFile !== undefined ? options.storeFile : config.fyers.tokenFile;
+    this.appId = options.appId || config.fyers.appId;
+    this.warnBeforeMs = (options.warnBeforeMinutes || config.fyers.tokenWarnMinutes) * 60 * 1000;
+
+    this.services = new Set();
+    this.token = null;
+    this.expiryTimer = null;
+    this.watching = false;
+    this.notified = { expiring: false, expired: false };
+
+    this.load(options.accessToken !== undefined ? options.accessToken : config.fyers.accessToken);
+  }
+
+  /**
+   * Shared instance used by FyersService
+   */
+  static getInstance() {
+    if (!instance) {
+      instance = new TokenManager();
+      instance.installResponseInterceptor();
+    }
+    return instance;
+  }
+
+  /**
+   * Read the expiry (epoch ms) from a JWT access token, or null if it is not a JWT
+   */
+  static decodeExpiry(accessToken) {
+    if (!accessToken || typeof accessToken !== 'string') return null;
+
+    const parts = accessToken.split('.');
+    if (parts.length !== 3) return null;
+
+    try {
+      const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+      return payload.exp ? payload.exp * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * True when a response body or rejection carries a FYERS auth error code
+   */
+  static isAuthError(payload) {
+    if (!payload) return false;
+
+    const status = payload.response ? payload.response.status : null;
+    const body = payload.response ? payload.response.data : payload;
+    const code = body && typeof body === 'object' ? Number(body.code) : NaN;
+
+    return status === 401 || (body && body.s === 'error' && AUTH_ERROR_CODES.includes(code));
+  }
+
+  load(fallbackToken = null) {
+    const stored = this.readStore();
+    if (stored && !this.isExpired(stored)) {
+      this.token = stored;
+      this.apply();
+      return;
+    }
+
+    if (stored) {
+      logger.warn(`Stored access token expired at ${new Date(stored.expiresAt).toISOString()}`);
+    }
+
+    this.token = fallbackToken ? this.buildToken(fallbackToken, null, 'env') : null;
+  }
+
+  buildToken(accessToken, issuedAt = null, source = 'login') {
+    return {
+      accessToken,
+      appId: this.appId,
+      issuedAt: issuedAt || new Date().toISOString(),
+      expiresAt: TokenManager.decodeExpiry(accessToken),
+      source
+    };
+  }
+
+  getAccessToken() {
+    return this.token ? this.token.accessToken : null;
+  }
+
+  getTokenInfo() {
+    return this.token ? { ...this.token } : null;
+  }
+
+  isExpired(token = this.token, now = Date.now()) {
+    return !!(token && token.expiresAt && token.expiresAt <= now);
+  }
+
+  /**
+   * Milliseconds until expiry, or null when unknown
+   */
+  getTimeToExpiry(now = Date.now()) {
+    if (!this.token || !this.token.expiresAt) return null;
+    return this.token.expiresAt - now;
+  }
+
+  /**
+   * Store a new token and swap it into every registered service
+   */
+  setAccessToken(accessToken) {
+    if (!accessToken) {
+      throw new Error('Access token is required');
+    }
+
+    this.token = this.buildToken(accessToken);
+    this.notified = { expiring: false, expired: false };
+    this.writeStore();
+    this.apply();
+
+    const expiry = this.token.expiresAt ? new Date(this.token.expiresAt).toISOString() : 'unknown';
+    logger.info(`Access token updated (expires ${expiry})`);
+    this.emit('tokenUpdated', this.getTokenInfo());
+    return this.getTokenInfo();
+  }
+
+  /**
+   * Keep a FyersService in sync with the current token
+   */
+  register(service) {
+    this.services.add(service);
+    if (this.token && typeof service.applyAccessToken === 'function') {
+      service.applyAccessToken(this.token.accessToken);
+    }
+  }
+
+  unregister(service) {
+    this.services.delete(service);
+  }
+
+  apply() {
+    const accessToken = this.getAccessToken();
+
+    // Sockets read the token from config when they (re)connect
+    config.fyers.accessToken = accessToken;
+    for (const service of this.services) {
+      if (typeof service.applyAccessToken === 'function') {
+        service.applyAccessToken(accessToken);
+      }
+    }
+  }
+
+  /**
+   * Warn before expiry and flag expiry, checking once a minute
+   */
+  startExpiryWatch(interval = 60000) {
+    if (this.expiryTimer) return;
+    this.checkExpiry();
+    this.expiryTimer = setInterval(() => this.checkExpiry(), interval);
+  }
+
+  stopExpiryWatch() {
+    if (this.expiryTimer) {
+      clearInterval(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+  }
+
+  checkExpiry(now = Date.now()) {
+    const remaining = this.getTimeToExpiry(now);
+    if (remaining === null) return;
+
+    if (remaining <= 0) {
+      if (!this.notified.expired) {
+        this.notified.expired = true;
+        logger.error('FYERS access token has expired. Run: node place-order.js login');
+        this.emit('expired', this.getTokenInfo());
+      }
+    } else if (remaining <= this.warnBeforeMs && !this.notified.expiring) {
+      this.notified.expiring = true;
+      logger.warn(`FYERS access token expires in ${Math.round(remaining / 60000)} minutes. Run: node place-order.js login`);
+      this.emit('expiring', { ...this.getTokenInfo(), remainingMs: remaining });
+    }
+  }
+
+  /**
+   * Record an auth failure seen in an API response
+   */
+  reportAuthError(payload, source = 'api') {
+    const body = payload && payload.response ? payload.response.data : payload;
+    const message = (body && body.message) || 'authentication failed';
+
+    logger.error(`FYERS rejected the access token (${source}): ${message}. Run: node place-order.js login`);
+    this.emit('authError', { source, code: body && body.code, message });
+  }
+
+  /**
+   * Inspect every REST response made through the SDK's HTTP client
+   */
+  installResponseInterceptor() {
+    try {
+      const axiosPath = require.resolve('axios', { paths: [path.dirname(require.resolve('fyers-api-v3'))] });
+      const axios = require(axiosPath);
+
+      axios.interceptors.response.use(
+        (response) => {
+          if (TokenManager.isAuthError(response.data)) {
+            this.reportAuthError(response.data, response.config && response.config.url);
+          }
+          return response;
+        },
+        (error) => {
+          if (TokenManager.isAuthError(error)) {
+            this.reportAuthError(error, error.config && error.config.url);
+          }
+          return Promise.reject(error);
+        }
+      );
+    } catch (error) {
+      logger.warn(`Could not watch API responses for auth errors: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick up tokens written by `login` in another process
+   */
+  watchStore(interval = 5000) {
+    if (!this.storeFile || this.watching) return;
+    this.watching = true;
+
+    fs.watchFile(this.storeFile, { interval }, () => {
+      const stored = this.readStore();
+      if (stored && stored.accessToken !== this.getAccessToken() && !this.isExpired(stored)) {
+        this.token = stored;
+        this.notified = { expiring: false, expired: false };
+        this.apply();
+        logger.info('Access token reloaded from token store');
+        this.emit('tokenUpdated', this.getTokenInfo());
+      }
+    });
+  }
+
+  unwatchStore() {
+    if (this.watching) {
+      fs.unwatchFile(this.storeFile);
+      this.watching = false;
+    }
+  }
+
+  readStore() {
+    if (!this.storeFile || !fs.existsSync(this.storeFile)) return null;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+      if (!stored.accessToken || stored.appId !== this.appId) {
+        return null;
+      }
+      return stored;
+    } catch (error) {
+      logger.warn(`Could not read token store: ${error.message}`);
+      return null;
+    }
+  }
+
+  writeStore() {
+    if (!this.storeFile) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.storeFile), { recursive: true });
+      fs.writeFileSync(this.storeFile, JSON.stringify(this.token, null, 2), { mode: 0o600 });
+    } catch (error) {
+      logger.error(`Could not save token store: ${error.message}`);
+    }
+  }
+}
+
+TokenManager.AUTH_ERROR_CODES = AUTH_ERROR_CODES;
+
+module.exports = TokenManager;
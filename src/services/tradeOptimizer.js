@@ -0,0 +1,188 @@
+const FyersService = require('./fyersService');
+const HistoricalDataStore = require('./historicalDataStore');
+const ChargesCalculator = require('./chargesCalculator');
+const { solveRequiredTP } = require('../../requiredTakeProfit');
+const TechnicalIndicators = require('../utils/technicalIndicators');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Trade Optimizer
+ * Picks the stop-loss and take-profit percentages for a target net
+ * risk-reward ratio. The stop is the widest of three floors:
+ *   - noise: multiplier x volatility (ATR / price, or the daily standard
+ *     deviation of log returns), so ordinary swings do not hit it
+ *   - charges: wide enough that charges are at most maxChargeShare of the
+ *     net loss; tighter stops pay the same charges for less movement
+ *   - minStopPercent
+ * capped at maxStopPercent. The take-profit is then solved with the charges
+ * model so the net profit is targetRatio x the net loss. When charges stay
+ * above maxChargeShare even at maxStopPercent the result is marked not
+ * viable and callers should not place the trade.
+ */
+class TradeOptimizer {
+  constructor(options = {}) {
+    this.fyersService = options.fyersService || new FyersService();
+    this.historicalData = options.historicalDataStore || new HistoricalDataStore(this.fyersService);
+    this.charges = options.chargesCalculator || ChargesCalculator.getInstance();
+
+    this.maxChargeShare = options.maxChargeShare !== undefined ? options.maxChargeShare : config.optimizer.maxChargeShare;
+    this.minStop = (options.minStopPercent || config.optimizer.minStopPercent) / 100;
+    this.maxStop = (options.maxStopPercent || config.optimizer.maxStopPercent) / 100;
+    this.maxTargetVolatility = options.maxTargetVolatility || config.optimizer.maxTargetVolatility;
+    this.atrPeriod = options.atrPeriod || 14;
+    this.volatilityPeriod = options.volatilityPeriod || 20;
+    // Calendar days of daily candles; enough sessions for ATR and volatility
+    this.historyDays = options.historyDays || 60;
+  }
+
+  /**
+   * Sample standard deviation of daily log returns over the last `period` sessions
+   */
+  static realizedVolatility(candles, period = 20) {
+    const closes = candles.map(c => c.close).filter(close => close > 0);
+    const returns = [];
+    for (let i = Math.max(1, closes.length - period); i < closes.length; i++) {
+      returns.push(Math.log(closes[i] / closes[i - 1]));
+    }
+    if (returns.length < 2) return null;
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    return Math.sqrt(variance);
+  }
+
+  /**
+   * Narrowest stop fraction at which charges are at most maxChargeShare of
+   * the net loss (0 when no limit is set)
+   */
+  chargeFloor({ price, quantity, side, symbol, product }) {
+    if (!(this.maxChargeShare > 0 && this.maxChargeShare < 1)) return 0;
+
+    const isShort = side === 'SELL';
+    const chargeShare = (l) => {
+      const stopPrice = isShort ? price * (1 + l) : price * (1 - l);
+      const { charges } = this.charges.netPnL({ symbol, product, side, entryPrice: price, exitPrice: stopPrice, quantity });
+      return charges.total / (quantity * price * l + charges.total);
+    };
+
+    if (chargeShare(this.maxStop) > this.maxChargeShare) return Infinity;
+    let lo = 0;
+    let hi = this.maxStop;
+    for (let i = 0; i < 50; i++) {
+      const mid = (lo + hi) / 2;
+      if (chargeShare(mid) > this.maxChargeShare) lo = mid;
+      else hi = mid;
+    }
+    return hi;
+  }
+
+  /**
+   * SL% and TP% for a target net risk-reward ratio
+   * @param {Object} params
+   * @param {number} params.price - entry price
+   * @param {number} params.quantity
+   * @param {string} params.side - 'BUY' or 'SELL'
+   * @param {number} params.targetRatio - net profit / net loss
+   * @param {number} params.volatility - ATR / price or daily return standard deviation
+   * @param {number} params.multiplier - noise stop in units of volatility
+   * @returns {Object} optimal_l, optimal_g (fractions), stop/target prices, net loss/profit, binding constraint,
+   *   viable (false when no stop up to maxStopPercent keeps charges within maxChargeShare)
+   */
+  optimize({ price, quantity, side = 'BUY', targetRatio = 2, volatility, multiplier = 1, symbol = null, product = 'INTRADAY' }) {
+    if (!(price > 0)) throw new Error('Price must be a positive number');
+    if (!(quantity > 0)) throw new Error('Quantity must be a positive number');
+    if (!(targetRatio > 0)) throw new Error('Target ratio must be a positive number');
+    if (!(volatility > 0)) throw new Error('Volatility must be a positive number');
+
+    side = String(side).toUpperCase();
+    const floors = {
+      volatility: multiplier * volatility,
+      charges: this.chargeFloor({ price, quantity, side, symbol, product }),
+      minimum: this.minStop
+    };
+    const [binding, widest] = Object.entries(floors).reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    const capped = widest > this.maxStop;
+    const stopFraction = capped ? this.maxStop : widest;
+
+    const solved = solveRequiredTP({
+      P: price,
+      Q: quantity,
+      l: stopFraction,
+      side,
+      rewardRatio: targetRatio,
+      symbol,
+      product,
+      calculator: this.charges
+    });
+    const netProfit = quantity * price * solved.required_g - solved.chargesTP;
+    const targetInVolatility = solved.required_g / volatility;
+
+    return {
+      side,
+      optimal_l: stopFraction,
+      optimal_g: solved.required_g,
+      stopLossPrice: solved.stopLossPrice,
+      takeProfitPrice: solved.takeProfitPrice,
+      netLoss: solved.netLoss,
+      netProfit,
+      actualRatio: netProfit / solved.netLoss,
+      chargesSL: solved.chargesSL,
+      chargesTP: solved.chargesTP,
+      chargeShare: solved.chargesSL / solved.netLoss,
+      volatility,
+      multiplier,
+      constraint: capped ? 'maximum' : binding,
+      viable: floors.charges !== Infinity,
+      floors,
+      targetInVolatility,
+      stretched: targetInVolatility > this.maxTargetVolatility
+    };
+  }
+
+  async getDailyCandles(symbol) {
+    const candles = await this.historicalData.getHistoricalData(symbol, '1D', this.historyDays);
+    if (!Array.isArray(candles) || candles.length === 0) {
+      throw new Error(`No daily history for ${symbol}`);
+    }
+    return candles;
+  }
+
+  /**
+   * Optimize with the stop at atrMultiplier x daily ATR (fetched when atr is not given)
+   */
+  async optimizeWithATR({ symbol, price, atr = null, atrMultiplier = 0.5, ...params }) {
+    try {
+      let atrValue = atr;
+      if (!atrValue) {
+        const atrSeries = TechnicalIndicators.calculateATR(await this.getDailyCandles(symbol), this.atrPeriod);
+        atrValue = atrSeries[atrSeries.length - 1];
+        if (!(atrValue > 0)) throw new Error(`Not enough history for ATR(${this.atrPeriod}) of ${symbol}`);
+      }
+
+      const result = this.optimize({ ...params, symbol, price, volatility: atrValue / price, multiplier: atrMultiplier });
+      return { ...result, method: 'ATR', atr: atrValue };
+    } catch (error) {
+      logger.error(`ATR optimization failed for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Optimize with the stop at volatilityMultiplier x realized daily volatility
+   */
+  async optimizeWithVolatility({ symbol, price, volatilityMultiplier = 1.5, ...params }) {
+    try {
+      const dailyVolatility = TradeOptimizer.realizedVolatility(await this.getDailyCandles(symbol), this.volatilityPeriod);
+      if (!dailyVolatility) throw new Error(`Not enough history for volatility of ${symbol}`);
+
+      const result = this.optimize({ ...params, symbol, price, volatility: dailyVolatility, multiplier: volatilityMultiplier });
+      return { ...result, method: 'VOLATILITY', dailyVolatility };
+    } catch (error) {
+      logger.error(`Volatility optimization failed for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = TradeOptimizer;
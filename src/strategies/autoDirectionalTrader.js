@@ -0,0 +1,457 @@
+const cron = require('node-cron');
+const DirectionalTradingStrategy = require('./directionalTradingStrategy');
+const OrderService = require('../services/orderService');
+const BracketOrderManager = require('../services/bracketOrderManager');
+const ChargesCalculator = require('../services/chargesCalculator');
+const InstrumentService = require('../services/instrumentService');
+const MarketCalendar = require('../services/marketCalendar');
+const TradeOptimizer = require('../services/tradeOptimizer');
+const config = require('../config/config');
+const TradingHelpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Tag on this strategy's brackets, to find them again after a restart
+const STRATEGY = 'auto-directional';
+
+/**
+ * Auto Directional Trader
+ * Screens trending stocks pre-market, subscribes the watchlist to the market
+ * data feed and enters a TP/SL bracket when a tick's directional strength is
+ * above the threshold. Each trade is sized so the loss at the stop plus
+ * charges stays within riskPerTrade; at most maxPositions trades are open
+ * and each symbol is traded once a day. Trades exit on TP or SL (bracket),
+ * after maxHoldMinutes, or at exitTime.
+ *
+ * Events: screened, entry, exit, started, stopped
+ */
+class AutoDirectionalTrader extends DirectionalTradingStrategy {
+  constructor(options = {}) {
+    super(options);
+    const settings = config.autoDirectional;
+
+    this.riskPerTrade = parseFloat(options.riskPerTrade);
+    this.maxPositions = parseInt(options.maxPositions);
+    if (!(this.riskPerTrade > 0)) {
+      throw new Error('riskPerTrade must be a positive amount');
+    }
+    if (!(this.maxPositions > 0)) {
+      throw new Error('maxPositions must be a positive number');
+    }
+
+    this.product = options.product || 'INTRADAY';
+    this.rewardRatio = options.rewardRatio || settings.rewardRatio;
+    this.stopAtrMultiplier = options.stopAtrMultiplier || settings.stopAtrMultiplier;
+    this.screeningTime = options.screeningTime || settings.screeningTime;
+    this.entryCutoffTime = options.entryCutoffTime || settings.entryCutoffTime;
+    this.exitTime = options.exitTime || settings.exitTime;
+    this.maxHoldMinutes = options.maxHoldMinutes !== undefined ? options.maxHoldMinutes : settings.maxHoldMinutes;
+    this.checkInterval = options.checkInterval || settings.checkInterval;
+
+    this.orderService = options.orderService || new OrderService();
+    this.bracketManager = options.bracketManager || new BracketOrderManager(this.orderService);
+    this.charges = options.chargesCalculator || ChargesCalculator.getInstance();
+    this.instruments = options.instrumentService || InstrumentService.getInstance();
+    this.optimizer = options.tradeOptimizer || new TradeOptimizer({
+      fyersService: this.fyersService,
+      historicalDataStore: this.historicalData,
+      chargesCalculator: this.charges
+    });
+
+    this.trades = new Map();       // symbol -> open trade
+    this.pendingEntries = new Set();
+    this.tradedToday = new Set();
+    this.tradingDay = null;
+    this.isActive = false;
+    this.screeningTask = null;
+    this.exitTimer = null;
+    this.onBracketDone = (bracket) => this.handleBracketDone(bracket);
+  }
+
+  async initialize() {
+    if (!await this.instruments.ensureLoaded(config.instruments.startupWaitMs)) {
+      logger.warn('Symbol master not loaded yet, F&O lot sizes unavailable');
+    }
+
+    this.restoreTrades();
+    this.bracketManager.on('closed', this.onBracketDone);
+    this.bracketManager.on('cancelled', this.onBracketDone);
+    this.bracketManager.start();
+    await this.connectMarketData();
+  }
+
+  /**
+   * Take back this strategy's open brackets after a restart, so their
+   * MAX_HOLD and TIME_EXIT exits still fire
+   */
+  restoreTrades() {
+    const now = this.now();
+    this.startTradingDay(now);
+
+    for (const bracket of this.bracketManager.getOpenBrackets()) {
+      if (bracket.strategy !== STRATEGY || this.trades.has(bracket.symbol)) continue;
+
+      const enteredAt = new Date(bracket.createdAt);
+      this.trades.set(bracket.symbol, {
+        symbol: bracket.symbol,
+        bracketId: bracket.id,
+        direction: bracket.side === 1 ? 'BULLISH' : 'BEARISH',
+        enteredAt,
+        exiting: null,
+        side: bracket.side,
+        quantity: bracket.quantity,
+        stopLossPercent: bracket.targets.stopLossPercent,
+        takeProfitPercent: bracket.targets.takeProfitPercent
+      });
+      if (MarketCalendar.dayKey(enteredAt) === this.tradingDay) {
+        this.tradedToday.add(bracket.symbol);
+      }
+    }
+
+    if (this.trades.size > 0) {
+      logger.info(`Restored ${this.trades.size} open trade(s): ${[...this.trades.keys()].join(', ')}`);
+    }
+  }
+
+  /**
+   * Schedule the daily screening and exit checks; screens immediately when
+   * started on a trading day after the screening time
+   */
+  async start() {
+    if (this.isActive) return;
+    this.calendar.verifyHolidayList(this.now());
+    this.isActive = true;
+
+    const [hour, minute] = this.screeningTime.split(':').map(Number);
+    this.screeningTask = cron.schedule(`${minute} ${hour} * * 1-5`, () => {
+      if (!this.calendar.isTradingDay(this.now())) {
+        logger.info('Skipping directional screening: not a trading day');
+        return;
+      }
+      this.runDailyScreening().catch(error => logger.error(`Directional screening failed: ${error.message}`));
+    }, { timezone: 'Asia/Kolkata' });
+
+    this.exitTimer = setInterval(() => {
+      this.checkExits().catch(error => logger.error(`Exit check failed: ${error.message}`));
+    }, this.checkInterval);
+
+    logger.info(`Auto directional trader started: risk ₹${this.riskPerTrade}/trade, max ${this.maxPositions} positions`);
+    this.emit('started');
+
+    const now = this.now();
+    if (this.calendar.isTradingDay(now) && !this.isBefore(now, this.screeningTime) && this.isBefore(now, this.exitTime)) {
+      await this.runDailyScreening();
+    }
+  }
+
+  /**
+   * Stop trading; open brackets keep their TP/SL orders and saved state
+   */
+  stop() {
+    this.isActive = false;
+    if (this.screeningTask) {
+      this.screeningTask.stop();
+      this.screeningTask = null;
+    }
+    if (this.exitTimer) {
+      clearInterval(this.exitTimer);
+      this.exitTimer = null;
+    }
+    if (this.tickHandler) {
+      this.marketDataService.removeListener('tick', this.tickHandler);
+      this.tickHandler = null;
+    }
+    this.bracketManager.removeListener('closed', this.onBracketDone);
+    this.bracketManager.removeListener('cancelled', this.onBracketDone);
+    this.bracketManager.stop();
+
+    logger.info(`Auto directional trader stopped with ${this.trades.size} open trade(s)`);
+    this.emit('stopped');
+  }
+
+  async runDailyScreening() {
+    this.startTradingDay(this.now());
+    const watchlist = await this.initializeDailyScreening();
+    this.emit('screened', watchlist);
+    return watchlist;
+  }
+
+  /**
+   * Forget yesterday's traded symbols on a new trading day
+   */
+  startTradingDay(now) {
+    const day = MarketCalendar.dayKey(now);
+    if (day !== this.tradingDay) {
+      this.tradingDay = day;
+      this.tradedToday.clear();
+    }
+  }
+
+  isBefore(now, time) {
+    return this.calendar.at(now, time).isAfter(now);
+  }
+
+  /**
+   * Why a signal cannot be traded now, or null when it can
+   */
+  getEntryBlock(signal, now = this.now()) {
+    if (!this.isActive) return 'trader is not active';
+    if (signal.direction !== 'BULLISH' && signal.direction !== 'BEARISH') return 'no direction';
+    if (this.trades.has(signal.symbol) || this.pendingEntries.has(signal.symbol)) return 'already in a trade';
+    if (this.tradedToday.has(signal.symbol)) return 'already traded today';
+    if (this.trades.size + this.pendingEntries.size >= this.maxPositions) return `${this.maxPositions} positions open`;
+    if (!this.calendar.isWithinSession(now, 15, 0)) return 'outside the trading session';
+    if (!this.isBefore(now, this.entryCutoffTime)) return `past the ${this.entryCutoffTime} entry cutoff`;
+    if (signal.direction === 'BEARISH' && !['INTRADAY', 'MIS'].includes(this.product)) return 'short entries need an intraday product';
+    return null;
+  }
+
+  /**
+   * Quantity and SL/TP percentages for a signal: stop at stopAtrMultiplier x
+   * ATR (widened by the optimizer when charges would dominate), TP for
+   * rewardRatio after charges, loss at the stop within riskPerTrade.
+   * Null when even one lot risks too much, or charges stay above the
+   * optimizer's limit at its widest stop.
+   */
+  planTrade(signal) {
+    const { symbol, price, atr } = signal;
+    if (!(price > 0) || !(atr > 0)) return null;
+
+    const side = signal.direction === 'BULLISH' ? 'BUY' : 'SELL';
+    const lotSize = this.instruments.getLotSize(symbol) || 1;
+    const size = (stopPrice) => this.charges.sizeForRisk({
+      symbol, product: this.product, riskAmount: this.riskPerTrade, entryPrice: price, stopPrice, lotSize
+    });
+    const optimize = (quantity) => this.optimizer.optimize({
+      symbol,
+      product: this.product,
+      price,
+      quantity,
+      side,
+      targetRatio: this.rewardRatio,
+      volatility: atr / price,
+      multiplier: this.stopAtrMultiplier
+    });
+
+    const stopDistance = this.stopAtrMultiplier * atr;
+    let quantity = size(side === 'BUY' ? price - stopDistance : price + stopDistance);
+    if (quantity <= 0) return null;
+
+    let plan = optimize(quantity);
+    // The optimizer may widen the stop for charges; shrink the size to stay within risk
+    if (plan.netLoss > this.riskPerTrade) {
+      quantity = size(plan.stopLossPrice);
+      if (quantity <= 0) return null;
+      plan = optimize(quantity);
+      if (plan.netLoss > this.riskPerTrade) return null;
+    }
+    if (!plan.viable) return null;
+
+    return {
+      side: side === 'BUY' ? 1 : -1,
+      quantity,
+      stopLossPercent: plan.optimal_l * 100,
+      takeProfitPercent: plan.optimal_g * 100,
+      stopLossPrice: plan.stopLossPrice,
+      takeProfitPrice: plan.takeProfitPrice,
+      netLoss: plan.netLoss,
+      netProfit: plan.netProfit
+    };
+  }
+
+  /**
+   * Enter a bracket for a strong signal, within the position and risk limits
+   */
+  async executeDirectionalTrade(signal) {
+    const now = this.now();
+    const block = this.getEntryBlock(signal, now);
+    if (block) {
+      logger.debug(`Skipping ${signal.direction} ${signal.symbol}: ${block}`);
+      return null;
+    }
+
+    const plan = this.planTrade(signal);
+    if (!plan) {
+      logger.warn(`Skipping ${signal.symbol}: one lot would risk more than ₹${this.riskPerTrade} or ATR is missing`);
+      return null;
+    }
+
+    this.pendingEntries.add(signal.symbol);
+    try {
+      const bracket = await this.bracketManager.createBracket({
+        symbol: signal.symbol,
+        quantity: plan.quantity,
+        side: plan.side,
+        takeProfitPercent: plan.takeProfitPercent,
+        stopLossPercent: plan.stopLossPercent,
+        productType: this.product,
+        strategy: STRATEGY
+      });
+
+      const trade = {
+        symbol: signal.symbol,
+        bracketId: bracket.id,
+        direction: signal.direction,
+        strength: signal.strength,
+        signalPrice: signal.price,
+        enteredAt: now,
+        exiting: null,
+        ...plan
+      };
+      this.trades.set(signal.symbol, trade);
+      this.tradedToday.add(signal.symbol);
+
+      logger.info(`Entered ${signal.direction} ${signal.symbol} x${plan.quantity} (strength ${signal.strength.toFixed(2)}, ` +
+        `SL ${plan.stopLossPercent.toFixed(2)}%, TP ${plan.takeProfitPercent.toFixed(2)}%)`);
+      this.emit('entry', trade);
+      return trade;
+    } catch (error) {
+      logger.error(`Directional entry failed for ${signal.symbol}: ${error.message}`);
+      throw error;
+    } finally {
+      this.pendingEntries.delete(signal.symbol);
+    }
+  }
+
+  /**
+   * Bracket closed on TP/SL or cancelled (e.g. entry not filled)
+   */
+  handleBracketDone(bracket) {
+    const trade = [...this.trades.values()].find(t => t.bracketId === bracket.id);
+    if (!trade || trade.exiting) return;
+
+    this.trades.delete(trade.symbol);
+    this.emit('exit', { ...trade, reason: bracket.exitReason, bracket });
+  }
+
+  /**
+   * Time exits: everything at exitTime, single trades after maxHoldMinutes
+   */
+  async checkExits(now = this.now()) {
+    const sessionOver = !this.isBefore(now, this.exitTime);
+
+    for (const trade of [...this.trades.values()]) {
+      const heldMinutes = (now.getTime() - trade.enteredAt.getTime()) / 60000;
+      if (sessionOver) {
+        await this.exitTrade(trade, 'TIME_EXIT');
+      } else if (this.maxHoldMinutes > 0 && heldMinutes >= this.maxHoldMinutes) {
+        await this.exitTrade(trade, 'MAX_HOLD');
+      }
+    }
+  }
+
+  /**
+   * Cancel the bracket's working orders, then close what the trade still holds
+   * at market. Nothing is sent while any of the bracket's orders still works,
+   * since it could fill after the exit; the next check tries again.
+   */
+  async exitTrade(trade, reason) {
+    try {
+      // Pick up fills since the last poll; TP/SL may already have closed it
+      await this.bracketManager.reconcile(trade.bracketId);
+      const bracket = this.bracketManager.getBracket(trade.bracketId);
+      if (!this.trades.has(trade.symbol)) return null;
+
+      trade.exiting = reason;
+      let heldQty = trade.quantity;
+      if (bracket) {
+        const orders = await this.cancelBracketOrders(bracket, reason);
+        const working = orders.filter(order => TradingHelpers.isOrderPending(order));
+        if (working.length > 0) {
+          trade.exiting = null;
+          logger.warn(`Not exiting ${trade.symbol} (${reason}): order(s) ${working.map(order => order.id).join(', ')} still working after cancel`);
+          return null;
+        }
+        heldQty = this.getHeldQuantity(bracket, orders);
+      }
+
+      const openQty = await this.getOpenQuantity(trade, heldQty);
+      let order = null;
+      if (openQty > 0) {
+        order = await this.orderService.placeOrder({
+          symbol: trade.symbol,
+          quantity: openQty,
+          side: -trade.side,
+          type: 2,
+          productType: this.product,
+          validity: 'DAY'
+        });
+      }
+
+      this.trades.delete(trade.symbol);
+      logger.info(`Exited ${trade.symbol} (${reason})${openQty > 0 ? `: ${openQty} at market` : ', no open position'}`);
+      this.emit('exit', { ...trade, reason, quantityClosed: openQty, orderId: order ? order.id : null });
+      return order;
+    } catch (error) {
+      trade.exiting = null;
+      logger.error(`Time exit failed for ${trade.symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel the bracket (or, if an earlier cancel left orders working, those
+   * orders) and return the bracket's orders as the order book now shows them
+   */
+  async cancelBracketOrders(bracket, reason) {
+    if (bracket.state === BracketOrderManager.STATE.PENDING_ENTRY || bracket.state === BracketOrderManager.STATE.ACTIVE) {
+      await this.bracketManager.cancelBracket(bracket.id, reason);
+    } else {
+      for (const order of await this.getBracketOrders(bracket)) {
+        if (!TradingHelpers.isOrderPending(order)) continue;
+        try {
+          await this.orderService.cancelOrder(order.id);
+        } catch (error) {
+          logger.warn(`Could not cancel order ${order.id}: ${error.message}`);
+        }
+      }
+    }
+    return this.getBracketOrders(bracket);
+  }
+
+  async getBracketOrders(bracket) {
+    const orderIds = [bracket.entry, bracket.takeProfit, bracket.stopLoss]
+      .filter(leg => leg && leg.orderId)
+      .map(leg => leg.orderId);
+    if (orderIds.length === 0) return [];
+
+    const orderBook = TradingHelpers.extractOrderBook(await this.orderService.getOrders());
+    return orderBook.filter(order => orderIds.includes(order.id));
+  }
+
+  /**
+   * Entry fills less TP/SL fills, from the order book where it has the leg
+   */
+  getHeldQuantity(bracket, orders) {
+    const filled = (leg) => {
+      if (!leg) return 0;
+      const order = orders.find(o => o.id === leg.orderId);
+      if (!order) return leg.filledQty || 0;
+      return order.filledQty !== undefined ? order.filledQty : (TradingHelpers.isOrderFilled(order) ? order.qty : 0);
+    };
+    return filled(bracket.entry) - filled(bracket.takeProfit) - filled(bracket.stopLoss);
+  }
+
+  /**
+   * Quantity to close: the broker's net position in the trade's direction for
+   * this product, capped at what the trade holds so manual quantity and other
+   * brackets in the symbol are left alone
+   */
+  async getOpenQuantity(trade, heldQty) {
+    const positions = TradingHelpers.extractNetPositions(await this.orderService.getPositions());
+    const netQty = positions
+      .filter(position => position.symbol === trade.symbol && position.productType === this.product)
+      .reduce((sum, position) => sum + position.netQty, 0);
+    return Math.sign(netQty) === trade.side ? Math.max(Math.min(Math.abs(netQty), heldQty), 0) : 0;
+  }
+
+  getStatus() {
+    return {
+      active: this.isActive,
+      watchlist: this.watchlist.length,
+      openTrades: [...this.trades.values()],
+      tradedToday: [...this.tradedToday]
+    };
+  }
+}
+
+module.exports = AutoDirectionalTrader;
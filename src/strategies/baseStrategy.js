@@ -1,4 +1,7 @@
 const EventEmitter = require('events');
+const ChargesCalculator = require('../services/chargesCalculator');
+const InstrumentService = require('../services/instrumentService');
+const MarketCalendar = require('../services/marketCalendar');
 const logger = require('../utils/logger');
 
 /**
@@ -21,10 +24,25 @@ class BaseStrategy extends EventEmitter {
     this.orders = new Map();
     this.isActive = false;
     this.marketData = new Map();
+    this.clock = null;
     
     logger.info(`Strategy ${this.name} initialized`);
   }
 
+  /**
+   * Override the time source (used by the backtest engine to replay history)
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Current strategy time - wall clock unless a clock has been set
+   */
+  now() {
+    return this.clock ? new Date(this.clock()) : new Date();
+  }
+
   /**
    * Start the strategy
    */
@@ -77,10 +95,19 @@ class BaseStrategy extends EventEmitter {
       return 0;
     }
     
-    const quantity = Math.floor(risk / riskPerShare);
+    // Loss at the stop including round-trip charges stays within the risk amount
     const maxQuantity = Math.floor(this.config.maxPositionSize / price);
+    const quantity = ChargesCalculator.getInstance().sizeForRisk({
+      symbol,
+      product: this.config.product || 'INTRADAY',
+      riskAmount: risk,
+      entryPrice: price,
+      stopPrice: stopLossPrice,
+      maxQuantity
+    });
     
-    return Math.min(quantity, maxQuantity);
+    // Whole lots only (1 for cash equities)
+    return InstrumentService.getInstance().roundToLot(symbol, quantity);
   }
 
   /**
@@ -103,7 +130,7 @@ class BaseStrategy extends EventEmitter {
       quantity: calculatedQuantity,
       stopLoss: price * (1 - this.config.stopLossPercentage / 100),
       takeProfit: price * (1 + this.config.takeProfitPercentage / 100),
-      timestamp: new Date(),
+      timestamp: this.now(),
       strategy: this.name
     };
     
@@ -131,7 +158,7 @@ class BaseStrategy extends EventEmitter {
       symbol,
       price,
       quantity: sellQuantity,
-      timestamp: new Date(),
+      timestamp: this.now(),
       strategy: this.name
     };
     
@@ -152,7 +179,7 @@ class BaseStrategy extends EventEmitter {
         symbol,
         quantity,
         avgPrice,
-        timestamp: new Date()
+        timestamp: this.now()
       });
       logger.info(`Position updated for ${symbol}: ${quantity} @ ${avgPrice}`);
     }
@@ -190,14 +217,8 @@ class BaseStrategy extends EventEmitter {
    * Check if market conditions are suitable for trading
    */
   isMarketSuitable() {
-    const now = new Date();
-    const hours = now.getHours();
-    const minutes = now.getMinutes();
-    const currentTime = hours * 100 + minutes;
-    
-    // Market hours: 9:15 AM to 3:30 PM IST
-    // Avoid first and last 15 minutes for better execution
-    return currentTime >= 930 && currentTime <= 1515;
+    // Inside the session, avoiding the first and last 15 minutes for better execution
+    return MarketCalendar.getInstance().isWithinSession(this.now(), 15, 15);
   }
 
   /**
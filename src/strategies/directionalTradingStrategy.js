@@ -1,17 +1,48 @@
+const EventEmitter = require('events');
 const FyersService = require('../services/fyersService');
+const HistoricalDataStore = require('../services/historicalDataStore');
+const MarketDataService = require('../services/marketDataService');
+const MarketCalendar = require('../services/marketCalendar');
 const TrendingStockScreener = require('./trendingStockScreener');
 const VolatilityAnalyzer = require('../services/volatilityAnalyzer');
 const MarketBreadthAnalyzer = require('../services/marketBreadthAnalyzer');
 const TechnicalIndicators = require('../utils/technicalIndicators');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 
-class DirectionalTradingStrategy {
-  constructor() {
-    this.fyersService = new FyersService();
-    this.screener = new TrendingStockScreener();
+// Share of tick signal strength from each confirmation (sums to 1)
+const SIGNAL_WEIGHTS = {
+  trend: 0.3,     // day change in the screened direction, full at 1%
+  vwap: 0.2,      // price on the trend side of VWAP
+  range: 0.2,     // price in the trend-side half of the day's range, full at the extreme
+  volume: 0.2,    // volume vs the pro-rated 20-day average, full at 2x
+  orderFlow: 0.1  // bid/ask quantity imbalance in the trend direction, full at 1.5x
+};
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+class DirectionalTradingStrategy extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.fyersService = options.fyersService || new FyersService();
+    this.historicalData = options.historicalDataStore || new HistoricalDataStore(this.fyersService);
+    this.screener = options.screener || new TrendingStockScreener({ fyersService: this.fyersService, historicalDataStore: this.historicalData });
     this.volatilityAnalyzer = new VolatilityAnalyzer();
-    this.breadthAnalyzer = new MarketBreadthAnalyzer();
+    this.breadthAnalyzer = options.breadthAnalyzer || new MarketBreadthAnalyzer({ fyersService: this.fyersService, historicalDataStore: this.historicalData });
+    this.marketDataService = options.marketDataService || new MarketDataService();
+    this.calendar = options.calendar || MarketCalendar.getInstance();
+    this.signalThreshold = options.signalThreshold || config.autoDirectional.signalThreshold;
+    this.watchlistSize = options.watchlistSize || config.autoDirectional.watchlistSize;
+    this.clock = options.clock || null;
     this.watchlist = [];
+    this.tickHandler = null;
+  }
+
+  /**
+   * Current time - wall clock unless a clock function was given
+   */
+  now() {
+    return this.clock ? new Date(this.clock()) : new Date();
   }
 
   async analyzeDirectionalOpportunity(symbol, atr = null) {
@@ -30,7 +61,7 @@ class DirectionalTradingStrategy {
       }
 
       // Get historical data for technical analysis
-      const historicalData = await this.fyersService.getHistoricalData(symbol, '1D', 30);
+      const historicalData = await this.historicalData.getHistoricalData(symbol, '1D', 30);
       if (!historicalData || historicalData.length < 20) {
         throw new Error('Insufficient historical data');
       }
@@ -181,39 +212,151 @@ class DirectionalTradingStrategy {
   }
 
   async initializeDailyScreening() {
-    // Run pre-market screening at 8:30 AM
+    // Pre-market: build a watchlist only when breadth favours a trending day
     const marketBreadth = await this.breadthAnalyzer.analyzeMarketBreadth();
 
     if (marketBreadth.trendingProbability > 0.6) {
       this.watchlist = await this.screener.screenTrendingStocks();
       logger.info(`Identified ${this.watchlist.length} trending candidates`);
 
-      // Subscribe to top 20 candidates for real-time monitoring
-      const topCandidates = this.watchlist.slice(0, 20).map(stock => stock.symbol);
+      // Subscribe to top candidates for real-time monitoring
+      const topCandidates = this.watchlist.slice(0, this.watchlistSize).map(stock => stock.symbol);
       await this.subscribeToMarketData(topCandidates);
+    } else {
+      this.watchlist = [];
+      logger.info(`Trending probability ${(marketBreadth.trendingProbability * 100).toFixed(0)}% - no directional watchlist today`);
     }
+
+    return this.watchlist;
   }
 
   async processMarketTick(tickData) {
     const stock = this.watchlist.find(s => s.symbol === tickData.symbol);
-    if (!stock) return;
+    if (!stock) return null;
+
+    const signal = this.evaluateDirectionalSignal(tickData, stock, this.now());
+
+    if (signal.strength > this.signalThreshold) {
+      return this.executeDirectionalTrade(signal);
+    }
+    return null;
+  }
+
+  /**
+   * Score a live tick against a screened stock's expected direction
+   * @param {Object} tick - FYERS data socket update (ltp, chp, avg_trade_price, high_price, low_price,
+   *   vol_traded_today, tot_buy_qty, tot_sell_qty)
+   * @param {Object} stock - screener candidate (direction, atr, avgVolume)
+   * @returns {Object} symbol, direction, price, atr, strength (0..1), components
+   */
+  evaluateDirectionalSignal(tick, stock, now = this.now()) {
+    const sign = stock.direction === 'BULLISH' ? 1 : stock.direction === 'BEARISH' ? -1 : 0;
+    const price = tick.ltp;
+    const signal = {
+      symbol: stock.symbol,
+      direction: stock.direction,
+      price,
+      atr: stock.atr,
+      strength: 0,
+      components: {},
+      timestamp: now
+    };
+    if (!sign || !(price > 0)) return signal;
+
+    const changePercent = tick.chp !== undefined ? tick.chp
+      : tick.change_percentage !== undefined ? tick.change_percentage
+        : (tick.prev_close_price > 0 ? ((price - tick.prev_close_price) / tick.prev_close_price) * 100 : 0);
+    const components = {
+      trend: clamp01(sign * changePercent),
+      vwap: tick.avg_trade_price > 0 && sign * (price - tick.avg_trade_price) > 0 ? 1 : 0,
+      range: 0,
+      volume: 0,
+      orderFlow: 0
+    };
 
-    const signal = await this.evaluateDirectionalSignal(tickData, stock);
+    if (tick.high_price > tick.low_price) {
+      const position = (price - tick.low_price) / (tick.high_price - tick.low_price);
+      components.range = clamp01(((sign > 0 ? position : 1 - position) - 0.5) * 2);
+    }
+
+    const volume = tick.vol_traded_today !== undefined ? tick.vol_traded_today : tick.volume;
+    const expectedVolume = stock.avgVolume * this.getSessionFraction(now);
+    if (volume > 0 && expectedVolume > 0) {
+      signal.volumeRatio = volume / expectedVolume;
+      components.volume = clamp01(signal.volumeRatio - 1);
+    }
 
-    if (signal.strength > 0.7) {
-      await this.executeDirectionalTrade(signal);
+    if (tick.tot_buy_qty > 0 && tick.tot_sell_qty > 0) {
+      const imbalance = sign > 0 ? tick.tot_buy_qty / tick.tot_sell_qty : tick.tot_sell_qty / tick.tot_buy_qty;
+      components.orderFlow = clamp01((imbalance - 1) / 0.5);
     }
+
+    signal.components = components;
+    signal.strength = Object.entries(SIGNAL_WEIGHTS)
+      .reduce((sum, [name, weight]) => sum + weight * components[name], 0);
+    return signal;
+  }
+
+  /**
+   * Elapsed share of today's session (at least 5%), to pro-rate daily volume
+   */
+  getSessionFraction(now = this.now()) {
+    const session = this.calendar.getTradingWindows(now)[0];
+    if (!session) return 1;
+
+    const elapsed = (now.getTime() - session.open.valueOf()) / (session.close.valueOf() - session.open.valueOf());
+    return Math.max(0.05, Math.min(1, elapsed));
+  }
+
+  /**
+   * Connect the market data feed if needed and wait for it
+   */
+  async connectMarketData(timeoutMs = 30000) {
+    if (this.marketDataService.isConnected) return;
+
+    const connected = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Market data connection timed out')), timeoutMs);
+      this.marketDataService.once('connected', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+    this.marketDataService.connect();
+    await connected;
   }
 
   async subscribeToMarketData(symbols) {
-    // Placeholder for market data subscription
-    logger.info(`Subscribing to market data for ${symbols.length} symbols`);
+    if (symbols.length === 0) return;
+
+    try {
+      await this.connectMarketData();
+
+      if (!this.tickHandler) {
+        this.tickHandler = (tick) => {
+          this.processMarketTick(tick)
+            .catch(error => logger.error(`Tick processing failed for ${tick.symbol}: ${error.message}`));
+        };
+        this.marketDataService.on('tick', this.tickHandler);
+      }
+
+      this.marketDataService.subscribe(symbols);
+      logger.info(`Subscribed to market data for ${symbols.length} symbols`);
+    } catch (error) {
+      logger.error(`Market data subscription failed: ${error.message}`);
+      throw error;
+    }
   }
 
+  /**
+   * Signal-only by default; AutoDirectionalTrader places the orders
+   */
   async executeDirectionalTrade(signal) {
-    // Placeholder for trade execution
-    logger.info(`Executing directional trade: ${JSON.stringify(signal)}`);
+    logger.info(`Directional signal: ${signal.direction} ${signal.symbol} @ ${signal.price} (strength ${signal.strength.toFixed(2)})`);
+    this.emit('signal', signal);
+    return null;
   }
 }
 
-module.exports = DirectionalTradingStrategy;
\ No newline at end of file
+DirectionalTradingStrategy.SIGNAL_WEIGHTS = SIGNAL_WEIGHTS;
+
+module.exports = DirectionalTradingStrategy;
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// The screen TrendingStockScreener used before profiles existed
+const DEFAULT_PROFILE = {
+  name: 'trending',
+  description: 'Strong trend (ADX), expanding volatility, volume and a large move',
+  lookbackDays: 50,
+  filters: [
+    { indicator: 'adx', op: '>', value: 25 },
+    { indicator: 'atr', op: '>', value: 1.5 },
+    { indicator: 'volumeRatio', op: '>', value: 1.5 },
+    { indicator: 'gapPercent', abs: true, op: '>', value: 1.5 },
+    { indicator: 'bbWidth', op: '>', ref: 'avgBBWidth', multiplier: 1.1 },
+    { indicator: 'currentPrice', between: [50, 5000] }
+  ],
+  score: {
+    max: 100,
+    terms: [
+      { indicator: 'adx', weight: 0.6, cap: 50 },
+      { indicator: 'volumeRatio', weight: 4, cap: 5 },
+      { indicator: 'gapPercent', abs: true, weight: 4, cap: 5 },
+      { indicator: 'atr', weight: 1.5, cap: 10 },
+      { indicator: 'isVolatilityExpanding', weight: 15 }
+    ]
+  }
+};
+
+/**
+ * Screen Profile
+ * A named screen read from YAML or JSON: filters every candidate must pass
+ * and weighted terms that add up to its score. Indicators are the fields of
+ * TrendingStockScreener.analyzeStock (adx, rsi, atr, gapPercent, ...) plus
+ * the stock's sector position (sectorQuadrant, sectorScore, ...).
+ *
+ *   filters:
+ *     - { indicator: adx, op: '>', value: 25 }              # comparison
+ *     - { indicator: gapPercent, abs: true, op: '>', value: 1.5 }
+ *     - { indicator: bbWidth, op: '>', ref: avgBBWidth, multiplier: 1.1 }  # against another indicator
+ *     - { indicator: currentPrice, between: [50, 5000] }    # inclusive range
+ *   score:
+ *     max: 100
+ *     terms:
+ *       - { indicator: adx, weight: 0.6, cap: 50 }          # min(value, cap) * weight
+ *       - { indicator: isVolatilityExpanding, weight: 15 }  # booleans count as 1 or 0
+ */
+class ScreenProfile {
+  constructor(definition = DEFAULT_PROFILE, source = null) {
+    this.source = source;
+    this.name = definition.name || (source ? path.basename(source, path.extname(source)) : 'custom');
+    this.description = definition.description || '';
+    this.lookbackDays = definition.lookbackDays || DEFAULT_PROFILE.lookbackDays;
+    this.universe = definition.universe || null;
+    this.filters = definition.filters || [];
+    this.scoring = definition.score || { terms: [] };
+
+    this.validate();
+  }
+
+  static getDefault() {
+    return new ScreenProfile(DEFAULT_PROFILE);
+  }
+
+  /**
+   * Path of a profile: as given, or by name in the profile directory
+   * (`momentum`, `momentum.yaml`)
+   */
+  static resolve(nameOrPath, profileDir = config.screener.profileDir) {
+    const candidates = [nameOrPath];
+    if (!path.isAbsolute(nameOrPath)) {
+      candidates.push(path.join(profileDir, nameOrPath));
+    }
+    if (!path.extname(nameOrPath)) {
+      candidates.push(...candidates.flatMap(base => ['.yaml', '.yml', '.json'].map(ext => base + ext)));
+    }
+
+    const found = candidates.find(file => fs.existsSync(file) && fs.statSync(file).isFile());
+    if (!found) {
+      throw new Error(`Screen profile "${nameOrPath}" not found (looked in ${profileDir})`);
+    }
+    return found;
+  }
+
+  /**
+   * Load a profile from a .yaml/.yml or .json file
+   */
+  static load(nameOrPath, profileDir = config.screener.profileDir) {
+    const file = ScreenProfile.resolve(nameOrPath, profileDir);
+
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      const definition = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+      const profile = new ScreenProfile(definition || {}, file);
+      logger.info(`Loaded screen profile "${profile.name}" from ${file}`);
+      return profile;
+    } catch (error) {
+      logger.error(`Screen profile load error (${file}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Names of the profiles in the profile directory
+   */
+  static list(profileDir = config.screener.profileDir) {
+    if (!fs.existsSync(profileDir)) return [];
+    return fs.readdirSync(profileDir)
+      .filter(file => /\.(ya?ml|json)$/i.test(file))
+      .map(file => path.basename(file, path.extname(file)))
+      .sort();
+  }
+
+  validate() {
+    const fail = (where, message) => {
+      throw new Error(`Invalid screen profile "${this.name}": ${where} ${message}`);
+    };
+
+    if (!Array.isArray(this.filters)) fail('filters', 'must be a list');
+    this.filters.forEach((filter, i) => {
+      const where = `filters[${i}]`;
+      if (!filter || !filter.indicator) fail(where, 'needs an indicator');
+
+      if (filter.between !== undefined) {
+        if (!Array.isArray(filter.between) || filter.between.length !== 2) {
+          fail(where, 'between must be [min, max]');
+        }
+      } else {
+        if (!OPERATORS[filter.op]) {
+          fail(where, `has unknown op "${filter.op}" (use ${Object.keys(OPERATORS).join(' ')})`);
+        }
+        if (filter.value === undefined && !filter.ref) fail(where, 'needs a value or a ref indicator');
+      }
+    });
+
+    if (!Array.isArray(this.scoring.terms)) fail('score.terms', 'must be a list');
+    this.scoring.terms.forEach((term, i) => {
+      if (!term || !term.indicator) fail(`score.terms[${i}]`, 'needs an indicator');
+      if (typeof term.weight !== 'number') fail(`score.terms[${i}]`, 'needs a numeric weight');
+    });
+  }
+
+  /**
+   * Indicator value from an analysis; booleans as 1/0, null when missing
+   */
+  static getValue(analysis, indicator, abs = false) {
+    let value = analysis[indicator];
+    if (typeof value === 'boolean') value = value ? 1 : 0;
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return abs ? Math.abs(value) : value;
+    }
+    return typeof value === 'string' ? value : null;
+  }
+
+  /**
+   * Whether one filter passes; missing indicators never pass
+   */
+  passes(filter, analysis) {
+    const value = ScreenProfile.getValue(analysis, filter.indicator, filter.abs);
+    if (value === null) return false;
+
+    if (filter.between) {
+      const [min, max] = filter.between;
+      return value >= min && value <= max;
+    }
+
+    let target = filter.value;
+    if (filter.ref) {
+      target = ScreenProfile.getValue(analysis, filter.ref);
+      if (target === null) return false;
+      target *= filter.multiplier !== undefined ? filter.multiplier : 1;
+    }
+    return OPERATORS[filter.op](value, target);
+  }
+
+  matches(analysis) {
+    return this.filters.every(filter => this.passes(filter, analysis));
+  }
+
+  static describe(filter) {
+    const indicator = filter.abs ? `|${filter.indicator}|` : filter.indicator;
+    if (filter.between) {
+      return `${indicator} in [${filter.between.join(', ')}]`;
+    }
+    const target = filter.ref
+      ? `${filter.ref}${filter.multiplier !== undefined ? ` x ${filter.multiplier}` : ''}`
+      : filter.value;
+    return `${indicator} ${filter.op} ${target}`;
+  }
+
+  /**
+   * Filters the analysis fails, described for logs
+   */
+  getFailedFilters(analysis) {
+    return this.filters
+      .filter(filter => !this.passes(filter, analysis))
+      .map(filter => ScreenProfile.describe(filter));
+  }
+
+  /**
+   * Weighted score: each term adds min(value, cap) * weight, capped at score.max
+   */
+  scoreOf(analysis) {
+    let score = this.scoring.terms.reduce((total, term) => {
+      let value = ScreenProfile.getValue(analysis, term.indicator, term.abs);
+      if (typeof value !== 'number') return total;
+      if (term.cap !== undefined) value = Math.min(value, term.cap);
+      if (term.floor !== undefined) value = Math.max(value, term.floor);
+      return total + value * term.weight;
+    }, 0);
+
+    if (this.scoring.max !== undefined) score = Math.min(score, this.scoring.max);
+    return score;
+  }
+}
+
+ScreenProfile.DEFAULT_PROFILE = DEFAULT_PROFILE;
+ScreenProfile.OPERATORS = Object.keys(OPERATORS);
+
+module.exports = ScreenProfile;
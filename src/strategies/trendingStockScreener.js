@@ -1,33 +1,47 @@
 const FyersService = require('../services/fyersService');
+const HistoricalDataStore = require('../services/historicalDataStore');
+const RequestScheduler = require('../services/requestScheduler');
+const SectorRotationAnalyzer = require('../services/sectorRotationAnalyzer');
+const ScreenProfile = require('./screenProfile');
 const TechnicalIndicators = require('../utils/technicalIndicators');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 
 class TrendingStockScreener {
-  constructor() {
-    this.fyersService = new FyersService();
-    this.screeningCriteria = {
-      minPrice: 50,
-      maxPrice: 5000,
-      minVolume: 100000,
-      minATR: 1.5,
-      gapThreshold: 1.5,
-      preMarketVolumeRatio: 1.5,
-      adxThreshold: 25,
-      rsiMomentumMin: 60,
-      rsiMomentumMax: 40
-    };
+  constructor(options = {}) {
+    this.fyersService = options.fyersService || new FyersService();
+    this.historicalData = options.historicalDataStore || new HistoricalDataStore(this.fyersService);
+    this.scheduler = this.fyersService.scheduler || RequestScheduler.getInstance();
+    this.sectorRotation = options.sectorRotationAnalyzer || new SectorRotationAnalyzer({
+      fyersService: this.fyersService,
+      historicalDataStore: this.historicalData
+    });
+    // Filters and score weights come from a screen profile (YAML/JSON)
+    const profile = options.profile || config.screener.profile;
+    this.profile = profile
+      ? (profile instanceof ScreenProfile ? profile : ScreenProfile.load(profile))
+      : ScreenProfile.getDefault();
   }
 
   async screenTrendingStocks() {
     try {
-      const nifty500Stocks = await this.getNifty500Universe();
+      const nifty500Stocks = this.profile.universe
+        ? this.profile.universe.map(symbol => ({ symbol }))
+        : await this.getNifty500Universe();
       const trendingCandidates = [];
 
-      logger.info(`Screening ${nifty500Stocks.length} stocks for trending opportunities`);
+      logger.info(`Screening ${nifty500Stocks.length} stocks with the "${this.profile.name}" profile`);
+
+      // Sector quadrants are computed once and added to every stock's indicators
+      const rotation = await this.getSectorRotation();
 
-      for (const stock of nifty500Stocks) {
+      // Stocks are analyzed in parallel; FyersService calls share the API rate limits
+      await this.scheduler.map(nifty500Stocks, async (stock) => {
         try {
-          const analysis = await this.analyzeStock(stock);
+          const analysis = {
+            ...await this.analyzeStock(stock),
+            ...this.sectorRotation.getStockContext(stock.symbol, rotation)
+          };
           
           if (this.meetsTrendingCriteria(analysis)) {
             trendingCandidates.push({
@@ -39,13 +53,16 @@ class TrendingStockScreener {
               atr: analysis.atr,
               adx: analysis.adx,
               rsi: analysis.rsi,
+              profile: this.profile.name,
               ...analysis
             });
+          } else {
+            logger.debug(`${stock.symbol} failed ${this.profile.getFailedFilters(analysis).join(', ')}`);
           }
         } catch (error) {
           logger.warn(`Failed to analyze ${stock.symbol}: ${error.message}`);
         }
-      }
+      });
 
       return trendingCandidates.sort((a, b) => b.score - a.score);
     } catch (error) {
@@ -55,11 +72,11 @@ class TrendingStockScreener {
   }
 
   async analyzeStock(stock) {
-    // Get historical data (last 50 days)
-    const historicalData = await this.fyersService.getHistoricalData(
+    // Get historical data (profile lookback, 50 days by default), cached between runs
+    const historicalData = await this.historicalData.getHistoricalData(
       stock.symbol, 
       '1D', 
-      50
+      this.profile.lookbackDays
     );
 
     if (!historicalData || historicalData.length < 30) {
@@ -91,6 +108,16 @@ class TrendingStockScreener {
     const currentVolume = volumes[volumes.length - 1];
     const volumeRatio = currentVolume / avgVolume;
 
+    // Trend, range and band position, for breakout and mean-reversion screens
+    const last = (values) => (values.length > 0 ? values[values.length - 1] : null);
+    const percentFrom = (value, base) => (value !== null && base ? ((value - base) / base) * 100 : null);
+    const prior = historicalData.slice(-21, -1);
+    const sma20 = last(TechnicalIndicators.calculateSMA(prices, 20));
+    const sma50 = last(TechnicalIndicators.calculateSMA(prices, 50));
+    const high20 = Math.max(...prior.map(d => d.high));
+    const low20 = Math.min(...prior.map(d => d.low));
+    const bandRange = currentBB.upper - currentBB.lower;
+
     // Determine expected direction
     let expectedDirection = 'NEUTRAL';
     if (currentRSI > 60 && gapPercent > 1) expectedDirection = 'BULLISH';
@@ -108,41 +135,43 @@ class TrendingStockScreener {
       bbWidth: currentBB.width,
       avgBBWidth: bbands.slice(-10).reduce((sum, bb) => sum + bb.width, 0) / 10,
       expectedDirection,
-      isVolatilityExpanding: currentATR > (atr.slice(-10).reduce((a, b) => a + b, 0) / 10) * 1.2
+      isVolatilityExpanding: currentATR > (atr.slice(-10).reduce((a, b) => a + b, 0) / 10) * 1.2,
+      openGapPercent: percentFrom(historicalData[historicalData.length - 1].open, previousClose),
+      changePercent5: percentFrom(currentPrice, prices[prices.length - 6]),
+      atrPercent: (currentATR / currentPrice) * 100,
+      avgVolume,
+      currentVolume,
+      macdHistogram: last(macd.histogram),
+      sma20,
+      sma50,
+      priceVsSma20Percent: percentFrom(currentPrice, sma20),
+      priceVsSma50Percent: percentFrom(currentPrice, sma50),
+      high20,
+      low20,
+      breakoutPercent: percentFrom(currentPrice, high20),
+      bbPercentB: bandRange > 0 ? (currentPrice - currentBB.lower) / bandRange : null
     };
   }
 
+  /**
+   * Sector rotation for the sector indicators; without it they are null
+   * and sector filters/terms do not apply
+   */
+  async getSectorRotation() {
+    try {
+      return await this.sectorRotation.analyzeRotation();
+    } catch (error) {
+      logger.warn(`Screening without sector rotation: ${error.message}`);
+      return null;
+    }
+  }
+
   meetsTrendingCriteria(analysis) {
-    return (
-      analysis.adx > this.screeningCriteria.adxThreshold &&
-      analysis.atr > this.screeningCriteria.minATR &&
-      analysis.volumeRatio > this.screeningCriteria.preMarketVolumeRatio &&
-      Math.abs(analysis.gapPercent) > this.screeningCriteria.gapThreshold &&
-      analysis.bbWidth > analysis.avgBBWidth * 1.1 &&
-      analysis.currentPrice >= this.screeningCriteria.minPrice &&
-      analysis.currentPrice <= this.screeningCriteria.maxPrice
-    );
+    return this.profile.matches(analysis);
   }
 
   calculateTrendingScore(analysis) {
-    let score = 0;
-    
-    // ADX contribution (0-30 points)
-    score += Math.min(analysis.adx, 50) * 0.6;
-    
-    // Volume ratio contribution (0-20 points)
-    score += Math.min(analysis.volumeRatio, 5) * 4;
-    
-    // Gap contribution (0-20 points)
-    score += Math.min(Math.abs(analysis.gapPercent), 5) * 4;
-    
-    // ATR contribution (0-15 points)
-    score += Math.min(analysis.atr, 10) * 1.5;
-    
-    // Volatility expansion bonus (0-15 points)
-    if (analysis.isVolatilityExpanding) score += 15;
-    
-    return Math.min(score, 100);
+    return this.profile.scoreOf(analysis);
   }
 
   async getNifty500Universe() {
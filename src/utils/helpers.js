@@ -1,4 +1,6 @@
 const moment = require('moment-timezone');
+const InstrumentService = require('../services/instrumentService');
+const MarketCalendar = require('../services/marketCalendar');
 const logger = require('./logger');
 
 /**
@@ -7,61 +9,32 @@ const logger = require('./logger');
 class TradingHelpers {
   
   /**
-   * Check if current time is within market hours
+   * Check if the continuous (or a special) session is in progress
    */
-  static isMarketOpen() {
-    const now = moment().tz('Asia/Kolkata');
-    const currentTime = now.format('HHmm');
-    const dayOfWeek = now.day();
-    
-    // Check if it's a weekday (Monday = 1, Friday = 5)
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
-      return false; // Weekend
-    }
-    
-    // Market hours: 9:15 AM to 3:30 PM IST
-    return currentTime >= '0915' && currentTime <= '1530';
+  static isMarketOpen(date = null) {
+    return MarketCalendar.getInstance().isMarketOpen(date);
   }
 
   /**
    * Get market session information
+   * @returns {string} PRE_MARKET, MARKET_HOURS, POST_MARKET or CLOSED on non-trading days
    */
-  static getMarketSession() {
-    const now = moment().tz('Asia/Kolkata');
-    const currentTime = now.format('HHmm');
-    
-    if (currentTime < '0915') {
-      return 'PRE_MARKET';
-    } else if (currentTime >= '0915' && currentTime <= '1530') {
-      return 'MARKET_HOURS';
-    } else {
-      return 'POST_MARKET';
-    }
+  static getMarketSession(date = null) {
+    const calendar = MarketCalendar.getInstance();
+    const session = calendar.getSession(date);
+
+    if (session.open) return 'MARKET_HOURS';
+    if (!session.tradingDay) return 'CLOSED';
+
+    const next = calendar.getNextOpen(date);
+    return next && next.open.isSame(MarketCalendar.toIST(date), 'day') ? 'PRE_MARKET' : 'POST_MARKET';
   }
 
   /**
-   * Calculate time until market opens
+   * Calculate time until market opens (ms), skipping weekends and exchange holidays
    */
-  static getTimeToMarketOpen() {
-    const now = moment().tz('Asia/Kolkata');
-    let marketOpen = moment().tz('Asia/Kolkata').set({
-      hour: 9,
-      minute: 15,
-      second: 0,
-      millisecond: 0
-    });
-    
-    // If market time has passed today, set for next trading day
-    if (now.isAfter(marketOpen)) {
-      marketOpen = marketOpen.add(1, 'day');
-      
-      // Skip weekends
-      while (marketOpen.day() === 0 || marketOpen.day() === 6) {
-        marketOpen = marketOpen.add(1, 'day');
-      }
-    }
-    
-    return marketOpen.diff(now);
+  static getTimeToMarketOpen(date = null) {
+    return MarketCalendar.getInstance().getTimeToOpen(date);
   }
 
   /**
@@ -94,9 +67,14 @@ class TradingHelpers {
   }
 
   /**
-   * Validate symbol format
+   * Validate symbol format, or look it up once the symbol master is loaded
    */
   static validateSymbol(symbol) {
+    const instruments = InstrumentService.getInstance();
+    if (instruments.isLoaded()) {
+      return instruments.has(symbol);
+    }
+
     // Basic validation for NSE symbols
     const patterns = [
       /^NSE:[A-Z0-9&]+(-EQ|-BE)$/,  // Equity
@@ -203,6 +181,76 @@ class TradingHelpers {
     return true;
   }
 
+  /**
+   * FYERS order status codes as returned in the order book
+   */
+  static get ORDER_STATUS() {
+    return {
+      CANCELLED: 1,
+      FILLED: 2,
+      TRANSIT: 4,
+      REJECTED: 5,
+      PENDING: 6
+    };
+  }
+
+  /**
+   * Check if an order has been completely filled.
+   * Accepts both numeric FYERS codes and legacy string statuses.
+   */
+  static isOrderFilled(order) {
+    if (!order) return false;
+    return order.status === this.ORDER_STATUS.FILLED ||
+           order.status === 'COMPLETE' ||
+           order.status === 'FILLED';
+  }
+
+  /**
+   * Check if an order is still working at the exchange
+   */
+  static isOrderPending(order) {
+    if (!order) return false;
+    return order.status === this.ORDER_STATUS.PENDING ||
+           order.status === this.ORDER_STATUS.TRANSIT ||
+           order.status === 'PENDING' ||
+           order.status === 'OPEN';
+  }
+
+  /**
+   * Check if an order was cancelled or rejected
+   */
+  static isOrderClosed(order) {
+    if (!order) return false;
+    return order.status === this.ORDER_STATUS.CANCELLED ||
+           order.status === this.ORDER_STATUS.REJECTED ||
+           order.status === 'CANCELLED' ||
+           order.status === 'REJECTED';
+  }
+
+  /**
+   * Extract the order book from a getOrders response (top-level or under data)
+   */
+  static extractOrderBook(response) {
+    return response?.orderBook || response?.data?.orderBook || [];
+  }
+
+  /**
+   * Extract net positions from a getPositions response (top-level or under data)
+   */
+  static extractNetPositions(response) {
+    return response?.netPositions ||
+           response?.data?.netPositions ||
+           response?.data?.positions ||
+           [];
+  }
+
+  /**
+   * Extract the trade book from a getTradebook response (top-level or under data)
+   */
+  static extractTradeBook(response) {
+    return response?.tradeBook || response?.data?.tradeBook || [];
+  }
+
   /**
    * Generate unique order ID
    */
@@ -219,8 +267,9 @@ class TradingHelpers {
 
   /**
    * Retry function with exponential backoff
+   * @param {Function} shouldRetry - (error) => boolean; errors it rejects are thrown at once
    */
-  static async retry(fn, maxAttempts = 3, baseDelay = 1000) {
+  static async retry(fn, maxAttempts = 3, baseDelay = 1000, shouldRetry = () => true) {
     let lastError;
     
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -229,7 +278,7 @@ class TradingHelpers {
       } catch (error) {
         lastError = error;
         
-        if (attempt === maxAttempts) {
+        if (attempt === maxAttempts || !shouldRetry(error)) {
           break;
         }
         
@@ -243,28 +292,30 @@ class TradingHelpers {
   }
 
   /**
-   * Rate limiter
+   * Rate limiter: the returned function resolves once a request may be made,
+   * allowing at most maxRequests in any windowMs sliding window
    */
   static createRateLimiter(maxRequests, windowMs) {
     const requests = [];
     
-    return async function() {
-      const now = Date.now();
-      
-      // Remove old requests outside the window
-      while (requests.length > 0 && requests[0] <= now - windowMs) {
-        requests.shift();
-      }
-      
-      // Check if we can make a request
-      if (requests.length >= maxRequests) {
-        const oldestRequest = requests[0];
-        const waitTime = windowMs - (now - oldestRequest);
-        await TradingHelpers.sleep(waitTime);
-        return this();
+    return async function acquire() {
+      while (true) {
+        const now = Date.now();
+        
+        // Remove old requests outside the window
+        while (requests.length > 0 && requests[0] <= now - windowMs) {
+          requests.shift();
+        }
+        
+        if (requests.length < maxRequests) {
+          requests.push(now);
+          return;
+        }
+        
+        // Wait for the oldest request to leave the window, then check again
+        // (other callers may have taken the slot in the meantime)
+        await TradingHelpers.sleep(windowMs - (now - requests[0]));
       }
-      
-      requests.push(now);
     };
   }
 
@@ -284,25 +335,17 @@ class TradingHelpers {
   }
 
   /**
-   * Check if date is a trading day (weekday)
+   * Check if date is a trading day (not a weekend or exchange holiday)
    */
   static isTradingDay(date = null) {
-    const targetDate = date ? moment(date) : moment();
-    const dayOfWeek = targetDate.day();
-    return dayOfWeek >= 1 && dayOfWeek <= 5; // Monday to Friday
+    return MarketCalendar.getInstance().isTradingDay(date);
   }
 
   /**
    * Get next trading day
    */
   static getNextTradingDay(date = null) {
-    let nextDay = date ? moment(date).add(1, 'day') : moment().add(1, 'day');
-    
-    while (!this.isTradingDay(nextDay)) {
-      nextDay = nextDay.add(1, 'day');
-    }
-    
-    return nextDay.format('YYYY-MM-DD');
+    return MarketCalendar.getInstance().getNextTradingDay(date);
   }
 
   /**
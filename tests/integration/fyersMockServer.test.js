@@ -0,0 +1,139 @@
+process.env.FYERS_APP_ID = 'TESTAPP-100';
+process.env.FYERS_ACCESS_TOKEN = 'test-token';
+process.env.FYERS_REDIRECT_URL = 'http://127.0.0.1/callback';
+
+const FyersMockServer = require('../mocks/fyersMockServer');
+const DataSocketEmulator = require('../mocks/dataSocketEmulator');
+const FyersService = require('../../src/services/fyersService');
+const OrderService = require('../../src/services/orderService');
+const MarketDataService = require('../../src/services/marketDataService');
+const RiskEngine = require('../../src/services/riskEngine');
+const RequestScheduler = require('../../src/services/requestScheduler');
+
+describe('FYERS stack against the local mock server', () => {
+  let server;
+  let fyersService;
+  let orderService;
+
+  beforeAll(async () => {
+    server = new FyersMockServer();
+    await server.start();
+  });
+
+  afterAll(() => server.stop());
+
+  beforeEach(() => {
+    server.reset();
+    server.renewToken('test-token');
+    server.setQuote('NSE:SBIN-EQ', 500);
+
+    fyersService = new FyersService({ baseUrl: server.url });
+    orderService = new OrderService({ baseUrl: server.url });
+    orderService.setRiskEngine(new RiskEngine({}, { killSwitch: null }));
+  });
+
+  it('should fetch profile, funds, quotes and history over HTTP', async () => {
+    await expect(fyersService.getProfile()).resolves.toMatchObject({ data: { name: 'MOCK USER' } });
+    await expect(fyersService.getFunds()).resolves.toMatchObject({ data: { total_balance: 100000 } });
+    await expect(fyersService.getQuotes(['NSE:SBIN-EQ'])).resolves.toMatchObject({
+      data: { 'NSE:SBIN-EQ': { ltp: 500 } }
+    });
+
+    const candles = await fyersService.getHistoricalData('NSE:SBIN-EQ', '15', 5);
+    expect(candles.length).toBeGreaterThan(0);
+    expect(candles[0]).toEqual(expect.objectContaining({ open: expect.any(Number), volume: expect.any(Number) }));
+
+    expect(server.requests[0]).toMatchObject({ method: 'GET', path: '/api/v3/profile' });
+  });
+
+  it('should fill market orders and report FYERS-shaped positions and trades', async () => {
+    const response = await orderService.placeOrder({ symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, type: 2, productType: 'INTRADAY' });
+    server.setQuote('NSE:SBIN-EQ', 505);
+
+    const positions = await orderService.getPositions();
+    expect(positions.netPositions).toEqual([expect.objectContaining({
+      symbol: 'NSE:SBIN-EQ', netQty: 10, netAvg: 500, pl: 50
+    })]);
+    expect(positions.overall).toMatchObject({ count_open: 1, pl_total: 50 });
+
+    const trades = await orderService.getTradebook();
+    expect(trades.tradeBook).toEqual([expect.objectContaining({ orderNumber: response.id, tradedQty: 10 })]);
+  });
+
+  it('should modify, partially fill and cancel resting limit orders', async () => {
+    const { id } = await orderService.placeOrder({
+      symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, type: 1, limitPrice: 498, productType: 'INTRADAY'
+    });
+
+    await orderService.modifyOrder(id, { qty: 20 });
+    server.fillOrder(id, 5);
+
+    const orders = await orderService.getOrders();
+    expect(orders.orderBook).toEqual([expect.objectContaining({ id, qty: 20, filledQty: 5, status: 6 })]);
+
+    await orderService.cancelOrder(id);
+    expect(server.orders[0].status).toBe(FyersMockServer.STATUS.CANCELLED);
+  });
+
+  it('should surface scripted rejects and partial fills', async () => {
+    server.addScenario({ endpoint: 'place_order', type: 'reject', message: 'RED:Margin Shortfall' });
+    await expect(orderService.placeOrder({ symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, type: 2 }))
+      .rejects.toMatchObject({ s: 'error', message: 'RED:Margin Shortfall' });
+    expect(server.orders[0].status).toBe(FyersMockServer.STATUS.REJECTED);
+
+    server.addScenario({ endpoint: 'place_order', type: 'partialFill', fillQty: 4 });
+    const { id } = await orderService.placeOrder({ symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, type: 2 });
+    const order = server.orders.find(o => o.id === id);
+    expect(order).toMatchObject({ filledQty: 4, remainingQuantity: 6, status: 6 });
+  });
+
+  it('should reject requests with an expired token until it is renewed', async () => {
+    server.expireToken();
+    await expect(fyersService.getProfile()).rejects.toMatchObject({ code: -16 });
+
+    server.renewToken('test-token');
+    await expect(fyersService.getProfile()).resolves.toMatchObject({ s: 'ok' });
+  });
+
+  it('should return rate limit errors for scripted endpoints only', async () => {
+    const noRetry = new FyersService({ baseUrl: server.url, scheduler: new RequestScheduler({ retries: 0 }) });
+    server.addScenario({ endpoint: 'quotes', type: 'rateLimit', times: 2 });
+
+    await expect(noRetry.getQuotes(['NSE:SBIN-EQ'])).rejects.toMatchObject({ code: 429 });
+    await expect(noRetry.getProfile()).resolves.toMatchObject({ s: 'ok' });
+    await expect(noRetry.getQuotes(['NSE:SBIN-EQ'])).rejects.toMatchObject({ code: 429 });
+    await expect(noRetry.getQuotes(['NSE:SBIN-EQ'])).resolves.toMatchObject({ s: 'ok' });
+  });
+
+  it('should retry rate-limited calls through the request scheduler', async () => {
+    const retrying = new FyersService({
+      baseUrl: server.url,
+      scheduler: new RequestScheduler({ retries: 2, retryDelay: 10 })
+    });
+    server.addScenario({ endpoint: 'quotes', type: 'rateLimit', times: 2 });
+
+    await expect(retrying.getQuotes(['NSE:SBIN-EQ'])).resolves.toMatchObject({ s: 'ok' });
+    expect(server.requests.filter(request => request.path.endsWith('/quotes'))).toHaveLength(3);
+  });
+
+  it('should stream emulated ticks through MarketDataService', async () => {
+    const socket = new DataSocketEmulator({ server });
+    const marketData = new MarketDataService({ socketFactory: () => socket });
+    const ticks = [];
+    marketData.on('tick', tick => ticks.push(tick));
+
+    const connected = new Promise(resolve => marketData.once('connected', resolve));
+    marketData.connect();
+    await connected;
+    marketData.subscribe(['NSE:SBIN-EQ']);
+
+    socket.push('NSE:SBIN-EQ', { ltp: 510, last_traded_qty: 25 });
+    socket.push('NSE:TCS-EQ', 3500);
+
+    expect(ticks).toEqual([expect.objectContaining({ symbol: 'NSE:SBIN-EQ', ltp: 510, vol_traded_today: 25 })]);
+    expect(socket.currentMode).toBe(socket.FullMode);
+    expect(server.quotes['NSE:TCS-EQ'].ltp).toBe(3500);
+
+    marketData.disconnect();
+  });
+});
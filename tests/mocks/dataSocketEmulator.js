@@ -0,0 +1,118 @@
+const EventEmitter = require('events');
+
+/**
+ * Emulates the fyersDataSocket interface (connect, on, subscribe, unsubscribe,
+ * mode, close) without a network connection. Plug it into MarketDataService
+ * through the socketFactory option:
+ *
+ *   const socket = new DataSocketEmulator();
+ *   const marketData = new MarketDataService({ socketFactory: () => socket });
+ *
+ * Ticks are pushed with push(symbol, fields) in the FYERS SymbolUpdate shape
+ * and only delivered for subscribed symbols, like the live feed. When linked
+ * to a FyersMockServer, pushed prices also update the server's quotes so
+ * market orders fill at the streamed price.
+ */
+class DataSocketEmulator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.server = options.server || null;
+    this.connectDelay = options.connectDelay || 0;
+    this.failConnects = 0;
+    this.connected = false;
+    this.currentMode = null;
+    this.subscriptions = new Set();
+    this.volumes = {};
+    this.FullMode = 'FullMode';
+    this.LiteMode = 'LiteMode';
+  }
+
+  /**
+   * Make the next n connect() calls fail with an error event
+   */
+  failNextConnects(count = 1) {
+    this.failConnects = count;
+  }
+
+  connect() {
+    setTimeout(() => {
+      if (this.failConnects > 0) {
+        this.failConnects--;
+        this.emit('error', 'Connection refused (emulated)');
+        this.emit('close');
+        return;
+      }
+      this.connected = true;
+      this.emit('connect');
+    }, this.connectDelay);
+  }
+
+  mode(mode) {
+    this.currentMode = mode;
+  }
+
+  subscribe(symbols) {
+    this.assertConnected();
+    symbols.forEach(symbol => this.subscriptions.add(symbol));
+  }
+
+  unsubscribe(symbols) {
+    this.assertConnected();
+    symbols.forEach(symbol => this.subscriptions.delete(symbol));
+  }
+
+  close() {
+    if (!this.connected) return;
+    this.connected = false;
+    this.emit('close');
+  }
+
+  /**
+   * Simulate the server dropping the connection
+   */
+  drop() {
+    this.connected = false;
+    this.emit('error', 'Connection reset (emulated)');
+    this.emit('close');
+  }
+
+  /**
+   * Push a tick for a symbol
+   * @param {number|Object} fields - LTP or SymbolUpdate fields
+   * @returns {boolean} whether the tick was delivered
+   */
+  push(symbol, fields) {
+    const update = typeof fields === 'number' ? { ltp: fields } : { ...fields };
+    const now = Math.floor(Date.now() / 1000);
+
+    this.volumes[symbol] = (this.volumes[symbol] || 0) + (update.last_traded_qty || 0);
+
+    const message = {
+      type: 'sf',
+      symbol,
+      ltp: update.ltp,
+      vol_traded_today: this.volumes[symbol],
+      last_traded_time: now,
+      exch_feed_time: now,
+      bid_price: update.ltp - 0.05,
+      ask_price: update.ltp + 0.05,
+      ...update
+    };
+
+    if (this.server) {
+      this.server.setQuote(symbol, { ltp: message.ltp });
+    }
+
+    if (!this.connected || !this.subscriptions.has(symbol)) return false;
+    this.emit('message', message);
+    return true;
+  }
+
+  assertConnected() {
+    if (!this.connected) {
+      throw new Error('Socket not connected (emulated)');
+    }
+  }
+}
+
+module.exports = DataSocketEmulator;
@@ -0,0 +1,508 @@
+const http = require('http');
+const { URL } = require('url');
+
+const STATUS = { CANCELLED: 1, FILLED: 2, TRANSIT: 4, REJECTED: 5, PENDING: 6 };
+
+/**
+ * Local stand-in for the FYERS v3 REST API
+ *
+ * Serves the endpoints used by fyersModel (profile, funds, holdings, orders,
+ * positions, tradebook, quotes, depth, history, marketStatus, validate-authcode)
+ * with FYERS-shaped payloads, so FyersService / OrderService can be exercised
+ * over real HTTP. Point the SDK at it with new FyersService({ baseUrl: server.url })
+ * or FYERS_BASE_URL.
+ *
+ * Orders: market orders fill at the quote LTP, limit and stop orders rest as
+ * pending until fillOrder() is called. Scenarios queued with addScenario()
+ * are consumed by the next matching request:
+ *   { endpoint: 'place_order', type: 'reject', message }
+ *   { endpoint: 'place_order', type: 'partialFill', fillQty }
+ *   { endpoint: '*', type: 'tokenExpired' }
+ *   { endpoint: 'quotes', type: 'rateLimit', times: 2 }
+ *   { endpoint: 'orders', type: 'error', status: 500, body }
+ *
+ * Run standalone: node tests/mocks/fyersMockServer.js [port]
+ */
+class FyersMockServer {
+  constructor(options = {}) {
+    this.appId = options.appId || 'TESTAPP-100';
+    this.accessToken = options.accessToken || 'test-token';
+    this.port = options.port || 0;
+    this.server = null;
+    this.url = null;
+    this.reset();
+  }
+
+  reset() {
+    this.quotes = {};
+    this.orders = [];
+    this.trades = [];
+    this.positions = {};
+    this.holdings = [];
+    this.scenarios = [];
+    this.requests = [];
+    this.tokenExpired = false;
+    this.orderSeq = 0;
+    this.funds = 100000;
+  }
+
+  start() {
+    return new Promise((resolve) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections(); // Drop keep-alive sockets held by the SDK's HTTP client
+    });
+  }
+
+  // ---- Scripting -------------------------------------------------------
+
+  setQuote(symbol, fields) {
+    const ltp = typeof fields === 'number' ? fields : fields.ltp;
+    this.quotes[symbol] = {
+      ...this.quotes[symbol],
+      ...(typeof fields === 'number' ? {} : fields),
+      ltp
+    };
+  }
+
+  addHolding(symbol, quantity, costPrice) {
+    this.holdings.push({ symbol, quantity, costPrice, holdingType: 'HLD', id: this.holdings.length + 1 });
+  }
+
+  addScenario(scenario) {
+    this.scenarios.push({ endpoint: '*', times: 1, ...scenario });
+  }
+
+  expireToken() {
+    this.tokenExpired = true;
+  }
+
+  renewToken(accessToken = this.accessToken) {
+    this.accessToken = accessToken;
+    this.tokenExpired = false;
+  }
+
+  /**
+   * Fill a resting order, fully or partially, at a price (default: limit or LTP)
+   */
+  fillOrder(orderId, qty = null, price = null) {
+    const order = this.orders.find(o => o.id === orderId);
+    if (!order) throw new Error(`Order ${orderId} not found`);
+
+    const fillQty = Math.min(qty || order.remainingQuantity, order.remainingQuantity);
+    this.applyFill(order, fillQty, price || order.limitPrice || this.ltp(order.symbol));
+    return order;
+  }
+
+  setOrderStatus(orderId, status, message = '') {
+    const order = this.orders.find(o => o.id === orderId);
+    if (!order) throw new Error(`Order ${orderId} not found`);
+    order.status = status;
+    order.message = message;
+    order.orderNumStatus = `${order.id}:${status}`;
+  }
+
+  // ---- HTTP plumbing ---------------------------------------------------
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await this.readBody(req);
+    const endpoint = this.resolveEndpoint(req.method, url.pathname);
+
+    this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body, endpoint });
+
+    if (!endpoint) {
+      return this.send(res, 404, { s: 'error', code: 404, message: `Unknown endpoint ${req.method} ${url.pathname}` });
+    }
+
+    const scenario = this.takeScenario(endpoint);
+    if (scenario) {
+      const handled = this.applyScenario(scenario, endpoint, body, res);
+      if (handled) return;
+    }
+
+    if (endpoint !== 'validate_authcode' && !this.isAuthorized(req)) {
+      return this.send(res, 401, { s: 'error', code: -16, message: 'Could not authenticate the user. Token is invalid or expired' });
+    }
+
+    try {
+      const [status, payload] = this.route(endpoint, url.searchParams, body);
+      this.send(res, status, payload);
+    } catch (error) {
+      this.send(res, 500, { s: 'error', code: 500, message: error.message });
+    }
+  }
+
+  readBody(req) {
+    return new Promise((resolve) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        try {
+          resolve(raw ? JSON.parse(raw) : {});
+        } catch (error) {
+          resolve({});
+        }
+      });
+    });
+  }
+
+  send(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  isAuthorized(req) {
+    return !this.tokenExpired && req.headers.authorization === `${this.appId}:${this.accessToken}`;
+  }
+
+  resolveEndpoint(method, pathname) {
+    const routes = {
+      'GET /api/v3/profile': 'profile',
+      'GET /api/v3/funds': 'funds',
+      'GET /api/v3/holdings': 'holdings',
+      'GET /api/v3/orders': 'orders',
+      'GET /api/v3/positions': 'positions',
+      'GET /api/v3/tradebook': 'tradebook',
+      'POST /api/v3/orders/sync': 'place_order',
+      'PATCH /api/v3/orders/sync': 'modify_order',
+      'DELETE /api/v3/orders/sync': 'cancel_order',
+      'POST /api/v3/validate-authcode': 'validate_authcode',
+      'GET /data/quotes': 'quotes',
+      'GET /data/depth': 'depth',
+      'GET /data/history': 'history',
+      'GET /data/marketStatus': 'market_status'
+    };
+    return routes[`${method} ${pathname}`] || null;
+  }
+
+  takeScenario(endpoint) {
+    const index = this.scenarios.findIndex(s => s.endpoint === endpoint || s.endpoint === '*');
+    if (index === -1) return null;
+
+    const scenario = this.scenarios[index];
+    scenario.times--;
+    if (scenario.times <= 0) {
+      this.scenarios.splice(index, 1);
+    }
+    return scenario;
+  }
+
+  /**
+   * @returns {boolean} true when the scenario produced the response
+   */
+  applyScenario(scenario, endpoint, body, res) {
+    switch (scenario.type) {
+      case 'tokenExpired':
+        this.tokenExpired = true;
+        return false; // Falls through to the regular 401
+
+      case 'rateLimit':
+        this.send(res, 429, { s: 'error', code: 429, message: 'request limit reached' });
+        return true;
+
+      case 'error':
+        this.send(res, scenario.status || 500, scenario.body || { s: 'error', code: -1, message: 'Internal server error' });
+        return true;
+
+      case 'reject': {
+        if (endpoint !== 'place_order') return false;
+        const order = this.createOrder(body);
+        this.setOrderStatus(order.id, STATUS.REJECTED, scenario.message || 'RED:Margin Shortfall');
+        this.send(res, 400, { s: 'error', code: scenario.code || -99, message: order.message, id: order.id });
+        return true;
+      }
+
+      case 'partialFill': {
+        if (endpoint !== 'place_order') return false;
+        const order = this.createOrder(body);
+        this.applyFill(order, scenario.fillQty || Math.floor(order.qty / 2), scenario.price || this.ltp(order.symbol));
+        this.send(res, 200, { s: 'ok', code: 1101, message: 'Order submitted successfully', id: order.id });
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  // ---- Endpoint handlers ----------------------------------------------
+
+  route(endpoint, query, body) {
+    switch (endpoint) {
+      case 'profile':
+        return [200, { s: 'ok', code: 200, message: '', data: { fy_id: 'XT00001', name: 'MOCK USER', display_name: 'MOCK', email_id: 'mock@example.com' } }];
+
+      case 'funds':
+        return [200, {
+          s: 'ok', code: 200, message: '',
+          fund_limit: [
+            { id: 1, title: 'Total Balance', equityAmount: this.funds, commodityAmount: 0 },
+            { id: 3, title: 'Clear Balance', equityAmount: this.funds, commodityAmount: 0 },
+            { id: 10, title: 'Available Balance', equityAmount: this.funds, commodityAmount: 0 }
+          ]
+        }];
+
+      case 'holdings':
+        return [200, { s: 'ok', code: 200, message: '', holdings: this.holdings.map(h => ({ ...h, ltp: this.ltp(h.symbol) || h.costPrice })) }];
+
+      case 'orders': {
+        const id = query.get('id');
+        const orderBook = id ? this.orders.filter(o => o.id === id) : this.orders;
+        return [200, { s: 'ok', code: 200, message: '', orderBook: orderBook.map(o => ({ ...o })) }];
+      }
+
+      case 'positions':
+        return [200, this.buildPositions()];
+
+      case 'tradebook':
+        return [200, { s: 'ok', code: 200, message: '', tradeBook: [...this.trades] }];
+
+      case 'place_order': {
+        const order = this.createOrder(body);
+        if (order.type === 2) {
+          const ltp = this.ltp(order.symbol);
+          if (!ltp) {
+            this.setOrderStatus(order.id, STATUS.REJECTED, 'RED:No quote for symbol');
+            return [400, { s: 'error', code: -99, message: order.message, id: order.id }];
+          }
+          this.applyFill(order, order.qty, ltp);
+        }
+        return [200, { s: 'ok', code: 1101, message: 'Order submitted successfully', id: order.id }];
+      }
+
+      case 'modify_order': {
+        const order = this.orders.find(o => o.id === body.id);
+        if (!order) return [400, { s: 'error', code: -50, message: 'Invalid order id' }];
+        if (order.status !== STATUS.PENDING) return [400, { s: 'error', code: -52, message: 'Order is not pending' }];
+
+        if (body.qty !== undefined) {
+          order.qty = body.qty;
+          order.remainingQuantity = body.qty - order.filledQty;
+        }
+        ['type', 'limitPrice', 'stopPrice'].forEach(field => {
+          if (body[field] !== undefined) order[field] = body[field];
+        });
+        return [200, { s: 'ok', code: 1102, message: 'Successfully modified order', id: order.id }];
+      }
+
+      case 'cancel_order': {
+        const order = this.orders.find(o => o.id === body.id);
+        if (!order) return [400, { s: 'error', code: -50, message: 'Invalid order id' }];
+        if (order.status !== STATUS.PENDING) return [400, { s: 'error', code: -52, message: 'Order is not pending' }];
+
+        this.setOrderStatus(order.id, STATUS.CANCELLED, 'CANCELLED BY USER');
+        return [200, { s: 'ok', code: 1103, message: 'Successfully cancelled order', id: order.id }];
+      }
+
+      case 'validate_authcode':
+        if (!body.code) return [400, { s: 'error', code: -413, message: 'Invalid auth code' }];
+        this.tokenExpired = false;
+        return [200, { s: 'ok', code: 200, message: '', access_token: this.accessToken, refresh_token: 'mock-refresh-token' }];
+
+      case 'quotes': {
+        const symbols = (query.get('symbols') || '').split(',').filter(Boolean);
+        const d = symbols.map(symbol => {
+          const quote = this.quotes[symbol];
+          if (!quote) return { n: symbol, s: 'error', v: { errmsg: 'invalid symbol' } };
+          return { n: symbol, s: 'ok', v: { symbol, lp: quote.ltp, ch: quote.ch || 0, chp: quote.chp || 0, volume: quote.volume || 0, ...quote } };
+        });
+        return [200, { s: 'ok', code: 200, message: '', d }];
+      }
+
+      case 'depth': {
+        const symbols = (query.get('symbol') || '').split(',').filter(Boolean);
+        const d = {};
+        symbols.forEach(symbol => {
+          const ltp = this.ltp(symbol) || 0;
+          d[symbol] = {
+            ltp,
+            totalbuyqty: 1000,
+            totalsellqty: 1000,
+            bids: [{ price: ltp - 0.05, volume: 500, ord: 5 }],
+            ask: [{ price: ltp + 0.05, volume: 500, ord: 5 }]
+          };
+        });
+        return [200, { s: 'ok', code: 200, message: '', d }];
+      }
+
+      case 'history':
+        return [200, { s: 'ok', code: 200, message: '', candles: this.buildHistory(query) }];
+
+      case 'market_status':
+        return [200, { s: 'ok', code: 200, message: '', marketStatus: [{ exchange: 10, market_type: 'NORMAL', segment: 10, status: 'OPEN' }] }];
+
+      default:
+        return [404, { s: 'error', code: 404, message: 'Not implemented' }];
+    }
+  }
+
+  // ---- Simulation ------------------------------------------------------
+
+  ltp(symbol) {
+    return this.quotes[symbol] ? this.quotes[symbol].ltp : null;
+  }
+
+  createOrder(body) {
+    const order = {
+      id: `MOCK${String(++this.orderSeq).padStart(6, '0')}`,
+      symbol: body.symbol,
+      qty: body.qty,
+      filledQty: 0,
+      remainingQuantity: body.qty,
+      type: body.type,
+      side: body.side,
+      productType: body.productType,
+      limitPrice: body.limitPrice || 0,
+      stopPrice: body.stopPrice || 0,
+      tradedPrice: 0,
+      status: STATUS.PENDING,
+      message: '',
+      orderDateTime: new Date().toISOString()
+    };
+    order.orderNumStatus = `${order.id}:${order.status}`;
+    this.orders.push(order);
+    return order;
+  }
+
+  applyFill(order, qty, price) {
+    if (qty <= 0) return;
+
+    order.tradedPrice = (order.tradedPrice * order.filledQty + price * qty) / (order.filledQty + qty);
+    order.filledQty += qty;
+    order.remainingQuantity = order.qty - order.filledQty;
+    this.setOrderStatus(order.id, order.remainingQuantity === 0 ? STATUS.FILLED : STATUS.PENDING);
+
+    this.trades.push({
+      orderNumber: order.id,
+      tradeNumber: `T${order.id}-${this.trades.length + 1}`,
+      symbol: order.symbol,
+      side: order.side,
+      tradedQty: qty,
+      tradePrice: price,
+      productType: order.productType,
+      orderDateTime: new Date().toISOString()
+    });
+
+    const key = `${order.symbol}-${order.productType}`;
+    const position = this.positions[key] || {
+      symbol: order.symbol, productType: order.productType, buyQty: 0, buyVal: 0, sellQty: 0, sellVal: 0
+    };
+    if (order.side === 1) {
+      position.buyQty += qty;
+      position.buyVal += qty * price;
+    } else {
+      position.sellQty += qty;
+      position.sellVal += qty * price;
+    }
+    this.positions[key] = position;
+  }
+
+  buildPositions() {
+    const netPositions = Object.values(this.positions).map(position => {
+      const netQty = position.buyQty - position.sellQty;
+      const buyAvg = position.buyQty ? position.buyVal / position.buyQty : 0;
+      const sellAvg = position.sellQty ? position.sellVal / position.sellQty : 0;
+      const closedQty = Math.min(position.buyQty, position.sellQty);
+      const realized = closedQty * (sellAvg - buyAvg);
+      const netAvg = netQty > 0 ? buyAvg : netQty < 0 ? sellAvg : 0;
+      const ltp = this.ltp(position.symbol) || netAvg;
+      const unrealized = netQty * (ltp - netAvg);
+
+      return {
+        id: `${position.symbol}-${position.productType}`,
+        symbol: position.symbol,
+        productType: position.productType,
+        netQty,
+        qty: Math.abs(netQty),
+        side: netQty > 0 ? 1 : netQty < 0 ? -1 : 0,
+        netAvg,
+        avgPrice: netAvg,
+        buyQty: position.buyQty,
+        buyAvg,
+        sellQty: position.sellQty,
+        sellAvg,
+        ltp,
+        realized_profit: round(realized),
+        unrealized_profit: round(unrealized),
+        pl: round(realized + unrealized)
+      };
+    });
+
+    const realized = netPositions.reduce((sum, p) => sum + p.realized_profit, 0);
+    const unrealized = netPositions.reduce((sum, p) => sum + p.unrealized_profit, 0);
+
+    return {
+      s: 'ok',
+      code: 200,
+      message: '',
+      netPositions,
+      overall: {
+        count_total: netPositions.length,
+        count_open: netPositions.filter(p => p.netQty !== 0).length,
+        pl_realized: round(realized),
+        pl_unrealized: round(unrealized),
+        pl_total: round(realized + unrealized)
+      }
+    };
+  }
+
+  /**
+   * Deterministic candles between range_from and range_to (dates, or epoch
+   * seconds with date_format=0) around the quote LTP
+   */
+  buildHistory(query) {
+    const symbol = query.get('symbol');
+    const resolution = query.get('resolution');
+    const epoch = query.get('date_format') === '0';
+    const from = epoch
+      ? parseInt(query.get('range_from'))
+      : Math.floor(new Date(`${query.get('range_from')}T09:15:00+05:30`).getTime() / 1000);
+    const to = epoch
+      ? parseInt(query.get('range_to'))
+      : Math.floor(new Date(`${query.get('range_to')}T15:30:00+05:30`).getTime() / 1000);
+    const step = resolution === 'D' || resolution === '1D' ? 86400 : parseInt(resolution) * 60;
+    const base = this.ltp(symbol) || 100;
+
+    const candles = [];
+    let i = 0;
+    for (let ts = from; ts <= to && candles.length < 5000; ts += step, i++) {
+      const day = new Date((ts + 19800) * 1000).getUTCDay();
+      const minuteOfDay = Math.floor(((ts + 19800) % 86400) / 60);
+      if (day === 0 || day === 6) continue;
+      if (step < 86400 && (minuteOfDay < 555 || minuteOfDay >= 930)) continue;
+
+      const close = round(base * (1 + 0.01 * Math.sin(i / 5)));
+      candles.push([ts, round(close * 0.998), round(close * 1.004), round(close * 0.995), close, 1000 + (i % 10) * 100]);
+    }
+    return candles;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+FyersMockServer.STATUS = STATUS;
+
+module.exports = FyersMockServer;
+
+if (require.main === module) {
+  const server = new FyersMockServer({ port: parseInt(process.argv[2]) || 8080 });
+  server.setQuote('NSE:SBIN-EQ', 500);
+  server.setQuote('NSE:TCS-EQ', 3500);
+  server.start().then(url => {
+    console.log(`FYERS mock server listening on ${url}`);
+    console.log(`Use FYERS_BASE_URL=${url} FYERS_APP_ID=${server.appId} FYERS_ACCESS_TOKEN=${server.accessToken}`);
+  });
+}
@@ -14,6 +14,15 @@ global.console = {
 // Set test environment variables
 process.env.NODE_ENV = 'test';
 process.env.LOG_LEVEL = 'error';
+process.env.FYERS_TOKEN_FILE = require('path').join(require('os').tmpdir(), `fyers-test-token-${process.pid}.json`);
+// Order placement loads the symbol master: keep it off the network and out of trading_data
+process.env.INSTRUMENT_MASTER_URL = 'http://127.0.0.1:9/sym_details';
+process.env.INSTRUMENT_CACHE_DIR = require('path').join(require('os').tmpdir(), `fyers-test-instruments-${process.pid}`);
+
+// Drop tokens saved by one test file before the next one runs
+afterAll(() => {
+  require('fs').rmSync(process.env.FYERS_TOKEN_FILE, { force: true });
+});
 
 // Global test timeout
 jest.setTimeout(30000);
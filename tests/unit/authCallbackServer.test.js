@@ -0,0 +1,78 @@
+const http = require('http');
+const AuthCallbackServer = require('../../src/services/authCallbackServer');
+
+const get = (port, path) => new Promise((resolve, reject) => {
+  http.get({ host: '127.0.0.1', port, path }, (res) => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body }));
+  }).on('error', reject);
+});
+
+describe('AuthCallbackServer', () => {
+  let fyersService;
+  let server;
+
+  beforeEach(() => {
+    fyersService = {
+      generateAuthUrl: jest.fn(async (state) => `https://api.fyers.in/api/v3/generate-authcode?state=${state}`),
+      generateAccessToken: jest.fn(async () => 'new-token')
+    };
+    server = new AuthCallbackServer(fyersService, {
+      redirectUrl: 'http://127.0.0.1:0/callback',
+      state: 'expected-state',
+      timeout: 5000
+    });
+  });
+
+  afterEach(() => server.stop());
+
+  it('should only accept local http redirect URLs', () => {
+    expect(AuthCallbackServer.parseRedirectUrl('http://127.0.0.1:8085/callback'))
+      .toEqual({ host: '127.0.0.1', port: 8085, path: '/callback' });
+    expect(AuthCallbackServer.isLocalRedirect('http://localhost/')).toBe(true);
+    expect(AuthCallbackServer.isLocalRedirect('https://www.google.com')).toBe(false);
+    expect(AuthCallbackServer.isLocalRedirect('http://example.com:8085/callback')).toBe(false);
+  });
+
+  it('should exchange the auth_code from a redirect with the expected state', async () => {
+    let login;
+    const authUrl = await new Promise((resolve) => { login = server.login(resolve); });
+
+    const response = await get(server.port, '/callback?s=ok&code=200&auth_code=AUTH123&state=expected-state');
+
+    await expect(login).resolves.toBe('new-token');
+    expect(authUrl).toContain('state=expected-state');
+    expect(fyersService.generateAuthUrl).toHaveBeenCalledWith('expected-state');
+    expect(fyersService.generateAccessToken).toHaveBeenCalledWith('AUTH123');
+    expect(response.status).toBe(200);
+  });
+
+  it('should refuse redirects with a different state and keep waiting', async () => {
+    let login;
+    await new Promise((resolve) => { login = server.login(resolve); });
+
+    const stray = await get(server.port, '/callback?auth_code=STRAY&state=other-state');
+    expect(stray.status).toBe(403);
+    expect(fyersService.generateAccessToken).not.toHaveBeenCalled();
+
+    const unknownPath = await get(server.port, '/favicon.ico');
+    expect(unknownPath.status).toBe(404);
+
+    await get(server.port, '/callback?auth_code=GOOD&state=expected-state');
+    await expect(login).resolves.toBe('new-token');
+    expect(fyersService.generateAccessToken).toHaveBeenCalledWith('GOOD');
+  });
+
+  it('should fail the login when the redirect carries no auth_code', async () => {
+    let login;
+    await new Promise((resolve) => { login = server.login(resolve); });
+
+    const failed = expect(login).rejects.toThrow('FYERS login failed: <b>denied</b>');
+    const response = await get(server.port, '/callback?s=error&message=%3Cb%3Edenied%3C%2Fb%3E&state=expected-state');
+
+    await failed;
+    expect(response.status).toBe(400);
+    expect(response.body).not.toContain('<b>');
+  });
+});
@@ -0,0 +1,323 @@
+const EventEmitter = require('events');
+const path = require('path');
+const AutoDirectionalTrader = require('../../src/strategies/autoDirectionalTrader');
+const DirectionalTradingStrategy = require('../../src/strategies/directionalTradingStrategy');
+const ChargesCalculator = require('../../src/services/chargesCalculator');
+
+const at = (time) => new Date(`2024-03-05T${time}:00+05:30`); // a Tuesday
+
+const stocks = [
+  { symbol: 'NSE:SBIN-EQ', direction: 'BULLISH', atr: 10, avgVolume: 1000000 },
+  { symbol: 'NSE:TCS-EQ', direction: 'BEARISH', atr: 60, avgVolume: 200000 },
+  { symbol: 'NSE:INFY-EQ', direction: 'BULLISH', atr: 30, avgVolume: 500000 }
+];
+
+// Tick confirming a bullish trend on every count: up 1.2%, above VWAP, at the day high,
+// heavy volume and more bids than offers
+const bullishTick = (symbol, ltp) => ({
+  symbol,
+  ltp,
+  chp: 1.2,
+  avg_trade_price: ltp * 0.995,
+  high_price: ltp,
+  low_price: ltp * 0.98,
+  vol_traded_today: 5000000,
+  tot_buy_qty: 30000,
+  tot_sell_qty: 10000
+});
+
+const bearishTick = (symbol, ltp) => ({
+  ...bullishTick(symbol, ltp),
+  chp: -1.5,
+  avg_trade_price: ltp * 1.005,
+  high_price: ltp * 1.02,
+  low_price: ltp,
+  tot_buy_qty: 10000,
+  tot_sell_qty: 30000
+});
+
+class FakeBracketManager extends EventEmitter {
+  constructor() {
+    super();
+    this.brackets = new Map();
+    this.createBracket = jest.fn(async (params) => {
+      const bracket = {
+        id: `BRK_${this.brackets.size + 1}`,
+        ...params,
+        state: 'PENDING_ENTRY',
+        entry: { filledQty: 0 },
+        takeProfit: null,
+        stopLoss: null
+      };
+      this.brackets.set(bracket.id, bracket);
+      return bracket;
+    });
+    this.cancelBracket = jest.fn(async (id, reason) => {
+      const bracket = this.brackets.get(id);
+      bracket.state = 'CANCELLED';
+      bracket.exitReason = reason;
+      this.emit('cancelled', bracket);
+      return bracket;
+    });
+    this.reconcile = jest.fn(async () => {});
+    this.start = jest.fn();
+    this.stop = jest.fn();
+  }
+
+  getBracket(id) {
+    return this.brackets.get(id);
+  }
+
+  getOpenBrackets() {
+    return [...this.brackets.values()].filter(bracket => ['PENDING_ENTRY', 'ACTIVE'].includes(bracket.state));
+  }
+}
+
+describe('AutoDirectionalTrader', () => {
+  const chargesCalculator = ChargesCalculator.load(path.join(__dirname, '../../src/config/charges.json'));
+  let now;
+  let marketDataService;
+  let bracketManager;
+  let orderService;
+  let trader;
+
+  beforeEach(async () => {
+    now = at('10:30');
+    marketDataService = Object.assign(new EventEmitter(), { isConnected: true, subscribe: jest.fn() });
+    bracketManager = new FakeBracketManager();
+    orderService = {
+      placeOrder: jest.fn(async () => ({ id: 'EXIT_1' })),
+      cancelOrder: jest.fn(async () => ({ s: 'ok' })),
+      getOrders: jest.fn(async () => ({ orderBook: [] })),
+      getPositions: jest.fn(async () => ({ netPositions: [] }))
+    };
+
+    trader = new AutoDirectionalTrader({
+      riskPerTrade: 2000,
+      maxPositions: 2,
+      fyersService: {},
+      historicalDataStore: {},
+      screener: { screenTrendingStocks: jest.fn(async () => stocks) },
+      breadthAnalyzer: { analyzeMarketBreadth: jest.fn(async () => ({ trendingProbability: 0.7 })) },
+      marketDataService,
+      orderService,
+      bracketManager,
+      chargesCalculator,
+      instrumentService: { ensureLoaded: jest.fn(async () => true), getLotSize: () => 1 },
+      clock: () => now.getTime(),
+      signalThreshold: 0.7,
+      watchlistSize: 2,
+      entryCutoffTime: '14:30',
+      exitTime: '15:05',
+      maxHoldMinutes: 120
+    });
+    await trader.initialize();
+    trader.isActive = true;
+  });
+
+  it('should score ticks by how many confirmations agree with the screened direction', () => {
+    const strategy = new DirectionalTradingStrategy({
+      fyersService: {}, historicalDataStore: {}, screener: {}, breadthAnalyzer: {}, marketDataService, clock: () => now.getTime()
+    });
+
+    const strong = strategy.evaluateDirectionalSignal(bullishTick('NSE:SBIN-EQ', 800), stocks[0]);
+    expect(strong.strength).toBeCloseTo(1);
+    expect(strong).toMatchObject({ symbol: 'NSE:SBIN-EQ', direction: 'BULLISH', price: 800, atr: 10 });
+
+    // Same tick against a bearish expectation: only the volume, which has no direction
+    expect(strategy.evaluateDirectionalSignal(bullishTick('NSE:TCS-EQ', 4000), stocks[1]).strength).toBeCloseTo(0.2);
+    expect(strategy.evaluateDirectionalSignal(bearishTick('NSE:TCS-EQ', 4000), stocks[1]).strength).toBeCloseTo(1);
+
+    // Half the move, mid-range, no VWAP/volume/order book data
+    const partial = strategy.evaluateDirectionalSignal({ symbol: 'NSE:SBIN-EQ', ltp: 800, chp: 0.5, high_price: 810, low_price: 790 }, stocks[0]);
+    expect(partial.strength).toBeCloseTo(0.3 * 0.5);
+    expect(strategy.evaluateDirectionalSignal(bullishTick('NSE:SBIN-EQ', 800), { ...stocks[0], direction: 'NEUTRAL' }).strength).toBe(0);
+
+    // 10:30 is a fifth of the 375-minute session
+    expect(strategy.getSessionFraction(now)).toBeCloseTo(75 / 375);
+  });
+
+  it('should subscribe the screened watchlist and enter a bracket sized to the risk', async () => {
+    const entries = [];
+    trader.on('entry', trade => entries.push(trade));
+
+    await trader.runDailyScreening();
+    expect(marketDataService.subscribe).toHaveBeenCalledWith(['NSE:SBIN-EQ', 'NSE:TCS-EQ']);
+
+    // Weak tick: no trade
+    marketDataService.emit('tick', { symbol: 'NSE:SBIN-EQ', ltp: 800, chp: 0.2 });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(bracketManager.createBracket).not.toHaveBeenCalled();
+
+    const trade = await trader.processMarketTick(bullishTick('NSE:SBIN-EQ', 800));
+    expect(bracketManager.createBracket).toHaveBeenCalledWith(expect.objectContaining({
+      symbol: 'NSE:SBIN-EQ',
+      side: 1,
+      quantity: trade.quantity,
+      productType: 'INTRADAY',
+      strategy: 'auto-directional'
+    }));
+    expect(entries).toEqual([trade]);
+
+    // Stop at 0.5 x ATR; loss at the stop plus charges within ₹2,000
+    expect(trade.stopLossPrice).toBeCloseTo(795);
+    expect(trade.netLoss).toBeLessThanOrEqual(2000);
+    expect(trade.quantity).toBeGreaterThan(350);
+    expect(trade.takeProfitPercent).toBeGreaterThan(2 * trade.stopLossPercent);
+
+    const short = await trader.processMarketTick(bearishTick('NSE:TCS-EQ', 4000));
+    expect(short.side).toBe(-1);
+    expect(short.stopLossPrice).toBeCloseTo(4030);
+    expect(short.netLoss).toBeLessThanOrEqual(2000);
+  });
+
+  it('should not plan a trade whose charges stay above the limit at the widest stop', () => {
+    const signal = { symbol: 'NSE:SBIN-EQ', direction: 'BULLISH', price: 800, atr: 10 };
+    expect(trader.planTrade(signal)).not.toBeNull();
+
+    const optimize = trader.optimizer.optimize.bind(trader.optimizer);
+    jest.spyOn(trader.optimizer, 'optimize').mockImplementation(params => ({ ...optimize(params), viable: false }));
+    expect(trader.planTrade(signal)).toBeNull();
+  });
+
+  it('should respect max positions, one trade per symbol a day and the entry window', async () => {
+    trader.watchlist = stocks;
+    const signal = (stock, price) => trader.evaluateDirectionalSignal(bullishTick(stock.symbol, price), stock, now);
+
+    await trader.executeDirectionalTrade(signal(stocks[0], 800));
+    expect(await trader.executeDirectionalTrade(signal(stocks[0], 801))).toBeNull();
+    expect(trader.getEntryBlock(signal(stocks[0], 801))).toBe('already in a trade');
+
+    await trader.executeDirectionalTrade(signal(stocks[2], 1500));
+    expect(trader.getEntryBlock({ ...signal(stocks[0], 800), symbol: 'NSE:ITC-EQ' })).toBe('2 positions open');
+    expect(bracketManager.createBracket).toHaveBeenCalledTimes(2);
+
+    // SBIN stopped out: the slot frees up but SBIN is not traded again today
+    const sbin = bracketManager.getBracket(trader.trades.get('NSE:SBIN-EQ').bracketId);
+    bracketManager.emit('closed', { ...sbin, state: 'CLOSED', exitReason: 'STOP_LOSS' });
+    expect(trader.trades.has('NSE:SBIN-EQ')).toBe(false);
+    expect(trader.getEntryBlock(signal(stocks[0], 800))).toBe('already traded today');
+
+    const itc = { ...signal(stocks[0], 800), symbol: 'NSE:ITC-EQ' };
+    expect(trader.getEntryBlock(itc)).toBeNull();
+    now = at('14:45');
+    expect(trader.getEntryBlock(itc)).toBe('past the 14:30 entry cutoff');
+    now = at('09:20');
+    expect(trader.getEntryBlock(itc)).toBe('outside the trading session');
+
+    // A new day clears the traded list
+    now = new Date('2024-03-06T10:00:00+05:30');
+    trader.startTradingDay(now);
+    expect(trader.getEntryBlock(signal(stocks[0], 800))).toBeNull();
+  });
+
+  it('should exit on time by cancelling the bracket and closing the net position', async () => {
+    const exits = [];
+    trader.on('exit', trade => exits.push(trade));
+    trader.watchlist = stocks;
+
+    const sbin = await trader.processMarketTick(bullishTick('NSE:SBIN-EQ', 800));
+    now = at('11:00');
+    const infy = await trader.processMarketTick(bullishTick('NSE:INFY-EQ', 1500));
+
+    // SBIN filled and 100 of its TP filled; INFY's entry never filled
+    Object.assign(bracketManager.getBracket(sbin.bracketId), {
+      state: 'ACTIVE', entry: { filledQty: sbin.quantity }, takeProfit: { filledQty: 100 }, stopLoss: { filledQty: 0 }
+    });
+    // 40 more were bought by hand in the same product; they are not the trade's to close
+    orderService.getPositions.mockResolvedValue({
+      netPositions: [
+        { symbol: 'NSE:SBIN-EQ', netQty: sbin.quantity - 100 + 40, productType: 'INTRADAY' },
+        { symbol: 'NSE:SBIN-EQ', netQty: 50, productType: 'CNC' }
+      ]
+    });
+
+    now = at('12:30');
+    await trader.checkExits();
+    expect(bracketManager.reconcile).toHaveBeenCalledWith(sbin.bracketId);
+    expect(bracketManager.cancelBracket).toHaveBeenCalledWith(sbin.bracketId, 'MAX_HOLD');
+    expect(orderService.placeOrder).toHaveBeenCalledWith({
+      symbol: 'NSE:SBIN-EQ', quantity: sbin.quantity - 100, side: -1, type: 2, productType: 'INTRADAY', validity: 'DAY'
+    });
+    expect(trader.trades.has('NSE:INFY-EQ')).toBe(true);
+
+    now = at('15:05');
+    orderService.getPositions.mockResolvedValue({ netPositions: [] });
+    await trader.checkExits();
+    expect(bracketManager.cancelBracket).toHaveBeenCalledWith(infy.bracketId, 'TIME_EXIT');
+    expect(orderService.placeOrder).toHaveBeenCalledTimes(1);
+    expect(trader.trades.size).toBe(0);
+    expect(exits.map(e => [e.symbol, e.reason])).toEqual([['NSE:SBIN-EQ', 'MAX_HOLD'], ['NSE:INFY-EQ', 'TIME_EXIT']]);
+  });
+
+  it('should restore its open brackets after a restart so time exits still fire', async () => {
+    bracketManager.brackets.set('BRK_SAVED', {
+      id: 'BRK_SAVED',
+      symbol: 'NSE:TCS-EQ',
+      side: -1,
+      quantity: 30,
+      strategy: 'auto-directional',
+      state: 'ACTIVE',
+      targets: { stopLossPercent: 0.8, takeProfitPercent: 1.9 },
+      entry: { filledQty: 30 },
+      takeProfit: null,
+      stopLoss: null,
+      createdAt: at('10:00').toISOString()
+    });
+    // A bracket from another command is not the trader's
+    bracketManager.brackets.set('BRK_MANUAL', {
+      id: 'BRK_MANUAL', symbol: 'NSE:INFY-EQ', side: 1, quantity: 10, strategy: null, state: 'ACTIVE', targets: {}, entry: {}
+    });
+
+    trader.restoreTrades();
+    expect([...trader.trades.keys()]).toEqual(['NSE:TCS-EQ']);
+    expect(trader.getEntryBlock({ symbol: 'NSE:TCS-EQ', direction: 'BEARISH' })).toBe('already in a trade');
+    expect(trader.tradedToday.has('NSE:TCS-EQ')).toBe(true);
+
+    orderService.getPositions.mockResolvedValue({ netPositions: [{ symbol: 'NSE:TCS-EQ', netQty: -30, productType: 'INTRADAY' }] });
+    now = at('12:00');
+    await trader.checkExits();
+    expect(bracketManager.cancelBracket).toHaveBeenCalledWith('BRK_SAVED', 'MAX_HOLD');
+    expect(orderService.placeOrder).toHaveBeenCalledWith({
+      symbol: 'NSE:TCS-EQ', quantity: 30, side: 1, type: 2, productType: 'INTRADAY', validity: 'DAY'
+    });
+    expect(trader.trades.size).toBe(0);
+  });
+
+  it('should not send the exit while a bracket order is still working', async () => {
+    const exits = [];
+    trader.on('exit', trade => exits.push(trade));
+    trader.watchlist = stocks;
+
+    const sbin = await trader.processMarketTick(bullishTick('NSE:SBIN-EQ', 800));
+    Object.assign(bracketManager.getBracket(sbin.bracketId), {
+      state: 'ACTIVE',
+      entry: { orderId: 'ENTRY_1', filledQty: sbin.quantity },
+      takeProfit: { orderId: 'TP_1', filledQty: 0 },
+      stopLoss: { orderId: 'SL_1', filledQty: 0 }
+    });
+
+    // The stop-loss cancel failed: the order book still shows it pending
+    orderService.getOrders.mockResolvedValue({ orderBook: [{ id: 'TP_1', status: 1 }, { id: 'SL_1', status: 6 }] });
+    orderService.getPositions.mockResolvedValue({ netPositions: [{ symbol: 'NSE:SBIN-EQ', netQty: sbin.quantity, productType: 'INTRADAY' }] });
+
+    now = at('15:05');
+    await trader.checkExits();
+    expect(bracketManager.cancelBracket).toHaveBeenCalledWith(sbin.bracketId, 'TIME_EXIT');
+    expect(orderService.placeOrder).not.toHaveBeenCalled();
+    expect(trader.trades.get('NSE:SBIN-EQ').exiting).toBeNull();
+
+    // The next check cancels the leg directly and exits once the book confirms it
+    orderService.cancelOrder.mockImplementation(async () => {
+      orderService.getOrders.mockResolvedValue({ orderBook: [{ id: 'TP_1', status: 1 }, { id: 'SL_1', status: 1 }] });
+      return { s: 'ok' };
+    });
+    await trader.checkExits();
+    expect(bracketManager.cancelBracket).toHaveBeenCalledTimes(1);
+    expect(orderService.cancelOrder).toHaveBeenCalledWith('SL_1');
+    expect(orderService.placeOrder).toHaveBeenCalledWith({
+      symbol: 'NSE:SBIN-EQ', quantity: sbin.quantity, side: -1, type: 2, productType: 'INTRADAY', validity: 'DAY'
+    });
+    expect(exits.map(e => [e.symbol, e.reason, e.quantityClosed])).toEqual([['NSE:SBIN-EQ', 'TIME_EXIT', sbin.quantity]]);
+  });
+});
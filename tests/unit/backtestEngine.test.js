@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BacktestEngine = require('../../src/services/backtestEngine');
+const BaseStrategy = require('../../src/strategies/baseStrategy');
+const SampleStrategy = require('../../src/strategies/sampleStrategy');
+
+/**
+ * Buys on a given bar and sells on another, to make fills predictable
+ */
+class ScriptedStrategy extends BaseStrategy {
+  constructor(script, config = {}) {
+    super('ScriptedStrategy', { stopLossPercentage: 50, takeProfitPercentage: 100, ...config });
+    this.script = script;
+    this.bar = 0;
+  }
+
+  processMarketData(data) {
+    const action = this.script[this.bar++];
+    if (action === 'BUY') this.generateBuySignal(data.symbol, data.ltp, 10);
+    if (action === 'SELL') this.generateSellSignal(data.symbol, data.ltp);
+  }
+}
+
+const DAY = 86400;
+const START = 1704133800; // 2024-01-02 00:00 IST
+
+// Daily bars on weekdays only, like real exchange data
+function tradingDay(i) {
+  const weeks = Math.floor(i / 5);
+  const offset = i % 5;
+  // START is a Tuesday: the fourth weekday after it falls on the next Monday
+  return START + (weeks * 7 + offset + (offset >= 4 ? 2 : 0)) * DAY;
+}
+
+function candles(closes) {
+  return closes.map((close, i) => ({
+    timestamp: tradingDay(i),
+    open: close,
+    high: close + 1,
+    low: close - 1,
+    close,
+    volume: 1000
+  }));
+}
+
+describe('BacktestEngine', () => {
+  const zeroCharges = {
+    brokerageRate: 0, sttRate: 0, exchRate: 0, sebiRate: 0, gstRate: 0, stampDutyBuyRate: 0
+  };
+
+  it('should fill signals and report trade statistics', () => {
+    const strategy = new ScriptedStrategy([null, 'BUY', null, 'SELL', 'BUY', 'SELL']);
+    const engine = new BacktestEngine(strategy, { slippagePercent: 0, chargeRates: zeroCharges });
+
+    const report = engine.run({ 'NSE:SBIN-EQ': candles([100, 100, 105, 110, 110, 105]) });
+
+    expect(report.trades).toHaveLength(2);
+    expect(report.trades[0]).toMatchObject({
+      symbol: 'NSE:SBIN-EQ', quantity: 10, entryPrice: 100, exitPrice: 110, netPnl: 100, exitReason: 'SIGNAL'
+    });
+    expect(report.trades[1]).toMatchObject({ netPnl: -50 });
+    expect(report.summary).toMatchObject({
+      finalEquity: 100050,
+      netProfit: 50,
+      totalTrades: 2,
+      winRate: 50,
+      avgWin: 100,
+      avgLoss: 50,
+      expectancy: 25,
+      profitFactor: 2,
+      maxDrawdown: 50
+    });
+    expect(report.equityCurve).toHaveLength(6);
+    expect(strategy.hasPosition('NSE:SBIN-EQ')).toBe(false);
+  });
+
+  it('should apply slippage and charges to fills', () => {
+    const strategy = new ScriptedStrategy(['BUY', null, 'SELL']);
+    const engine = new BacktestEngine(strategy, { slippagePercent: 0.1 });
+
+    const report = engine.run({ 'NSE:SBIN-EQ': candles([100, 101, 102]) });
+    const trade = report.trades[0];
+
+    expect(trade.entryPrice).toBeCloseTo(100.1, 2);
+    expect(trade.exitPrice).toBeCloseTo(101.9, 2);
+    expect(trade.charges).toBeGreaterThan(0);
+    expect(trade.netPnl).toBeCloseTo(trade.grossPnl - trade.charges, 2);
+  });
+
+  it('should exit at the stop-loss when a bar trades through it', () => {
+    const strategy = new ScriptedStrategy(['BUY'], { stopLossPercentage: 5 });
+    const engine = new BacktestEngine(strategy, { slippagePercent: 0, chargeRates: zeroCharges });
+    const data = candles([100, 100, 100]);
+    data[2].low = 90;
+
+    const report = engine.run({ 'NSE:SBIN-EQ': data });
+
+    expect(report.trades[0]).toMatchObject({ exitPrice: 95, exitReason: 'STOP_LOSS', netPnl: -50 });
+  });
+
+  it('should close open positions at the end of data', () => {
+    const strategy = new ScriptedStrategy(['BUY']);
+    const engine = new BacktestEngine(strategy, { slippagePercent: 0, chargeRates: zeroCharges });
+
+    const report = engine.run({ 'NSE:SBIN-EQ': candles([100, 104]) });
+
+    expect(report.trades[0]).toMatchObject({ exitPrice: 104, exitReason: 'END_OF_DATA' });
+    expect(report.summary.finalEquity).toBe(100040);
+  });
+
+  it('should drive the strategy clock so market-hours checks pass for daily bars', () => {
+    const strategy = new SampleStrategy({ symbols: ['NSE:SBIN-EQ'], shortPeriod: 2, longPeriod: 3 });
+    const engine = new BacktestEngine(strategy, { slippagePercent: 0 });
+
+    const report = engine.run({ 'NSE:SBIN-EQ': candles([100, 99, 98, 97, 99, 102, 104, 101, 98, 95]) });
+
+    expect(report.trades.length).toBeGreaterThan(0);
+    expect(strategy.clock).toBeNull();
+  });
+
+  it('should load candles from CSV', () => {
+    const file = path.join(os.tmpdir(), `backtest-${process.pid}.csv`);
+    fs.writeFileSync(file, [
+      'Date,Open,High,Low,Close,Volume',
+      '2024-01-03,101,103,100,102,2000',
+      '2024-01-02,100,102,99,101,1000'
+    ].join('\n'));
+
+    try {
+      const data = BacktestEngine.loadCandlesFromCSV(file);
+      expect(data).toEqual([
+        { timestamp: START, open: 100, high: 102, low: 99, close: 101, volume: 1000 },
+        { timestamp: START + DAY, open: 101, high: 103, low: 100, close: 102, volume: 2000 }
+      ]);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
@@ -0,0 +1,288 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BracketOrderManager = require('../../src/services/bracketOrderManager');
+
+describe('BracketOrderManager', () => {
+  let orderService;
+  let orderBook;
+  let manager;
+  let nextId;
+
+  const setOrder = (id, fields) => {
+    const existing = orderBook.find(o => o.id === id);
+    Object.assign(existing, fields);
+  };
+
+  beforeEach(() => {
+    orderBook = [];
+    nextId = 1;
+
+    orderService = {
+      placeOrder: jest.fn(async (order) => {
+        const id = `ORD${nextId++}`;
+        orderBook.push({ id, ...order, qty: order.quantity, filledQty: 0, status: 6 });
+        return { s: 'ok', id };
+      }),
+      modifyOrder: jest.fn(async (id, modifications) => {
+        setOrder(id, modifications);
+        return { s: 'ok', id };
+      }),
+      cancelOrder: jest.fn(async (id) => {
+        setOrder(id, { status: 1 });
+        return { s: 'ok', id };
+      }),
+      getOrders: jest.fn(async () => ({ s: 'ok', orderBook }))
+    };
+
+    manager = new BracketOrderManager(orderService, { stateFile: null });
+  });
+
+  afterEach(() => {
+    manager.stop();
+    jest.clearAllMocks();
+  });
+
+  const createLongBracket = () => manager.createBracket({
+    symbol: 'NSE:SBIN-EQ',
+    quantity: 10,
+    side: 1,
+    entryPrice: 500,
+    takeProfitPrice: 510,
+    stopLossPrice: 495
+  });
+
+  it('should place exit legs only after the entry fills', async () => {
+    const bracket = await createLongBracket();
+
+    await manager.reconcile();
+    expect(orderService.placeOrder).toHaveBeenCalledTimes(1);
+
+    setOrder(bracket.entry.orderId, { status: 2, filledQty: 10, tradedPrice: 500 });
+    await manager.reconcile();
+
+    expect(bracket.state).toBe('ACTIVE');
+    expect(orderService.placeOrder).toHaveBeenCalledWith(expect.objectContaining({
+      side: -1, type: 1, quantity: 10, limitPrice: 510
+    }));
+    expect(orderService.placeOrder).toHaveBeenCalledWith(expect.objectContaining({
+      side: -1, type: 3, quantity: 10, limitPrice: 495, stopPrice: 495.5
+    }));
+  });
+
+  it('should cancel the stop loss when the take profit fills', async () => {
+    const bracket = await createLongBracket();
+    setOrder(bracket.entry.orderId, { status: 2, filledQty: 10, tradedPrice: 500 });
+    await manager.reconcile();
+
+    const closed = jest.fn();
+    manager.on('closed', closed);
+
+    setOrder(bracket.takeProfit.orderId, { status: 2, filledQty: 10, tradedPrice: 510 });
+    await manager.reconcile();
+
+    expect(orderService.cancelOrder).toHaveBeenCalledWith(bracket.stopLoss.orderId);
+    expect(bracket).toMatchObject({ state: 'CLOSED', exitReason: 'TAKE_PROFIT' });
+    expect(closed).toHaveBeenCalledWith(bracket);
+    expect(manager.getOpenBrackets()).toHaveLength(0);
+  });
+
+  it('should resize the sibling leg on a partial exit fill', async () => {
+    const bracket = await createLongBracket();
+    setOrder(bracket.entry.orderId, { status: 2, filledQty: 10, tradedPrice: 500 });
+    await manager.reconcile();
+
+    setOrder(bracket.stopLoss.orderId, { filledQty: 4 });
+    await manager.reconcile();
+
+    expect(orderService.modifyOrder).toHaveBeenCalledWith(bracket.takeProfit.orderId, { qty: 6 });
+    expect(orderService.modifyOrder).not.toHaveBeenCalledWith(bracket.stopLoss.orderId, expect.anything());
+    expect(bracket.state).toBe('ACTIVE');
+  });
+
+  it('should grow the exit legs as a partially filled entry fills further', async () => {
+    const bracket = await createLongBracket();
+    setOrder(bracket.entry.orderId, { filledQty: 4, tradedPrice: 500 });
+    await manager.reconcile();
+    expect(bracket.takeProfit.quantity).toBe(4);
+
+    setOrder(bracket.entry.orderId, { status: 2, filledQty: 10 });
+    await manager.reconcile();
+
+    expect(orderService.modifyOrder).toHaveBeenCalledWith(bracket.takeProfit.orderId, { qty: 10 });
+    expect(orderService.modifyOrder).toHaveBeenCalledWith(bracket.stopLoss.orderId, { qty: 10 });
+  });
+
+  it('should derive percentage targets from the entry fill price', async () => {
+    const bracket = await manager.createBracket({
+      symbol: 'NSE:SBIN-EQ', quantity: 5, side: -1, takeProfitPercent: 1, stopLossPercent: 0.5
+    });
+    setOrder(bracket.entry.orderId, { status: 2, filledQty: 5, tradedPrice: 600 });
+    await manager.reconcile();
+
+    expect(bracket.takeProfit).toMatchObject({ limitPrice: 594 });
+    // Trigger/limit gap: 0.1% of 603 rounded up to the 0.05 tick
+    expect(bracket.stopLoss).toMatchObject({ limitPrice: 603, stopPrice: 602.35 });
+  });
+
+  it('should round percentage targets to the tick and widen the stop gap with ATR', async () => {
+    const bracket = await manager.createBracket({
+      symbol: 'NSE:SBIN-EQ', quantity: 5, side: 1, takeProfitPercent: 0.75, stopLossPercent: 0.35, atr: 4
+    });
+    setOrder(bracket.entry.orderId, { status: 2, filledQty: 5, tradedPrice: 487.3 });
+    await manager.reconcile();
+
+    expect(bracket.takeProfit).toMatchObject({ limitPrice: 490.95 });
+    expect(bracket.stopLoss).toMatchObject({ limitPrice: 485.6, stopPrice: 486.6 });
+  });
+
+  it('should mark the bracket cancelled when the entry is cancelled unfilled', async () => {
+    const bracket = await createLongBracket();
+    setOrder(bracket.entry.orderId, { status: 1 });
+    await manager.reconcile();
+
+    expect(bracket).toMatchObject({ state: 'CANCELLED', exitReason: 'ENTRY_NOT_FILLED' });
+    expect(bracket.takeProfit).toBeNull();
+  });
+
+  it('should close the position at market when both exit legs are lost', async () => {
+    const bracket = await createLongBracket();
+    setOrder(bracket.entry.orderId, { status: 2, filledQty: 10, tradedPrice: 500 });
+    await manager.reconcile();
+
+    // Both legs rejected by the exchange
+    setOrder(bracket.takeProfit.orderId, { status: 5 });
+    setOrder(bracket.stopLoss.orderId, { status: 5 });
+    orderService.placeOrder.mockRejectedValueOnce(new Error('RMS rejection'));
+    await manager.reconcile();
+    expect(bracket.state).toBe('ACTIVE'); // retried on the next reconcile
+
+    await manager.reconcile();
+    expect(orderService.placeOrder).toHaveBeenLastCalledWith({
+      symbol: 'NSE:SBIN-EQ', quantity: 10, side: -1, type: 2, productType: 'INTRADAY', validity: 'DAY'
+    });
+    expect(bracket).toMatchObject({ state: 'CANCELLED', exitReason: 'EXIT_LEGS_LOST', flattenOrderId: 'ORD4' });
+  });
+
+  it('should reconcile immediately on a streamed update for a tracked order', async () => {
+    const updates = new EventEmitter();
+    const bracket = await createLongBracket();
+    manager.attachOrderUpdates(updates);
+
+    updates.emit('orderUpdate', { id: 'UNRELATED', status: 2 });
+    expect(orderService.getOrders).not.toHaveBeenCalled();
+
+    setOrder(bracket.entry.orderId, { status: 2, filledQty: 10, tradedPrice: 500 });
+    updates.emit('orderUpdate', { id: bracket.entry.orderId, status: 2 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(orderService.getOrders).toHaveBeenCalledTimes(1);
+    expect(bracket.state).toBe('ACTIVE');
+    manager.detachOrderUpdates();
+  });
+
+  it('should resume open brackets from the state file', async () => {
+    const stateFile = path.join(os.tmpdir(), `brackets-${process.pid}.json`);
+
+    try {
+      const first = new BracketOrderManager(orderService, { stateFile });
+      const bracket = await first.createBracket({
+        symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, entryPrice: 500, takeProfitPrice: 510, stopLossPrice: 495
+      });
+
+      const resumed = new BracketOrderManager(orderService, { stateFile });
+      expect(resumed.getOpenBrackets()).toEqual([expect.objectContaining({ id: bracket.id })]);
+
+      setOrder(bracket.entry.orderId, { status: 2, filledQty: 10, tradedPrice: 500 });
+      await resumed.reconcile();
+      expect(resumed.getBracket(bracket.id).state).toBe('ACTIVE');
+    } finally {
+      fs.rmSync(stateFile, { force: true });
+    }
+  });
+
+  it('should keep brackets saved by other managers sharing the state file', async () => {
+    const stateFile = path.join(os.tmpdir(), `brackets-shared-${process.pid}.json`);
+    const params = { symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, entryPrice: 500, takeProfitPrice: 510, stopLossPrice: 495 };
+    const saved = () => JSON.parse(fs.readFileSync(stateFile, 'utf8')).brackets;
+
+    try {
+      // e.g. the app and a CLI command, both started before either bracket existed
+      const app = new BracketOrderManager(orderService, { stateFile, ownerId: 'app' });
+      const cli = new BracketOrderManager(orderService, { stateFile, ownerId: 'cli' });
+
+      const fromApp = await app.createBracket(params);
+      const fromCli = await cli.createBracket({ ...params, symbol: 'NSE:TCS-EQ' });
+      expect(saved().map(b => b.id).sort()).toEqual([fromApp.id, fromCli.id].sort());
+
+      // The CLI bracket fills and is saved by the CLI; a later save by the app keeps that
+      setOrder(fromCli.entry.orderId, { status: 2, filledQty: 10, tradedPrice: 500 });
+      await cli.reconcile();
+      app.saveState();
+      expect(saved().find(b => b.id === fromCli.id).state).toBe('ACTIVE');
+      expect(app.getBracket(fromCli.id)).toBeUndefined();
+
+      // reloadState adopts it, updating existing objects in place
+      const appBracket = app.getBracket(fromApp.id);
+      app.reloadState();
+      expect(app.getBracket(fromCli.id).state).toBe('ACTIVE');
+      expect(app.getBracket(fromApp.id)).toBe(appBracket);
+      expect(fs.existsSync(`${stateFile}.lock`)).toBe(false);
+    } finally {
+      fs.rmSync(stateFile, { force: true });
+    }
+  });
+
+  it('should let only the process holding a bracket\'s lease place its exit legs', async () => {
+    const stateFile = path.join(os.tmpdir(), `brackets-lease-${process.pid}.json`);
+    const params = { symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, entryPrice: 500, takeProfitPrice: 510, stopLossPrice: 495 };
+
+    try {
+      // A CLI command creates the bracket; monitor-orders.js runs alongside
+      const cli = new BracketOrderManager(orderService, { stateFile, ownerId: 'cli' });
+      const monitor = new BracketOrderManager(orderService, { stateFile, ownerId: 'monitor' });
+      const bracket = await cli.createBracket(params);
+      setOrder(bracket.entry.orderId, { status: 2, filledQty: 10, tradedPrice: 500 });
+
+      await monitor.reconcile();
+      expect(orderService.placeOrder).toHaveBeenCalledTimes(1);
+      expect(monitor.getOwnedBrackets()).toEqual([]);
+
+      // The CLI stops monitoring: its lease is released and the monitor takes over
+      cli.stop();
+      await monitor.reconcile();
+      await cli.reconcile();
+      expect(orderService.placeOrder).toHaveBeenCalledTimes(3);
+      expect(monitor.getBracket(bracket.id).state).toBe('ACTIVE');
+      expect(cli.getOwnedBrackets()).toEqual([]);
+    } finally {
+      fs.rmSync(stateFile, { force: true });
+    }
+  });
+
+  it('should re-check the saved bracket before placing exit legs', async () => {
+    const stateFile = path.join(os.tmpdir(), `brackets-recheck-${process.pid}.json`);
+
+    try {
+      const app = new BracketOrderManager(orderService, { stateFile, ownerId: 'app' });
+      const bracket = await app.createBracket({
+        symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, entryPrice: 500, takeProfitPrice: 510, stopLossPrice: 495
+      });
+      setOrder(bracket.entry.orderId, { status: 2, filledQty: 10, tradedPrice: 500 });
+
+      // "brackets cancel" runs in another process while the app fetches the order book
+      orderService.getOrders.mockImplementationOnce(async () => {
+        const cli = new BracketOrderManager(orderService, { stateFile, ownerId: 'cli' });
+        await cli.cancelBracket(bracket.id);
+        return { s: 'ok', orderBook };
+      });
+      await app.reconcile();
+
+      expect(orderService.placeOrder).toHaveBeenCalledTimes(1);
+      expect(bracket).toMatchObject({ state: 'CANCELLED', exitReason: 'MANUAL', takeProfit: null });
+    } finally {
+      fs.rmSync(stateFile, { force: true });
+    }
+  });
+});
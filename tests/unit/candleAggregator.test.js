@@ -0,0 +1,84 @@
+const EventEmitter = require('events');
+const moment = require('moment-timezone');
+const CandleAggregator = require('../../src/services/candleAggregator');
+
+describe('CandleAggregator', () => {
+  const SYMBOL = 'NSE:SBIN-EQ';
+  const at = (time, day = '2024-01-15') => moment.tz(`${day} ${time}`, 'Asia/Kolkata').unix();
+  const tick = (time, ltp, volume) => ({
+    symbol: SYMBOL, ltp, exch_feed_time: at(time), vol_traded_today: volume
+  });
+
+  let aggregator;
+  let closed;
+
+  beforeEach(() => {
+    aggregator = new CandleAggregator({ timeframes: [1, 5, 60] });
+    closed = [];
+    aggregator.on('candleClose', event => closed.push(event));
+  });
+
+  afterEach(() => aggregator.stop());
+
+  it('should align buckets to the 09:15 session open and cut the last bar at the close', () => {
+    expect(aggregator.getBucket(at('09:17:30'), 5)).toEqual({ start: at('09:15:00'), end: at('09:20:00') });
+    expect(aggregator.getBucket(at('10:20:00'), 60)).toEqual({ start: at('10:15:00'), end: at('11:15:00') });
+    expect(aggregator.getBucket(at('15:20:00'), 60)).toEqual({ start: at('15:15:00'), end: at('15:30:00') });
+    expect(aggregator.getBucket(at('09:10:00'), 1)).toBeNull();
+    expect(aggregator.getBucket(at('15:30:00'), 1)).toBeNull();
+  });
+
+  it('should build OHLCV bars from ticks and emit candleClose on rollover', () => {
+    aggregator.onTick(tick('09:15:05', 500, 1000));
+    aggregator.onTick(tick('09:15:20', 503, 1200));
+    aggregator.onTick(tick('09:15:50', 498, 1500));
+    aggregator.onTick(tick('09:16:10', 501, 1600));
+
+    expect(closed).toEqual([{
+      symbol: SYMBOL,
+      timeframe: 1,
+      candle: { timestamp: at('09:15:00'), open: 500, high: 503, low: 498, close: 498, volume: 500 }
+    }]);
+    expect(aggregator.getCurrentCandle(SYMBOL, 5)).toMatchObject({ open: 500, high: 503, low: 498, close: 501, volume: 600 });
+
+    aggregator.onTick(tick('09:20:00', 505, 1700));
+    expect(closed.map(e => e.timeframe)).toEqual([1, 1, 5]);
+    expect(aggregator.getCandles(SYMBOL, 5)).toEqual([
+      expect.objectContaining({ timestamp: at('09:15:00'), close: 501, volume: 600 })
+    ]);
+  });
+
+  it('should close elapsed bars without a new tick', () => {
+    aggregator.onTick(tick('09:15:05', 500, 1000));
+    aggregator.closeElapsed(at('09:16:00') * 1000);
+
+    expect(closed).toHaveLength(1);
+    expect(closed[0]).toMatchObject({ timeframe: 1 });
+  });
+
+  it('should consume ticks from an attached market data service', () => {
+    const marketData = new EventEmitter();
+    aggregator.attach(marketData);
+
+    marketData.emit('tick', tick('09:15:05', 500, 1000));
+    expect(aggregator.getCurrentCandle(SYMBOL, 1)).toMatchObject({ open: 500 });
+
+    aggregator.detach();
+    expect(marketData.listenerCount('tick')).toBe(0);
+  });
+
+  it('should seed closed candles from historical data', async () => {
+    const fyersService = {
+      getHistoricalData: jest.fn(async (symbol, resolution) => [
+        { timestamp: at('09:20:00'), open: 2, high: 2, low: 2, close: 2, volume: 20 },
+        { timestamp: at('09:15:00'), open: 1, high: 1, low: 1, close: 1, volume: 10 }
+      ].map(c => ({ ...c, resolution })))
+    };
+
+    await aggregator.seed(fyersService, [SYMBOL], 3);
+
+    expect(fyersService.getHistoricalData).toHaveBeenCalledWith(SYMBOL, '60', 3);
+    expect(aggregator.getCandles(SYMBOL, 5).map(c => c.close)).toEqual([1, 2]);
+    expect(aggregator.getCandles(SYMBOL, 5, 1)).toEqual([expect.objectContaining({ timestamp: at('09:20:00') })]);
+  });
+});
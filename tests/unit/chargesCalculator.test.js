@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChargesCalculator = require('../../src/services/chargesCalculator');
+const { requiredTPpercent, requiredTPpercentShort, roundTripCharges } = require('../../requiredTakeProfit');
+
+describe('ChargesCalculator', () => {
+  const charges = ChargesCalculator.load(path.join(__dirname, '../../src/config/charges.json'));
+
+  it('should itemize intraday equity charges by side', () => {
+    const result = charges.calculate({ symbol: 'NSE:SBIN-EQ', quantity: 100, buyPrice: 500, sellPrice: 510 });
+
+    expect(result).toMatchObject({ segment: 'EQUITY_INTRADAY', exchange: 'NSE', turnover: 101000, ctt: 0, dp: 0 });
+    expect(result.brokerage).toBeCloseTo(15 + 15.3); // 0.03% per order, under the Rs 20 cap
+    expect(result.stt).toBeCloseTo(12.75); // sell side only
+    expect(result.exchangeFee).toBeCloseTo(2.9997);
+    expect(result.sebiFee).toBeCloseTo(0.101);
+    expect(result.stampDuty).toBeCloseTo(1.5); // buy side only
+    expect(result.gst).toBeCloseTo(0.18 * (30.3 + 2.9997 + 0.101));
+    expect(result.total).toBeCloseTo(53.6628, 3);
+  });
+
+  it('should pick segment rates from the symbol and product', () => {
+    expect(ChargesCalculator.resolveSegment({ symbol: 'NSE:SBIN-EQ', product: 'CNC' })).toBe('EQUITY_DELIVERY');
+    expect(ChargesCalculator.resolveSegment({ symbol: 'NSE:NIFTY24OCTFUT' })).toBe('FUTURES');
+    expect(ChargesCalculator.resolveSegment({ symbol: 'NSE:NIFTY24O1724000CE' })).toBe('OPTIONS');
+    expect(ChargesCalculator.resolveSegment({ symbol: 'NSE:USDINR24OCTFUT' })).toBe('CURRENCY_FUTURES');
+    expect(ChargesCalculator.resolveSegment({ symbol: 'MCX:CRUDEOIL24NOV6000PE' })).toBe('COMMODITY_OPTIONS');
+
+    // Delivery: STT on both legs, DP charge (plus GST) when the holding is sold
+    const delivery = charges.calculate({ symbol: 'NSE:SBIN-EQ', product: 'CNC', quantity: 100, buyPrice: 800, sellPrice: 810 });
+    expect(delivery.stt).toBeCloseTo(161);
+    expect(delivery.dp).toBe(12);
+    expect(delivery.brokerage).toBe(40);
+
+    // Options: flat brokerage per order, STT on the sell premium
+    const option = charges.calculate({ symbol: 'NSE:NIFTY24O1724000CE', quantity: 75, buyPrice: 100, sellPrice: 110 });
+    expect(option.brokerage).toBe(40);
+    expect(option.stt).toBeCloseTo(8.25);
+
+    // Commodities pay CTT at MCX rates
+    const crude = charges.calculate({ symbol: 'MCX:CRUDEOIL24NOVFUT', quantity: 100, buyPrice: 6000, sellPrice: 6050 });
+    expect(crude).toMatchObject({ segment: 'COMMODITY_FUTURES', exchange: 'MCX', stt: 0 });
+    expect(crude.ctt).toBeCloseTo(60.5);
+
+    expect(charges.calculate({ symbol: 'BSE:SBIN-EQ', quantity: 1, buyPrice: 100, sellPrice: 100 }).exchangeFee)
+      .toBeCloseTo(0.0075);
+    expect(() => charges.calculate({ symbol: 'MCX:GOLD-EQ', quantity: 1, buyPrice: 1, sellPrice: 1 }))
+      .toThrow('No exchange fee for MCX in segment EQUITY_INTRADAY');
+  });
+
+  it('should load rate tables from JSON and keep the old flat-rate parameters', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'charges-'));
+    try {
+      const file = path.join(dir, 'zero-brokerage.json');
+      const table = JSON.parse(fs.readFileSync(path.join(__dirname, '../../src/config/charges.json'), 'utf8'));
+      table.segments.EQUITY_INTRADAY.brokerage = { flat: 0 };
+      fs.writeFileSync(file, JSON.stringify(table));
+
+      const custom = ChargesCalculator.load(file);
+      expect(custom.calculate({ symbol: 'NSE:SBIN-EQ', quantity: 100, buyPrice: 500, sellPrice: 510 }).brokerage).toBe(0);
+
+      fs.writeFileSync(file, JSON.stringify({ gstRate: 0.18, segments: { FUTURES: { exchange: { NSE: 0 } } } }));
+      expect(() => ChargesCalculator.load(file)).toThrow('FUTURES.brokerage needs a rate or a flat amount');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // brokerage 20+20, STT 25.25, exchange 6.9345, SEBI 0.201, GST 8.48439, stamp 3
+    expect(roundTripCharges({ buyTurnover: 100000, sellTurnover: 101000, brokerageRate: 0.0003 }).total)
+      .toBeCloseTo(83.86989, 4);
+  });
+
+  it('should solve TP with charges on the right leg for longs and shorts', () => {
+    const long = requiredTPpercent({ P: 500, Q: 100, l: 0.01 });
+    const short = requiredTPpercentShort({ P: 500, Q: 100, l: 0.01 });
+
+    // Net profit at TP is twice the net loss at SL
+    expect(100 * 500 * long.required_g - long.chargesTP).toBeCloseTo(2 * long.netLoss, 4);
+    expect(100 * 500 * short.required_g - short.chargesTP).toBeCloseTo(2 * short.netLoss, 4);
+
+    // Short stop: buy back above entry; stamp duty is on that buy, STT on the entry sell
+    expect(short.stopLossPrice).toBeCloseTo(505);
+    expect(short.chargesSL).toBeCloseTo(
+      charges.calculate({ symbol: 'NSE:SBIN-EQ', quantity: 100, buyPrice: 505, sellPrice: 500 }).total);
+
+    const delivery = requiredTPpercent({ P: 500, Q: 100, l: 0.01, product: 'CNC' });
+    expect(delivery.chargesSL).toBeGreaterThan(long.chargesSL + 90); // STT on both legs
+    expect(requiredTPpercent({ P: 500, Q: 100, l: 0.01, rewardRatio: 3 }).required_g).toBeGreaterThan(long.required_g);
+  });
+
+  it('should find breakeven and target exits after charges', () => {
+    const trade = { symbol: 'NSE:SBIN-EQ', entryPrice: 500, quantity: 100 };
+    const pnl = charges.netPnL({ ...trade, exitPrice: 510 });
+    expect(pnl.gross).toBe(1000);
+    expect(pnl.net).toBeCloseTo(1000 - pnl.charges.total);
+
+    const breakeven = charges.exitPriceForNet(trade);
+    expect(breakeven).toBeGreaterThan(500);
+    expect(charges.netPnL({ ...trade, exitPrice: breakeven }).net).toBeCloseTo(0, 4);
+
+    // Shorts cover below entry; delivery shorts pay STT on both legs
+    const shortTarget = charges.exitPriceForNet({ ...trade, side: 'SELL', targetNet: 1000 });
+    expect(shortTarget).toBeLessThan(490);
+    expect(charges.netPnL({ ...trade, side: 'SELL', exitPrice: shortTarget }).net).toBeCloseTo(1000, 4);
+    expect(charges.exitPriceForNet({ ...trade, side: 'SELL', product: 'CNC' }))
+      .toBeLessThan(charges.exitPriceForNet({ ...trade, side: 'SELL' }));
+
+    // A short cannot make more than its entry value
+    expect(charges.exitPriceForNet({ ...trade, side: 'SELL', targetNet: 60000 })).toBeNull();
+  });
+
+  it('should size positions so the stop loss plus charges fits the risk', () => {
+    const trade = { symbol: 'NSE:SBIN-EQ', riskAmount: 2000, entryPrice: 500, stopPrice: 485 };
+    const quantity = charges.sizeForRisk(trade);
+    const lossAt = (q) => q * 15 + charges.calculate({ symbol: 'NSE:SBIN-EQ', quantity: q, buyPrice: 500, sellPrice: 485 }).total;
+
+    expect(quantity).toBeLessThan(133); // 2000 / 15 without charges
+    expect(lossAt(quantity)).toBeLessThanOrEqual(2000);
+    expect(lossAt(quantity + 1)).toBeGreaterThan(2000);
+
+    expect(charges.sizeForRisk({ ...trade, symbol: 'NSE:NIFTY24OCTFUT', riskAmount: 20000, lotSize: 25 }) % 25).toBe(0);
+    expect(charges.sizeForRisk({ ...trade, maxQuantity: 50 })).toBe(50);
+    expect(charges.sizeForRisk({ ...trade, stopPrice: 500 })).toBe(0);
+  });
+});
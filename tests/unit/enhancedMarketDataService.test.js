@@ -0,0 +1,127 @@
+const moment = require('moment-timezone');
+const EnhancedMarketDataService = require('../../src/services/enhancedMarketDataService');
+const TechnicalIndicators = require('../../src/utils/technicalIndicators');
+
+describe('EnhancedMarketDataService', () => {
+  const SYMBOL = 'NSE:SBIN-EQ';
+  // Seconds after 09:15 IST on a Monday
+  const at = (minutes, seconds = 0, day = '2024-01-15') =>
+    moment.tz(`${day} 09:15`, 'Asia/Kolkata').unix() + minutes * 60 + seconds;
+
+  let service;
+  let opportunities;
+  let cumulativeVolume;
+
+  beforeEach(() => {
+    service = new EnhancedMarketDataService({ timeframe: 5, minSignals: 2, cooldownMinutes: 15 });
+    opportunities = [];
+    cumulativeVolume = 0;
+    service.on('trendingOpportunity', opportunity => opportunities.push(opportunity));
+  });
+
+  // Four ticks through a 5-minute bar: open, high, low, close
+  function playBar(index, { open, high, low, close, volume = 1000 }) {
+    [[open, 10], [high, 60], [low, 120], [close, 240]].forEach(([ltp, seconds]) => {
+      cumulativeVolume += volume / 4;
+      service.handleMarketData({ symbol: SYMBOL, ltp, exch_feed_time: at(index * 5, seconds), vol_traded_today: cumulativeVolume });
+    });
+  }
+
+  it('should keep rolling indicators in step with the batch calculations', () => {
+    const closes = Array.from({ length: 40 }, (_, i) => 100 + 5 * Math.sin(i / 3));
+    closes.forEach((close, i) => {
+      service.updateTechnicalIndicators(SYMBOL, { timestamp: at(i * 5), open: close, high: close + 1, low: close - 1, close, volume: 1000 });
+      if (i === 12) expect(service.getRSI(SYMBOL)).toBeNull(); // 13 changes, period 14
+    });
+
+    const { macdLine, signalLine } = TechnicalIndicators.calculateMACD(closes);
+    const bands = TechnicalIndicators.calculateBollingerBands(closes);
+    expect(service.getMACD(SYMBOL).macd).toBeCloseTo(macdLine[macdLine.length - 1], 8);
+    expect(service.getMACD(SYMBOL).signal).toBeCloseTo(signalLine[signalLine.length - 1], 8);
+    expect(service.getBollingerBands(SYMBOL)).toMatchObject({
+      upper: expect.closeTo(bands[bands.length - 1].upper, 8),
+      lower: expect.closeTo(bands[bands.length - 1].lower, 8)
+    });
+    expect(service.getRSI(SYMBOL)).toBeGreaterThan(0);
+    expect(service.getRSI(SYMBOL)).toBeLessThan(100);
+    expect(service.getATR(SYMBOL)).toBeGreaterThanOrEqual(2);
+
+    // VWAP restarts each session
+    const other = 'NSE:TCS-EQ';
+    service.updateTechnicalIndicators(other, { timestamp: at(0), open: 100, high: 101, low: 99, close: 100, volume: 1000 });
+    service.updateTechnicalIndicators(other, { timestamp: at(5), open: 100, high: 103, low: 101, close: 102, volume: 3000 });
+    expect(service.getVWAP(other)).toBeCloseTo(101.5);
+    service.updateTechnicalIndicators(other, { timestamp: at(0, 0, '2024-01-16'), open: 90, high: 91, low: 89, close: 90, volume: 500 });
+    expect(service.getVWAP(other)).toBeCloseTo(90);
+  });
+
+  it('should find intraday support and resistance from swing highs and lows', () => {
+    const bars = [100, 100.5, 101.5, 100.4, 100, 99.5, 99, 99.6, 100.2, 101.45, 100.5, 100]
+      .map((close, i) => ({ timestamp: at(i * 5), open: close, high: close + 0.1, low: close - 0.1, close, volume: 1000 }));
+    const levels = service.findSupportResistance(bars, 1);
+
+    // 101.6 and 101.55 merge within a quarter ATR
+    expect(levels).toEqual([
+      { price: expect.closeTo(98.9), touches: 1, kind: 'SUPPORT' },
+      { price: expect.closeTo(101.575), touches: 2, kind: 'RESISTANCE' }
+    ]);
+  });
+
+  it('should emit trendingOpportunity with the evidence when a level breaks on volume', () => {
+    // Quiet range with two swing highs near 101.5 and a swing low at 99.2
+    for (let i = 0; i < 30; i++) {
+      const close = i % 2 === 0 ? 100 : 100.6;
+      const high = i === 10 ? 101.5 : i === 20 ? 101.55 : close + 0.3;
+      const low = i === 15 ? 99.2 : close - 0.3;
+      playBar(i, { open: close, high, low, close });
+    }
+    expect(opportunities).toHaveLength(0);
+    expect(service.getSupportResistance(SYMBOL).resistance[0]).toMatchObject({ price: expect.closeTo(101.525), touches: 2 });
+    expect(service.getSupportResistance(SYMBOL).support[0]).toMatchObject({ price: 99.2 });
+
+    // Breakout bar: through resistance on ten times the usual volume
+    service.handleMarketData({ symbol: SYMBOL, ltp: 100.7, exch_feed_time: at(150, 5), vol_traded_today: cumulativeVolume });
+    cumulativeVolume += 10000;
+    service.handleMarketData({ symbol: SYMBOL, ltp: 102.5, exch_feed_time: at(150, 30), vol_traded_today: cumulativeVolume, avg_trade_price: 100.4 });
+
+    expect(opportunities).toHaveLength(1);
+    const [opportunity] = opportunities;
+    expect(opportunity).toMatchObject({ symbol: SYMBOL, direction: 'BULLISH', price: 102.5 });
+    expect(opportunity.timestamp).toEqual(new Date(at(150, 30) * 1000));
+    expect(opportunity.signals.supportResistanceBreak).toMatchObject({
+      triggered: true, direction: 'BULLISH', level: expect.closeTo(101.525), touches: 2, previousClose: 100.6
+    });
+    expect(opportunity.signals.supportResistanceBreak.distanceAtr).toBeGreaterThan(0.1);
+    expect(opportunity.signals.volumeSpike).toMatchObject({ triggered: true, volume: 10000, averageVolume: 1000, ratio: 10 });
+    expect(opportunity.signals.volatilityExpansion.rangeAtr).toBeGreaterThan(1.5);
+    expect(opportunity.indicators.vwap).toBe(100.4); // the feed's average traded price
+    expect(opportunity.levels.support[0].price).toBeCloseTo(101.525); // broken resistance is now below
+
+    // Live readings include the forming bar
+    expect(service.getRSI(SYMBOL)).toBeGreaterThan(service.technicalIndicators.get(SYMBOL).rsi.value);
+
+    // Same direction within the cooldown is not reported again
+    cumulativeVolume += 1000;
+    service.handleMarketData({ symbol: SYMBOL, ltp: 102.8, exch_feed_time: at(150, 50), vol_traded_today: cumulativeVolume });
+    expect(opportunities).toHaveLength(1);
+  });
+
+  it('should need several signals agreeing on a direction', () => {
+    const signal = (triggered, direction = null) => ({ triggered, direction });
+
+    expect(service.isSignificantTrendingSignal({
+      momentumBreakout: signal(true, 'BULLISH'), volumeSpike: signal(true), volatilityExpansion: signal(false), supportResistanceBreak: signal(false)
+    })).toBe(true);
+    // Volume and volatility alone have no direction
+    expect(service.isSignificantTrendingSignal({
+      momentumBreakout: signal(false), volumeSpike: signal(true), volatilityExpansion: signal(true), supportResistanceBreak: signal(false)
+    })).toBe(false);
+    expect(service.isSignificantTrendingSignal({
+      momentumBreakout: signal(true, 'BULLISH'), volumeSpike: signal(false), volatilityExpansion: signal(false), supportResistanceBreak: signal(true, 'BEARISH')
+    })).toBe(false);
+
+    // Ticks outside the session form no bar
+    service.handleMarketData({ symbol: SYMBOL, ltp: 100, exch_feed_time: at(-30) });
+    expect(service.processTickForTrending({ symbol: SYMBOL, ltp: 100, exch_feed_time: at(-30) })).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HistoricalDataStore = require('../../src/services/historicalDataStore');
+
+const DAY = 86400;
+const JAN_1 = 1704047400; // 2024-01-01 00:00 IST
+
+/**
+ * One daily candle per day in the requested range, like FYERS returns
+ */
+function dailyHistory(from, to) {
+  const candles = [];
+  for (let ts = Math.ceil((from - JAN_1) / DAY) * DAY + JAN_1; ts <= to; ts += DAY) {
+    candles.push({ timestamp: ts, open: 100, high: 101, low: 99, close: 100 + (ts - JAN_1) / DAY, volume: 1000 });
+  }
+  return candles;
+}
+
+describe('HistoricalDataStore', () => {
+  let cacheDir;
+  let fyersService;
+  let store;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    fyersService = { getHistoryRange: jest.fn(async (symbol, resolution, from, to) => dailyHistory(from, to)) };
+    store = new HistoricalDataStore(fyersService, { cacheDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should parse dates, epoch seconds and epoch milliseconds', () => {
+    expect(HistoricalDataStore.parseTime('2024-01-01')).toBe(JAN_1);
+    expect(HistoricalDataStore.parseTime('2024-01-01', true)).toBe(JAN_1 + DAY - 1);
+    expect(HistoricalDataStore.parseTime(JAN_1)).toBe(JAN_1);
+    expect(HistoricalDataStore.parseTime(JAN_1 * 1000)).toBe(JAN_1);
+    expect(HistoricalDataStore.parseTime(String(JAN_1))).toBe(JAN_1);
+    expect(HistoricalDataStore.parseTime(new Date(JAN_1 * 1000))).toBe(JAN_1);
+    expect(HistoricalDataStore.parseTime('2024-01-01T09:15:00+05:30')).toBe(JAN_1 + 33300);
+    expect(() => HistoricalDataStore.parseTime('next tuesday')).toThrow('Invalid date');
+  });
+
+  it('should split long ranges into chunks FYERS accepts', () => {
+    const year = HistoricalDataStore.splitRange(JAN_1, JAN_1 + 365 * DAY, '5');
+    expect(year).toHaveLength(4);
+    expect(year[0]).toEqual({ from: JAN_1, to: JAN_1 + 100 * DAY - 1 });
+    expect(year[3].to).toBe(JAN_1 + 365 * DAY);
+
+    expect(HistoricalDataStore.splitRange(JAN_1, JAN_1 + 365 * DAY, '1D')).toHaveLength(1);
+    expect(HistoricalDataStore.splitRange(JAN_1, JAN_1 + 60 * DAY - 1, '10S')).toHaveLength(2);
+  });
+
+  it('should merge chunked responses without duplicates', async () => {
+    // Overlapping chunks return the boundary candle twice
+    fyersService.getHistoryRange.mockImplementation(async (symbol, resolution, from, to) =>
+      dailyHistory(from - DAY, to));
+
+    const candles = await store.getCandles('NSE:SBIN-EQ', '5', { from: '2024-01-01', to: '2024-06-30' });
+
+    expect(fyersService.getHistoryRange).toHaveBeenCalledTimes(2);
+    const timestamps = candles.map(c => c.timestamp);
+    expect(new Set(timestamps).size).toBe(timestamps.length);
+    expect(timestamps).toEqual([...timestamps].sort((a, b) => a - b));
+    expect(timestamps[0]).toBe(JAN_1);
+  });
+
+  it('should serve cached ranges and fetch only the missing tail', async () => {
+    const first = await store.getCandles('NSE:SBIN-EQ', '1D', { from: '2024-01-01', to: '2024-01-10' });
+    expect(first).toHaveLength(10);
+    expect(fs.existsSync(path.join(cacheDir, 'D', 'NSE_SBIN-EQ.json'))).toBe(true);
+
+    fyersService.getHistoryRange.mockClear();
+    const cached = await store.getCandles('NSE:SBIN-EQ', 'D', { from: '2024-01-03', to: '2024-01-08' });
+    expect(cached.map(c => c.close)).toEqual([102, 103, 104, 105, 106, 107]);
+    expect(fyersService.getHistoryRange).not.toHaveBeenCalled();
+
+    const extended = await store.getCandles('NSE:SBIN-EQ', '1D', { from: '2024-01-01', to: '2024-01-15' });
+    expect(extended).toHaveLength(15);
+    // Re-fetches from the last cached candle, which may have been incomplete
+    expect(fyersService.getHistoryRange).toHaveBeenCalledTimes(1);
+    expect(fyersService.getHistoryRange).toHaveBeenCalledWith('NSE:SBIN-EQ', '1D', JAN_1 + 9 * DAY, JAN_1 + 15 * DAY - 1);
+
+    fyersService.getHistoryRange.mockClear();
+    await store.getCandles('NSE:SBIN-EQ', '1D', { from: '2024-01-01', to: '2024-01-15', refresh: true });
+    expect(fyersService.getHistoryRange).toHaveBeenCalledWith('NSE:SBIN-EQ', '1D', JAN_1, JAN_1 + 15 * DAY - 1);
+  });
+});
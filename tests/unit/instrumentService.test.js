@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const InstrumentService = require('../../src/services/instrumentService');
+
+jest.mock('axios');
+
+// Rows in FYERS symbol master column order
+const NSE_CM = [
+  '10100000003045,STATE BANK OF INDIA,0,1,0.05,INE062A01020,0915-1530|1815-1915:,2024-01-15,,NSE:SBIN-EQ,10,10,3045,SBIN,3045,-1.0,XX,10100000003045,None,0,0.0',
+  '10100000002885,RELIANCE INDUSTRIES LTD,0,1,0.05,INE002A01018,0915-1530|1815-1915:,2024-01-15,,NSE:RELIANCE-EQ,10,10,2885,RELIANCE,2885,-1.0,XX,10100000002885,None,0,0.0',
+  '10100000004963,"ICICI BANK LTD.",0,1,0.05,INE090A01021,0915-1530|1815-1915:,2024-01-15,,NSE:ICICIBANK-EQ,10,10,4963,ICICIBANK,4963,-1.0,XX,10100000004963,None,0,0.0'
+].join('\n');
+
+const NSE_FO = [
+  '1011240125,NIFTY 25 Jan 24 FUT,11,50,0.05,,0915-1530|1815-1915:,2024-01-15,1706176800,NSE:NIFTY24JANFUT,10,11,35006,NIFTY,26000,-1.0,XX,101000000026000,None,0,0.0',
+  '1011240125,NIFTY 25 Jan 24 21500 CE,14,50,0.05,,0915-1530|1815-1915:,2024-01-15,1706176800,NSE:NIFTY24JAN21500CE,10,11,40000,NIFTY,26000,21500.0,CE,101000000026000,None,0,0.0'
+].join('\n');
+
+describe('InstrumentService', () => {
+  let cacheDir;
+  let instruments;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'instruments-'));
+    fs.writeFileSync(path.join(cacheDir, 'NSE_CM.csv'), NSE_CM);
+    fs.writeFileSync(path.join(cacheDir, 'NSE_FO.csv'), NSE_FO);
+    fs.writeFileSync(path.join(cacheDir, 'freeze-limits.csv'), 'NIFTY,1800\nSBIN,12000\n');
+
+    instruments = new InstrumentService({
+      cacheDir, segments: ['NSE_CM', 'NSE_FO'], maxAgeHours: 24, baseUrl: 'https://example.test/sym_details'
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  it('should load cached masters without downloading and expose instrument metadata', async () => {
+    await expect(instruments.load()).resolves.toBe(5);
+    expect(axios.get).not.toHaveBeenCalled();
+
+    expect(instruments.get('NSE:SBIN-EQ')).toEqual(expect.objectContaining({
+      name: 'STATE BANK OF INDIA', segment: 'NSE_CM', lotSize: 1, tickSize: 0.05,
+      isin: 'INE062A01020', expiry: null, strike: null, optionType: null, freezeQuantity: null
+    }));
+
+    expect(instruments.get('NSE:NIFTY24JAN21500CE')).toEqual(expect.objectContaining({
+      lotSize: 50, expiry: '2024-01-25', strike: 21500, optionType: 'CE', underlying: 'NIFTY', freezeQuantity: 1800
+    }));
+    expect(instruments.get('NSE:NIFTY24JANFUT').strike).toBeNull();
+    expect(instruments.get('NSE:UNKNOWN-EQ')).toBeNull();
+  });
+
+  it('should download stale masters and fall back to the cache when the download fails', async () => {
+    const old = new Date(Date.now() - 48 * 60 * 60 * 1000);
+    fs.utimesSync(path.join(cacheDir, 'NSE_CM.csv'), old, old);
+    axios.get.mockRejectedValueOnce(new Error('network down'));
+
+    await instruments.load();
+    expect(axios.get).toHaveBeenCalledWith('https://example.test/sym_details/NSE_CM.csv', expect.any(Object));
+    expect(instruments.has('NSE:SBIN-EQ')).toBe(true);
+
+    axios.get.mockResolvedValue({ data: NSE_CM.split('\n')[0] });
+    await instruments.load({ refresh: true });
+    expect(axios.get).toHaveBeenCalledTimes(3);
+    expect(fs.readFileSync(path.join(cacheDir, 'NSE_CM.csv'), 'utf8')).toContain('NSE:SBIN-EQ');
+  });
+
+  it('should search by symbol and name with the best match first', async () => {
+    await instruments.load();
+
+    expect(instruments.search('sbin')[0].symbol).toBe('NSE:SBIN-EQ');
+    expect(instruments.search('reliance industries').map(i => i.symbol)).toEqual(['NSE:RELIANCE-EQ']);
+    expect(instruments.search('bank').map(i => i.symbol)).toEqual(['NSE:ICICIBANK-EQ', 'NSE:SBIN-EQ']);
+    expect(instruments.search('nifty', { segment: 'NSE_FO', limit: 1 })).toHaveLength(1);
+  });
+
+  it('should validate lot size, tick size and freeze quantity for orders', async () => {
+    await instruments.load();
+
+    expect(instruments.validateOrder({ symbol: 'NSE:NIFTY24JANFUT', qty: 75 })).toMatch(/lot size 50/);
+    expect(instruments.validateOrder({ symbol: 'NSE:NIFTY24JANFUT', qty: 1850 })).toMatch(/freeze quantity 1800/);
+    expect(instruments.validateOrder({ symbol: 'NSE:SBIN-EQ', qty: 10, limitPrice: 500.03 })).toMatch(/tick size 0.05/);
+    expect(instruments.validateOrder({ symbol: 'NSE:SBIN-EQ', qty: 10, limitPrice: 500.05, stopPrice: 499.9 })).toBeNull();
+    expect(instruments.validateOrder({ symbol: 'NSE:UNKNOWN-EQ', qty: 3, limitPrice: 1.01 })).toBeNull();
+
+    expect(instruments.roundToLot('NSE:NIFTY24JANFUT', 170)).toBe(150);
+    expect(instruments.roundToLot('NSE:SBIN-EQ', 17)).toBe(17);
+  });
+
+  it('should refuse unknown derivatives, since their lot size cannot be checked', async () => {
+    expect(InstrumentService.isDerivative('NSE:NIFTY24JANFUT')).toBe(true);
+    expect(InstrumentService.isDerivative('NSE:NIFTY24O1724000CE')).toBe(true);
+    expect(InstrumentService.isDerivative('NSE:SBIN-EQ')).toBe(false);
+
+    expect(instruments.validateOrder({ symbol: 'NSE:NIFTY24JANFUT', qty: 75 })).toMatch(/Symbol master not loaded/);
+    await instruments.load();
+    expect(instruments.validateOrder({ symbol: 'NSE:BANKNIFTY24JANFUT', qty: 15 })).toMatch(/not in the symbol master/);
+  });
+
+  it('should load once for the order path and wait before retrying a failed load', async () => {
+    const empty = new InstrumentService({
+      cacheDir: path.join(cacheDir, 'missing'), segments: ['NSE_FO'], maxAgeHours: 24, baseUrl: 'https://example.test/sym_details'
+    });
+    axios.get.mockRejectedValue(new Error('offline'));
+
+    await expect(Promise.all([empty.ensureLoaded(), empty.ensureLoaded()])).resolves.toEqual([false, false]);
+    await empty.ensureLoaded();
+    expect(axios.get).toHaveBeenCalledTimes(1);
+
+    // The cached masters load once and are reused until they are a day old
+    await expect(instruments.ensureLoaded()).resolves.toBe(true);
+    const loadSpy = jest.spyOn(instruments, 'load');
+    await instruments.ensureLoaded();
+    expect(loadSpy).not.toHaveBeenCalled();
+  });
+
+  it('should stop waiting for a slow download after the startup timeout', async () => {
+    const slow = new InstrumentService({
+      cacheDir: path.join(cacheDir, 'missing'), segments: ['NSE_FO'], maxAgeHours: 24, baseUrl: 'https://example.test/sym_details'
+    });
+    let respond;
+    axios.get.mockReturnValue(new Promise(resolve => {
+      respond = resolve;
+    }));
+
+    await expect(slow.ensureLoaded(10)).resolves.toBe(false);
+
+    // The download carries on and later callers see it
+    respond({ data: NSE_FO });
+    await expect(slow.ensureLoaded(10)).resolves.toBe(true);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KillSwitch = require('../../src/services/killSwitch');
+const TradingHelpers = require('../../src/utils/helpers');
+
+describe('KillSwitch', () => {
+  let orderService;
+  let positions;
+  let orderBook;
+  let stateFile;
+  let killSwitch;
+
+  beforeEach(() => {
+    stateFile = path.join(os.tmpdir(), `kill-switch-${process.pid}.json`);
+    positions = [];
+    orderBook = [];
+
+    orderService = {
+      getPositions: jest.fn(async () => ({ s: 'ok', netPositions: positions })),
+      getOrders: jest.fn(async () => ({ s: 'ok', orderBook })),
+      cancelOrder: jest.fn(async (id) => ({ s: 'ok', id })),
+      placeOrder: jest.fn(async () => ({ s: 'ok', id: 'CLOSE1' }))
+    };
+
+    killSwitch = new KillSwitch(orderService, {
+      stateFile, maxDailyLoss: 5000, maxDailyLossPercent: 2, capital: 100000
+    });
+  });
+
+  afterEach(() => {
+    killSwitch.stop();
+    fs.rmSync(stateFile, { force: true });
+  });
+
+  it('should use the tighter of the absolute and percentage limits', () => {
+    expect(killSwitch.getLossLimit()).toBe(2000);
+
+    killSwitch.maxDailyLossPercent = 0;
+    expect(killSwitch.getLossLimit()).toBe(5000);
+  });
+
+  it('should read a loss limit of 0 from the environment as disabled', () => {
+    const saved = process.env.KILL_SWITCH_MAX_DAILY_LOSS;
+    process.env.KILL_SWITCH_MAX_DAILY_LOSS = '0';
+
+    let limits;
+    try {
+      jest.isolateModules(() => { limits = require('../../src/config/config').killSwitch; });
+    } finally {
+      if (saved === undefined) delete process.env.KILL_SWITCH_MAX_DAILY_LOSS;
+      else process.env.KILL_SWITCH_MAX_DAILY_LOSS = saved;
+    }
+
+    expect(limits.maxDailyLoss).toBe(0);
+    killSwitch.maxDailyLoss = limits.maxDailyLoss;
+    expect(killSwitch.getLossLimit()).toBe(2000);
+  });
+
+  it('should stay unlocked while the day loss is inside the limit', async () => {
+    positions = [{ symbol: 'NSE:SBIN-EQ', netQty: 10, productType: 'INTRADAY', pl: -1500 }];
+
+    await expect(killSwitch.check()).resolves.toMatchObject({ pnl: -1500, breached: false, locked: false });
+    expect(orderService.placeOrder).not.toHaveBeenCalled();
+  });
+
+  it('should square off, cancel pending orders and persist the lock when breached', async () => {
+    positions = [
+      { symbol: 'NSE:SBIN-EQ', netQty: 10, productType: 'INTRADAY', pl: -1800 },
+      { symbol: 'NSE:TCS-EQ', netQty: 0, productType: 'INTRADAY', pl: -400 }
+    ];
+    orderBook = [
+      { id: 'SL1', symbol: 'NSE:SBIN-EQ', status: 6, productType: 'INTRADAY' },
+      { id: 'GTT1', symbol: 'NSE:INFY-EQ', status: 6, productType: 'CNC' }
+    ];
+    const tripped = jest.fn();
+    killSwitch.on('tripped', tripped);
+
+    const result = await killSwitch.check();
+
+    expect(result).toMatchObject({ pnl: -2200, breached: true, locked: true });
+    expect(orderService.cancelOrder).toHaveBeenCalledWith('SL1');
+    expect(orderService.cancelOrder).toHaveBeenCalledWith('GTT1');
+    expect(orderService.placeOrder).toHaveBeenCalledWith(expect.objectContaining({
+      symbol: 'NSE:SBIN-EQ', quantity: 10, side: -1, type: 2
+    }));
+    expect(tripped).toHaveBeenCalledTimes(1);
+
+    const restarted = new KillSwitch(null, { stateFile });
+    expect(restarted.getLock()).toMatchObject({
+      locked: true,
+      lockedUntil: TradingHelpers.getNextTradingDay()
+    });
+  });
+
+  it('should clear an expired lock on read', () => {
+    fs.writeFileSync(stateFile, JSON.stringify({
+      locked: true, reason: 'old', tradingDay: '2020-01-02', lockedUntil: '2020-01-03'
+    }));
+
+    expect(killSwitch.isLocked()).toBe(false);
+    expect(fs.existsSync(stateFile)).toBe(false);
+  });
+
+  it('should clear the lock on reset', async () => {
+    await killSwitch.trip('manual test');
+    expect(killSwitch.isLocked()).toBe(true);
+
+    expect(killSwitch.reset()).toMatchObject({ reason: 'manual test' });
+    expect(killSwitch.isLocked()).toBe(false);
+  });
+});
@@ -0,0 +1,125 @@
+const MarketBreadthAnalyzer = require('../../src/services/marketBreadthAnalyzer');
+const RequestScheduler = require('../../src/services/requestScheduler');
+
+const DAY = 86400;
+const START = 1704047400; // 2024-01-01 00:00 IST
+
+/**
+ * Daily candles ending on the same day, closes stepping by `step`
+ */
+function series(length, step, total = 380) {
+  return Array.from({ length }, (_, i) => {
+    const close = 500 + i * step;
+    return { timestamp: START + (total - length + i) * DAY, open: close, high: close + 1, low: close - 1, close, volume: 1000 };
+  });
+}
+
+function quote(ltp, prevClose) {
+  return { ltp, prev_close_price: prevClose, volume: 2000000 };
+}
+
+describe('MarketBreadthAnalyzer', () => {
+  const universe = ['NSE:UP-EQ', 'NSE:DOWN-EQ', 'NSE:NEW-EQ'];
+  const sectorIndices = { Bank: 'NSE:NIFTYBANK-INDEX', IT: 'NSE:NIFTYIT-INDEX', Auto: 'NSE:NIFTYAUTO-INDEX' };
+  const quotes = {
+    'NSE:UP-EQ': quote(110, 100),
+    'NSE:DOWN-EQ': quote(90, 100),
+    'NSE:NEW-EQ': quote(100, 100),
+    'NSE:NIFTY50-INDEX': quote(100.5, 100),
+    'NSE:NIFTYBANK-INDEX': quote(101.2, 100),
+    'NSE:NIFTYIT-INDEX': quote(99.7, 100),
+    'NSE:NIFTYAUTO-INDEX': quote(100.2, 100)
+  };
+  const histories = {
+    'NSE:UP-EQ': series(380, 1),
+    'NSE:DOWN-EQ': series(380, -1),
+    'NSE:NEW-EQ': series(30, 1)
+  };
+
+  let fyersService;
+  let historicalDataStore;
+  let sectorRotationAnalyzer;
+  let analyzer;
+
+  beforeEach(() => {
+    fyersService = {
+      scheduler: new RequestScheduler({ concurrency: 2, retries: 0 }),
+      getQuotes: jest.fn(async (symbols) => ({
+        s: 'ok',
+        data: Object.fromEntries(symbols.filter(symbol => quotes[symbol]).map(symbol => [symbol, quotes[symbol]]))
+      }))
+    };
+    historicalDataStore = { getHistoricalData: jest.fn(async (symbol) => histories[symbol]) };
+    sectorRotationAnalyzer = {
+      benchmark: 'NSE:NIFTY50-INDEX',
+      analyzeRotation: jest.fn(async () => ({
+        sectors: [{ sector: 'Bank', quadrant: 'LEADING' }, { sector: 'IT', quadrant: 'LAGGING' }],
+        quadrants: { LEADING: ['Bank'], WEAKENING: [], LAGGING: ['IT'], IMPROVING: [] }
+      }))
+    };
+    analyzer = new MarketBreadthAnalyzer({ fyersService, historicalDataStore, universe, sectorIndices, sectorRotationAnalyzer });
+  });
+
+  it('should compute breadth from quotes, history and sector indices', async () => {
+    const breadth = await analyzer.analyzeMarketBreadth();
+
+    expect(breadth.advanceDecline).toMatchObject({ advancing: 1, declining: 1, unchanged: 1, netAdvances: 0, ratio: 1 });
+    expect(breadth.newHighsLows).toEqual({
+      high20: 2, low20: 1, high52w: 1, low52w: 1, counted20: 3, counted52w: 2, ratio: 2
+    });
+    expect(breadth.percentAboveDMA.dma20).toBeCloseTo(66.67, 1);
+    expect(breadth.percentAboveDMA.dma50).toBe(50);
+    expect(breadth.percentAboveDMA.dma200).toBe(50);
+
+    // The newly listed stock's rising days tilt net advances positive
+    expect(breadth.mcclellan.days).toBe(379);
+    expect(breadth.mcclellan.oscillator).toBeGreaterThan(0);
+
+    expect(breadth.sectorMomentum).toMatchObject({ leadingSectors: 1, leaders: ['Bank'], laggards: ['Auto', 'IT'] });
+    expect(breadth.sectorMomentum.benchmarkChange).toBeCloseTo(0.5);
+    expect(breadth.sectorMomentum.sectors.map(s => [s.name, s.quadrant]))
+      .toEqual([['Bank', 'LEADING'], ['Auto', null], ['IT', 'LAGGING']]);
+    expect(breadth.sectorRotation.quadrants.LEADING).toEqual(['Bank']);
+    expect(breadth.historyCoverage).toBe(3);
+    expect(historicalDataStore.getHistoricalData).toHaveBeenCalledWith('NSE:UP-EQ', '1D', 400);
+
+    // Same inputs, same report
+    await expect(analyzer.analyzeMarketBreadth()).resolves.toEqual(breadth);
+  });
+
+  it('should quote the whole universe in batches of 50', async () => {
+    const symbols = Array.from({ length: 120 }, (_, i) => `NSE:S${i}-EQ`);
+    fyersService.getQuotes.mockImplementation(async (batch) => ({
+      s: 'ok',
+      data: Object.fromEntries(batch.map(symbol => [symbol, quote(symbols.indexOf(symbol) % 3 === 0 ? 99 : 101, 100)]))
+    }));
+
+    await expect(analyzer.calculateADRatio(symbols)).resolves.toBe(2);
+    expect(fyersService.getQuotes.mock.calls.map(([batch]) => batch.length)).toEqual([50, 50, 20]);
+  });
+
+  it('should skip stocks without history and fall back to neutral values without quotes', async () => {
+    historicalDataStore.getHistoricalData.mockImplementation(async (symbol) => {
+      if (symbol === 'NSE:NEW-EQ') throw new Error('Invalid symbol');
+      return histories[symbol];
+    });
+
+    const breadth = await analyzer.analyzeMarketBreadth();
+    expect(breadth.historyCoverage).toBe(2);
+    expect(breadth.newHighsLows).toMatchObject({ high20: 1, low20: 1, ratio: 1 });
+
+    // Rotation is optional
+    sectorRotationAnalyzer.analyzeRotation.mockRejectedValue(new Error('No history for benchmark'));
+    await expect(analyzer.analyzeMarketBreadth()).resolves.toMatchObject({
+      sectorRotation: null,
+      sectorMomentum: { leadingSectors: 1 }
+    });
+
+    fyersService.getQuotes.mockResolvedValue({ s: 'error', message: 'Token expired' });
+    await expect(analyzer.analyzeMarketBreadth()).resolves.toMatchObject({
+      overallBias: 'NEUTRAL',
+      trendingProbability: 0.5,
+      error: 'Failed to fetch market data'
+    });
+  });
+});
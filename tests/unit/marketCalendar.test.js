@@ -0,0 +1,79 @@
+const path = require('path');
+const moment = require('moment-timezone');
+const MarketCalendar = require('../../src/services/marketCalendar');
+
+const ist = (value) => moment.tz(value, 'YYYY-MM-DD HH:mm', 'Asia/Kolkata');
+
+describe('MarketCalendar', () => {
+  let calendar;
+
+  beforeEach(() => {
+    calendar = new MarketCalendar({
+      exchange: 'NSE',
+      holidayDir: path.join(__dirname, '../../src/config/holidays')
+    });
+  });
+
+  it('should treat weekends and exchange holidays as non-trading days', () => {
+    expect(calendar.isTradingDay(ist('2024-03-22 10:00'))).toBe(true);
+    expect(calendar.isTradingDay(ist('2024-03-23 10:00'))).toBe(false);
+    expect(calendar.getHoliday(ist('2024-03-25 10:00'))).toBe('Holi');
+    expect(calendar.isTradingDay(ist('2024-03-25 10:00'))).toBe(false);
+
+    // Holi Monday after a weekend, then Good Friday and the weekend
+    expect(calendar.getNextTradingDay(ist('2024-03-22 10:00'))).toBe('2024-03-26');
+    expect(calendar.getNextTradingDay(ist('2024-03-28 10:00'))).toBe('2024-04-01');
+    expect(calendar.getPreviousTradingDay(ist('2024-04-01 10:00'))).toBe('2024-03-28');
+  });
+
+  it('should report the session phase in IST', () => {
+    const phaseAt = time => calendar.getSession(ist(`2024-03-22 ${time}`)).phase;
+
+    expect(phaseAt('08:59')).toBe('CLOSED');
+    expect(phaseAt('09:00')).toBe('PRE_OPEN');
+    expect(phaseAt('09:08')).toBe('PRE_OPEN_MATCHING');
+    expect(phaseAt('09:15')).toBe('CONTINUOUS');
+    expect(phaseAt('15:29')).toBe('CONTINUOUS');
+    expect(phaseAt('15:30')).toBe('CLOSING');
+    expect(phaseAt('15:45')).toBe('POST_CLOSE');
+    expect(phaseAt('16:00')).toBe('CLOSED');
+
+    expect(calendar.isMarketOpen(new Date('2024-03-22T04:00:00Z'))).toBe(true); // 09:30 IST
+    expect(calendar.getSession(ist('2024-03-25 11:00'))).toMatchObject({
+      phase: 'CLOSED', open: false, tradingDay: false, reason: 'Holiday: Holi'
+    });
+  });
+
+  it('should open for special sessions such as Muhurat trading', () => {
+    expect(calendar.isRegularTradingDay(ist('2024-11-01 10:00'))).toBe(false);
+    expect(calendar.isTradingDay(ist('2024-11-01 10:00'))).toBe(true);
+    expect(calendar.isMarketOpen(ist('2024-11-01 10:00'))).toBe(false);
+    expect(calendar.getSession(ist('2024-11-01 18:30'))).toMatchObject({
+      phase: 'SPECIAL', open: true, session: 'Muhurat Trading'
+    });
+
+    expect(calendar.getNextOpen(ist('2024-11-01 10:00')).open.format('YYYY-MM-DD HH:mm')).toBe('2024-11-01 18:00');
+    expect(calendar.isWithinSession(ist('2024-11-01 18:10'), 15, 15)).toBe(false);
+    expect(calendar.isWithinSession(ist('2024-11-01 18:20'), 15, 15)).toBe(true);
+  });
+
+  it('should time the next open across weekends and holidays', () => {
+    // Thursday after the close: Good Friday and the weekend are skipped
+    const next = calendar.getNextOpen(ist('2024-03-28 16:00'));
+    expect(next.open.format('YYYY-MM-DD HH:mm')).toBe('2024-04-01 09:15');
+    expect(calendar.getTimeToOpen(ist('2024-03-28 16:00'))).toBe((89 * 60 + 15) * 60 * 1000);
+    expect(calendar.getTimeToOpen(ist('2024-03-28 10:00'))).toBe(0);
+
+    expect(calendar.isWithinSession(ist('2024-03-28 09:20'), 15, 15)).toBe(false);
+    expect(calendar.isWithinSession(ist('2024-03-28 15:15'), 15, 15)).toBe(true);
+    expect(calendar.isWithinSession(ist('2024-03-29 12:00'), 15, 15)).toBe(false);
+  });
+
+  it('should refuse to start without the current year\'s holiday list', () => {
+    expect(() => calendar.verifyHolidayList(ist('2026-01-02 09:00'))).not.toThrow();
+    expect(() => calendar.verifyHolidayList(ist('2030-01-02 09:00'))).toThrow('No NSE holiday list for 2030');
+
+    // Outside startup a missing year only warns
+    expect(calendar.isRegularTradingDay(ist('2030-01-02 10:00'))).toBe(true);
+  });
+});
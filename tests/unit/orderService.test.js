@@ -1,4 +1,5 @@
 const OrderService = require('../../src/services/orderService');
+const RiskEngine = require('../../src/services/riskEngine');
 
 // Mock the parent FyersService
 jest.mock('../../src/services/fyersService');
@@ -8,6 +9,8 @@ describe('OrderService', () => {
 
   beforeEach(() => {
     orderService = new OrderService();
+    // Risk rules have their own tests; let every order through here
+    orderService.setRiskEngine(new RiskEngine({ enabled: false }, { killSwitch: null }));
     // Mock the fyers object
     orderService.fyers = {
       place_order: jest.fn(),
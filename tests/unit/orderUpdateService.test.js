@@ -0,0 +1,114 @@
+const OrderUpdateService = require('../../src/services/orderUpdateService');
+const config = require('../../src/config/config');
+const { fyersOrderSocket } = require('fyers-api-v3');
+
+// Mock the fyers-api-v3 order socket, capturing its callbacks
+jest.mock('fyers-api-v3', () => ({
+  fyersModel: jest.fn().mockImplementation(() => ({
+    setAppId: jest.fn(),
+    setRedirectUrl: jest.fn(),
+    setAccessToken: jest.fn()
+  })),
+  fyersOrderSocket: jest.fn().mockImplementation(() => {
+    const handlers = {};
+    return {
+      handlers,
+      orderUpdates: 'orders',
+      tradeUpdates: 'trades',
+      positionUpdates: 'positions',
+      on: jest.fn((event, callback) => { handlers[event] = callback; }),
+      connect: jest.fn(),
+      subscribe: jest.fn(),
+      close: jest.fn()
+    };
+  })
+}));
+
+describe('OrderUpdateService', () => {
+  let orderService;
+  let service;
+  let orderBook;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    config.fyers.accessToken = 'test_token';
+    orderBook = [{ id: 'ORD1', status: 6, filledQty: 0 }];
+
+    orderService = {
+      getOrders: jest.fn(async () => ({ s: 'ok', orderBook })),
+      getTradebook: jest.fn(async () => ({ s: 'ok', tradeBook: [] })),
+      getPositions: jest.fn(async () => ({ s: 'ok', netPositions: [] }))
+    };
+
+    service = new OrderUpdateService(orderService, { pollInterval: 1000 });
+  });
+
+  afterEach(() => {
+    service.disconnect();
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  const socket = () => fyersOrderSocket.mock.results[fyersOrderSocket.mock.results.length - 1].value;
+
+  it('should subscribe to order, trade and position updates on connect', () => {
+    service.connect();
+    socket().handlers.connect();
+
+    expect(socket().subscribe).toHaveBeenCalledWith(['orders', 'trades', 'positions']);
+    expect(service.getConnectionStatus()).toMatchObject({ connected: true, polling: false });
+  });
+
+  it('should emit typed events for socket messages and skip duplicates', () => {
+    const orderUpdate = jest.fn();
+    const tradeUpdate = jest.fn();
+    const positionUpdate = jest.fn();
+    service.on('orderUpdate', orderUpdate);
+    service.on('tradeUpdate', tradeUpdate);
+    service.on('positionUpdate', positionUpdate);
+
+    service.connect();
+    const { handlers } = socket();
+    handlers.orders({ s: 'ok', orders: { id: 'ORD1', status: 2, filledQty: 10 } });
+    handlers.orders({ s: 'ok', orders: { id: 'ORD1', status: 2, filledQty: 10 } });
+    handlers.trades({ s: 'ok', trades: { tradeNumber: 'T1', orderNumber: 'ORD1', tradedQty: 10 } });
+    handlers.positions({ s: 'ok', positions: { symbol: 'NSE:SBIN-EQ', productType: 'INTRADAY', netQty: 10 } });
+
+    expect(orderUpdate).toHaveBeenCalledTimes(1);
+    expect(orderUpdate).toHaveBeenCalledWith(expect.objectContaining({ id: 'ORD1', status: 2 }));
+    expect(tradeUpdate).toHaveBeenCalledWith(expect.objectContaining({ tradeNumber: 'T1' }));
+    expect(positionUpdate).toHaveBeenCalledWith(expect.objectContaining({ netQty: 10 }));
+  });
+
+  it('should poll when the socket is disabled, emitting only changes after the baseline', async () => {
+    const orderUpdate = jest.fn();
+    service = new OrderUpdateService(orderService, { useSocket: false, pollInterval: 1000 });
+    service.on('orderUpdate', orderUpdate);
+
+    service.connect();
+    await Promise.resolve();
+    await service.poll();
+    expect(orderUpdate).not.toHaveBeenCalled();
+
+    orderBook[0] = { id: 'ORD1', status: 2, filledQty: 10 };
+    await service.poll();
+
+    expect(orderUpdate).toHaveBeenCalledWith(expect.objectContaining({ id: 'ORD1', status: 2 }));
+    expect(fyersOrderSocket).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to polling and reconnect when the socket closes', () => {
+    service.connect();
+    const skt = socket();
+    skt.handlers.connect();
+    skt.handlers.close();
+
+    expect(service.getConnectionStatus()).toMatchObject({ connected: false, polling: true });
+
+    jest.advanceTimersByTime(2000);
+    expect(skt.connect).toHaveBeenCalledTimes(2);
+
+    skt.handlers.connect();
+    expect(service.getConnectionStatus().polling).toBe(false);
+  });
+});
@@ -0,0 +1,155 @@
+const PaperOrderService = require('../../src/services/paperOrderService');
+
+// Mock the fyers-api-v3 module
+jest.mock('fyers-api-v3', () => ({
+  fyersModel: jest.fn().mockImplementation(() => ({
+    setAppId: jest.fn(),
+    setRedirectUrl: jest.fn(),
+    setAccessToken: jest.fn(),
+    getQuotes: jest.fn(),
+    place_order: jest.fn()
+  }))
+}));
+
+describe('PaperOrderService', () => {
+  let paper;
+
+  beforeEach(() => {
+    paper = new PaperOrderService({ priceSource: 'ticks', stateFile: null, slippagePercent: 0 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('placeOrder', () => {
+    it('should refuse derivative orders when the symbol master is unavailable', async () => {
+      paper.setPrice('NSE:NIFTY24JANFUT', 21500);
+
+      await expect(paper.placeOrder({ symbol: 'NSE:NIFTY24JANFUT', quantity: 60, side: 1, type: 2, productType: 'INTRADAY' }))
+        .rejects.toThrow('Symbol master not loaded; refusing derivative order for NSE:NIFTY24JANFUT');
+    });
+
+    it('should still send orders that reduce a position while the symbol master is unavailable', async () => {
+      paper.setPrice('NSE:NIFTY24JANFUT', 21500);
+      jest.spyOn(paper, 'getPositions').mockResolvedValue({
+        s: 'ok', netPositions: [{ symbol: 'NSE:NIFTY24JANFUT', netQty: 65, productType: 'INTRADAY', ltp: 21500 }]
+      });
+
+      const result = await paper.placeOrder({ symbol: 'NSE:NIFTY24JANFUT', quantity: 65, side: -1, type: 2, productType: 'INTRADAY' });
+      expect(result.s).toBe('ok');
+      expect((await paper.getOrders()).orderBook[0]).toMatchObject({ id: result.id, qty: 65, status: 2 });
+    });
+
+    it('should fill a market order at the last price', async () => {
+      paper.setPrice('NSE:SBIN-EQ', 500);
+
+      const result = await paper.placeOrder({ symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, type: 2 });
+      expect(result.s).toBe('ok');
+
+      const orders = await paper.getOrders();
+      expect(orders.orderBook[0]).toMatchObject({
+        id: result.id,
+        status: 2,
+        filledQty: 10,
+        tradedPrice: 500
+      });
+    });
+
+    it('should keep a limit buy pending until price trades through the limit', async () => {
+      paper.setPrice('NSE:SBIN-EQ', 505);
+      const result = await paper.placeOrder({
+        symbol: 'NSE:SBIN-EQ', quantity: 5, side: 1, type: 1, limitPrice: 500
+      });
+
+      let orders = await paper.getOrders();
+      expect(orders.orderBook[0].status).toBe(6);
+
+      paper.setPrice('NSE:SBIN-EQ', 499.5);
+      orders = await paper.getOrders();
+      expect(orders.orderBook.find(o => o.id === result.id)).toMatchObject({ status: 2, tradedPrice: 499.5 });
+    });
+
+    it('should trigger an SL-M sell when price falls to the stop', async () => {
+      paper.setPrice('NSE:SBIN-EQ', 500);
+      await paper.placeOrder({
+        symbol: 'NSE:SBIN-EQ', quantity: 5, side: -1, type: 4, stopPrice: 495
+      });
+
+      paper.setPrice('NSE:SBIN-EQ', 496);
+      expect((await paper.getOrders()).orderBook[0].status).toBe(6);
+
+      paper.setPrice('NSE:SBIN-EQ', 494);
+      expect((await paper.getOrders()).orderBook[0]).toMatchObject({ status: 2, tradedPrice: 494 });
+    });
+
+    it('should treat a triggered SL-L order as a limit order', async () => {
+      paper.setPrice('NSE:SBIN-EQ', 500);
+      await paper.placeOrder({
+        symbol: 'NSE:SBIN-EQ', quantity: 5, side: -1, type: 3, stopPrice: 495, limitPrice: 494
+      });
+
+      paper.setPrice('NSE:SBIN-EQ', 493);
+      expect((await paper.getOrders()).orderBook[0].status).toBe(6);
+
+      paper.setPrice('NSE:SBIN-EQ', 494.5);
+      expect((await paper.getOrders()).orderBook[0]).toMatchObject({ status: 2, tradedPrice: 494.5 });
+    });
+  });
+
+  describe('cancelOrder', () => {
+    it('should cancel a pending order', async () => {
+      paper.setPrice('NSE:SBIN-EQ', 500);
+      const result = await paper.placeOrder({
+        symbol: 'NSE:SBIN-EQ', quantity: 5, side: -1, type: 1, limitPrice: 510
+      });
+
+      await paper.cancelOrder(result.id);
+      expect((await paper.getOrders()).orderBook[0].status).toBe(1);
+    });
+
+    it('should reject cancelling a filled order', async () => {
+      paper.setPrice('NSE:SBIN-EQ', 500);
+      const result = await paper.placeOrder({ symbol: 'NSE:SBIN-EQ', quantity: 5, side: 1, type: 2 });
+
+      await expect(paper.cancelOrder(result.id)).rejects.toThrow('is not pending');
+    });
+  });
+
+  describe('getPositions', () => {
+    it('should report realized and unrealized P&L in netPositions shape', async () => {
+      paper.setPrice('NSE:SBIN-EQ', 500);
+      await paper.placeOrder({ symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, type: 2, productType: 'INTRADAY' });
+
+      paper.setPrice('NSE:SBIN-EQ', 510);
+      await paper.placeOrder({ symbol: 'NSE:SBIN-EQ', quantity: 4, side: -1, type: 2, productType: 'INTRADAY' });
+
+      paper.setPrice('NSE:SBIN-EQ', 505);
+      const positions = await paper.getPositions();
+      const position = positions.netPositions[0];
+
+      expect(position).toMatchObject({
+        symbol: 'NSE:SBIN-EQ',
+        productType: 'INTRADAY',
+        netQty: 6,
+        netAvg: 500,
+        realized_profit: 40,
+        unrealized_profit: 30,
+        pl: 70
+      });
+      expect(positions.overall).toMatchObject({ count_open: 1, pl_total: 70 });
+    });
+  });
+
+  describe('getTradebook', () => {
+    it('should record each fill', async () => {
+      paper.setPrice('NSE:SBIN-EQ', 500);
+      const result = await paper.placeOrder({ symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, type: 2 });
+
+      const trades = await paper.getTradebook();
+      expect(trades.tradeBook).toEqual([
+        expect.objectContaining({ orderNumber: result.id, tradedQty: 10, tradePrice: 500, side: 1 })
+      ]);
+    });
+  });
+});
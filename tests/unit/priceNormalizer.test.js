@@ -0,0 +1,66 @@
+const PriceNormalizer = require('../../src/services/priceNormalizer');
+
+describe('PriceNormalizer', () => {
+  let instruments;
+  let normalizer;
+
+  beforeEach(() => {
+    const lots = { 'NSE:NIFTY24JANFUT': 50 };
+    const ticks = { 'NSE:NIFTY24JANFUT': 0.05, 'MCX:GOLD24FEBFUT': 1 };
+
+    instruments = {
+      getLotSize: jest.fn(symbol => lots[symbol] || 1),
+      getTickSize: jest.fn(symbol => ticks[symbol] || 0.05)
+    };
+    normalizer = new PriceNormalizer(instruments, { minGapTicks: 2, gapPercent: 0.1, gapAtrFraction: 0.25 });
+  });
+
+  it('should round to the tick without float noise', () => {
+    expect(PriceNormalizer.roundToTick(500.03, 0.05, 'down')).toBe(500);
+    expect(PriceNormalizer.roundToTick(500.03, 0.05, 'up')).toBe(500.05);
+    expect(PriceNormalizer.roundToTick(500.03, 0.05)).toBe(500.05);
+    expect(PriceNormalizer.roundToTick(0.1 + 0.2, 0.05, 'up')).toBe(0.3);
+    expect(PriceNormalizer.roundToTick(62345.4, 1, 'down')).toBe(62345);
+  });
+
+  it('should round limit and stop prices in the safe direction for the side', () => {
+    const buyLimit = normalizer.normalizeOrder({ symbol: 'NSE:SBIN-EQ', qty: 10, side: 1, type: 1, limitPrice: 500.03 });
+    expect(buyLimit.limitPrice).toBe(500);
+
+    const sellLimit = normalizer.normalizeOrder({ symbol: 'NSE:SBIN-EQ', qty: 10, side: -1, type: 1, limitPrice: 500.03 });
+    expect(sellLimit.limitPrice).toBe(500.05);
+
+    const sellStop = normalizer.normalizeOrder({
+      symbol: 'NSE:SBIN-EQ', qty: 10, side: -1, type: 3, stopPrice: 495.52, limitPrice: 495.02
+    });
+    expect(sellStop).toMatchObject({ stopPrice: 495.55, limitPrice: 495 });
+
+    const buyStop = normalizer.normalizeOrder({
+      symbol: 'NSE:SBIN-EQ', qty: 10, side: 1, type: 3, stopPrice: 602.38, limitPrice: 602.98
+    });
+    expect(buyStop).toMatchObject({ stopPrice: 602.35, limitPrice: 603 });
+  });
+
+  it('should round quantities down to whole lots and reject less than one lot', () => {
+    const order = normalizer.normalizeOrder({ symbol: 'NSE:NIFTY24JANFUT', qty: 120, side: 1, type: 2 });
+    expect(order.qty).toBe(100);
+
+    expect(() => normalizer.normalizeOrder({ symbol: 'NSE:NIFTY24JANFUT', qty: 30, side: 1, type: 2 }))
+      .toThrow('less than one lot (50)');
+    expect(normalizer.normalizeOrder({ symbol: 'NSE:SBIN-EQ', qty: 7, side: 1, type: 2 }).qty).toBe(7);
+  });
+
+  it('should size the stop trigger gap from tick size, price and ATR', () => {
+    // 2 ticks beats 0.1% of a low price
+    expect(normalizer.getStopLimitGap('NSE:IDEA-EQ', 14)).toBe(0.1);
+    // 0.1% of price, rounded up to the tick
+    expect(normalizer.getStopLimitGap('NSE:SBIN-EQ', 603)).toBe(0.65);
+    // A quarter of the ATR when volatility is higher
+    expect(normalizer.getStopLimitGap('NSE:SBIN-EQ', 495, 4)).toBe(1);
+    expect(normalizer.getStopLimitGap('MCX:GOLD24FEBFUT', 62345)).toBe(63);
+
+    // SELL exits trigger above the limit, BUY exits below it
+    expect(normalizer.getStopTrigger('NSE:SBIN-EQ', 495, -1)).toBe(495.5);
+    expect(normalizer.getStopTrigger('NSE:SBIN-EQ', 603, 1)).toBe(602.35);
+  });
+});
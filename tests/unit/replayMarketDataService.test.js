@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const MarketDataService = require('../../src/services/marketDataService');
+const ReplayMarketDataService = require('../../src/services/replayMarketDataService');
+
+jest.mock('fyers-api-v3', () => ({
+  fyersDataSocket: { getInstance: jest.fn() }
+}));
+
+describe('ReplayMarketDataService', () => {
+  let dir;
+  let file;
+
+  const messages = [
+    { t: 1000, m: { type: 'cn', s: 'ok' } },
+    { t: 1000, m: { symbol: 'NSE:SBIN-EQ', ltp: 500 } },
+    { t: 1050, m: { symbol: 'NSE:TCS-EQ', ltp: 3500 } },
+    { t: 1100, m: { symbol: 'NSE:SBIN-EQ', ltp: 501 } }
+  ];
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    file = path.join(dir, 'ticks-2024-01-15.jsonl.gz');
+    fs.writeFileSync(file, zlib.gzipSync(messages.map(line => JSON.stringify(line)).join('\n') + '\n'));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('should replay a recorded day through the MarketDataService events', async () => {
+    const replay = new ReplayMarketDataService({ date: '2024-01-15', dir, speed: 'max' });
+    const ticks = [];
+    const times = [];
+    replay.on('tick', tick => {
+      ticks.push(tick);
+      times.push(replay.clock());
+    });
+
+    await expect(replay.replay()).resolves.toEqual({ file, messages: 4 });
+    expect(ticks.map(tick => tick.ltp)).toEqual([500, 3500, 501]);
+    expect(times).toEqual([1000, 1050, 1100]);
+  });
+
+  it('should only deliver subscribed symbols', async () => {
+    const replay = new ReplayMarketDataService({ file, speed: 'max' });
+    const ticks = [];
+    replay.on('tick', tick => ticks.push(tick.symbol));
+
+    await replay.replay(['NSE:SBIN-EQ']);
+    expect(ticks).toEqual(['NSE:SBIN-EQ', 'NSE:SBIN-EQ']);
+  });
+
+  it('should pace messages by recorded time divided by speed', async () => {
+    const started = Date.now();
+    await new ReplayMarketDataService({ file, speed: 2 }).replay();
+    const elapsed = Date.now() - started;
+
+    // 100ms of recorded time at 2x
+    expect(elapsed).toBeGreaterThanOrEqual(45);
+    expect(elapsed).toBeLessThan(1000);
+  });
+
+  it('should feed other MarketDataService subclasses through a socket factory', async () => {
+    class CountingService extends MarketDataService {}
+    const service = new CountingService({
+      socketFactory: ReplayMarketDataService.createSocketFactory({ file, speed: 'max' })
+    });
+    const ticks = [];
+    service.on('tick', tick => ticks.push(tick.ltp));
+
+    const ended = new Promise(resolve => service.once('connected', () => service.socket.once('end', resolve)));
+    service.connect();
+    await ended;
+
+    expect(ticks).toEqual([500, 3500, 501]);
+    service.disconnect();
+  });
+
+  it('should reject an invalid speed', () => {
+    expect(() => new ReplayMarketDataService.ReplaySocket({ file, speed: 'fast' })).toThrow('Invalid replay speed');
+  });
+});
@@ -0,0 +1,88 @@
+const RequestScheduler = require('../../src/services/requestScheduler');
+const TradingHelpers = require('../../src/utils/helpers');
+
+describe('RequestScheduler', () => {
+  it('should hold requests beyond the limit until the window frees up', async () => {
+    const acquire = TradingHelpers.createRateLimiter(2, 200);
+    const started = Date.now();
+
+    await Promise.all([acquire(), acquire()]);
+    expect(Date.now() - started).toBeLessThan(100);
+
+    await acquire();
+    expect(Date.now() - started).toBeGreaterThanOrEqual(190);
+  });
+
+  it('should keep at most `concurrency` calls in flight', async () => {
+    const scheduler = new RequestScheduler({ perSecond: 100, perMinute: 1000, concurrency: 2, retries: 0 });
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const call = (value) => scheduler.schedule(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await TradingHelpers.sleep(10);
+      inFlight--;
+      return value;
+    });
+
+    await expect(Promise.all([1, 2, 3, 4, 5].map(call))).resolves.toEqual([1, 2, 3, 4, 5]);
+    expect(maxInFlight).toBe(2);
+    expect(scheduler.getStats()).toMatchObject({ completed: 5, failed: 0, active: 0, queued: 0 });
+  });
+
+  it('should retry throttled calls but not other failures', async () => {
+    const scheduler = new RequestScheduler({ perSecond: 100, perMinute: 1000, concurrency: 2, retries: 2, retryDelay: 1 });
+
+    const throttled = jest.fn()
+      .mockRejectedValueOnce({ s: 'error', code: 429, message: 'request limit reached' })
+      .mockResolvedValueOnce({ s: 'ok' });
+    await expect(scheduler.schedule(throttled)).resolves.toEqual({ s: 'ok' });
+    expect(throttled).toHaveBeenCalledTimes(2);
+
+    const invalid = jest.fn().mockRejectedValue({ s: 'error', code: -50, message: 'Invalid symbol' });
+    await expect(scheduler.schedule(invalid)).rejects.toMatchObject({ code: -50 });
+    expect(invalid).toHaveBeenCalledTimes(1);
+
+    // The SDK's shape for a dropped connection: no response, the code in the message
+    const reset = jest.fn()
+      .mockRejectedValueOnce({ s: 'error', code: 500, message: 'ECONNRESET' })
+      .mockResolvedValueOnce({ s: 'ok' });
+    await expect(scheduler.schedule(reset)).resolves.toEqual({ s: 'ok' });
+    expect(reset).toHaveBeenCalledTimes(2);
+
+    const order = jest.fn().mockRejectedValue(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+    await expect(scheduler.schedule(order, { retry: false })).rejects.toThrow('socket hang up');
+    expect(order).toHaveBeenCalledTimes(1);
+
+    expect(scheduler.getStats()).toMatchObject({ completed: 2, failed: 2, retried: 2 });
+  });
+
+  it('should not hold order calls behind queued data requests', async () => {
+    const data = RequestScheduler.getInstance();
+    const orders = RequestScheduler.getOrderInstance();
+    expect(orders).not.toBe(data);
+    expect(orders).toBe(RequestScheduler.getOrderInstance());
+
+    // Fill the data pool with slow downloads, then place an order
+    const downloads = Array.from({ length: data.concurrency * 2 }, () =>
+      data.schedule(() => TradingHelpers.sleep(50)));
+    const started = Date.now();
+    await expect(orders.schedule(async () => 'placed', { retry: false })).resolves.toBe('placed');
+    expect(Date.now() - started).toBeLessThan(50);
+
+    await Promise.all(downloads);
+  });
+
+  it('should map items with a worker pool and keep their order', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 3 });
+    const delays = [30, 10, 20, 5, 1];
+
+    const results = await scheduler.map(delays, async (delay, index) => {
+      await TradingHelpers.sleep(delay);
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,166 @@
+const RiskEngine = require('../../src/services/riskEngine');
+
+const { RiskViolationError } = RiskEngine;
+
+describe('RiskEngine', () => {
+  let orderService;
+  let positions;
+  let engine;
+
+  const limits = {
+    enabled: true,
+    maxOrderValue: 50000,
+    maxQuantityPerSymbol: 200,
+    maxOpenPositions: 2,
+    maxGrossExposure: 150000,
+    maxNetExposure: 100000,
+    blockedSymbols: ['NSE:YESBANK-EQ'],
+    priceBandPercent: 5
+  };
+
+  const buy = (overrides = {}) => ({ symbol: 'NSE:SBIN-EQ', qty: 10, side: 1, type: 2, ...overrides });
+
+  const expectViolation = async (promise, code) => {
+    await expect(promise).rejects.toBeInstanceOf(RiskViolationError);
+    await expect(promise).rejects.toMatchObject({ code });
+  };
+
+  beforeEach(() => {
+    positions = [];
+    orderService = {
+      getPositions: jest.fn(async () => ({ s: 'ok', netPositions: positions })),
+      getQuotes: jest.fn(async (symbols) => ({
+        s: 'ok',
+        data: { [symbols[0]]: { ltp: 500 } }
+      })),
+      getOrders: jest.fn(async () => ({
+        s: 'ok',
+        orderBook: [{ id: 'ORD1', symbol: 'NSE:SBIN-EQ', side: 1, type: 1, qty: 10, limitPrice: 500 }]
+      }))
+    };
+    engine = new RiskEngine(limits, { killSwitch: null });
+  });
+
+  it('should pass an order inside every limit', async () => {
+    await expect(engine.checkOrder(buy(), orderService)).resolves.toBeUndefined();
+  });
+
+  it('should reject orders above the max order value using LTP for market orders', async () => {
+    await expectViolation(engine.checkOrder(buy({ qty: 101 }), orderService), 'MAX_ORDER_VALUE');
+  });
+
+  it('should reject blocked symbols', async () => {
+    await expectViolation(engine.checkOrder(buy({ symbol: 'NSE:YESBANK-EQ' }), orderService), 'SYMBOL_BLOCKED');
+  });
+
+  it('should reject a limit price outside the LTP band', async () => {
+    await expectViolation(engine.checkOrder(buy({ type: 1, limitPrice: 550 }), orderService), 'PRICE_BAND');
+  });
+
+  it('should reject quantity that would exceed the per-symbol limit', async () => {
+    positions = [{ symbol: 'NSE:SBIN-EQ', netQty: 95, ltp: 500 }];
+    const sizeOnly = new RiskEngine({ ...limits, maxOrderValue: 0, maxGrossExposure: 0, maxNetExposure: 0 });
+
+    await expectViolation(sizeOnly.checkOrder(buy({ qty: 110 }), orderService), 'MAX_SYMBOL_QUANTITY');
+  });
+
+  it('should reject a new position when the open position limit is reached', async () => {
+    positions = [
+      { symbol: 'NSE:TCS-EQ', netQty: 5, ltp: 3500 },
+      { symbol: 'NSE:INFY-EQ', netQty: 10, ltp: 1500 }
+    ];
+    await expectViolation(engine.checkOrder(buy(), orderService), 'MAX_OPEN_POSITIONS');
+  });
+
+  it('should reject orders that breach gross and net exposure', async () => {
+    positions = [{ symbol: 'NSE:SBIN-EQ', netQty: 190, ltp: 500 }];
+    await expectViolation(engine.checkOrder(buy({ symbol: 'NSE:INFY-EQ', qty: 20 }), orderService), 'MAX_NET_EXPOSURE');
+
+    positions = [
+      { symbol: 'NSE:SBIN-EQ', netQty: 190, ltp: 500 },
+      { symbol: 'NSE:TCS-EQ', netQty: -20, ltp: 3000 }
+    ];
+    await expectViolation(engine.checkOrder(buy({ qty: 5 }), orderService), 'MAX_GROSS_EXPOSURE');
+  });
+
+  it('should always allow orders that only reduce an existing position', async () => {
+    positions = [{ symbol: 'NSE:YESBANK-EQ', netQty: 500, ltp: 20 }];
+    await expect(engine.checkOrder(
+      { symbol: 'NSE:YESBANK-EQ', qty: 500, side: -1, type: 2 }, orderService
+    )).resolves.toBeUndefined();
+  });
+
+  it('should fail closed when the price or positions cannot be fetched', async () => {
+    orderService.getQuotes.mockRejectedValue(new Error('quotes down'));
+    await expectViolation(engine.checkOrder(buy({ qty: 100000 }), orderService), 'NO_PRICE');
+    // A limit order carries its own price
+    await expect(engine.checkOrder(buy({ type: 1, limitPrice: 500 }), orderService)).resolves.toBeUndefined();
+
+    orderService.getQuotes.mockResolvedValue({ s: 'ok', data: { 'NSE:SBIN-EQ': { ltp: 500 } } });
+    orderService.getPositions.mockRejectedValue(new Error('positions down'));
+    await expectViolation(engine.checkOrder(buy(), orderService), 'NO_POSITIONS');
+
+    // Limits that need no data still apply without it
+    const blocklistOnly = new RiskEngine({ enabled: true, blockedSymbols: [], maxOrderValue: 0, maxQuantityPerSymbol: 0,
+      maxOpenPositions: 0, maxGrossExposure: 0, maxNetExposure: 0, priceBandPercent: 0 }, { killSwitch: null });
+    await expect(blocklistOnly.checkOrder(buy(), orderService)).resolves.toBeUndefined();
+  });
+
+  it('should check modifications against the merged working order', async () => {
+    await expectViolation(engine.checkModification('ORD1', { qty: 200 }, orderService), 'MAX_ORDER_VALUE');
+    await expect(engine.checkModification('ORD1', { qty: 20 }, orderService)).resolves.toBeUndefined();
+  });
+
+  it('should skip modification checks when the working order cannot be found', async () => {
+    orderService.getOrders.mockRejectedValue(new Error('network down'));
+    await expect(engine.checkModification('ORD1', { qty: 2000 }, orderService)).resolves.toBeUndefined();
+  });
+
+  it('should support custom rules', async () => {
+    engine.addRule('custom', () => ({ code: 'CUSTOM', message: 'custom rule' }));
+    await expectViolation(engine.checkOrder(buy(), orderService), 'CUSTOM');
+  });
+
+  it('should read a limit of 0 from the environment as disabled', async () => {
+    const names = ['RISK_MAX_ORDER_VALUE', 'RISK_MAX_OPEN_POSITIONS', 'RISK_MAX_GROSS_EXPOSURE', 'RISK_MAX_NET_EXPOSURE', 'RISK_PRICE_BAND_PERCENT'];
+    const saved = names.map(name => process.env[name]);
+    names.forEach(name => { process.env[name] = '0'; });
+
+    let risk;
+    try {
+      jest.isolateModules(() => { risk = require('../../src/config/config').risk; });
+    } finally {
+      names.forEach((name, i) => {
+        if (saved[i] === undefined) delete process.env[name];
+        else process.env[name] = saved[i];
+      });
+    }
+
+    expect(risk).toMatchObject({ maxOrderValue: 0, maxOpenPositions: 0, maxGrossExposure: 0, maxNetExposure: 0, priceBandPercent: 0 });
+
+    positions = [
+      { symbol: 'NSE:TCS-EQ', netQty: 10, ltp: 3500 },
+      { symbol: 'NSE:INFY-EQ', netQty: 10, ltp: 1500 }
+    ];
+    engine = new RiskEngine({ ...limits, ...risk, maxQuantityPerSymbol: 0 }, { killSwitch: null });
+    await expect(engine.checkOrder(buy({ qty: 1000, type: 1, limitPrice: 900 }), orderService)).resolves.toBeUndefined();
+  });
+
+  it('should do nothing when disabled', async () => {
+    engine = new RiskEngine({ ...limits, enabled: false }, { killSwitch: null });
+    await expect(engine.checkOrder(buy({ qty: 100000 }), orderService)).resolves.toBeUndefined();
+    expect(orderService.getPositions).not.toHaveBeenCalled();
+  });
+
+  it('should allow only reducing orders while the kill switch is locked, even when disabled', async () => {
+    const killSwitch = {
+      getLock: () => ({ reason: 'Daily loss breached', lockedAt: '2026-10-19T06:00:00.000Z', lockedUntil: '2026-10-20' }),
+      isLocked: () => true
+    };
+    engine = new RiskEngine({ ...limits, enabled: false }, { killSwitch });
+    positions = [{ symbol: 'NSE:SBIN-EQ', netQty: 10, ltp: 500 }];
+
+    await expectViolation(engine.checkOrder(buy(), orderService), 'KILL_SWITCH');
+    await expect(engine.checkOrder(buy({ side: -1 }), orderService)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScreenProfile = require('../../src/strategies/screenProfile');
+
+const PROFILE_DIR = path.join(__dirname, '../../src/config/screens');
+
+const analysis = {
+  currentPrice: 520,
+  gapPercent: -2.5,
+  volumeRatio: 2,
+  atr: 12,
+  adx: 32,
+  rsi: 38,
+  bbWidth: 0.12,
+  avgBBWidth: 0.1,
+  isVolatilityExpanding: true,
+  sma50: null
+};
+
+describe('ScreenProfile', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'screens-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should keep the built-in trending screen and score', () => {
+    const profile = ScreenProfile.getDefault();
+
+    expect(profile.matches(analysis)).toBe(true);
+    // 32*0.6 + 2*4 + 2.5*4 + min(12,10)*1.5 + 15
+    expect(profile.scoreOf(analysis)).toBeCloseTo(67.2);
+
+    expect(profile.matches({ ...analysis, bbWidth: 0.105 })).toBe(false);
+    expect(profile.getFailedFilters({ ...analysis, bbWidth: 0.105, currentPrice: 6000 }))
+      .toEqual(['bbWidth > avgBBWidth x 1.1', 'currentPrice in [50, 5000]']);
+  });
+
+  it('should load YAML and JSON profiles by path or by name', () => {
+    fs.writeFileSync(path.join(tmpDir, 'oversold.yaml'), [
+      'description: RSI washout',
+      'universe: [NSE:SBIN-EQ, NSE:TCS-EQ]',
+      'filters:',
+      '  - { indicator: rsi, op: "<", value: 40 }',
+      '  - { indicator: sma50, op: ">", value: 0 }',
+      'score:',
+      '  terms:',
+      '    - { indicator: gapPercent, abs: true, weight: 10, cap: 2 }'
+    ].join('\n'));
+    fs.writeFileSync(path.join(tmpDir, 'volume.json'), JSON.stringify({
+      name: 'volume',
+      filters: [{ indicator: 'volumeRatio', op: '>=', value: 2 }],
+      score: { max: 10, terms: [{ indicator: 'volumeRatio', weight: 10 }] }
+    }));
+
+    const oversold = ScreenProfile.load('oversold', tmpDir);
+    expect(oversold).toMatchObject({ name: 'oversold', universe: ['NSE:SBIN-EQ', 'NSE:TCS-EQ'], lookbackDays: 50 });
+    // Missing indicators never pass
+    expect(oversold.matches(analysis)).toBe(false);
+    expect(oversold.matches({ ...analysis, sma50: 480 })).toBe(true);
+    expect(oversold.scoreOf(analysis)).toBe(20);
+
+    const volume = ScreenProfile.load(path.join(tmpDir, 'volume.json'));
+    expect(volume.matches(analysis)).toBe(true);
+    expect(volume.scoreOf(analysis)).toBe(10);
+
+    expect(ScreenProfile.list(tmpDir)).toEqual(['oversold', 'volume']);
+    expect(() => ScreenProfile.load('missing', tmpDir)).toThrow('Screen profile "missing" not found');
+  });
+
+  it('should reject malformed profiles with the offending entry', () => {
+    expect(() => new ScreenProfile({ name: 'bad', filters: [{ indicator: 'adx', op: '=>', value: 1 }] }))
+      .toThrow('Invalid screen profile "bad": filters[0] has unknown op "=>"');
+    expect(() => new ScreenProfile({ name: 'bad', filters: [{ indicator: 'rsi', between: [30] }] }))
+      .toThrow('filters[0] between must be [min, max]');
+    expect(() => new ScreenProfile({ name: 'bad', score: { terms: [{ indicator: 'adx', weight: 'high' }] } }))
+      .toThrow('score.terms[0] needs a numeric weight');
+  });
+
+  it('should ship valid example profiles', () => {
+    const names = ScreenProfile.list(PROFILE_DIR);
+    expect(names).toEqual(expect.arrayContaining(['breakout', 'gap-up', 'mean-reversion', 'momentum', 'sector-leaders', 'trending-sector']));
+    names.forEach(name => expect(() => ScreenProfile.load(name, PROFILE_DIR)).not.toThrow());
+  });
+});
@@ -0,0 +1,120 @@
+const SectorRotationAnalyzer = require('../../src/services/sectorRotationAnalyzer');
+const MarketBreadthAnalyzer = require('../../src/services/marketBreadthAnalyzer');
+const RequestScheduler = require('../../src/services/requestScheduler');
+
+const DAY = 86400;
+const START = 1704047400; // 2024-01-01 00:00 IST
+
+function candles(closes) {
+  return closes.map((close, i) => ({ timestamp: START + i * DAY, open: close, high: close, low: close, close, volume: 0 }));
+}
+
+const SESSIONS = 80;
+const range = (fn) => Array.from({ length: SESSIONS }, (_, i) => fn(i));
+// Trend for 75 sessions, then turn for the last 5
+const turning = (slope) => range(i => (i < 75 ? 100 + slope * i : 100 + slope * 74 - (slope / 2) * (i - 74)));
+
+const history = {
+  'NSE:NIFTY50-INDEX': candles(range(() => 100)),
+  'NSE:NIFTYIT-INDEX': candles(range(i => 100 + 0.01 * i * i)),
+  'NSE:NIFTYBANK-INDEX': candles(turning(1)),
+  'NSE:NIFTYMETAL-INDEX': candles(range(i => 100 - 0.01 * i * i)),
+  'NSE:NIFTYPHARMA-INDEX': candles(turning(-1))
+};
+
+const sectorMap = {
+  benchmark: 'NSE:NIFTY50-INDEX',
+  indices: {
+    IT: 'NSE:NIFTYIT-INDEX',
+    Bank: 'NSE:NIFTYBANK-INDEX',
+    Metal: 'NSE:NIFTYMETAL-INDEX',
+    Pharma: 'NSE:NIFTYPHARMA-INDEX',
+    Media: 'NSE:NIFTYMEDIA-INDEX'
+  },
+  symbols: {
+    'NSE:TCS-EQ': { sector: 'IT', industry: 'IT Services' },
+    'NSE:LT-EQ': { sector: 'Construction', industry: 'Civil Construction' }
+  }
+};
+
+describe('SectorRotationAnalyzer', () => {
+  let historicalDataStore;
+  let analyzer;
+
+  beforeEach(() => {
+    historicalDataStore = {
+      getHistoricalData: jest.fn(async (symbol) => {
+        if (!history[symbol]) throw new Error('no_data');
+        return history[symbol];
+      })
+    };
+    analyzer = new SectorRotationAnalyzer({
+      fyersService: { scheduler: new RequestScheduler({ concurrency: 2, retries: 0 }) },
+      historicalDataStore,
+      sectorMap
+    });
+  });
+
+  it('should place each sector index in its rotation quadrant', async () => {
+    const rotation = await analyzer.analyzeRotation();
+
+    expect(rotation.quadrants).toEqual({
+      LEADING: ['IT'],
+      WEAKENING: ['Bank'],
+      LAGGING: ['Metal'],
+      IMPROVING: ['Pharma']
+    });
+    // Media has no history and is left out
+    expect(rotation.sectors.map(s => s.sector)).toEqual(['IT', 'Bank', 'Metal', 'Pharma']);
+    expect(rotation.asOf).toBe(START + 79 * DAY);
+
+    const itSector = rotation.sectors[0];
+    expect(itSector.rsRatio).toBeGreaterThan(100);
+    expect(itSector.rsMomentum).toBeGreaterThan(100);
+    // Flat benchmark: relative strength is the sector's own return
+    expect(itSector.relativeStrength[20]).toBeCloseTo(itSector.returns[20]);
+    expect(historicalDataStore.getHistoricalData).toHaveBeenCalledWith('NSE:NIFTYIT-INDEX', '1D', 180);
+  });
+
+  it('should measure relative strength against the benchmark on shared sessions', () => {
+    const sector = candles([100, 102, 104, 106, 108, 110]);
+    // The benchmark misses one session
+    const benchmark = candles([100, 101, 102, 103, 104, 104]).filter((c, i) => i !== 2);
+
+    const result = analyzer.analyzeSector('IT', sector, benchmark);
+    expect(result.returns[5]).toBeNull();
+    expect(SectorRotationAnalyzer.alignCloses(sector, benchmark).sector).toEqual([100, 102, 106, 108, 110]);
+
+    const short = new SectorRotationAnalyzer({ fyersService: {}, historicalDataStore, sectorMap, lookbacks: [4] })
+      .analyzeSector('IT', sector, benchmark);
+    expect(short.relativeStrength[4]).toBeCloseTo(10 - 4);
+    expect(short.quadrant).toBeNull();
+  });
+
+  it('should give screener indicators for a stock from its sector', async () => {
+    const rotation = await analyzer.analyzeRotation();
+
+    expect(analyzer.getSector('NSE:TCS-EQ')).toEqual({ sector: 'IT', industry: 'IT Services', index: 'NSE:NIFTYIT-INDEX' });
+    expect(analyzer.getStockContext('NSE:TCS-EQ', rotation)).toEqual({
+      sector: 'IT',
+      industry: 'IT Services',
+      sectorQuadrant: 'LEADING',
+      sectorScore: 1,
+      sectorRelativeStrength: rotation.sectors[0].relativeStrength[20]
+    });
+    // Sector without an index, unknown symbol, no rotation
+    expect(analyzer.getStockContext('NSE:LT-EQ', rotation)).toMatchObject({ sector: 'Construction', sectorScore: null });
+    expect(analyzer.getStockContext('NSE:XYZ-EQ', rotation).sector).toBeNull();
+    expect(analyzer.getStockContext('NSE:TCS-EQ', null)).toMatchObject({ sector: 'IT', sectorQuadrant: null });
+  });
+
+  it('should map every breadth universe stock in the shipped sector map', () => {
+    const shipped = new SectorRotationAnalyzer({ fyersService: {}, historicalDataStore: {} });
+    const breadth = new MarketBreadthAnalyzer({ fyersService: {}, historicalDataStore: {}, sectorRotationAnalyzer: shipped });
+
+    const unmapped = breadth.nifty50Symbols.filter(symbol => !shipped.getSector(symbol));
+    expect(unmapped).toEqual([]);
+    expect(breadth.sectorIndices).toBe(shipped.indices);
+    expect(shipped.getSymbols('IT')).toEqual(expect.arrayContaining(['NSE:TCS-EQ', 'NSE:INFY-EQ']));
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cron = require('node-cron');
+const SquareOffScheduler = require('../../src/services/squareOffScheduler');
+const BracketOrderManager = require('../../src/services/bracketOrderManager');
+const MarketCalendar = require('../../src/services/marketCalendar');
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(() => ({ stop: jest.fn() }))
+}));
+
+describe('SquareOffScheduler', () => {
+  let orderService;
+  let orderBook;
+  let positions;
+  let bracketManager;
+  let summaryDir;
+
+  beforeEach(() => {
+    summaryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'square-off-'));
+    positions = [
+      { symbol: 'NSE:SBIN-EQ', netQty: 10, netAvg: 500, ltp: 505, productType: 'INTRADAY', pl: 50 },
+      { symbol: 'NSE:TCS-EQ', netQty: -2, netAvg: 3500, ltp: 3490, productType: 'INTRADAY', pl: 20 },
+      { symbol: 'NSE:INFY-EQ', netQty: 5, netAvg: 1500, ltp: 1510, productType: 'CNC', pl: 50 }
+    ];
+    orderBook = [
+      { id: 'TP1', symbol: 'NSE:SBIN-EQ', side: -1, qty: 10, status: 6, productType: 'INTRADAY' },
+      { id: 'CNC1', symbol: 'NSE:INFY-EQ', side: -1, qty: 5, status: 6, productType: 'CNC' }
+    ];
+
+    let nextId = 1;
+    orderService = {
+      getPositions: jest.fn(async () => ({ s: 'ok', netPositions: positions })),
+      getOrders: jest.fn(async () => ({ s: 'ok', orderBook })),
+      cancelOrder: jest.fn(async (id) => ({ s: 'ok', id })),
+      placeOrder: jest.fn(async (order) => {
+        const id = `SQ${nextId++}`;
+        orderBook.push({ id, symbol: order.symbol, side: order.side, qty: order.quantity, status: 2, tradedPrice: 501 });
+        return { s: 'ok', id };
+      })
+    };
+
+    bracketManager = {
+      reloadState: jest.fn(),
+      getOpenBrackets: jest.fn(() => [
+        { id: 'BRK_1', productType: 'INTRADAY' },
+        { id: 'BRK_2', productType: 'CNC' }
+      ]),
+      cancelBracket: jest.fn(async () => {})
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(summaryDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  it('should schedule on weekdays at the configured IST time', () => {
+    const year = new Date().getFullYear();
+    const calendar = new MarketCalendar({ holidays: { [`${year}-01-26`]: 'Republic Day' } });
+    const scheduler = new SquareOffScheduler(orderService, { time: '15:05', calendar });
+    scheduler.start();
+
+    expect(cron.schedule).toHaveBeenCalledWith('5 15 * * 1-5', expect.any(Function), { timezone: 'Asia/Kolkata' });
+    expect(() => new SquareOffScheduler(orderService, { time: '25:00', calendar }).start()).toThrow('Invalid square-off time');
+
+    // Without this year's holidays it would run on exchange holidays
+    const outdated = new MarketCalendar({ holidays: { [`${year - 1}-01-26`]: 'Republic Day' } });
+    expect(() => new SquareOffScheduler(orderService, { calendar: outdated }).start()).toThrow(`No NSE holiday list for ${year}`);
+  });
+
+  it('should cancel intraday brackets and orders, close intraday positions and save a summary', async () => {
+    const scheduler = new SquareOffScheduler(orderService, { bracketManager, summaryDir, fillCheckDelay: 0 });
+
+    const summary = await scheduler.run();
+
+    expect(bracketManager.cancelBracket).toHaveBeenCalledTimes(1);
+    expect(bracketManager.cancelBracket).toHaveBeenCalledWith('BRK_1', 'SQUARE_OFF');
+    expect(orderService.cancelOrder).toHaveBeenCalledWith('TP1');
+    expect(orderService.cancelOrder).not.toHaveBeenCalledWith('CNC1');
+    expect(orderService.placeOrder).toHaveBeenCalledTimes(2);
+    expect(orderService.placeOrder).toHaveBeenCalledWith(expect.objectContaining({
+      symbol: 'NSE:TCS-EQ', quantity: 2, side: 1, type: 2, productType: 'INTRADAY'
+    }));
+
+    expect(summary.closedPositions).toEqual([
+      expect.objectContaining({ symbol: 'NSE:SBIN-EQ', side: 'SELL', quantity: 10, status: 'FILLED', fillPrice: 501 }),
+      expect.objectContaining({ symbol: 'NSE:TCS-EQ', side: 'BUY', quantity: 2, status: 'FILLED', fillPrice: 501 })
+    ]);
+    expect(JSON.parse(fs.readFileSync(summary.file, 'utf8'))).toMatchObject({
+      cancelledBrackets: ['BRK_1'],
+      cancelledOrders: [expect.objectContaining({ id: 'TP1' })]
+    });
+  });
+
+  it('should cancel brackets another process saved after the manager was loaded', async () => {
+    const stateFile = path.join(summaryDir, 'brackets.json');
+    const appManager = new BracketOrderManager(orderService, { stateFile });
+    const cliManager = new BracketOrderManager(orderService, { stateFile });
+    const bracket = await cliManager.createBracket({
+      symbol: 'NSE:SBIN-EQ', quantity: 10, side: 1, entryPrice: 500, takeProfitPrice: 510, stopLossPrice: 495
+    });
+
+    const scheduler = new SquareOffScheduler(orderService, { bracketManager: appManager, summaryDir, fillCheckDelay: 0 });
+    const summary = await scheduler.run();
+
+    expect(summary.cancelledBrackets).toEqual([bracket.id]);
+    const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8')).brackets;
+    expect(saved).toEqual([expect.objectContaining({ id: bracket.id, state: 'CANCELLED', exitReason: 'SQUARE_OFF' })]);
+  });
+});
@@ -0,0 +1,52 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const moment = require('moment-timezone');
+const TickRecorder = require('../../src/services/tickRecorder');
+
+describe('TickRecorder', () => {
+  let dir;
+  let time;
+  let recorder;
+
+  const readLines = (file) => zlib.gunzipSync(fs.readFileSync(file)).toString().trim().split('\n').map(JSON.parse);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticks-'));
+    time = moment.tz('2024-01-15 09:15:00', 'Asia/Kolkata').valueOf();
+    recorder = new TickRecorder({ dir, now: () => time });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('should record every raw message with its receive time', async () => {
+    const marketData = new EventEmitter();
+    recorder.attach(marketData);
+
+    marketData.emit('message', { type: 'cn', s: 'ok' });
+    marketData.emit('message', { symbol: 'NSE:SBIN-EQ', ltp: 500 });
+    await recorder.close();
+
+    expect(readLines(TickRecorder.getFile(dir, '2024-01-15'))).toEqual([
+      { t: time, m: { type: 'cn', s: 'ok' } },
+      { t: time, m: { symbol: 'NSE:SBIN-EQ', ltp: 500 } }
+    ]);
+    expect(marketData.listenerCount('message')).toBe(0);
+  });
+
+  it('should partition files by IST trading day and append after a restart', async () => {
+    recorder.record({ symbol: 'NSE:SBIN-EQ', ltp: 500 });
+    time = moment.tz('2024-01-16 09:15:00', 'Asia/Kolkata').valueOf();
+    recorder.record({ symbol: 'NSE:SBIN-EQ', ltp: 505 });
+    await recorder.close();
+
+    const restarted = new TickRecorder({ dir, now: () => time });
+    restarted.record({ symbol: 'NSE:SBIN-EQ', ltp: 506 });
+    await restarted.close();
+
+    expect(readLines(TickRecorder.getFile(dir, '2024-01-15')).map(line => line.m.ltp)).toEqual([500]);
+    expect(readLines(TickRecorder.getFile(dir, '2024-01-16')).map(line => line.m.ltp)).toEqual([505, 506]);
+  });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenManager = require('../../src/services/tokenManager');
+const config = require('../../src/config/config');
+
+const makeJwt = (exp) => [
+  Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url'),
+  Buffer.from(JSON.stringify({ sub: 'access_token', exp })).toString('base64url'),
+  'signature'
+].join('.');
+
+describe('TokenManager', () => {
+  let storeFile;
+
+  beforeEach(() => {
+    storeFile = path.join(os.tmpdir(), `token-manager-${process.pid}.json`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(storeFile, { force: true });
+  });
+
+  it('should decode the JWT expiry and ignore non-JWT tokens', () => {
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+
+    expect(TokenManager.decodeExpiry(makeJwt(exp))).toBe(exp * 1000);
+    expect(TokenManager.decodeExpiry('plain-token')).toBeNull();
+    expect(TokenManager.decodeExpiry('a.not-json.c')).toBeNull();
+  });
+
+  it('should detect auth errors in response bodies and HTTP errors', () => {
+    expect(TokenManager.isAuthError({ s: 'error', code: -16, message: 'Could not authenticate' })).toBe(true);
+    expect(TokenManager.isAuthError({ s: 'error', code: -15, message: 'Invalid token' })).toBe(true);
+    expect(TokenManager.isAuthError({ response: { status: 401, data: {} } })).toBe(true);
+    expect(TokenManager.isAuthError({ s: 'error', code: -50, message: 'Invalid order' })).toBe(false);
+    expect(TokenManager.isAuthError({ s: 'ok', code: 200 })).toBe(false);
+  });
+
+  it('should prefer a valid stored token over the env token', () => {
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    fs.writeFileSync(storeFile, JSON.stringify({ accessToken: makeJwt(exp), appId: 'APP-100', issuedAt: new Date().toISOString() }));
+
+    const manager = new TokenManager({ storeFile, appId: 'APP-100', accessToken: 'env-token' });
+    expect(manager.getAccessToken()).toBe(makeJwt(exp));
+
+    // Token saved for another app is ignored
+    const other = new TokenManager({ storeFile, appId: 'APP-200', accessToken: 'env-token' });
+    expect(other.getAccessToken()).toBe('env-token');
+  });
+
+  it('should hand a stored token to the sockets through config when it loads', () => {
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    fs.writeFileSync(storeFile, JSON.stringify({ accessToken: makeJwt(exp), appId: 'APP-100', issuedAt: new Date().toISOString() }));
+    const envToken = config.fyers.accessToken;
+
+    try {
+      config.fyers.accessToken = 'OLD_ENV';
+      const manager = new TokenManager({ storeFile, appId: 'APP-100' });
+      expect(config.fyers.accessToken).toBe(manager.getAccessToken());
+      expect(config.fyers.accessToken).toBe(makeJwt(exp));
+    } finally {
+      config.fyers.accessToken = envToken;
+    }
+  });
+
+  it('should fall back to the env token when the stored one has expired', () => {
+    const exp = Math.floor(Date.now() / 1000) - 60;
+    fs.writeFileSync(storeFile, JSON.stringify({ accessToken: makeJwt(exp), appId: 'APP-100', expiresAt: exp * 1000 }));
+
+    const manager = new TokenManager({ storeFile, appId: 'APP-100', accessToken: 'env-token' });
+    expect(manager.getTokenInfo()).toEqual(expect.objectContaining({ accessToken: 'env-token', source: 'env' }));
+  });
+
+  it('should persist a new token and swap it into registered services', () => {
+    const manager = new TokenManager({ storeFile, appId: 'APP-100', accessToken: 'old-token' });
+    const service = { applyAccessToken: jest.fn() };
+    const updated = jest.fn();
+
+    manager.register(service);
+    manager.on('tokenUpdated', updated);
+    expect(service.applyAccessToken).toHaveBeenCalledWith('old-token');
+
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    manager.setAccessToken(makeJwt(exp));
+
+    expect(service.applyAccessToken).toHaveBeenLastCalledWith(makeJwt(exp));
+    expect(updated).toHaveBeenCalledWith(expect.objectContaining({ expiresAt: exp * 1000 }));
+
+    const stored = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+    expect(stored).toEqual(expect.objectContaining({ accessToken: makeJwt(exp), appId: 'APP-100', expiresAt: exp * 1000 }));
+    expect(stored.issuedAt).toBeDefined();
+  });
+
+  it('should warn once before expiry and once on expiry', () => {
+    const now = Date.now();
+    const exp = Math.floor(now / 1000) + 20 * 60;
+    const manager = new TokenManager({ storeFile, appId: 'APP-100', accessToken: makeJwt(exp), warnBeforeMinutes: 30 });
+    const expiring = jest.fn();
+    const expired = jest.fn();
+    manager.on('expiring', expiring);
+    manager.on('expired', expired);
+
+    manager.checkExpiry(now - 15 * 60 * 1000);
+    expect(expiring).not.toHaveBeenCalled();
+
+    manager.checkExpiry(now);
+    manager.checkExpiry(now + 60 * 1000);
+    expect(expiring).toHaveBeenCalledTimes(1);
+
+    manager.checkExpiry(exp * 1000 + 1000);
+    manager.checkExpiry(exp * 1000 + 2000);
+    expect(expired).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,104 @@
+const path = require('path');
+const TradeOptimizer = require('../../src/services/tradeOptimizer');
+const ChargesCalculator = require('../../src/services/chargesCalculator');
+
+const DAY = 86400;
+const START = 1704047400; // 2024-01-01 00:00 IST
+
+function candles(closes, range = 0) {
+  return closes.map((close, i) => ({
+    timestamp: START + i * DAY, open: close, high: close + range / 2, low: close - range / 2, close, volume: 0
+  }));
+}
+
+describe('TradeOptimizer', () => {
+  const chargesCalculator = ChargesCalculator.load(path.join(__dirname, '../../src/config/charges.json'));
+  let historicalDataStore;
+  let optimizer;
+
+  beforeEach(() => {
+    historicalDataStore = { getHistoricalData: jest.fn() };
+    optimizer = new TradeOptimizer({
+      fyersService: {},
+      historicalDataStore,
+      chargesCalculator,
+      maxChargeShare: 0.2,
+      minStopPercent: 0.1,
+      maxStopPercent: 5,
+      maxTargetVolatility: 2
+    });
+  });
+
+  it('should set the stop from volatility and solve TP for the net ratio', () => {
+    const result = optimizer.optimize({ price: 500, quantity: 100, volatility: 0.015, multiplier: 0.5, targetRatio: 2 });
+
+    expect(result.constraint).toBe('volatility');
+    expect(result.optimal_l).toBeCloseTo(0.0075);
+    expect(result.stopLossPrice).toBeCloseTo(496.25);
+    expect(result.actualRatio).toBeCloseTo(2, 6);
+    // Charges push the TP past 2x the stop
+    expect(result.optimal_g).toBeGreaterThan(2 * result.optimal_l);
+    expect(result.netProfit).toBeCloseTo(100 * 500 * result.optimal_g - result.chargesTP);
+    expect(result.stretched).toBe(false);
+
+    const short = optimizer.optimize({ price: 500, quantity: 100, side: 'sell', volatility: 0.015, multiplier: 0.5, targetRatio: 3 });
+    expect(short.stopLossPrice).toBeCloseTo(503.75);
+    expect(short.takeProfitPrice).toBeLessThan(500 * (1 - 3 * 0.0075));
+    expect(short.actualRatio).toBeCloseTo(3, 6);
+  });
+
+  it('should widen stops that would be mostly charges and cap them at the maximum', () => {
+    // One option lot: ₹40 flat brokerage against a small premium turnover
+    const option = { symbol: 'NSE:NIFTY24O1724000CE', price: 200, quantity: 75, volatility: 0.01, multiplier: 0.5 };
+    const result = optimizer.optimize(option);
+
+    expect(result.constraint).toBe('charges');
+    expect(result.optimal_l).toBeGreaterThan(0.01);
+    expect(result.chargeShare).toBeCloseTo(0.2, 3);
+    expect(result.viable).toBe(true);
+
+    const capped = optimizer.optimize({ ...option, volatility: 0.2 });
+    expect(capped.constraint).toBe('maximum');
+    expect(capped.optimal_l).toBe(0.05);
+    expect(capped.stretched).toBe(false);
+    expect(capped.viable).toBe(true);
+
+    // Even the widest stop is mostly charges: capped, reported and not viable
+    const tiny = optimizer.optimize({ ...option, price: 20 });
+    expect(tiny.constraint).toBe('maximum');
+    expect(tiny.chargeShare).toBeGreaterThan(0.2);
+    expect(tiny.viable).toBe(false);
+
+    // maxChargeShare 0 turns the charges floor off
+    const noChargeFloor = new TradeOptimizer({ fyersService: {}, historicalDataStore, chargesCalculator, maxChargeShare: 0 });
+    expect(optimizer.optimize({ price: 500, quantity: 100, volatility: 0.0005 }).constraint).toBe('charges');
+    expect(noChargeFloor.optimize({ price: 500, quantity: 100, volatility: 0.0005 }).constraint).toBe('minimum');
+    expect(() => optimizer.optimize({ price: 500, quantity: 0, volatility: 0.01 })).toThrow('Quantity must be a positive number');
+  });
+
+  it('should measure volatility and ATR from cached daily candles', async () => {
+    // Alternating +1% / -1% log returns
+    const closes = Array.from({ length: 30 }, (_, i) => 100 * Math.exp(i % 2 === 0 ? 0 : 0.01));
+    historicalDataStore.getHistoricalData.mockResolvedValue(candles(closes, 2));
+
+    const volatility = await optimizer.optimizeWithVolatility({ symbol: 'NSE:SBIN-EQ', price: 100, quantity: 100, volatilityMultiplier: 1.5 });
+    expect(historicalDataStore.getHistoricalData).toHaveBeenCalledWith('NSE:SBIN-EQ', '1D', 60);
+    expect(volatility.method).toBe('VOLATILITY');
+    expect(volatility.dailyVolatility).toBeCloseTo(0.01 * Math.sqrt(20 / 19), 6);
+    expect(volatility.optimal_l).toBeCloseTo(1.5 * volatility.dailyVolatility);
+
+    const atr = await optimizer.optimizeWithATR({ symbol: 'NSE:SBIN-EQ', price: 100, quantity: 100 });
+    expect(atr.method).toBe('ATR');
+    expect(atr.atr).toBeCloseTo(2, 1);
+    expect(atr.optimal_l).toBeCloseTo(0.5 * atr.atr / 100);
+
+    // An explicit ATR skips the history fetch
+    historicalDataStore.getHistoricalData.mockClear();
+    await optimizer.optimizeWithATR({ symbol: 'NSE:SBIN-EQ', price: 100, quantity: 100, atr: 1 });
+    expect(historicalDataStore.getHistoricalData).not.toHaveBeenCalled();
+
+    historicalDataStore.getHistoricalData.mockResolvedValue([]);
+    await expect(optimizer.optimizeWithVolatility({ symbol: 'NSE:XYZ-EQ', price: 100, quantity: 1 }))
+      .rejects.toThrow('No daily history for NSE:XYZ-EQ');
+  });
+});